@@ -0,0 +1,356 @@
+// Batch export of an asset folder. A JSON or YAML manifest maps globs of
+// .piskel files to export formats, see "Building asset folders" in README.md.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const headless = require('./headless');
+const exportPng = require('./export-png');
+const exportConsole = require('./export-console');
+const lintPiskel = require('./lint-piskel');
+
+// Manifest looked up in the source folder when --manifest is not given
+const MANIFEST_FILES = ['piskel-build.json', 'piskel-build.yml', 'piskel-build.yaml'];
+
+// Editors often fire several events for a single save, wait for the last one
+const WATCH_DELAY = 200;
+
+const formatBytes = headless.pskl.utils.VramBudgetUtils.formatBytes;
+
+// Relative path with forward slashes, as used in manifest globs
+const toRelative = (dir, file) => path.relative(dir, file).split(path.sep).join('/');
+
+const isInside = (file, dir) => file === dir || file.indexOf(dir + path.sep) === 0;
+
+/**
+ * Supports "**" (any number of folders), "*" and "?" (within a file or folder
+ * name).
+ * @param {string} glob pattern relative to the source folder
+ * @return {RegExp}
+ */
+const globToRegExp = (glob) => {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    if (glob[i] === '*' && glob[i + 1] === '*') {
+      // "**/" also matches files at the root of the folder
+      source += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (glob[i] === '*') {
+      source += '[^/]*';
+    } else if (glob[i] === '?') {
+      source += '[^/]';
+    } else {
+      source += glob[i].replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+
+  return new RegExp('^' + source + '$');
+};
+
+/**
+ * Read the manifest rules, in the manifest order. A glob maps to a format, a
+ * list of formats or the export options: {formats, scale, crop, columns, rows,
+ * frames, console, dedupe, palette}.
+ * @return {Array<Object>} rules
+ */
+const readManifest = (file) => {
+  const text = fs.readFileSync(file, 'utf-8');
+  const manifest = /\.ya?ml$/.test(file) ? yaml.safeLoad(text) : JSON.parse(text);
+
+  if (!manifest || typeof manifest !== 'object' || Array.isArray(manifest)) {
+    throw new Error(file + ': the manifest should map globs to formats');
+  }
+
+  return Object.keys(manifest).map(glob => {
+    const value = manifest[glob];
+    const rule = typeof value === 'string' || Array.isArray(value) ? { formats: value } : Object.assign({}, value);
+
+    rule.formats = [].concat(rule.formats || []);
+    if (!rule.formats.length) {
+      throw new Error(file + ': no formats given for ' + glob);
+    }
+
+    rule.glob = glob;
+    rule.regexp = globToRegExp(glob);
+
+    return rule;
+  });
+};
+
+const listPiskelFiles = (dir, outDir) => {
+  let files = [];
+
+  fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+    const file = path.join(dir, entry.name);
+
+    if (entry.isDirectory() && !isInside(file, outDir)) {
+      files = files.concat(listPiskelFiles(file, outDir));
+    } else if (entry.isFile() && path.extname(entry.name) === '.piskel') {
+      files.push(file);
+    }
+  });
+
+  return files.sort();
+};
+
+// The first matching glob of the manifest wins
+const findRule = (build, file) => {
+  const relative = toRelative(build.srcDir, file);
+
+  return build.rules.filter(rule => rule.regexp.test(relative))[0] || null;
+};
+
+// piskel.getHash() covers the frames, add the other settings used by exports
+const getAssetHash = (piskel, consoleMode) => piskel.getHash() + '-' + JSON.stringify([
+  consoleMode,
+  piskel.getDescriptor().name,
+  piskel.getFPS(),
+  piskel.getLayers().map(layer => layer.getOpacity()),
+  piskel.getSubPalettes(),
+  piskel.getTilePalettes(),
+  piskel.getPaletteOrder(),
+  piskel.getVramBudget()
+]);
+
+/**
+ * Export a .piskel file in all the formats of its rule.
+ * @return {Object} asset summary {name, console, files: [{name, size}],
+ *         warnings: lint errors, errors: export errors}
+ */
+const exportAsset = (build, file, loaded, rule) => {
+  const name = toRelative(build.srcDir, file);
+  const dest = path.join(build.outDir, name.replace(/\.piskel$/, ''));
+  const consoleMode = rule.console || loaded.consoleMode;
+  const asset = { name: name, console: consoleMode, files: [], warnings: [], errors: [] };
+
+  let piskel = loaded.piskel;
+
+  if (rule.frames !== undefined) {
+    const indexes = headless.parseFrames(rule.frames, piskel.getFrameCount());
+    if (!indexes) {
+      asset.errors.push('invalid frames: ' + rule.frames + ' (frames 0 to ' + (piskel.getFrameCount() - 1) + ')');
+      return asset;
+    }
+    piskel = headless.selectFrames(piskel, indexes);
+  }
+
+  fs.mkdirSync(path.dirname(dest), { recursive: true });
+
+  rule.formats.forEach(format => {
+    const options = {
+      dest: dest,
+      format: format,
+      zoom: rule.scale || 1,
+      crop: !!rule.crop,
+      columns: rule.columns,
+      rows: rule.rows,
+      consoleMode: consoleMode,
+      dedupe: !!rule.dedupe,
+      paletteOut: !!rule.palette
+    };
+    const exporter = format === 'png' ? exportPng : exportConsole;
+
+    try {
+      const files = exporter.generate(headless.createPiskelController(piskel), options);
+      Object.keys(files).forEach(fileName => {
+        fs.writeFileSync(fileName, files[fileName]);
+        asset.files.push({ name: toRelative(build.outDir, fileName), size: fs.statSync(fileName).size });
+      });
+    } catch (e) {
+      asset.errors.push(format + ': ' + (e.message || e));
+    }
+  });
+
+  // Without a console, check the constraints of the console of the formats
+  const lintConsole = consoleMode || rule.formats.map(exportConsole.getFormatConsole).filter(Boolean)[0] || null;
+  const report = lintPiskel.lint(headless.createPiskelController(piskel), { consoleMode: lintConsole });
+  asset.console = lintConsole;
+  asset.warnings = report.errors.concat(asset.warnings);
+
+  return asset;
+};
+
+/**
+ * Export a .piskel file, unless its hash did not change since its last export.
+ * @return {Object|null} asset summary, null if the asset is unchanged
+ */
+const buildFile = (build, file) => {
+  const name = toRelative(build.srcDir, file);
+  const rule = findRule(build, file);
+  const cached = build.cache[file];
+
+  if (!rule) {
+    delete build.cache[file];
+    return null;
+  }
+
+  let loaded;
+
+  try {
+    loaded = headless.loadPiskel(JSON.parse(fs.readFileSync(file, 'utf-8')));
+  } catch (e) {
+    return { name: name, console: null, files: [], warnings: [], errors: ['could not load: ' + (e.message || e)] };
+  }
+
+  if (cached) {
+    headless.reuseFrames(loaded.piskel, cached.piskel);
+  }
+
+  const hash = getAssetHash(loaded.piskel, rule.console || loaded.consoleMode);
+  if (cached && cached.hash === hash) {
+    return null;
+  }
+
+  build.cache[file] = { piskel: loaded.piskel, hash: hash };
+
+  return exportAsset(build, file, loaded, rule);
+};
+
+const printSummary = (assets) => {
+  let fileCount = 0;
+  let totalSize = 0;
+  let warningCount = 0;
+  let errorCount = 0;
+
+  assets.forEach(asset => {
+    console.log(asset.name + (asset.console ? ' (' + asset.console + ')' : ''));
+
+    asset.files.forEach(file => {
+      console.log('  ' + file.name + '  ' + formatBytes(file.size));
+      totalSize += file.size;
+    });
+
+    asset.warnings.forEach(warning => {
+      const frames = warning.frames ? ' [frames ' + warning.frames.join(', ') + ']' : '';
+      console.log('  warning ' + warning.check + ': ' + warning.message + frames);
+    });
+
+    asset.errors.forEach(error => console.log('  error ' + error));
+
+    fileCount += asset.files.length;
+    warningCount += asset.warnings.length;
+    errorCount += asset.errors.length;
+  });
+
+  const plural = (count, word) => count + ' ' + word + (count === 1 ? '' : 's');
+
+  console.log('\n' + [
+    plural(assets.length, 'asset'),
+    plural(fileCount, 'file') + ' (' + formatBytes(totalSize) + ')',
+    plural(warningCount, 'warning'),
+    plural(errorCount, 'error')
+  ].join(', '));
+
+  return errorCount;
+};
+
+const buildAll = (build) => {
+  const assets = listPiskelFiles(build.srcDir, build.outDir)
+    .map(file => buildFile(build, file))
+    .filter(Boolean);
+
+  return printSummary(assets);
+};
+
+const watch = (build) => {
+  let changed = {};
+  let timer = null;
+
+  const rebuild = () => {
+    const files = Object.keys(changed);
+    changed = {};
+
+    if (files.indexOf(build.manifest) > -1) {
+      try {
+        build.rules = readManifest(build.manifest);
+      } catch (e) {
+        console.error(e.message || e);
+        return;
+      }
+
+      // Rules changed, export everything again
+      console.log('\nManifest changed, rebuilding ' + build.srcDir);
+      build.cache = {};
+      buildAll(build);
+      return;
+    }
+
+    const assets = files.map(file => {
+      if (!fs.existsSync(file)) {
+        delete build.cache[file];
+        return null;
+      }
+      return buildFile(build, file);
+    }).filter(Boolean);
+
+    if (assets.length) {
+      console.log('');
+      printSummary(assets);
+    }
+  };
+
+  const onChange = (dir) => (event, fileName) => {
+    const file = fileName && path.join(dir, fileName.toString());
+
+    if (!file || isInside(file, build.outDir)) return;
+    if (file !== build.manifest && path.extname(file) !== '.piskel') return;
+
+    changed[file] = true;
+    clearTimeout(timer);
+    timer = setTimeout(rebuild, WATCH_DELAY);
+  };
+
+  fs.watch(build.srcDir, { recursive: true }, onChange(build.srcDir));
+
+  if (!isInside(build.manifest, build.srcDir)) {
+    fs.watch(build.manifest, onChange(path.dirname(build.manifest)));
+  }
+
+  console.log('\nWatching ' + build.srcDir + ' for changes...');
+};
+
+/**
+ * @param {string} srcDir asset folder
+ * @param {Object} options {out, manifest, watch}
+ * @return {number} exit code, 1 if any asset could not be exported
+ */
+const run = (srcDir, options) => {
+  const build = {
+    srcDir: path.resolve(srcDir),
+    outDir: path.resolve(options.out || 'build'),
+    manifest: options.manifest ? path.resolve(options.manifest) : null,
+    rules: null,
+    // Loaded piskels and hashes of the exported files, by path
+    cache: {}
+  };
+
+  if (!build.manifest) {
+    build.manifest = MANIFEST_FILES.map(file => path.join(build.srcDir, file)).filter(file => fs.existsSync(file))[0];
+
+    if (!build.manifest) {
+      console.error('No manifest found in ' + srcDir + ' (' + MANIFEST_FILES.join(', ') + ')');
+      return 1;
+    }
+  }
+
+  try {
+    build.rules = readManifest(build.manifest);
+  } catch (e) {
+    console.error(e.message || e);
+    return 1;
+  }
+
+  console.log('Building ' + build.srcDir + ' to ' + build.outDir + '\n');
+
+  const errorCount = buildAll(build);
+
+  if (options.watch) {
+    watch(build);
+  }
+
+  return errorCount ? 1 : 0;
+};
+
+module.exports = {
+  run: run
+};
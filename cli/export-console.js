@@ -0,0 +1,215 @@
+const fs = require('fs');
+const headless = require('./headless');
+
+const exportimage = headless.pskl.controller.settings.exportimage;
+
+// Formats encoding the rendered frames, other formats are the console tile
+// formats of the export tabs
+const FRAME_FORMATS = {
+    pvr: {
+        controller: 'DreamcastPvrExportController',
+        extension: '.pvr',
+        // Defaults of the export tab: ARGB1555, twiddled, no GBIX header
+        generateFrame: function (exporter, index) {
+            return Buffer.from(exporter.generatePvrData_(index, 'ARGB1555', true, false));
+        },
+        getFrameSuffix: function (index, frameCount) {
+            return frameCount > 1 ? '_' + index : '';
+        }
+    },
+    bmp: {
+        controller: 'BmpExporter',
+        extension: '.bmp',
+        generateFrame: function (exporter, index) {
+            return Buffer.from(exporter.generateBmpData_(exporter.piskelController.renderFrameAt(index, true)));
+        },
+        getFrameSuffix: function (index, frameCount) {
+            return '_' + String(index).padStart(String(frameCount).length, '0');
+        }
+    },
+    c: {
+        controller: 'CExporter',
+        extension: '.c',
+        generate: function (exporter) {
+            return exporter.generateCData_();
+        }
+    },
+    svg: {
+        controller: 'SvgExporter',
+        extension: '.svg',
+        generate: function (exporter) {
+            // User settings are not available, animations use the default (no loop)
+            exporter.getLoopSetting_ = function () {
+                return false;
+            };
+
+            return exporter.generateSvg_();
+        }
+    }
+};
+
+/**
+ * Find the console owning a tile format: formats are named after the first
+ * export tab of the console, and encoded by its bundle exporter (see
+ * ZipExportController).
+ * @return {Object|null} bundle exporter info, with the console id
+ */
+function getTileFormat(format) {
+    var mode = headless.pskl.app.consoleRegistry.getAll().filter(function (mode) {
+        return mode.exportTabs[0] === format;
+    })[0];
+    var info = mode && exportimage.ZipExportController.BUNDLE_EXPORTERS[mode.id];
+
+    return info ? Object.assign({ console: mode.id }, info) : null;
+}
+
+/**
+ * @param {string} consoleId console mode id
+ * @return {string|null} tile format of the console
+ */
+function getConsoleFormat(consoleId) {
+    var mode = headless.getConsoleMode(consoleId);
+
+    return mode && getTileFormat(mode.exportTabs[0]) ? mode.exportTabs[0] : null;
+}
+
+/**
+ * @param {string} format value of --format
+ * @return {string|null} id of the console encoding the format, null for png
+ *         and the frame formats
+ */
+function getFormatConsole(format) {
+    var info = getTileFormat(format);
+
+    return info ? info.console : null;
+}
+
+/**
+ * @return {Array<string>} all formats accepted by --format, besides png
+ */
+function getFormats() {
+    return headless.pskl.app.consoleRegistry.getRegisteredIds()
+        .map(getConsoleFormat)
+        .filter(Boolean)
+        .concat(Object.keys(FRAME_FORMATS));
+}
+
+// Strip the extension of the format from dest, if it was given
+function getBasename(dest, extension) {
+    return dest.slice(-extension.length) === extension ? dest.slice(0, -extension.length) : dest;
+}
+
+function exportFrames(piskelController, formatInfo, options, files) {
+    var exporter = new exportimage[formatInfo.controller](piskelController);
+    var basename = getBasename(options.dest, formatInfo.extension);
+
+    if (formatInfo.generate) {
+        files[basename + formatInfo.extension] = formatInfo.generate(exporter);
+
+        return;
+    }
+
+    var frameCount = piskelController.getFrameCount();
+
+    for (var i = 0; i < frameCount; i++) {
+        var fileName = basename + formatInfo.getFrameSuffix(i, frameCount) + formatInfo.extension;
+        files[fileName] = formatInfo.generateFrame(exporter, i);
+    }
+}
+
+function exportTiles(piskelController, formatInfo, options, files) {
+    var exporter = new exportimage[formatInfo.controller](piskelController);
+    var basename = getBasename(options.dest, formatInfo.tilesExtension);
+
+    // Use the cli option instead of the "Optimize tiles" checkbox
+    exporter.isOptimizeEnabled_ = function () {
+        return !!options.dedupe;
+    };
+    exporter.validateAndDisplay_();
+
+    var bundleFiles = exporter.getBundleFiles();
+    files[basename + formatInfo.tilesExtension] = Buffer.from(bundleFiles[formatInfo.tilesExtension]);
+
+    if (formatInfo.tiles2Extension) {
+        files[basename + formatInfo.tiles2Extension] = Buffer.from(bundleFiles[formatInfo.tiles2Extension]);
+    }
+
+    if (options.dedupe) {
+        if (!exporter.buildTileSet_) {
+            throw new Error('The ' + options.format + ' format has no tile map');
+        }
+
+        var maps = exporter.buildTileSet_().maps;
+        files[basename + '.map'] = Buffer.from(headless.pskl.utils.TileUtils.encodeTileMaps(maps));
+    }
+
+    if (options.paletteOut) {
+        var palette = bundleFiles[formatInfo.paletteExtension];
+
+        // Formats with optional palettes (chr without sub-palettes) skip it
+        if (!palette) {
+            return;
+        }
+
+        // true writes the palette next to the tiles (build manifests)
+        var paletteFile = options.paletteOut === true ? basename + formatInfo.paletteExtension : options.paletteOut;
+        files[paletteFile] = Buffer.from(palette);
+    }
+}
+
+/**
+ * Encode the piskel in options.format.
+ * @return {Object} file contents, by file name
+ * @throws {Error} on unknown formats, or when the format can't encode the piskel
+ */
+function generate(piskelController, options) {
+    var formatInfo = FRAME_FORMATS[options.format] || getTileFormat(options.format);
+
+    if (!formatInfo) {
+        throw new Error('Unknown format: ' + options.format + '. Available formats: png, ' + getFormats().join(', '));
+    }
+
+    if (options.paletteOut && !formatInfo.paletteExtension) {
+        throw new Error('The ' + options.format + ' format has no palette');
+    }
+
+    var files = {};
+
+    if (FRAME_FORMATS[options.format]) {
+        exportFrames(piskelController, formatInfo, options, files);
+    } else {
+        exportTiles(piskelController, formatInfo, options, files);
+    }
+
+    return files;
+}
+
+function run(piskelController, options) {
+    var files;
+
+    try {
+        files = generate(piskelController, options);
+    } catch (e) {
+        console.error(e.message || e);
+
+        return 1;
+    }
+
+    console.log("\nPiskel name: " + piskelController.getPiskel().getDescriptor().name);
+    console.log("\n" + 'Generated file(s):');
+
+    Object.keys(files).forEach(function (fileName) {
+        fs.writeFileSync(fileName, files[fileName]);
+
+        console.log(" " + fileName);
+    });
+
+    return 0;
+}
+
+module.exports = {
+    run: run,
+    generate: generate,
+    getConsoleFormat: getConsoleFormat,
+    getFormatConsole: getFormatConsole
+};
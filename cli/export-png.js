@@ -1,130 +1,134 @@
 const fs = require('fs');
+const headless = require('./headless');
+const png = require('./png');
 
-function onPageEvaluate(window, options, piskel) {
-    console.log("\nPiskel name: " + piskel.descriptor.name);
+// Same layout as PngExportController.getBestFit_
+function getBestFit(piskelController) {
+    var ratio = piskelController.getWidth() / piskelController.getHeight();
+    var frameCount = piskelController.getFrameCount();
+    var bestFit = Math.round(Math.sqrt(frameCount / ratio));
 
-    // Setup piskelController
-    var piskelController = new pskl.controller.piskel.PiskelController(piskel);
+    return Math.max(Math.min(bestFit, frameCount), 1);
+}
 
-    pskl.app.piskelController = piskelController;
+function getColumns(piskelController, options) {
+    if (options.columns) return options.columns;
 
-    piskelController.init();
+    if (options.rows) {
+        return Math.ceil(piskelController.getFrameCount() / options.rows);
+    }
 
-    // Apply crop if enabled
-    if (options.crop) {
-        // Mock selection manager to avoid errors during crop
-        pskl.app.selectionManager = {};
+    return getBestFit(piskelController);
+}
 
-        // Setup crop tool
-        var crop = new pskl.tools.transform.Crop();
+function renderSpritesheet(piskel, columns) {
+    var frameCount = piskel.getFrameCount();
+    var width = piskel.getWidth();
+    var height = piskel.getHeight();
+    var rows = Math.ceil(frameCount / columns);
 
-        // Perform crop
-        crop.applyTransformation();
+    var sheet = {
+        width: columns * width,
+        height: rows * height,
+        data: new Uint8ClampedArray(columns * width * rows * height * 4)
+    };
+
+    for (var i = 0; i < frameCount; i++) {
+        var frame = headless.renderFrame(piskel, i);
+        var posX = (i % columns) * width;
+        var posY = Math.floor(i / columns) * height;
 
-        // Get cropped piskel
-        piskel = piskelController.getPiskel();
+        for (var y = 0; y < height; y++) {
+            sheet.data.set(frame.data.subarray(y * width * 4, (y + 1) * width * 4),
+                ((posY + y) * sheet.width + posX) * 4);
+        }
     }
 
-    // Mock exportController to provide zoom value based on cli args
-    // and to avoid errors and/or unnecessary bootstrapping
-    var exportController = {
-        getExportZoom: function () {
-            var zoom = options.zoom;
+    return sheet;
+}
+
+// Nearest neighbour resize, as ImageResizer.resize without smoothing
+function resize(image, width, height) {
+    var resized = { width: width, height: height, data: new Uint8ClampedArray(width * height * 4) };
+
+    for (var y = 0; y < height; y++) {
+        var srcY = Math.floor(y * image.height / height);
 
-            if (options.scaledWidth) {
-                zoom = options.scaledWidth / piskel.getWidth();
-            } else if (options.scaledHeight) {
-                zoom = options.scaledHeight / piskel.getHeight();
-            }
+        for (var x = 0; x < width; x++) {
+            var srcX = Math.floor(x * image.width / width);
+            var from = (srcY * image.width + srcX) * 4;
 
-            return zoom;
+            resized.data.set(image.data.subarray(from, from + 4), (y * width + x) * 4);
         }
-    };
+    }
 
-    // Setup pngExportController
-    var pngExportController = new pskl.controller.settings.exportimage.PngExportController(piskelController, exportController);
+    return resized;
+}
 
-    // Mock getColumns and getRows to use values from cli arguments
-    pngExportController.getColumns_ = function () {
-        if (options.columns) return options.columns;
+/**
+ * Render the png, and its data-uri when options.dataUri is set.
+ * @return {Object} file contents, by file name
+ */
+function generate(piskelController, options) {
+    var piskel = piskelController.getPiskel();
 
-        if (options.rows) {
-            return Math.ceil(piskelController.getFrameCount() / pngExportController.getRows_());
-        } else {
-            return pngExportController.getBestFit_();
-        }
-    };
+    // Apply crop if enabled
+    if (options.crop) {
+        piskel = headless.cropPiskel(piskel);
+        piskelController.setPiskel(piskel);
+    }
 
-    pngExportController.getRows_ = function () {
-        if (options.columns && !options.rows) {
-            return Math.ceil(piskelController.getFrameCount() / pngExportController.getColumns_());
-        }
+    var zoom = options.zoom;
 
-        return options.rows;
-    };
+    if (options.scaledWidth) {
+        zoom = options.scaledWidth / piskel.getWidth();
+    } else if (options.scaledHeight) {
+        zoom = options.scaledHeight / piskel.getHeight();
+    }
 
-    // Render to output canvas
-    var canvas;
+    var image;
 
     if (options.frame > -1) {
         // Render a single frame
-        canvas = piskelController.renderFrameAt(options.frame, true);
-
-        var zoom = exportController.getExportZoom();
-
-        if (zoom != 1) {
-            // Scale rendered frame
-            canvas = pskl.utils.ImageResizer.resize(canvas, canvas.width * zoom, canvas.height * zoom, false);
-        }
+        image = headless.renderFrame(piskel, options.frame);
     } else {
         // Render the sprite sheet
-        canvas = pngExportController.createPngSpritesheet_();
+        image = renderSpritesheet(piskel, getColumns(piskelController, options));
     }
 
-    // Add output canvas to DOM
-    window.document.body.appendChild(canvas);
+    if (zoom != 1) {
+        image = resize(image, Math.max(1, Math.floor(image.width * zoom)), Math.max(1, Math.floor(image.height * zoom)));
+    }
 
-    // Prepare return data
-    const returnData = {
-        width: canvas.width,
-        height: canvas.height
-    };
+    var buffer = png.encode(image);
+    var files = {};
 
-    // Wait a tick for things to wrap up
-    setTimeout(function ()  {
-        // Exit and pass data to parent process
-        window.callPhantom(returnData);
-    }, 0);
-}
+    files[options.dest.replace('.png', '') + '.png'] = buffer;
 
-function onPageExit(page, options, data) {
-    // Set clip for output image
-    if (data.width && data.height) {
-        page.clipRect = { top: 0, left: 0, width: data.width, height: data.height };
+    if (options.dataUri) {
+        files[options.dest + '.datauri'] = 'data:image/png;base64,' + buffer.toString('base64');
     }
 
-    console.log("\n" + 'Generated file(s):');
-
-    const dest = options.dest.replace('.png', '') + '.png';
+    return files;
+}
 
-    // Render page to the output image
-    page.render(dest);
+function run(piskelController, options) {
+    console.log("\nPiskel name: " + piskelController.getPiskel().getDescriptor().name);
 
-    console.log(" " + dest);
+    var files = generate(piskelController, options);
 
-    if (options.dataUri) {
-        const dataUriPath = options.dest + '.datauri';
+    console.log("\n" + 'Generated file(s):');
 
-        const dataUri = 'data:image/png;base64,' + page.renderBase64('PNG');
+    Object.keys(files).forEach(function (fileName) {
+        fs.writeFileSync(fileName, files[fileName]);
 
-        // Write data-uri to file
-        fs.write(dataUriPath, dataUri, 'w');
+        console.log(" " + fileName);
+    });
 
-        console.log(" " + dataUriPath);
-    }
+    return 0;
 }
 
 module.exports = {
-    onPageEvaluate: onPageEvaluate,
-    onPageExit: onPageExit
-};
\ No newline at end of file
+    run: run,
+    generate: generate
+};
@@ -0,0 +1,452 @@
+// Runs the Piskel model, utils and console modes in node, without a browser.
+// The app sources are evaluated in a sandbox providing the few browser globals
+// they rely on, .piskel files are rebuilt from their layer chunk PNGs.
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const png = require('./png');
+
+const SRC_DIR = path.resolve(__dirname, '../src');
+
+// DOM-free app scripts used by the cli, in dependency order. Console modes
+// are picked from the app script list and loaded before the exporters.
+const SCRIPTS = [
+  'js/Constants.js',
+  'js/Events.js',
+  'js/utils/core.js',
+  'js/utils/Array.js',
+  'js/utils/ColorUtils.js',
+  'js/utils/Math.js',
+  'js/utils/FrameUtils.js',
+  'js/utils/LayerUtils.js',
+  'js/utils/ResizeUtils.js',
+  'js/utils/TileUtils.js',
+  'js/utils/SubPaletteUtils.js',
+  'js/utils/PaletteOrderUtils.js',
+  'js/utils/MetaspriteUtils.js',
+  'js/utils/ScanlineUtils.js',
+  'js/utils/ColorRegionUtils.js',
+  'js/utils/VramBudgetUtils.js',
+  'js/utils/ConsoleLintUtils.js',
+  'js/utils/CompressionUtils.js',
+  'js/utils/serialization/backward/Deserializer_v0.js',
+  'js/utils/serialization/backward/Deserializer_v1.js',
+  'js/model/Frame.js',
+  'js/model/IndexedPalette.js',
+  'js/model/IndexedFrame.js',
+  'js/model/Layer.js',
+  'js/model/piskel/Descriptor.js',
+  'js/model/Piskel.js',
+  'js/controller/piskel/PiskelController.js',
+  'js/tools/transform/TransformUtils.js'
+];
+
+// Export controllers, used without their UI
+const EXPORTER_SCRIPTS = [
+  'js/controller/settings/AbstractSettingController.js',
+  'js/controller/settings/exportimage/ZipExportController.js',
+  'js/controller/settings/exportimage/ChrExportController.js',
+  'js/controller/settings/exportimage/Gb2bppExportController.js',
+  'js/controller/settings/exportimage/Gbc2bppExportController.js',
+  'js/controller/settings/exportimage/Snes4bppExportController.js',
+  'js/controller/settings/exportimage/Genesis4bppExportController.js',
+  'js/controller/settings/exportimage/Sms4bppExportController.js',
+  'js/controller/settings/exportimage/Gg4bppExportController.js',
+  'js/controller/settings/exportimage/Gba4bppExportController.js',
+  'js/controller/settings/exportimage/Gba8bppExportController.js',
+  'js/controller/settings/exportimage/Msx1bppExportController.js',
+  'js/controller/settings/exportimage/Msx24bppExportController.js',
+  'js/controller/settings/exportimage/Msx2plus4bppExportController.js',
+  'js/controller/settings/exportimage/PceSpriteExportController.js',
+  'js/controller/settings/exportimage/C64SpriteExportController.js',
+  'js/controller/settings/exportimage/ZxSpectrumExportController.js',
+  'js/controller/settings/exportimage/Atari2600ExportController.js',
+  'js/controller/settings/exportimage/Atari7800ExportController.js',
+  'js/controller/settings/exportimage/NeoGeoExportController.js',
+  'js/controller/settings/exportimage/DreamcastPvrExportController.js',
+  'js/controller/settings/exportimage/CExporter.js',
+  'js/controller/settings/exportimage/BmpExporter.js',
+  'js/controller/settings/exportimage/SvgExporter.js'
+];
+
+const getConsoleScripts = () => require(path.join(SRC_DIR, 'piskel-script-list.js')).scripts
+  .filter(script => script.indexOf('js/consoles/') === 0);
+
+// tinycolor ships inside the spectrum color picker, only its own closure is
+// evaluated as the rest of the plugin needs a DOM.
+const getTinycolorSource = () => {
+  const spectrum = fs.readFileSync(path.join(SRC_DIR, 'js/lib/spectrum/spectrum.js'), 'utf-8');
+  const start = spectrum.indexOf('// TinyColor');
+  const end = spectrum.indexOf('var tinycolor = window.tinycolor;');
+
+  return spectrum.slice(start, end);
+};
+
+const createSandbox = () => {
+  // No listeners in the cli, events published by the models are dropped
+  const jQuery = {
+    publish: function () {},
+    subscribe: function () {},
+    unsubscribe: function () {}
+  };
+
+  const sandbox = {
+    $: jQuery,
+    jQuery: jQuery,
+    console: console,
+    // Export controllers skip their UI updates when elements are missing
+    document: {
+      querySelector: function () {
+        return null;
+      }
+    }
+  };
+  sandbox.window = sandbox;
+
+  const context = vm.createContext(sandbox);
+
+  vm.runInContext(getTinycolorSource(), context, { filename: 'tinycolor.js' });
+  SCRIPTS.concat(getConsoleScripts(), EXPORTER_SCRIPTS).forEach(script => {
+    const file = path.join(SRC_DIR, script);
+    vm.runInContext(fs.readFileSync(file, 'utf-8'), context, { filename: file });
+  });
+
+  return sandbox;
+};
+
+const sandbox = createSandbox();
+const pskl = sandbox.pskl;
+
+// Registry of all console modes, exporters look their console up by id
+const consoleRegistry = new pskl.consoles.ConsoleModeRegistry();
+Object.keys(pskl.consoles).forEach(key => {
+  if (/^create\w+Mode$/.test(key)) {
+    consoleRegistry.register(pskl.consoles[key]());
+  }
+});
+
+pskl.app = { consoleRegistry: consoleRegistry };
+
+/**
+ * Headless counterpart of FrameUtils.createFramesFromChunk.
+ * @param {Object} image decoded chunk PNG {width, height, data}
+ * @param {Array<Array>} layout frame indexes, one array per chunk column
+ * @return {Array<Object>} {index, frame} objects
+ */
+const createFramesFromChunk = (image, layout) => {
+  const frameWidth = image.width / layout.length;
+  const frameHeight = image.height / layout[0].length;
+  const chunkFrames = [];
+
+  layout.forEach((column, i) => {
+    column.forEach((index, j) => {
+      const pixels = new Uint8ClampedArray(frameWidth * frameHeight * 4);
+
+      for (let y = 0; y < frameHeight; y++) {
+        const from = ((frameHeight * j + y) * image.width + frameWidth * i) * 4;
+        pixels.set(image.data.subarray(from, from + frameWidth * 4), y * frameWidth * 4);
+      }
+
+      const frame = pskl.model.Frame.fromPixelGrid(new Uint32Array(pixels.buffer), frameWidth, frameHeight);
+      pskl.utils.FrameUtils.removeTransparency(frame);
+      chunkFrames.push({ index: index, frame: frame });
+    });
+  });
+
+  return chunkFrames;
+};
+
+const deserializeLayer = (layerString) => {
+  const layerData = JSON.parse(layerString);
+  const layer = new pskl.model.Layer(layerData.name);
+  layer.setOpacity(layerData.opacity);
+
+  // Layers saved before chunks were introduced hold all frames side by side
+  let chunks = layerData.chunks;
+  if (typeof chunks === 'undefined' && layerData.base64PNG) {
+    const layout = [];
+    for (let i = 0; i < layerData.frameCount; i++) {
+      layout.push([i]);
+    }
+    chunks = [{ base64PNG: layerData.base64PNG, layout: layout }];
+  }
+
+  const frames = [];
+  chunks.forEach(chunk => {
+    createFramesFromChunk(png.decodeDataUri(chunk.base64PNG), chunk.layout).forEach(chunkFrame => {
+      frames[chunkFrame.index] = chunkFrame.frame;
+    });
+  });
+  frames.forEach(frame => layer.addFrame(frame));
+
+  return layer;
+};
+
+/**
+ * Synchronous counterpart of pskl.utils.serialization.Deserializer.
+ * @param {Object} data parsed .piskel file
+ * @return {Object} {piskel, consoleMode}, consoleMode being the saved console
+ *         mode id or null
+ */
+const loadPiskel = (data) => {
+  let piskel = null;
+
+  if (data.modelVersion != sandbox.Constants.MODEL_VERSION) {
+    // Older models do not embed PNGs, the app deserializers run as is
+    const backward = pskl.utils.serialization.backward;
+    const Deserializer = data.modelVersion == 1 ? backward.Deserializer_v1 : backward.Deserializer_v0;
+    new Deserializer(data, result => {
+      piskel = result;
+    }).deserialize();
+
+    return { piskel: piskel, consoleMode: null };
+  }
+
+  const piskelData = data.piskel;
+  const descriptor = new pskl.model.piskel.Descriptor(
+    piskelData.name || 'Deserialized piskel', piskelData.description || '');
+  const fps = typeof piskelData.fps != 'undefined' ? piskelData.fps : 12;
+
+  piskel = new pskl.model.Piskel(piskelData.width, piskelData.height, fps, descriptor);
+  piskelData.layers.forEach(layerString => piskel.addLayer(deserializeLayer(layerString)));
+
+  piskel.hiddenFrames = piskelData.hiddenFrames || [];
+  piskel.subPalettes = piskelData.subPalettes || [];
+  piskel.tilePalettes = piskelData.tilePalettes || {};
+  piskel.paletteOrder = piskelData.paletteOrder || [];
+  piskel.vramBudget = piskelData.vramBudget || null;
+
+  // Same document model as the app: console projects store palette indexes
+  const mode = piskelData.consoleMode && consoleRegistry.get(piskelData.consoleMode);
+  piskel.setIndexed(!!mode && mode.isIndexed());
+
+  return { piskel: piskel, consoleMode: piskelData.consoleMode || null };
+};
+
+/**
+ * Flatten all layers of a frame, applying the layer opacity the way the
+ * canvas source-over compositing of LayerUtils.flattenFrameAt does.
+ * @return {Object} {width, height, data}, data being RGBA bytes
+ */
+const renderFrame = (piskel, index) => {
+  const width = piskel.getWidth();
+  const height = piskel.getHeight();
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  piskel.getLayers().forEach(layer => {
+    const opacity = layer.getOpacity();
+    const pixels = layer.getFrameAt(index).pixels;
+
+    for (let i = 0; i < pixels.length; i++) {
+      const srcAlpha = (pixels[i] >>> 24) / 255 * opacity;
+      if (!srcAlpha) {
+        continue;
+      }
+
+      const p = i * 4;
+      const dstAlpha = data[p + 3] / 255;
+      const alpha = srcAlpha + dstAlpha * (1 - srcAlpha);
+      for (let c = 0; c < 3; c++) {
+        const src = pixels[i] >>> (c * 8) & 0xff;
+        data[p + c] = Math.round((src * srcAlpha + data[p + c] * dstAlpha * (1 - srcAlpha)) / alpha);
+      }
+      data[p + 3] = Math.round(alpha * 255);
+    }
+  });
+
+  return { width: width, height: height, data: data };
+};
+
+/**
+ * Wrap a rendered image in the subset of the canvas API used by the utils
+ * reading back rendered frames (TileUtils.getFramesPixels).
+ */
+const createCanvas = (image) => ({
+  width: image.width,
+  height: image.height,
+  getContext: () => ({
+    getImageData: (x, y, w, h) => {
+      const data = new Uint8ClampedArray(w * h * 4);
+      for (let row = 0; row < h; row++) {
+        const from = ((y + row) * image.width + x) * 4;
+        data.set(image.data.subarray(from, from + w * 4), row * w * 4);
+      }
+      return { width: w, height: h, data: data };
+    }
+  })
+});
+
+/**
+ * Headless counterpart of pskl.service.CurrentColorsService, colors are
+ * computed once from all frames.
+ */
+const createCurrentColorsService = (piskelController) => {
+  const transparent = pskl.utils.colorToInt(sandbox.Constants.TRANSPARENT_COLOR);
+  const colors = {};
+  piskelController.getLayers().forEach(layer => {
+    layer.getFrames().forEach(frame => {
+      frame.pixels.forEach(color => {
+        colors[color] = true;
+      });
+    });
+  });
+  delete colors[transparent];
+
+  const currentColors = Object.keys(colors).map(color => pskl.utils.intToHex(color));
+
+  return {
+    getCurrentColors: () => currentColors,
+    getIndexedColors: () => pskl.utils.PaletteOrderUtils.getIndexedColors(
+      piskelController.getPiskel().getPaletteOrder(), currentColors)
+  };
+};
+
+/**
+ * Create the controller of the exported piskel, and the app services used by
+ * the exporters.
+ * @return {pskl.controller.piskel.PiskelController} controller rendering
+ *         frames without a canvas
+ */
+const createPiskelController = (piskel) => {
+  const piskelController = new pskl.controller.piskel.PiskelController(piskel);
+  piskelController.init();
+  piskelController.renderFrameAt = index => createCanvas(renderFrame(piskelController.getPiskel(), index));
+
+  pskl.app.piskelController = piskelController;
+  pskl.app.currentColorsService = createCurrentColorsService(piskelController);
+
+  return piskelController;
+};
+
+/**
+ * @param {string} id console mode id, as saved in .piskel files
+ * @return {pskl.consoles.ConsoleMode|null}
+ */
+const getConsoleMode = (id) => consoleRegistry.get(id);
+
+// Copy piskel, with the frames of each layer replaced by mapFrames(frames)
+const copyPiskel = (piskel, mapFrames) => {
+  const layers = piskel.getLayers().map(layer => {
+    const copy = pskl.model.Layer.fromFrames(layer.getName(), mapFrames(layer.getFrames()));
+    copy.setOpacity(layer.getOpacity());
+    return copy;
+  });
+
+  const copy = pskl.model.Piskel.fromLayers(layers, piskel.getFPS(), piskel.getDescriptor());
+  copy.subPalettes = piskel.getSubPalettes();
+  copy.tilePalettes = piskel.getTilePalettes();
+  copy.paletteOrder = piskel.getPaletteOrder();
+  copy.vramBudget = piskel.getVramBudget();
+  // Shared frames keep indexing the same palette
+  copy.palette = piskel.getPalette();
+
+  return copy;
+};
+
+/**
+ * Parse a frame selection, e.g. "0,2-4".
+ * @param {string} selection comma separated frame indexes and ranges
+ * @param {number} frameCount
+ * @return {Array<number>|null} frame indexes, null if the selection is invalid
+ */
+const parseFrames = (selection, frameCount) => {
+  const indexes = [];
+  const valid = String(selection).split(',').every(range => {
+    const bounds = range.split('-').map(bound => parseInt(bound, 10));
+    const last = bounds.length > 1 ? bounds[1] : bounds[0];
+
+    for (let i = bounds[0]; i <= last; i++) indexes.push(i);
+
+    return bounds.length <= 2 && bounds[0] <= last && last < frameCount;
+  });
+
+  return valid && indexes.length ? indexes : null;
+};
+
+/**
+ * Keep the given frames only, in the given order.
+ * @param {Array<number>} indexes frame indexes
+ * @return {pskl.model.Piskel} a new piskel sharing the frames and settings
+ */
+const selectFrames = (piskel, indexes) => copyPiskel(piskel, frames => indexes.map(index => frames[index]));
+
+/**
+ * Crop all frames to the bounding box of their content, like the crop tool.
+ * @return {pskl.model.Piskel} a cropped copy, or the same piskel if empty
+ */
+const cropPiskel = (piskel) => {
+  const TransformUtils = pskl.tools.transform.TransformUtils;
+  const frames = [];
+  piskel.getLayers().forEach(layer => {
+    layer.getFrames().forEach(frame => frames.push(frame));
+  });
+
+  const boundaries = TransformUtils.getBoundaries(frames);
+  if (boundaries.minx > boundaries.maxx) {
+    return piskel;
+  }
+
+  // Move copies of the frames, the frames of piskel are left untouched
+  const moved = copyPiskel(piskel, layerFrames => layerFrames.map(frame => {
+    const clone = frame.clone();
+    TransformUtils.moveFramePixels(clone, -boundaries.minx, -boundaries.miny);
+    return clone;
+  }));
+
+  return pskl.utils.ResizeUtils.resizePiskel(moved, {
+    width: 1 + boundaries.maxx - boundaries.minx,
+    height: 1 + boundaries.maxy - boundaries.miny,
+    origin: 'TOP-LEFT',
+    resizeContent: false
+  });
+};
+
+const isSameFrame = (frame, other) => frame.getWidth() === other.getWidth() &&
+  frame.getHeight() === other.getHeight() &&
+  frame.pixels.every((color, i) => color === other.pixels[i]);
+
+/**
+ * Frame hashes are built from frame ids, which change every time a file is
+ * loaded. Put back the frames of a previous load of the same file when their
+ * pixels did not change, so that piskel.getHash() only changes with the
+ * content.
+ * @param {pskl.model.Piskel} piskel freshly loaded piskel, updated in place
+ * @param {pskl.model.Piskel} previous piskel loaded from the same file before
+ */
+const reuseFrames = (piskel, previous) => {
+  // Indexed frames are only reused along with the palette they index
+  const palette = piskel.getPalette();
+  if (palette) {
+    if (!previous.isIndexed() || palette.getColors().join() !== previous.getPaletteOrder().join()) {
+      return;
+    }
+    piskel.palette = previous.getPalette();
+  }
+
+  piskel.getLayers().forEach((layer, layerIndex) => {
+    const previousLayer = previous.getLayerAt(layerIndex);
+    if (!previousLayer) {
+      return;
+    }
+
+    layer.frames = layer.getFrames().map((frame, index) => {
+      const previousFrame = previousLayer.getFrameAt(index);
+      return previousFrame && isSameFrame(frame, previousFrame) ? previousFrame : frame;
+    });
+  });
+
+  // Frames that changed move to the reused palette
+  piskel.setIndexed(!!palette);
+};
+
+module.exports = {
+  pskl: pskl,
+  loadPiskel: loadPiskel,
+  renderFrame: renderFrame,
+  createPiskelController: createPiskelController,
+  getConsoleMode: getConsoleMode,
+  cropPiskel: cropPiskel,
+  parseFrames: parseFrames,
+  selectFrames: selectFrames,
+  reuseFrames: reuseFrames
+};
@@ -3,12 +3,13 @@
 const fs = require('fs');
 const path = require('path');
 const minimist = require('minimist');
-const childProcess = require('child_process');
-const phantomjs = require('phantomjs');
-const binPath = phantomjs.path;
+const headless = require('./headless');
+const exportConsole = require('./export-console');
 
 // Parse command args
 let args = minimist(process.argv.slice(2), {
+  boolean: ['json', 'dedupe', 'watch'],
+  string: ['format', 'frames', 'palette-out', 'console', 'out', 'manifest'],
   default: {
     crop: false,
     dataUri: false,
@@ -19,9 +20,14 @@ let args = minimist(process.argv.slice(2), {
 
 if (args.debug) console.log(args);
 
+// Commands other than the default png export
+const COMMANDS = ['lint', 'build'];
+const command = COMMANDS.indexOf(args._[0]) > -1 ? args._.shift() : 'export';
+
 // Ensure a path for the src file was passed
 if (!args._ || (args._ && !args._.length)) {
-  console.error('Path to a .piskel file is required');
+  console.error(command === 'build' ? 'Path to an asset folder is required' : 'Path to a .piskel file is required');
+  process.exitCode = 1;
 
   return;
 }
@@ -31,30 +37,57 @@ const src = args._[0];
 // Ensure the src file exists
 if (!fs.existsSync(src)) {
   console.error('No such file: ' + src);
+  process.exitCode = 1;
 
   return;
 }
 
-// Read src piskel file
-const piskelFile = fs.readFileSync(src, 'utf-8');
+// Export all the .piskel files of a folder, following its manifest
+if (command === 'build') {
+  process.exitCode = require('./build').run(src, {
+    out: args.out,
+    manifest: args.manifest,
+    watch: args.watch
+  });
+
+  return;
+}
 
 const dest = args.dest || path.basename(src, '.piskel');
 
-console.log('Piskel CLI is exporting...');
+if (command === 'export') console.log('Piskel CLI is exporting...');
 
-// Get path to Piskel's app js bundle
-let piskelAppJsDir = path.resolve(__dirname +'/../dest/prod/js/');
-let minJsFiles = fs.readdirSync(piskelAppJsDir).filter(filename => filename.indexOf('min') > -1);
-let piskelAppJsFileName = minJsFiles[0];
-let piskelAppJsPath = (piskelAppJsFileName) ? path.join(piskelAppJsDir, piskelAppJsFileName) : '';
+// Read src piskel file and rebuild the piskel model in node
+let loaded;
 
-if (!fs.existsSync(piskelAppJsPath)) {
-  console.error(`Piskel's application JS file not found in: ${piskelAppJsDir}. Run prod build and try again.`);
+try {
+  loaded = headless.loadPiskel(JSON.parse(fs.readFileSync(src, 'utf-8')));
+} catch (e) {
+  console.error('Could not load ' + src + ': ' + (e.message || e));
+  process.exitCode = 1;
 
   return;
 }
 
-// Prepare args to pass to phantom script
+// Keep the frames listed by --frames only, e.g. "0,2-4"
+let piskel = loaded.piskel;
+
+if (args.frames) {
+  const indexes = headless.parseFrames(args.frames, piskel.getFrameCount());
+
+  if (!indexes) {
+    console.error('Invalid --frames: ' + args.frames + ' (frames 0 to ' + (piskel.getFrameCount() - 1) + ')');
+    process.exitCode = 1;
+
+    return;
+  }
+
+  piskel = headless.selectFrames(piskel, indexes);
+}
+
+// Console mode, defaults to the console mode saved in the file
+const consoleMode = args.console || loaded.consoleMode;
+
 const options = {
   dest: dest,
   zoom: args.scale,
@@ -63,31 +96,23 @@ const options = {
   columns: args.columns,
   frame: args.frame,
   dataUri: !!args.dataUri,
-  debug: args.debug,
-  piskelAppJsPath: piskelAppJsPath,
   scaledWidth: args.scaledWidth,
-  scaledHeight: args.scaledHeight
+  scaledHeight: args.scaledHeight,
+  json: args.json,
+  consoleMode: consoleMode,
+  // PNG by default, or the tile format of the console given by --console
+  format: args.format || (args.console && exportConsole.getConsoleFormat(args.console)) || 'png',
+  paletteOut: args['palette-out'],
+  dedupe: args.dedupe
 };
 
-const childArgs = [
-  path.join(__dirname, 'piskel-export.js'),
-  piskelFile,
-  JSON.stringify(options)
-];
-
-if (args.debug) {
-  childArgs.unshift(
-    '--remote-debugger-port=9035',
-    '--remote-debugger-autorun=yes'
-  );
+// Exporter, or linter for the lint command
+let exporter = require('./lint-piskel');
+
+if (command === 'export') {
+  exporter = options.format === 'png' ? require('./export-png') : exportConsole;
 }
 
-// Run phantom script
-childProcess.execFile(binPath, childArgs, function (err, stdout, stderr) {
-  // Print any output the from child process
-  if (err) console.log(err);
-  if (stderr) console.log(stderr);
-  if (stdout) console.log(stdout);
+process.exitCode = exporter.run(headless.createPiskelController(piskel), options);
 
-  console.log('Export complete');
-});
\ No newline at end of file
+if (command === 'export' && !process.exitCode) console.log('Export complete');
@@ -0,0 +1,52 @@
+const headless = require('./headless');
+
+function lint(piskelController, options) {
+    if (!options.consoleMode) {
+        return { console: null, valid: true, errors: [] };
+    }
+
+    // Find the saved console mode among the registered mode factories
+    var mode = headless.getConsoleMode(options.consoleMode);
+
+    if (!mode) {
+        return {
+            console: options.consoleMode,
+            valid: false,
+            errors: [{ check: 'console', message: 'Unknown console mode: ' + options.consoleMode, frames: null }]
+        };
+    }
+
+    return headless.pskl.utils.ConsoleLintUtils.lint(mode, piskelController);
+}
+
+function run(piskelController, options) {
+    var report = lint(piskelController, options);
+
+    report.name = piskelController.getPiskel().getDescriptor().name;
+
+    if (options.json) {
+        console.log(JSON.stringify(report, null, 2));
+    } else if (!report.console) {
+        console.log(report.name + ': no console mode saved, nothing to check');
+    } else {
+        console.log(report.name + ' (' + report.console + ')');
+
+        report.errors.forEach(function (error) {
+            var frames = error.frames ? ' [frames ' + error.frames.join(', ') + ']' : '';
+
+            console.log('  ' + error.check + ': ' + error.message + frames);
+        });
+
+        var count = report.errors.length;
+
+        console.log(count ? count + (count > 1 ? ' problems' : ' problem') : 'No constraint violations');
+    }
+
+    // Non-zero exit code on violations
+    return report.valid ? 0 : 1;
+}
+
+module.exports = {
+    run: run,
+    lint: lint
+};
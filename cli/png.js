@@ -0,0 +1,218 @@
+// Minimal PNG codec for the headless pipeline, built on node's zlib.
+// Decodes the 8 bit, non interlaced PNGs written by canvas.toDataURL (the
+// layer chunks of .piskel files) and encodes RGBA images.
+const zlib = require('zlib');
+
+const SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// Bytes per pixel for each supported color type
+const CHANNELS = {
+  0: 1, // grayscale
+  2: 3, // rgb
+  3: 1, // palette
+  4: 2, // grayscale + alpha
+  6: 4  // rgba
+};
+
+let crcTable = null;
+
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Reverse the per scanline filters, in place
+function unfilter(data, width, height, bpp) {
+  const stride = width * bpp;
+  const lines = Buffer.alloc(stride * height);
+
+  for (let y = 0; y < height; y++) {
+    const filter = data[y * (stride + 1)];
+    const src = y * (stride + 1) + 1;
+    const dst = y * stride;
+
+    for (let x = 0; x < stride; x++) {
+      const raw = data[src + x];
+      const left = x >= bpp ? lines[dst + x - bpp] : 0;
+      const up = y > 0 ? lines[dst - stride + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? lines[dst - stride + x - bpp] : 0;
+
+      let value;
+      switch (filter) {
+        case 0: value = raw; break;
+        case 1: value = raw + left; break;
+        case 2: value = raw + up; break;
+        case 3: value = raw + ((left + up) >> 1); break;
+        case 4: value = raw + paeth(left, up, upLeft); break;
+        default: throw new Error('Invalid PNG filter type: ' + filter);
+      }
+      lines[dst + x] = value & 0xff;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * @param {Buffer} buffer PNG file content
+ * @return {Object} {width, height, data}, data being RGBA bytes
+ */
+function decode(buffer) {
+  if (!buffer.slice(0, 8).equals(SIGNATURE)) {
+    throw new Error('Not a PNG image');
+  }
+
+  let header = null;
+  let palette = null;
+  let transparency = null;
+  const idat = [];
+
+  let offset = 8;
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const chunk = buffer.slice(offset + 8, offset + 8 + length);
+    offset += length + 12;
+
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      };
+    } else if (type === 'PLTE') {
+      palette = chunk;
+    } else if (type === 'tRNS') {
+      transparency = chunk;
+    } else if (type === 'IDAT') {
+      idat.push(chunk);
+    } else if (type === 'IEND') {
+      break;
+    }
+  }
+
+  if (!header) {
+    throw new Error('Missing PNG header');
+  }
+
+  const bpp = CHANNELS[header.colorType];
+  if (header.bitDepth !== 8 || !bpp || header.interlace) {
+    throw new Error('Unsupported PNG format (bit depth ' + header.bitDepth +
+      ', color type ' + header.colorType + ', interlace ' + header.interlace + ')');
+  }
+
+  const width = header.width;
+  const height = header.height;
+  const lines = unfilter(zlib.inflateSync(Buffer.concat(idat)), width, height, bpp);
+  const data = new Uint8ClampedArray(width * height * 4);
+
+  for (let i = 0; i < width * height; i++) {
+    const src = i * bpp;
+    const dst = i * 4;
+    switch (header.colorType) {
+      case 0:
+        data[dst] = data[dst + 1] = data[dst + 2] = lines[src];
+        data[dst + 3] = 255;
+        break;
+      case 2:
+        data[dst] = lines[src];
+        data[dst + 1] = lines[src + 1];
+        data[dst + 2] = lines[src + 2];
+        data[dst + 3] = 255;
+        break;
+      case 3:
+        data[dst] = palette[lines[src] * 3];
+        data[dst + 1] = palette[lines[src] * 3 + 1];
+        data[dst + 2] = palette[lines[src] * 3 + 2];
+        data[dst + 3] = transparency && lines[src] < transparency.length ? transparency[lines[src]] : 255;
+        break;
+      case 4:
+        data[dst] = data[dst + 1] = data[dst + 2] = lines[src];
+        data[dst + 3] = lines[src + 1];
+        break;
+      case 6:
+        data[dst] = lines[src];
+        data[dst + 1] = lines[src + 1];
+        data[dst + 2] = lines[src + 2];
+        data[dst + 3] = lines[src + 3];
+        break;
+    }
+  }
+
+  return { width: width, height: height, data: data };
+}
+
+function createChunk(type, data) {
+  const chunk = Buffer.alloc(data.length + 12);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'ascii');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.slice(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * @param {Object} image {width, height, data}, data being RGBA bytes
+ * @return {Buffer} PNG file content
+ */
+function encode(image) {
+  const stride = image.width * 4;
+  const raw = Buffer.alloc((stride + 1) * image.height);
+  for (let y = 0; y < image.height; y++) {
+    // Filter type 0 (none) for every scanline
+    raw[y * (stride + 1)] = 0;
+    Buffer.from(image.data.buffer, image.data.byteOffset + y * stride, stride).copy(raw, y * (stride + 1) + 1);
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(image.width, 0);
+  header.writeUInt32BE(image.height, 4);
+  header[8] = 8;
+  header[9] = 6;
+
+  return Buffer.concat([
+    SIGNATURE,
+    createChunk('IHDR', header),
+    createChunk('IDAT', zlib.deflateSync(raw)),
+    createChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * @param {string} dataUri base64 PNG data-uri, as stored in .piskel chunks
+ * @return {Object} {width, height, data}
+ */
+function decodeDataUri(dataUri) {
+  return decode(Buffer.from(dataUri.replace(/^data:image\/png;base64,/, ''), 'base64'));
+}
+
+module.exports = {
+  decode: decode,
+  decodeDataUri: decodeDataUri,
+  encode: encode
+};
@@ -80,6 +80,9 @@ var Events = {
   EXPORT_SCALE_CHANGED: 'EXPORT_SCALE_CHANGED',
 
   CURRENT_COLORS_UPDATED: 'CURRENT_COLORS_UPDATED',
+  SUB_PALETTES_UPDATED: 'SUB_PALETTES_UPDATED',
+  PALETTE_ORDER_UPDATED: 'PALETTE_ORDER_UPDATED',
+  VRAM_BUDGET_UPDATED: 'VRAM_BUDGET_UPDATED',
 
   PERFORMANCE_REPORT_CHANGED: 'PERFORMANCE_REPORT_CHANGED',
 
@@ -62,6 +62,11 @@
       this.palettesListController = new pskl.controller.PalettesListController(this.currentColorsService);
       this.palettesListController.init();
 
+      this.vramBudgetController = new pskl.controller.VramBudgetController(
+        this.piskelController,
+        this.currentColorsService);
+      this.vramBudgetController.init();
+
       this.cursorCoordinatesController = new pskl.controller.CursorCoordinatesController(this.piskelController);
       this.cursorCoordinatesController.init();
 
@@ -82,6 +87,18 @@
         document.querySelector('.minimap-container'));
       this.minimapController.init();
 
+      this.scanlineController = new pskl.controller.ScanlineController(
+        this.piskelController,
+        this.drawingController,
+        document.querySelector('#drawing-canvas-container'));
+      this.scanlineController.init();
+
+      this.colorRegionController = new pskl.controller.ColorRegionController(
+        this.piskelController,
+        this.drawingController,
+        document.querySelector('#drawing-canvas-container'));
+      this.colorRegionController.init();
+
       this.framesListController = new pskl.controller.FramesListController(
         this.piskelController,
         document.querySelector('#preview-list-wrapper'));
@@ -190,6 +207,15 @@
       this.consoleRegistry.register(pskl.consoles.createMSXMode());
       this.consoleRegistry.register(pskl.consoles.createMSX2Mode());
       this.consoleRegistry.register(pskl.consoles.createMSX2PlusMode());
+      this.consoleRegistry.register(pskl.consoles.createPCEMode());
+      this.consoleRegistry.register(pskl.consoles.createC64Mode());
+      this.consoleRegistry.register(pskl.consoles.createC64MulticolorMode());
+      this.consoleRegistry.register(pskl.consoles.createZXSpectrumMode());
+      this.consoleRegistry.register(pskl.consoles.createAtari2600Mode());
+      this.consoleRegistry.register(pskl.consoles.createAtari2600PalMode());
+      this.consoleRegistry.register(pskl.consoles.createAtari7800Mode());
+      this.consoleRegistry.register(pskl.consoles.createAtari7800PalMode());
+      this.consoleRegistry.register(pskl.consoles.createNeoGeoMode());
       this.consoleRegistry.init();
 
       this.drawingLoop = new pskl.rendering.DrawingLoop();
@@ -247,6 +273,8 @@
       this.drawingController.render(delta);
       this.previewController.render(delta);
       this.framesListController.render(delta);
+      this.scanlineController.render(delta);
+      this.colorRegionController.render(delta);
     },
 
     getFirstFrameAsPng: function () {
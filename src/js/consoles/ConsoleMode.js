@@ -43,6 +43,21 @@
      */
     this.maxColors = config.maxColors || null;
 
+    /**
+     * @type {number}
+     * Number of hardware sprite sub-palettes. Each sub-palette holds
+     * maxColors colors (+ transparent) and is assigned per 8x8 region.
+     */
+    this.subPaletteCount = config.subPaletteCount || 1;
+
+    /**
+     * @type {Array<Object>}
+     * Regional color constraints {name, width, height, maxColors,
+     * countTransparent} (see pskl.utils.ColorRegionUtils). Empty when colors
+     * are only limited across the whole sprite.
+     */
+    this.colorRegions = config.colorRegions || [];
+
     /**
      * @type {number|null}
      * Required tile size in pixels (dimensions must be multiples of this).
@@ -50,6 +65,73 @@
      */
     this.tileSize = config.tileSize || null;
 
+    /**
+     * @type {boolean}
+     * Whether the hardware can mirror tiles horizontally and vertically.
+     * Used by tile exporters to detect flipped duplicate tiles.
+     */
+    this.tileFlip = config.tileFlip || false;
+
+    /**
+     * @type {boolean}
+     * Whether sprites can be mirrored. Defaults to tileFlip, false on
+     * consoles where only background tiles can flip.
+     */
+    this.spriteFlip = config.hasOwnProperty('spriteFlip') ? config.spriteFlip : this.tileFlip;
+
+    /**
+     * @type {Array<string>}
+     * Hardware sprite sizes ('WxH') available for metasprite export,
+     * smallest first. Empty when the console has no sprite attribute table.
+     */
+    this.spriteSizes = config.spriteSizes || [];
+
+    /**
+     * @type {Object|null}
+     * Sprites drawn per scanline before the hardware drops the rest:
+     * {sprites, pixels}, pixels being the optional limit of sprite pixels
+     * fetched per line. Null when not checked.
+     */
+    this.scanlineLimits = config.scanlineLimits || null;
+
+    /**
+     * @type {number}
+     * Width of a pixel relative to its height on the target display (2 for
+     * double-wide pixels). The drawing area stretches pixels accordingly
+     * (see pskl.utils.PixelAspectUtils), frames and exports are unchanged.
+     */
+    this.pixelAspect = config.pixelAspect || 1;
+
+    /**
+     * @type {Object|null}
+     * Video memory available for sprite tiles: {label, bytes, bitsPerPixel,
+     * colorBytes}, colorBytes being the size of a palette entry (omitted for
+     * fixed or register palettes). Projects can override bytes
+     * (see pskl.utils.VramBudgetUtils). Null hides the budget meter.
+     */
+    this.vramBudget = config.vramBudget || null;
+
+    /**
+     * @type {string|null}
+     * LCD color model ('gbc' or 'gba') used by the display-only color
+     * correction (see pskl.utils.LcdColorUtils). Null for TV consoles.
+     */
+    this.lcdColorModel = config.lcdColorModel || null;
+
+    /**
+     * @type {string|null}
+     * Default assembler dialect for assembly include export
+     * (see pskl.utils.AsmUtils.DIALECTS).
+     */
+    this.asmDialect = config.asmDialect || null;
+
+    /**
+     * @type {Array<string>}
+     * Compression codecs offered by tile exporters before the generic ones
+     * (see pskl.utils.CompressionUtils.CODECS).
+     */
+    this.compression = config.compression || [];
+
     /**
      * @type {Array<string>}
      * Export tab IDs to show in addition to base tabs.
@@ -140,6 +222,81 @@
     return {valid: false, message: msg, count: count};
   };
 
+  /**
+   * Validates the colors used by each region of a frame against the
+   * regional color constraints.
+   * @param {Uint32Array} pixels - Frame pixels
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @return {Object} {valid: boolean, message: string, regions: Array}
+   */
+  ns.ConsoleMode.prototype.validateColorRegions = function (pixels, width, height) {
+    var regions = pskl.utils.ColorRegionUtils.findViolations(pixels, width, height, this.colorRegions);
+    if (!regions.length) {
+      return {valid: true, message: '', regions: regions};
+    }
+
+    var constraint = regions[0].constraint;
+    var msg = regions.length + (regions.length > 1 ? ' regions use' : ' region uses') +
+              ' too many colors (' + constraint.name + ': max ' + constraint.maxColors +
+              (constraint.colorGroups ? ' of one color group' : '') + ').';
+    return {valid: false, message: msg, regions: regions};
+  };
+
+  /**
+   * Returns whether the project sub-palettes apply to this console.
+   * @param {Array<Array<string>>} subPalettes - Project sub-palettes
+   * @return {boolean}
+   */
+  ns.ConsoleMode.prototype.usesSubPalettes = function (subPalettes) {
+    return this.subPaletteCount > 1 && !!subPalettes && subPalettes.length > 0;
+  };
+
+  /**
+   * Gets the maximum number of colors a sprite can use: maxColors, or
+   * maxColors per defined sub-palette.
+   * @param {Array<Array<string>>} subPalettes - Project sub-palettes
+   * @return {number|null} Color limit, or null for unlimited
+   */
+  ns.ConsoleMode.prototype.getColorLimit = function (subPalettes) {
+    if (!this.maxColors || !this.usesSubPalettes(subPalettes)) {
+      return this.maxColors;
+    }
+    return this.maxColors * Math.min(subPalettes.length, this.subPaletteCount);
+  };
+
+  /**
+   * Validates the colors of every 8x8 region against its sub-palette.
+   * Without sub-palettes, each region may use up to maxColors colors.
+   * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {Array<Array<string>>} subPalettes - Project sub-palettes
+   * @param {Object<string, number>} tilePalettes - Region assignments
+   * @return {Object} {valid: boolean, message: string, regions: Array}
+   */
+  ns.ConsoleMode.prototype.validateRegions = function (
+    framesPixels, width, height, subPalettes, tilePalettes
+  ) {
+    var usesSubPalettes = this.usesSubPalettes(subPalettes);
+    var regions = pskl.utils.SubPaletteUtils.validateRegions(
+      framesPixels, width, height, {
+        subPalettes: usesSubPalettes ? subPalettes.slice(0, this.subPaletteCount) : null,
+        tilePalettes: tilePalettes,
+        maxColors: this.maxColors,
+        regionSize: this.tileSize || 8
+      });
+
+    if (!regions.length) {
+      return {valid: true, message: '', regions: regions};
+    }
+
+    var problem = usesSubPalettes ? ' colors missing from their sub-palette.' :
+      ' more than ' + this.maxColors + ' colors.';
+    var msg = regions.length + (regions.length > 1 ? ' regions use' : ' region uses') + problem;
+    return {valid: false, message: msg, regions: regions};
+  };
+
   /**
    * Checks if a color is valid for this console's palette.
    * @param {string} color - Hex color string
@@ -182,6 +339,29 @@
     return null;
   };
 
+  /**
+   * Gets the color transform used to display frames as on the target. It
+   * never applies to stored pixels or exports (see DisplayColorUtils).
+   * @return {Object|null} {key: string identifying the transform for render
+   *     caches, map: function(hexColor): hexColor}, or null to display colors
+   *     unchanged
+   */
+  ns.ConsoleMode.prototype.getDisplayColorFilter = function () {
+    if (this.lcdColorModel) {
+      return pskl.utils.LcdColorUtils.getFilter(this.lcdColorModel);
+    }
+    return null;
+  };
+
+  /**
+   * Returns whether projects store palette indexes instead of colors (see
+   * pskl.model.IndexedFrame): consoles with a color limit draw from a palette.
+   * @return {boolean}
+   */
+  ns.ConsoleMode.prototype.isIndexed = function () {
+    return !!this.maxColors;
+  };
+
   /**
    * Returns whether this console mode has any restrictions.
    * @return {boolean} True if this mode restricts palette/colors/dimensions
@@ -0,0 +1,129 @@
+/**
+ * Atari2600ConsoleMode - Atari 2600 (TIA) console modes, NTSC and PAL.
+ *
+ * Provides constraints for Atari 2600 player graphics:
+ * - 128-color NTSC or PAL palette (see pskl.consoles.AtariPalettes)
+ * - Players: 8 pixels wide, 1 bit per pixel, as tall as the kernel draws
+ *   them. Wider frames are made of several players side by side.
+ * - One color per player line: the kernel writes COLUP0/COLUP1 on each
+ *   scanline from a color table
+ * - Export of bottom-up GRP byte tables and color tables
+ *
+ * TIA pixels are one color clock wide, twice as wide as they are tall on a
+ * 160x192 picture.
+ *
+ * References:
+ * - https://alienbill.com/2600/101/docs/stella.html
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /** @const {number} Player width in pixels. */
+  var PLAYER_WIDTH = 8;
+
+  var THEME_VARIABLES = {
+    '--highlight-color': '#E07830',
+    '--console-accent': '#E07830',
+    '--console-accent-text': '#F4A46C',
+    '--console-accent-dim': '#8C4418',
+    '--console-bg-dark': '#120C08',
+    '--console-bg-medium': '#1C140E',
+    '--console-bg-light': '#281D15',
+    '--console-border': '#54402E',
+    '--console-text': '#F0E4D8'
+  };
+
+  /**
+   * Atari 2600-specific console mode extending base ConsoleMode.
+   * @param {string} tvSystem - 'ntsc' or 'pal'
+   */
+  var Atari2600ConsoleMode = function (tvSystem) {
+    var pal = tvSystem === 'pal';
+    pskl.consoles.ConsoleMode.call(this, {
+      id: pal ? 'atari2600pal' : 'atari2600',
+      name: 'Atari 2600 (' + pskl.consoles.AtariPalettes.getName(tvSystem) + ')',
+      bodyClass: pal ? 'console-atari2600pal' : 'console-atari2600',
+      palette: pskl.consoles.AtariPalettes.getColors(tvSystem),
+      maxColors: 128,             // Any palette color, limited per player line
+      colorRegions: [{
+        name: 'Player line',
+        width: PLAYER_WIDTH,
+        height: 1,
+        maxColors: 1              // COLUPx is set once per scanline
+      }],
+      pixelAspect: 2,
+      vramBudget: null,
+      defaultSize: {width: PLAYER_WIDTH, height: 16},
+      exportTabs: [pal ? 'atari2600pal' : 'atari2600'],
+      asmDialect: 'ca65',
+      themeVariables: THEME_VARIABLES,
+      badgeText: '2600'
+    });
+
+    /** @type {string} 'ntsc' or 'pal', selects the palette and color bytes. */
+    this.tvSystem = tvSystem;
+
+    /** @type {number} Player width in pixels. */
+    this.playerWidth = PLAYER_WIDTH;
+  };
+
+  pskl.utils.inherit(Atari2600ConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Override: frames are made of whole players.
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @return {Object} {valid: boolean, message: string}
+   */
+  Atari2600ConsoleMode.prototype.validateDimensions = function (width, height) {
+    if (width % PLAYER_WIDTH === 0) {
+      return {valid: true, message: ''};
+    }
+
+    return {
+      valid: false,
+      message: 'Width must be a multiple of the ' + PLAYER_WIDTH + ' pixel player width.'
+    };
+  };
+
+  /**
+   * Override: one hue per row.
+   * @return {Array<Array<string>>}
+   */
+  Atari2600ConsoleMode.prototype.getPaletteForSpectrum = function () {
+    return pskl.consoles.AtariPalettes.getSpectrumRows(this.tvSystem);
+  };
+
+  /**
+   * Gets the color byte written to COLUP0/COLUP1 for a given color.
+   * @param {string} hexColor - Hex color string (e.g., '#D07070')
+   * @return {number|null} Color byte or null if not in the palette
+   */
+  Atari2600ConsoleMode.prototype.getIndexForColor = function (hexColor) {
+    return pskl.consoles.AtariPalettes.getColorCode(this.tvSystem, hexColor);
+  };
+
+  /**
+   * Creates and returns a new Atari 2600 NTSC mode instance.
+   * @return {Atari2600ConsoleMode}
+   */
+  ns.createAtari2600Mode = function () {
+    return new Atari2600ConsoleMode('ntsc');
+  };
+
+  /**
+   * Creates and returns a new Atari 2600 PAL mode instance.
+   * @return {Atari2600ConsoleMode}
+   */
+  ns.createAtari2600PalMode = function () {
+    return new Atari2600ConsoleMode('pal');
+  };
+
+  // Export constants for use by exporters and other code
+  ns.Atari2600Constants = {
+    PLAYER_WIDTH: PLAYER_WIDTH,
+    SCREEN_WIDTH: 160,
+    NTSC_LINES: 192,              // Visible scanlines
+    PAL_LINES: 228
+  };
+})();
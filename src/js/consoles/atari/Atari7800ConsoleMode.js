@@ -0,0 +1,124 @@
+/**
+ * Atari7800ConsoleMode - Atari 7800 (MARIA) console modes, NTSC and PAL.
+ *
+ * Provides constraints for Atari 7800 sprites in the 160A graphics mode:
+ * - 128-color NTSC or PAL palette (see pskl.consoles.AtariPalettes)
+ * - 3 colors + transparent per sprite, from one of the 8 palettes
+ * - 2 bits per pixel, 4 pixels per byte, up to 31 bytes (124 pixels) per
+ *   display list entry
+ * - Export of graphics data in zone layout, ready for holey DMA
+ *
+ * MARIA also has the 160B (12 colors) and 320 graphics modes, which are
+ * not supported. 160A pixels are twice as wide as they are tall.
+ *
+ * References:
+ * - https://7800.8bitdev.org/index.php/7800_Software_Guide
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /** @const {number} Pixels per graphics byte in 160A. */
+  var PIXELS_PER_BYTE = 4;
+
+  /** @const {number} Max bytes of a display list entry (5-bit width). */
+  var MAX_WIDTH_BYTES = 31;
+
+  var THEME_VARIABLES = {
+    '--highlight-color': '#D83C3C',
+    '--console-accent': '#D83C3C',
+    '--console-accent-text': '#F08080',
+    '--console-accent-dim': '#7C1C1C',
+    '--console-bg-dark': '#0B0B0D',
+    '--console-bg-medium': '#151518',
+    '--console-bg-light': '#202024',
+    '--console-border': '#4A4A52',
+    '--console-text': '#E8E8EE'
+  };
+
+  /**
+   * Atari 7800-specific console mode extending base ConsoleMode.
+   * @param {string} tvSystem - 'ntsc' or 'pal'
+   */
+  var Atari7800ConsoleMode = function (tvSystem) {
+    var pal = tvSystem === 'pal';
+    pskl.consoles.ConsoleMode.call(this, {
+      id: pal ? 'atari7800pal' : 'atari7800',
+      name: 'Atari 7800 (160A, ' + pskl.consoles.AtariPalettes.getName(tvSystem) + ')',
+      bodyClass: pal ? 'console-atari7800pal' : 'console-atari7800',
+      palette: pskl.consoles.AtariPalettes.getColors(tvSystem),
+      maxColors: 3,               // One 160A palette
+      pixelAspect: 2,
+      vramBudget: null,
+      defaultSize: {width: 16, height: 16},
+      exportTabs: [pal ? 'atari7800pal' : 'atari7800'],
+      asmDialect: 'ca65',
+      themeVariables: THEME_VARIABLES,
+      badgeText: '7800'
+    });
+
+    /** @type {string} 'ntsc' or 'pal', selects the palette and color bytes. */
+    this.tvSystem = tvSystem;
+  };
+
+  pskl.utils.inherit(Atari7800ConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Override: sprites are made of whole bytes and fit one display list
+   * entry.
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @return {Object} {valid: boolean, message: string}
+   */
+  Atari7800ConsoleMode.prototype.validateDimensions = function (width, height) {
+    var maxWidth = MAX_WIDTH_BYTES * PIXELS_PER_BYTE;
+    if (width % PIXELS_PER_BYTE === 0 && width <= maxWidth) {
+      return {valid: true, message: ''};
+    }
+
+    return {
+      valid: false,
+      message: 'Width must be a multiple of ' + PIXELS_PER_BYTE + ' pixels, up to ' + maxWidth + ' pixels.'
+    };
+  };
+
+  /**
+   * Override: one hue per row.
+   * @return {Array<Array<string>>}
+   */
+  Atari7800ConsoleMode.prototype.getPaletteForSpectrum = function () {
+    return pskl.consoles.AtariPalettes.getSpectrumRows(this.tvSystem);
+  };
+
+  /**
+   * Gets the color byte written to the palette registers for a given color.
+   * @param {string} hexColor - Hex color string (e.g., '#D07070')
+   * @return {number|null} Color byte or null if not in the palette
+   */
+  Atari7800ConsoleMode.prototype.getIndexForColor = function (hexColor) {
+    return pskl.consoles.AtariPalettes.getColorCode(this.tvSystem, hexColor);
+  };
+
+  /**
+   * Creates and returns a new Atari 7800 NTSC mode instance.
+   * @return {Atari7800ConsoleMode}
+   */
+  ns.createAtari7800Mode = function () {
+    return new Atari7800ConsoleMode('ntsc');
+  };
+
+  /**
+   * Creates and returns a new Atari 7800 PAL mode instance.
+   * @return {Atari7800ConsoleMode}
+   */
+  ns.createAtari7800PalMode = function () {
+    return new Atari7800ConsoleMode('pal');
+  };
+
+  // Export constants for use by exporters and other code
+  ns.Atari7800Constants = {
+    PIXELS_PER_BYTE: PIXELS_PER_BYTE,
+    MAX_WIDTH_BYTES: MAX_WIDTH_BYTES,
+    ZONE_HEIGHTS: [8, 16],        // Holey DMA supports 8 and 16 line zones
+    PAGE_SIZE: 256                // One page per zone line
+  };
+})();
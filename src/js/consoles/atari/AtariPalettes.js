@@ -0,0 +1,126 @@
+/**
+ * AtariPalettes - NTSC and PAL palettes of the Atari 2600 (TIA) and 7800
+ * (MARIA).
+ *
+ * Both chips use the same color byte: hue in bits 7-4, luminance in bits 3-1,
+ * bit 0 is ignored. Palettes list the 128 colors by color byte / 2, so hues
+ * are rows of 8 luminances. PAL hues 0, 1, 14 and 15 are all grey: their
+ * colors are listed once per hue, and map to the first of them.
+ *
+ * Colors are the palettes of the Stella emulator.
+ *
+ * References:
+ * - https://www.randomterrain.com/atari-2600-memories-tia-color-charts.html
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /** @const {number} Luminances per hue. */
+  var LUMINANCES = 8;
+
+  var NTSC_COLORS = [
+    '#000000', '#404040', '#6C6C6C', '#909090', '#B0B0B0', '#C8C8C8', '#DCDCDC', '#ECECEC',
+    '#444400', '#646410', '#848424', '#A0A034', '#B8B840', '#D0D050', '#E8E85C', '#FCFC68',
+    '#702800', '#844414', '#985C28', '#AC783C', '#BC8C4C', '#CCA05C', '#DCB468', '#ECC878',
+    '#841800', '#983418', '#AC5030', '#C06848', '#D0805C', '#E09470', '#ECA880', '#FCBC94',
+    '#880000', '#9C2020', '#B03C3C', '#C05858', '#D07070', '#E08888', '#ECA0A0', '#FCB4B4',
+    '#78005C', '#8C2074', '#A03C88', '#B0589C', '#C070B0', '#D084C0', '#DC9CD0', '#ECB0E0',
+    '#480078', '#602090', '#783CA4', '#8C58B8', '#A070CC', '#B484DC', '#C49CEC', '#D4B0FC',
+    '#140084', '#302098', '#4C3CAC', '#6858C0', '#7C70D0', '#9488E0', '#A8A0EC', '#BCB4FC',
+    '#000088', '#1C209C', '#3840B0', '#505CC0', '#6874D0', '#7C8CE0', '#90A4EC', '#A4B8FC',
+    '#00187C', '#1C3890', '#3854A8', '#5070BC', '#6888CC', '#7C9CDC', '#90B4EC', '#A4C8FC',
+    '#002C5C', '#1C4C78', '#386890', '#5084AC', '#689CC0', '#7CB4D4', '#90CCE8', '#A4E0FC',
+    '#003C2C', '#1C5C48', '#387C64', '#509C80', '#68B494', '#7CD0AC', '#90E4C0', '#A4FCD4',
+    '#003C00', '#205C20', '#407C40', '#5C9C5C', '#74B474', '#8CD08C', '#A4E4A4', '#B8FCB8',
+    '#143800', '#345C1C', '#507C38', '#6C9850', '#84B468', '#9CCC7C', '#B4E490', '#C8FCA4',
+    '#2C3000', '#4C501C', '#687034', '#848C4C', '#9CA864', '#B4C078', '#CCD488', '#E0EC9C',
+    '#442800', '#644818', '#846830', '#A08444', '#B89C58', '#D0B46C', '#E8CC7C', '#FCE08C'
+  ];
+
+  var PAL_GREYS = ['#000000', '#282828', '#505050', '#747474', '#949494', '#B4B4B4', '#D0D0D0', '#ECECEC'];
+
+  var PAL_COLORS = [].concat(
+    PAL_GREYS,
+    PAL_GREYS,
+    ['#805800', '#947020', '#A8843C', '#BC9C58', '#CCAC70', '#DCC084', '#ECD09C', '#FCE0B0'],
+    ['#445C00', '#5C7820', '#74903C', '#8CAC58', '#A0C070', '#B0D484', '#C4E89C', '#D4FCB0'],
+    ['#703400', '#885020', '#A0683C', '#B48458', '#C89870', '#DCAC84', '#ECC09C', '#FCD4B0'],
+    ['#006414', '#208034', '#3C9850', '#58B06C', '#70C484', '#84D89C', '#9CE8B4', '#B0FCC8'],
+    ['#700014', '#882034', '#A03C50', '#B4586C', '#C87084', '#DC849C', '#EC9CB4', '#FCB0C8'],
+    ['#005C5C', '#207474', '#3C8C8C', '#58A4A4', '#70B8B8', '#84C8C8', '#9CDCDC', '#B0ECEC'],
+    ['#70005C', '#842074', '#943C88', '#A8589C', '#B470B0', '#C484C0', '#D09CD0', '#E0B0E0'],
+    ['#003C70', '#1C5888', '#3874A0', '#508CB4', '#68A4C8', '#7CB8DC', '#90CCEC', '#A4E0FC'],
+    ['#580070', '#6C2088', '#803CA0', '#9458B4', '#A470C8', '#B484DC', '#C49CEC', '#D4B0FC'],
+    ['#002070', '#1C3C88', '#3858A0', '#5074B4', '#6888C8', '#7CA0DC', '#90B4EC', '#A4C8FC'],
+    ['#3C0080', '#542094', '#6C3CA8', '#8058BC', '#9470CC', '#A884DC', '#B89CEC', '#C8B0FC'],
+    ['#000088', '#20209C', '#3C3CB0', '#5858C0', '#7070D0', '#8888E0', '#A0A0EC', '#B4B4FC'],
+    PAL_GREYS,
+    PAL_GREYS
+  );
+
+  /**
+   * @param {Array<string>} colors - Palette, by color byte / 2
+   * @return {Object<string, number>} Color byte of each color, by uppercase
+   *         hex color. Repeated colors keep their first color byte.
+   */
+  var buildColorToCode = function (colors) {
+    var colorToCode = {};
+    colors.forEach(function (color, index) {
+      if (!colorToCode.hasOwnProperty(color)) {
+        colorToCode[color] = index << 1;
+      }
+    });
+    return colorToCode;
+  };
+
+  var TV_SYSTEMS = {
+    ntsc: {name: 'NTSC', colors: NTSC_COLORS, colorToCode: buildColorToCode(NTSC_COLORS)},
+    pal: {name: 'PAL', colors: PAL_COLORS, colorToCode: buildColorToCode(PAL_COLORS)}
+  };
+
+  ns.AtariPalettes = {
+    LUMINANCES: LUMINANCES,
+
+    /**
+     * @param {string} tvSystem - 'ntsc' or 'pal'
+     * @return {Array<string>} The 128 colors, by color byte / 2
+     */
+    getColors: function (tvSystem) {
+      return TV_SYSTEMS[tvSystem].colors;
+    },
+
+    /**
+     * @param {string} tvSystem - 'ntsc' or 'pal'
+     * @return {string} Display name of the TV system
+     */
+    getName: function (tvSystem) {
+      return TV_SYSTEMS[tvSystem].name;
+    },
+
+    /**
+     * Gets the color byte written to the color registers for a color.
+     * @param {string} tvSystem - 'ntsc' or 'pal'
+     * @param {string} hexColor - Hex color string (e.g., '#D07070')
+     * @return {number|null} Color byte (even, 0-254) or null if not in the
+     *         palette
+     */
+    getColorCode: function (tvSystem, hexColor) {
+      var code = TV_SYSTEMS[tvSystem].colorToCode[hexColor.toUpperCase()];
+      return code !== undefined ? code : null;
+    },
+
+    /**
+     * Gets the palette as rows of one hue, for the Spectrum color picker.
+     * @param {string} tvSystem - 'ntsc' or 'pal'
+     * @return {Array<Array<string>>}
+     */
+    getSpectrumRows: function (tvSystem) {
+      var colors = TV_SYSTEMS[tvSystem].colors;
+      var rows = [];
+      for (var i = 0; i < colors.length; i += LUMINANCES) {
+        rows.push(colors.slice(i, i + LUMINANCES));
+      }
+      return rows;
+    }
+  };
+})();
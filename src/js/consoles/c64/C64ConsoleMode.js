@@ -0,0 +1,164 @@
+/**
+ * C64ConsoleMode - Commodore 64 (VIC-II) console modes.
+ *
+ * Provides constraints for C64 hardware sprite creation:
+ * - Fixed 16-color VIC-II palette (not programmable)
+ * - Hires sprites: 24x21 pixels, 1 color + transparent
+ * - Multicolor sprites: 12x21 double-wide pixels, 3 colors + transparent.
+ *   The sprite color is set per sprite ($D027-$D02E), the two others are
+ *   shared by all multicolor sprites ($D025 and $D026).
+ * - Sprite export: 64 bytes per sprite (63 data bytes + pad byte), so that
+ *   sprite pointers address each sprite directly
+ *
+ * Multicolor sprites are drawn with palette indexes matching their bit
+ * pairs: color 1 is $D025, color 2 the sprite color, color 3 $D026.
+ *
+ * References:
+ * - https://www.c64-wiki.com/wiki/Sprite
+ * - https://www.pepto.de/projects/colorvic/
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /**
+   * VIC-II fixed 16-color palette (Pepto's PAL measurements).
+   * Index is the 4-bit color code written to the VIC-II color registers.
+   */
+  var C64_PALETTE_DATA = [
+    {color: '#000000', index: 0,  name: 'Black'},
+    {color: '#FFFFFF', index: 1,  name: 'White'},
+    {color: '#68372B', index: 2,  name: 'Red'},
+    {color: '#70A4B2', index: 3,  name: 'Cyan'},
+    {color: '#6F3D86', index: 4,  name: 'Purple'},
+    {color: '#588D43', index: 5,  name: 'Green'},
+    {color: '#352879', index: 6,  name: 'Blue'},
+    {color: '#B8C76F', index: 7,  name: 'Yellow'},
+    {color: '#6F4F25', index: 8,  name: 'Orange'},
+    {color: '#433900', index: 9,  name: 'Brown'},
+    {color: '#9A6759', index: 10, name: 'Light Red'},
+    {color: '#444444', index: 11, name: 'Dark Grey'},
+    {color: '#6C6C6C', index: 12, name: 'Grey'},
+    {color: '#9AD284', index: 13, name: 'Light Green'},
+    {color: '#6C5EB5', index: 14, name: 'Light Blue'},
+    {color: '#959595', index: 15, name: 'Light Grey'}
+  ];
+
+  /** Extract just the color values for the palette array. */
+  var C64_PALETTE = C64_PALETTE_DATA.map(function (entry) {
+    return entry.color;
+  });
+
+  /** Map from hex color to VIC-II color code. */
+  var COLOR_TO_INDEX = {};
+  C64_PALETTE_DATA.forEach(function (entry) {
+    COLOR_TO_INDEX[entry.color.toUpperCase()] = entry.index;
+  });
+
+  var THEME_VARIABLES = {
+    '--highlight-color': '#7869C4',
+    '--console-accent': '#7869C4',
+    '--console-accent-text': '#A79CE8',
+    '--console-accent-dim': '#40318D',
+    '--console-bg-dark': '#0A0912',
+    '--console-bg-medium': '#13111E',
+    '--console-bg-light': '#1E1B2C',
+    '--console-border': '#3A3360',
+    '--console-text': '#E2DEF4'
+  };
+
+  /**
+   * C64-specific console mode extending base ConsoleMode.
+   * @param {boolean} multicolor - True for multicolor sprites
+   */
+  var C64ConsoleMode = function (multicolor) {
+    pskl.consoles.ConsoleMode.call(this, {
+      id: multicolor ? 'c64mc' : 'c64',
+      name: multicolor ? 'Commodore 64 (multicolor sprites)' : 'Commodore 64 (hires sprites)',
+      bodyClass: multicolor ? 'console-c64mc' : 'console-c64',
+      palette: C64_PALETTE,
+      maxColors: multicolor ? 3 : 1,
+      pixelAspect: multicolor ? 2 : 1,  // Multicolor pixels are 2 hires pixels wide
+      vramBudget: null,
+      defaultSize: {width: multicolor ? 12 : 24, height: 21},
+      exportTabs: [multicolor ? 'c64mcsprite' : 'c64sprite'],
+      asmDialect: 'ca65',
+      themeVariables: THEME_VARIABLES,
+      badgeText: 'C64'
+    });
+
+    /** @type {boolean} Whether sprites use 2 bits per pixel. */
+    this.multicolor = !!multicolor;
+
+    /** @type {number} Sprite width in (possibly double-wide) pixels. */
+    this.spriteWidth = multicolor ? 12 : 24;
+
+    /** @type {number} Sprite height in pixels. */
+    this.spriteHeight = 21;
+  };
+
+  pskl.utils.inherit(C64ConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Override: frames are made of whole hardware sprites.
+   * @param {number} width - Canvas width in pixels
+   * @param {number} height - Canvas height in pixels
+   * @return {Object} {valid: boolean, message: string}
+   */
+  C64ConsoleMode.prototype.validateDimensions = function (width, height) {
+    if (width % this.spriteWidth === 0 && height % this.spriteHeight === 0) {
+      return {valid: true, message: ''};
+    }
+
+    return {
+      valid: false,
+      message: 'Dimensions must be multiples of the ' + this.spriteWidth + 'x' +
+        this.spriteHeight + ' sprite size.'
+    };
+  };
+
+  /**
+   * Gets extended palette data with VIC-II color codes.
+   * @return {Array<Object>} Array of {color, index, name}
+   */
+  C64ConsoleMode.prototype.getPaletteData = function () {
+    return C64_PALETTE_DATA;
+  };
+
+  /**
+   * Gets the VIC-II color code (0-15) for a given color.
+   * @param {string} hexColor - Hex color string (e.g., '#68372B')
+   * @return {number|null} Color code or null if not in the palette
+   */
+  C64ConsoleMode.prototype.getIndexForColor = function (hexColor) {
+    var index = COLOR_TO_INDEX[hexColor.toUpperCase()];
+    return index !== undefined ? index : null;
+  };
+
+  /**
+   * Creates and returns a new C64 hires sprite mode instance.
+   * @return {C64ConsoleMode}
+   */
+  ns.createC64Mode = function () {
+    return new C64ConsoleMode(false);
+  };
+
+  /**
+   * Creates and returns a new C64 multicolor sprite mode instance.
+   * @return {C64ConsoleMode}
+   */
+  ns.createC64MulticolorMode = function () {
+    return new C64ConsoleMode(true);
+  };
+
+  // Export constants for use by exporters and other code
+  ns.C64Constants = {
+    PALETTE: C64_PALETTE,
+    PALETTE_DATA: C64_PALETTE_DATA,
+    COLOR_TO_INDEX: COLOR_TO_INDEX,
+    SPRITE_WIDTH: 24,             // Hires pixels
+    SPRITE_HEIGHT: 21,
+    SPRITE_DATA_BYTES: 63,        // 21 rows × 3 bytes
+    BYTES_PER_SPRITE: 64,         // Data + pad byte, sprite pointers count 64 byte blocks
+    TOTAL_COLORS: 16
+  };
+})();
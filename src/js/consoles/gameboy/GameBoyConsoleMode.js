@@ -43,8 +43,13 @@
       palette: GB_PALETTE,
       maxColors: 3,               // 3 colors + transparent
       tileSize: 8,                // 8x8 tiles for 2BPP
+      vramBudget: {label: 'OBJ tiles', bytes: 4096, bitsPerPixel: 2},
+      tileFlip: true,             // OAM attributes have X/Y flip bits
+      spriteSizes: ['8x8', '8x16'], // LCDC bit 2 selects 8x16
+      scanlineLimits: {sprites: 10},
       defaultSize: {width: 8, height: 16},  // Common GB sprite size
-      exportTabs: ['gb2bpp'],
+      exportTabs: ['gb2bpp', 'metasprite', 'background'],
+      asmDialect: 'rgbds',
       themeVariables: {
         '--highlight-color': '#8B1C62',
         '--console-accent': '#8B1C62',
@@ -34,8 +34,14 @@
       paletteType: 'rgb444',    // 12-bit RGB for color quantization
       maxColors: 15,            // 15 colors + transparent (4bpp = 16 total)
       tileSize: 8,              // 8x8 tiles for 4BPP
+      vramBudget: {label: 'Sprite tiles', bytes: 8192, bitsPerPixel: 4, colorBytes: 2},
+      tileFlip: true,           // BG tiles only (sprites cannot flip)
+      spriteFlip: false,        // Sprite tiles are used as they are
+      spriteSizes: ['8x8', '8x16'], // VDP register 1 selects 8x16
+      scanlineLimits: {sprites: 8},
       defaultSize: {width: 8, height: 16},  // Common GG sprite (8x16)
-      exportTabs: ['gg4bpp'],
+      exportTabs: ['gg4bpp', 'metasprite'],
+      asmDialect: 'wladx',
       themeVariables: {
         '--highlight-color': '#00A8A8',
         '--console-accent': '#00A8A8',
@@ -30,8 +30,14 @@
       paletteType: 'rgb555',  // Signals quantized color picker mode
       maxColors: 255,         // 255 colors + transparent (8bpp = 256 total)
       tileSize: 8,            // 8x8 tiles for 8BPP
+      vramBudget: {label: 'OBJ VRAM', bytes: 32768, bitsPerPixel: 8, colorBytes: 2},
+      tileFlip: true,         // OBJ attribute 1 has H/V flip bits
+      spriteSizes: ['8x8', '8x16', '16x16', '32x32'], // OBJ shape and size bits
+      lcdColorModel: 'gba',   // Color correction preview of the LCD
       defaultSize: {width: 32, height: 32},  // Larger default for 8bpp work
-      exportTabs: ['gba8bpp'],
+      exportTabs: ['gba8bpp', 'metasprite', 'background'],
+      asmDialect: 'gas',
+      compression: ['gba-lz77', 'gba-rle'],
       themeVariables: {
         '--highlight-color': '#FF6347',
         '--console-accent': '#E05A3A',
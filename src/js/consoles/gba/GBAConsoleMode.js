@@ -28,9 +28,17 @@
       palette: null,          // No fixed palette - uses RGB555 picker
       paletteType: 'rgb555',  // Signals quantized color picker mode
       maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
+      subPaletteCount: 16,    // 16 OBJ palette banks in 4bpp mode
+      colorRegions: [{name: 'Tile', width: 8, height: 8, maxColors: 15}],
       tileSize: 8,            // 8x8 tiles for 4BPP
+      vramBudget: {label: 'OBJ VRAM', bytes: 32768, bitsPerPixel: 4, colorBytes: 2},
+      tileFlip: true,         // OBJ attribute 1 has H/V flip bits
+      spriteSizes: ['8x8', '8x16', '16x16', '32x32'], // OBJ shape and size bits
+      lcdColorModel: 'gba',   // Color correction preview of the LCD
       defaultSize: {width: 16, height: 16},  // Common GBA sprite size
-      exportTabs: ['gba4bpp'],
+      exportTabs: ['gba4bpp', 'metasprite', 'subpalettes', 'background'],
+      asmDialect: 'gas',
+      compression: ['gba-lz77', 'gba-rle'],
       themeVariables: {
         '--highlight-color': '#00CED1',
         '--console-accent': '#20B2AA',
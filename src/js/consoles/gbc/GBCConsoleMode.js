@@ -24,9 +24,17 @@
       palette: null,          // No fixed palette - uses RGB555 picker
       paletteType: 'rgb555',  // Signals quantized color picker mode
       maxColors: 3,           // 3 colors + transparent per tile
+      subPaletteCount: 8,     // 8 OBJ palettes (OCPD)
+      colorRegions: [{name: 'Tile', width: 8, height: 8, maxColors: 3}],
       tileSize: 8,            // 8x8 tiles for 2BPP
+      vramBudget: {label: 'OBJ tiles (2 banks)', bytes: 8192, bitsPerPixel: 2, colorBytes: 2},
+      tileFlip: true,         // OAM and BG map attributes have X/Y flip
+      spriteSizes: ['8x8', '8x16'], // LCDC bit 2 selects 8x16
+      scanlineLimits: {sprites: 10},
+      lcdColorModel: 'gbc',   // Color correction preview of the LCD
       defaultSize: {width: 16, height: 16},
-      exportTabs: ['gbc2bpp'],
+      exportTabs: ['gbc2bpp', 'metasprite', 'subpalettes', 'background'],
+      asmDialect: 'rgbds',
       themeVariables: {
         '--highlight-color': '#8B5CF6',
         '--console-accent': '#8B5CF6',
@@ -28,9 +28,17 @@
       palette: null,          // No fixed palette - uses RGB333 picker
       paletteType: 'rgb333',  // Signals 9-bit color picker mode
       maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
+      subPaletteCount: 4,     // 4 CRAM palette lines
+      colorRegions: [{name: 'Tile', width: 8, height: 8, maxColors: 15}],
       tileSize: 8,            // 8x8 tiles for 4BPP
+      vramBudget: {label: 'VRAM (shared with planes)', bytes: 65536, bitsPerPixel: 4, colorBytes: 2},
+      tileFlip: true,         // Sprite and plane entries have H/V flip
+      spriteSizes: ['8x8', '8x16', '16x16', '32x32'], // 1 to 4 cells per side
+      scanlineLimits: {sprites: 20, pixels: 320}, // H40 mode
       defaultSize: {width: 16, height: 16},  // Common Genesis sprite size
-      exportTabs: ['genesis4bpp'],
+      exportTabs: ['genesis4bpp', 'metasprite', 'subpalettes', 'background'],
+      asmDialect: 'asm68k',
+      compression: ['nemesis', 'kosinski'],
       themeVariables: {
         '--highlight-color': '#0066CC',
         '--console-accent': '#0066CC',
@@ -64,9 +64,14 @@
       bodyClass: 'console-msx',
       palette: MSX_PALETTE,
       maxColors: 1,               // Monochrome sprites (1 color + transparent)
+      colorRegions: [{name: 'Pattern line', width: 8, height: 1, maxColors: 2, countTransparent: true}],
       tileSize: 8,                // 8x8 tiles
+      vramBudget: {label: 'Sprite patterns', bytes: 2048, bitsPerPixel: 1},
+      spriteSizes: ['8x8', '16x16'],  // VDP register 1 selects 16x16
+      scanlineLimits: {sprites: 4},
       defaultSize: {width: 16, height: 16},  // Common MSX sprite (16x16)
-      exportTabs: ['msx1bpp'],
+      exportTabs: ['msx1bpp', 'metasprite'],
+      asmDialect: 'wladx',
       themeVariables: {
         '--highlight-color': '#D4A820',
         '--console-accent': '#D4A820',
@@ -38,8 +38,10 @@
       paletteType: 'rgb333',  // Signals 9-bit color picker mode
       maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
       tileSize: 8,            // 8x8 tiles for 4BPP
+      vramBudget: {label: 'Screen 5 page', bytes: 32768, bitsPerPixel: 4, colorBytes: 2},
       defaultSize: {width: 16, height: 16},  // Common MSX2+ sprite size
       exportTabs: ['msx2plus4bpp'],
+      asmDialect: 'wladx',
       themeVariables: {
         '--highlight-color': '#8040FF',
         '--console-accent': '#8040FF',
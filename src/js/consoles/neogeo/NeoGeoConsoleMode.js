@@ -0,0 +1,170 @@
+/**
+ * NeoGeoConsoleMode - SNK Neo Geo (MVS/AES) console mode.
+ *
+ * Provides constraints for Neo Geo sprite creation:
+ * - 16-bit colors: 5 bits per channel plus a shared "dark bit"
+ * - Max 15 colors + transparent per 16x16 sprite tile (one of 256 palettes)
+ * - Sprites are columns of 16x16 tiles, stored in the C-ROMs
+ * - 8x8 fix layer tiles, stored in the S-ROM
+ * - Export of interleaved C1/C2 ROM data, S-ROM tiles and palette words
+ *
+ * Palette RAM stores colors as 16-bit words: DRGBRRRR GGGGBBBB
+ * The low bits of the 3 channels are in bits 12-14, the dark bit (15)
+ * is a common, inverted 6th bit: when set, the 3 channels are slightly
+ * darker.
+ *
+ * References:
+ * - https://wiki.neogeodev.org/index.php?title=Colors
+ * - https://wiki.neogeodev.org/index.php?title=Sprite_graphics_format
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /**
+   * Neo Geo-specific console mode extending base ConsoleMode.
+   */
+  var NeoGeoConsoleMode = function () {
+    pskl.consoles.ConsoleMode.call(this, {
+      id: 'neogeo',
+      name: 'Neo Geo',
+      bodyClass: 'console-neogeo',
+      palette: null,          // No fixed palette - uses the 16-bit color picker
+      paletteType: 'neogeo',  // Signals RGB555 + dark bit color picker mode
+      maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
+      tileSize: 16,           // Sprites are columns of 16x16 tiles
+      vramBudget: null,       // Tiles are read from the C-ROMs
+      defaultSize: {width: 16, height: 16},
+      exportTabs: ['neogeo'],
+      asmDialect: 'asm68k',
+      themeVariables: {
+        '--highlight-color': '#E8B830',
+        '--console-accent': '#E8B830',
+        '--console-accent-text': '#F4D47C',
+        '--console-accent-dim': '#9C7418',
+        '--console-bg-dark': '#0A0A0A',
+        '--console-bg-medium': '#141414',
+        '--console-bg-light': '#1F1F1F',
+        '--console-border': '#4C4228',
+        '--console-text': '#F2EEE4'
+      },
+      badgeText: 'NEO'
+    });
+  };
+
+  pskl.utils.inherit(NeoGeoConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Converts 5-bit channel levels and the dark bit to an 8-bit value.
+   * @param {number} value5bit - Channel value 0-31
+   * @param {number} dark - Dark bit, 0 or 1
+   * @return {number} 8-bit value
+   */
+  NeoGeoConsoleMode.prototype.to8Bit = function (value5bit, dark) {
+    var value6bit = (value5bit << 1) | (dark ? 0 : 1);
+    return Math.round(value6bit * 255 / 63);
+  };
+
+  /**
+   * Finds the closest Neo Geo color: the channels share the dark bit, so
+   * both settings are tried and the one with the smallest error is kept.
+   * @param {string} hexColor - Hex color string (e.g., '#FF8040')
+   * @return {Object|null} {r, g, b, dark}, 5-bit channels and the dark bit,
+   *         or null for invalid colors
+   */
+  NeoGeoConsoleMode.prototype.getNeoGeoLevels = function (hexColor) {
+    var tc = window.tinycolor(hexColor);
+    if (!tc.ok) {
+      return null;
+    }
+
+    var rgb = tc.toRgb();
+    var best = null;
+    var bestError = Infinity;
+
+    [0, 1].forEach(function (dark) {
+      var levels = {dark: dark};
+      var error = 0;
+      ['r', 'g', 'b'].forEach(function (channel) {
+        var value6bit = rgb[channel] * 63 / 255;
+        var value5bit = Math.round((value6bit - (dark ? 0 : 1)) / 2);
+        levels[channel] = Math.max(0, Math.min(31, value5bit));
+        var delta = this.to8Bit(levels[channel], dark) - rgb[channel];
+        error += delta * delta;
+      }, this);
+
+      if (error < bestError) {
+        best = levels;
+        bestError = error;
+      }
+    }, this);
+
+    return best;
+  };
+
+  /**
+   * Snaps a hex color to the nearest valid Neo Geo color.
+   * @param {string} hexColor - Hex color string (e.g., '#FF8040')
+   * @return {string} Snapped hex color string
+   */
+  NeoGeoConsoleMode.prototype.snapColorToNeoGeo = function (hexColor) {
+    var levels = this.getNeoGeoLevels(hexColor);
+    if (!levels) {
+      return hexColor;
+    }
+
+    return window.tinycolor({
+      r: this.to8Bit(levels.r, levels.dark),
+      g: this.to8Bit(levels.g, levels.dark),
+      b: this.to8Bit(levels.b, levels.dark)
+    }).toHexString();
+  };
+
+  /**
+   * Converts a hex color to a palette RAM color word.
+   * Format: DRGBRRRR GGGGBBBB (dark bit, channel low bits, channel high bits)
+   * @param {string} hexColor - Hex color string
+   * @return {number} 16-bit color word
+   */
+  NeoGeoConsoleMode.prototype.colorToNeoGeoWord = function (hexColor) {
+    var levels = this.getNeoGeoLevels(hexColor);
+    if (!levels) {
+      return 0;
+    }
+
+    return (levels.dark << 15) |
+      ((levels.r & 1) << 14) | ((levels.g & 1) << 13) | ((levels.b & 1) << 12) |
+      ((levels.r >> 1) << 8) | ((levels.g >> 1) << 4) | (levels.b >> 1);
+  };
+
+  /**
+   * Override: Neo Geo validates colors by snapping, not rejecting.
+   * Any color is valid after snapping to a 16-bit color.
+   * @param {string} color - Hex color string
+   * @return {boolean} Always true (all colors snap to valid)
+   */
+  NeoGeoConsoleMode.prototype.isValidColor = function (color) {
+    return true;
+  };
+
+  /**
+   * Creates and returns a new Neo Geo console mode instance.
+   * @return {NeoGeoConsoleMode}
+   */
+  ns.createNeoGeoMode = function () {
+    return new NeoGeoConsoleMode();
+  };
+
+  // Export constants for use by exporters and other code
+  ns.NeoGeoConstants = {
+    MAX_SPRITE_COLORS: 15,    // 15 + transparent = 16 (4bpp)
+    TILE_SIZE: 16,            // Sprite tile size
+    BYTES_PER_TILE: 128,      // 64 bytes in each ROM of the C1/C2 pair
+    BYTES_PER_CROM_TILE: 64,
+    FIX_TILE_SIZE: 8,
+    BYTES_PER_FIX_TILE: 32,   // 4bpp = 32 bytes per 8x8 S-ROM tile
+    BYTES_PER_PALETTE: 32,    // 16 colors × 2 bytes each
+    BITS_PER_PIXEL: 4,
+    PALETTES: 256,            // Fix layer tiles only use the first 16
+    MAX_SPRITE_TILES: 32      // Tiles per sprite column (512 pixels)
+  };
+})();
@@ -98,9 +98,17 @@
       bodyClass: 'console-nes',
       palette: NES_PALETTE,
       maxColors: 3,        // 3 colors + transparent
+      subPaletteCount: 4,  // 4 sprite palettes
+      colorRegions: [{name: 'Attribute area', width: 16, height: 16, maxColors: 3}],
       tileSize: 8,         // 8x8 tiles for CHR
+      vramBudget: {label: 'CHR bank', bytes: 4096, bitsPerPixel: 2, colorBytes: 1},
+      tileFlip: true,      // Sprite OAM attributes have H/V flip bits
+      spriteSizes: ['8x8', '8x16'], // PPUCTRL bit 5 selects 8x16
+      scanlineLimits: {sprites: 8},
       defaultSize: {width: 16, height: 16},  // Common NES sprite size
-      exportTabs: ['chr'],
+      exportTabs: ['chr', 'metasprite', 'subpalettes', 'background'],
+      asmDialect: 'ca65',
+      compression: ['konami-rle', 'packbits'],
       themeVariables: {
         '--highlight-color': '#E40058',
         '--console-accent': '#E40058',
@@ -138,6 +146,46 @@
     return COLOR_TO_REGISTER[hexColor.toUpperCase()] || null;
   };
 
+  /** Incremented for every new display filter, used as its cache key. */
+  var displayFilterVersion = 0;
+
+  /**
+   * Gets the display filter of the palette variant and color emphasis picked
+   * in the preferences. Stored colors keep the default palette, they are
+   * mapped to their register and displayed with the color of the variant.
+   * @return {Object|null} {key, map} or null for the default palette
+   */
+  NESConsoleMode.prototype.getDisplayColorFilter = function () {
+    var Variants = pskl.consoles.NESPaletteVariants;
+    var variant = pskl.UserSettings.get(pskl.UserSettings.NES_PALETTE);
+    var emphasis = pskl.UserSettings.get(pskl.UserSettings.NES_EMPHASIS);
+    var customPalette = pskl.UserSettings.get(pskl.UserSettings.NES_CUSTOM_PALETTE);
+
+    var state = this.displayFilterState_;
+    if (state && state.variant === variant && state.emphasis === emphasis &&
+        state.customPalette === customPalette) {
+      return this.displayFilter_;
+    }
+    this.displayFilterState_ = {variant: variant, emphasis: emphasis, customPalette: customPalette};
+
+    var colors = variant === Variants.CUSTOM ?
+      customPalette && customPalette.colors : Variants.getColors(variant);
+    if (!colors || (variant === Variants.DEFAULT && !emphasis)) {
+      this.displayFilter_ = null;
+      return null;
+    }
+
+    var offset = emphasis * 64;
+    this.displayFilter_ = {
+      key: 'nes-' + (++displayFilterVersion),
+      map: function (color) {
+        var register = COLOR_TO_REGISTER[color.toUpperCase()];
+        return register ? colors[offset + parseInt(register.slice(1), 16)] : color;
+      }
+    };
+    return this.displayFilter_;
+  };
+
   /**
    * Creates and returns a new NES console mode instance.
    * @return {NESConsoleMode}
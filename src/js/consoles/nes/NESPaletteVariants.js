@@ -0,0 +1,280 @@
+/**
+ * NESPaletteVariants - How the NES palette registers look on the target.
+ *
+ * The NES PPU outputs registers, not RGB colors: each hardware revision and
+ * emulator renders them differently. Sprites are always stored with the
+ * colors of NESConstants.PALETTE, a variant only changes how they are
+ * displayed. The default palettes of FCEUX, Nestopia and Mesen are built in,
+ * other emulator palettes can be exported by the emulators as .pal files and
+ * loaded as a custom palette.
+ *
+ * Variants are tables of 512 colors: 64 registers for each of the 8 PPUMASK
+ * color emphasis combinations (bit 0 = PPUMASK bit 5).
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /** Registers per emphasis combination, .pal files hold 1 or 8 tables. */
+  var REGISTER_COUNT = 64;
+  var EMPHASIS_COUNT = 8;
+
+  /**
+   * Composite signal levels of the 2C02, relative to sync
+   * (nesdev wiki, "NTSC video").
+   */
+  var SIGNAL_BLACK = 0.518;
+  var SIGNAL_WHITE = 1.962;
+  var SIGNAL_LEVELS = [0.350, 0.518, 0.962, 1.550, 1.094, 1.506, 1.962, 1.962];
+  var EMPHASIS_ATTENUATION = 0.746;
+
+  /**
+   * 2C03/2C05 RGB PPU palette, one octal digit (0-7) per channel
+   * (nesdev wiki, "PPU palettes").
+   */
+  var RGB_PPU_PALETTE = [
+    '333', '014', '006', '326', '403', '503', '510', '420', '320', '120', '031', '040', '022', '000', '000', '000',
+    '555', '036', '027', '407', '507', '704', '700', '630', '430', '140', '040', '053', '044', '000', '000', '000',
+    '777', '357', '447', '637', '707', '737', '740', '750', '660', '360', '070', '276', '077', '000', '000', '000',
+    '777', '567', '657', '757', '747', '755', '764', '772', '773', '572', '473', '276', '467', '000', '000', '000'
+  ];
+
+  /**
+   * Default palettes of emulators, 64 registers without emphasis (the
+   * emphasis tables are derived, see NESPaletteVariants.addEmphasis).
+   */
+  var EMULATOR_PALETTES = {
+    // FCEUX default palette
+    fceux: [
+      '747474', '24188C', '0000A8', '44009C', '8C0074', 'A80010', 'A40000', '7C0800',
+      '402C00', '004400', '005000', '003C14', '183C5C', '000000', '000000', '000000',
+      'BCBCBC', '0070EC', '2038EC', '8000F0', 'BC00BC', 'E40058', 'D82800', 'C84C0C',
+      '887000', '009400', '00A800', '009038', '008088', '000000', '000000', '000000',
+      'FCFCFC', '3CBCFC', '5C94FC', 'CC88FC', 'F478FC', 'FC74B4', 'FC7460', 'FC9838',
+      'F0BC3C', '80D010', '4CDC48', '58F898', '00E8D8', '787878', '000000', '000000',
+      'FCFCFC', 'A8E4FC', 'C4D4FC', 'D4C8FC', 'FCC4FC', 'FCC4D8', 'FCBCB0', 'FCD8A8',
+      'FCE4A0', 'E0FCA0', 'A8F0BC', 'B0FCCC', '9CFCF0', 'C4C4C4', '000000', '000000'
+    ],
+    // Nestopia YUV decoder, default settings
+    nestopia: [
+      '656565', '00127D', '18008E', '360082', '56005D', '5A0018', '4F0500', '381900',
+      '1D3100', '003D00', '004100', '003B17', '002E55', '000000', '000000', '000000',
+      'AFAFAF', '194EC8', '472FE3', '6B1FD7', '931BAE', '9E1A5E', '993200', '7B4B00',
+      '5B6700', '267A00', '008200', '007A3E', '006E8A', '000000', '000000', '000000',
+      'FFFFFF', '64A9FF', '8E89FF', 'B676FF', 'E06FFF', 'EF6CC4', 'F0806A', 'D8982C',
+      'B9B40A', '83CB0C', '5BD63F', '4AD17E', '4DC7CB', '4C4C4C', '000000', '000000',
+      'FFFFFF', 'C7E5FF', 'D9D9FF', 'E9D1FF', 'F9CEFF', 'FFCCF1', 'FFD4CB', 'F8DFB1',
+      'EDEAA4', 'D6F4A4', 'C5F8B8', 'BEF6D3', 'BFF1F1', 'B9B9B9', '000000', '000000'
+    ],
+    // Mesen default palette
+    mesen: [
+      '666666', '002A88', '1412A7', '3B00A4', '5C007E', '6E0040', '6C0600', '561D00',
+      '333500', '0B4800', '005200', '004F08', '00404D', '000000', '000000', '000000',
+      'ADADAD', '155FD9', '4240FF', '7527FE', 'A01ACC', 'B71E7B', 'B53120', '994E00',
+      '6B6D00', '388700', '0C9300', '008F32', '007C8D', '000000', '000000', '000000',
+      'FFFEFF', '64B0FF', '9290FF', 'C676FF', 'F36AFF', 'FE6ECC', 'FE8170', 'EA9E22',
+      'BCBE00', '88D800', '5CE430', '45E082', '48CDDE', '4F4F4F', '000000', '000000',
+      'FFFEFF', 'C0DFFF', 'D3D2FF', 'E8C8FF', 'FBC2FF', 'FEC4EA', 'FECCC5', 'F7D8A5',
+      'E4E594', 'CFEF96', 'BDF4AB', 'B3F3CC', 'B5EBF2', 'B8B8B8', '000000', '000000'
+    ]
+  };
+
+  var toHex = function (r, g, b) {
+    var clamp = function (value) {
+      return Math.round(Math.max(0, Math.min(255, value)));
+    };
+    return pskl.utils.rgbToHex(clamp(r), clamp(g), clamp(b)).toUpperCase();
+  };
+
+  /**
+   * Composite signal of a register at one of the 12 phases of a color cycle.
+   * @param {number} register - Register with emphasis bits (0-511)
+   * @param {number} phase - Phase, 0 to 11
+   * @param {Array<number>} emphasisHues - Hue attenuated by each emphasis bit
+   * @return {number} Signal level
+   */
+  var getSignal = function (register, phase, emphasisHues) {
+    var hue = register & 0x0F;
+    var level = hue > 13 ? 1 : (register >> 4) & 3;
+    var emphasis = register >> 6;
+    var inPhase = function (color) {
+      return (color + phase) % 12 < 6;
+    };
+
+    var low = SIGNAL_LEVELS[level];
+    var high = SIGNAL_LEVELS[4 + level];
+    if (hue === 0) {
+      low = high;
+    } else if (hue > 12) {
+      high = low;
+    }
+
+    var signal = inPhase(hue) ? high : low;
+    var attenuated = emphasisHues.some(function (emphasisHue, bit) {
+      return (emphasis & (1 << bit)) && inPhase(emphasisHue);
+    });
+    return attenuated ? signal * EMPHASIS_ATTENUATION : signal;
+  };
+
+  /**
+   * Decodes the composite signal of every register (YIQ to RGB).
+   * @param {number} hueOffset - Phase of the color burst, in 30 degree steps
+   * @param {Array<number>} emphasisHues - Hue attenuated by each emphasis bit
+   * @return {Array<string>} 512 hex colors
+   */
+  var decodeComposite = function (hueOffset, emphasisHues) {
+    var colors = [];
+    for (var register = 0; register < REGISTER_COUNT * EMPHASIS_COUNT; register++) {
+      var y = 0;
+      var i = 0;
+      var q = 0;
+      for (var phase = 0; phase < 12; phase++) {
+        var level = (getSignal(register, phase, emphasisHues) - SIGNAL_BLACK) / (SIGNAL_WHITE - SIGNAL_BLACK) / 12;
+        var angle = Math.PI * (phase + hueOffset) / 6;
+        y += level;
+        i += level * Math.cos(angle);
+        q += level * Math.sin(angle);
+      }
+      colors.push(toHex(
+        255 * (y + 0.946882 * i + 0.623557 * q),
+        255 * (y - 0.274788 * i - 0.635691 * q),
+        255 * (y - 1.108545 * i + 1.709007 * q)));
+    }
+    return colors;
+  };
+
+  /**
+   * Builds the 2C03 RGB PPU palette. Emphasis bits drive their channel to
+   * full intensity instead of dimming the others.
+   * @return {Array<string>} 512 hex colors
+   */
+  var buildRgbPalette = function () {
+    var colors = [];
+    for (var emphasis = 0; emphasis < EMPHASIS_COUNT; emphasis++) {
+      RGB_PPU_PALETTE.forEach(function (digits) {
+        var channels = digits.split('').map(function (digit, channel) {
+          return (emphasis & (1 << channel)) ? 7 : parseInt(digit, 8);
+        });
+        colors.push(toHex(channels[0] * 255 / 7, channels[1] * 255 / 7, channels[2] * 255 / 7));
+      });
+    }
+    return colors;
+  };
+
+  /**
+   * Builds the palette of an emulator, see EMULATOR_PALETTES.
+   * @param {string} emulator - Key of EMULATOR_PALETTES
+   * @return {Array<string>} 512 hex colors
+   */
+  var buildEmulatorPalette = function (emulator) {
+    return ns.NESPaletteVariants.addEmphasis(EMULATOR_PALETTES[emulator].map(function (color) {
+      return '#' + color;
+    }));
+  };
+
+  /**
+   * Variants, in display order. PAL 2C07 hues are rotated by 15 degrees and
+   * its red and green emphasis bits are swapped.
+   */
+  var VARIANTS = [
+    {id: 'default', name: 'RetroPiskel (default)'},
+    {id: '2c02', name: '2C02 (NTSC)', build: decodeComposite.bind(null, 3.9, [0, 4, 8])},
+    {id: '2c07', name: '2C07 (PAL)', build: decodeComposite.bind(null, 3.4, [4, 0, 8])},
+    {id: '2c03', name: '2C03 (RGB PPU)', build: buildRgbPalette},
+    {id: 'fceux', name: 'FCEUX', build: buildEmulatorPalette.bind(null, 'fceux')},
+    {id: 'nestopia', name: 'Nestopia (YUV)', build: buildEmulatorPalette.bind(null, 'nestopia')},
+    {id: 'mesen', name: 'Mesen', build: buildEmulatorPalette.bind(null, 'mesen')}
+  ];
+
+  var cache = {};
+
+  ns.NESPaletteVariants = {
+    DEFAULT: 'default',
+    CUSTOM: 'custom',
+
+    /**
+     * Gets the built-in variants.
+     * @return {Array<Object>} Array of {id, name}
+     */
+    getVariants: function () {
+      return VARIANTS.map(function (variant) {
+        return {id: variant.id, name: variant.name};
+      });
+    },
+
+    /**
+     * Gets the colors of a built-in variant.
+     * @param {string} id - Variant id
+     * @return {Array<string>|null} 512 hex colors, or null if unknown
+     */
+    getColors: function (id) {
+      if (!cache[id]) {
+        var variant = VARIANTS.filter(function (v) {
+          return v.id === id;
+        })[0];
+        if (!variant) {
+          return null;
+        }
+        cache[id] = variant.build ? variant.build() : this.getDefaultColors_();
+      }
+      return cache[id];
+    },
+
+    /**
+     * Parses a .pal file: 64 RGB triplets (192 bytes), or 8 tables of 64
+     * triplets with the emphasis combinations (1536 bytes).
+     * @param {ArrayBuffer} buffer - File content
+     * @return {Array<string>} 512 hex colors
+     * @throws {Error} If the file size is not a known .pal size
+     */
+    parsePalFile: function (buffer) {
+      var bytes = new Uint8Array(buffer);
+      if (bytes.length !== REGISTER_COUNT * 3 && bytes.length !== REGISTER_COUNT * EMPHASIS_COUNT * 3) {
+        throw new Error('Invalid .pal file: expected 192 or 1536 bytes, got ' + bytes.length);
+      }
+
+      var colors = [];
+      for (var i = 0; i < bytes.length; i += 3) {
+        colors.push(toHex(bytes[i], bytes[i + 1], bytes[i + 2]));
+      }
+      return colors.length === REGISTER_COUNT ? this.addEmphasis(colors) : colors;
+    },
+
+    /**
+     * Approximates the emphasis tables of a 64 color palette, by dimming the
+     * channels that are not emphasized like the composite signal model.
+     * @param {Array<string>} colors - 64 hex colors
+     * @return {Array<string>} 512 hex colors
+     */
+    addEmphasis: function (colors) {
+      var emphasized = [];
+      for (var emphasis = 0; emphasis < EMPHASIS_COUNT; emphasis++) {
+        colors.forEach(function (color) {
+          var rgb = window.tinycolor(color).toRgb();
+          var dim = function (value, channel) {
+            var dimmed = emphasis && !(emphasis & (1 << channel));
+            return dimmed ? value * EMPHASIS_ATTENUATION : value;
+          };
+          emphasized.push(toHex(dim(rgb.r, 0), dim(rgb.g, 1), dim(rgb.b, 2)));
+        });
+      }
+      return emphasized;
+    },
+
+    /**
+     * Builds the default variant from the NES palette registers. Registers
+     * missing from the palette are black.
+     * @return {Array<string>} 512 hex colors
+     * @private
+     */
+    getDefaultColors_: function () {
+      var colors = [];
+      for (var i = 0; i < REGISTER_COUNT; i++) {
+        colors.push('#000000');
+      }
+      pskl.consoles.NESConstants.PALETTE_DATA.forEach(function (entry) {
+        colors[parseInt(entry.register.slice(1), 16)] = entry.color.toUpperCase();
+      });
+      return this.addEmphasis(colors);
+    }
+  };
+})();
@@ -0,0 +1,146 @@
+/**
+ * PCEConsoleMode - NEC PC Engine / TurboGrafx-16 console mode.
+ *
+ * Provides constraints for PC Engine sprite creation:
+ * - RGB333 color space (512 colors, 3 bits per channel)
+ * - Max 15 colors + transparent per sprite (one of 16 sprite palettes)
+ * - 16x16 sprite cells, combined into 16x32, 16x64, 32x16, 32x32 and
+ *   32x64 sprites
+ * - Sprite and BG tile export tab with VCE palette
+ *
+ * The VCE stores colors as 9-bit words: 0000000G GGRRRBBB
+ *
+ * References:
+ * - https://archaicpixels.com/HuC6270
+ * - https://archaicpixels.com/HuC6260
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /**
+   * PC Engine-specific console mode extending base ConsoleMode.
+   */
+  var PCEConsoleMode = function () {
+    pskl.consoles.ConsoleMode.call(this, {
+      id: 'pce',
+      name: 'PC Engine / TurboGrafx-16',
+      bodyClass: 'console-pce',
+      palette: null,          // No fixed palette - uses RGB333 picker
+      paletteType: 'rgb333',  // Signals 9-bit color picker mode
+      maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
+      tileSize: 16,           // Sprites are made of 16x16 cells
+      vramBudget: {label: 'VRAM (shared with BG)', bytes: 65536, bitsPerPixel: 4, colorBytes: 2},
+      spriteSizes: ['16x16', '16x32', '32x16', '32x32', '16x64', '32x64'],
+      scanlineLimits: {sprites: 16, pixels: 256},
+      defaultSize: {width: 16, height: 16},
+      exportTabs: ['pcesprite'],
+      asmDialect: 'ca65',     // ca65 --cpu huc6280
+      themeVariables: {
+        '--highlight-color': '#FF6600',
+        '--console-accent': '#FF6600',
+        '--console-accent-text': '#FF9F5C',
+        '--console-accent-dim': '#C04C00',
+        '--console-bg-dark': '#0E0A08',
+        '--console-bg-medium': '#18120E',
+        '--console-bg-light': '#241C16',
+        '--console-border': '#4A3220',
+        '--console-text': '#F0E6DC'
+      },
+      badgeText: 'PCE'
+    });
+
+    /** @type {number} Bytes per 16x16 sprite cell. */
+    this.BYTES_PER_CELL = 128;
+  };
+
+  pskl.utils.inherit(PCEConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Snaps an 8-bit RGB value (0-255) to nearest VCE 3-bit value.
+   * @param {number} value8bit - RGB component value 0-255
+   * @return {number} Snapped 8-bit value (one of 8 valid VCE values)
+   */
+  PCEConsoleMode.prototype.snapTo3Bit = function (value8bit) {
+    var value3bit = Math.round(value8bit * 7 / 255);
+    return Math.round(value3bit * 255 / 7);
+  };
+
+  /**
+   * Gets the 3-bit VCE value (0-7) from an 8-bit value.
+   * @param {number} value8bit - RGB component value 0-255
+   * @return {number} VCE 3-bit value 0-7
+   */
+  PCEConsoleMode.prototype.to3Bit = function (value8bit) {
+    return Math.round(value8bit * 7 / 255);
+  };
+
+  /**
+   * Snaps a hex color to the nearest valid VCE RGB333 color.
+   * @param {string} hexColor - Hex color string (e.g., '#FF8040')
+   * @return {string} Snapped hex color string
+   */
+  PCEConsoleMode.prototype.snapColorToRGB333 = function (hexColor) {
+    var tc = window.tinycolor(hexColor);
+    if (!tc.ok) {
+      return hexColor;
+    }
+
+    var rgb = tc.toRgb();
+    return window.tinycolor({
+      r: this.snapTo3Bit(rgb.r),
+      g: this.snapTo3Bit(rgb.g),
+      b: this.snapTo3Bit(rgb.b)
+    }).toHexString();
+  };
+
+  /**
+   * Converts a hex color to a VCE color word.
+   * Format: 0000000G GGRRRBBB (blue in bits 0-2, red in 3-5, green in 6-8)
+   * @param {string} hexColor - Hex color string
+   * @return {number} 9-bit VCE color word
+   */
+  PCEConsoleMode.prototype.colorToVCEWord = function (hexColor) {
+    var rgb = window.tinycolor(hexColor).toRgb();
+    return (this.to3Bit(rgb.g) << 6) | (this.to3Bit(rgb.r) << 3) | this.to3Bit(rgb.b);
+  };
+
+  /**
+   * Gets palette data with RGB333 values for export.
+   * @return {Array<Object>|null} Array of {color, rgb333} or null
+   */
+  PCEConsoleMode.prototype.getPaletteData = function () {
+    return null;  // No fixed palette - colors come from sprite
+  };
+
+  /**
+   * Override: PC Engine validates colors by snapping, not rejecting.
+   * Any color is valid after snapping to RGB333.
+   * @param {string} color - Hex color string
+   * @return {boolean} Always true (all colors snap to valid)
+   */
+  PCEConsoleMode.prototype.isValidColor = function (color) {
+    return true;
+  };
+
+  /**
+   * Creates and returns a new PC Engine console mode instance.
+   * @return {PCEConsoleMode}
+   */
+  ns.createPCEMode = function () {
+    return new PCEConsoleMode();
+  };
+
+  // Export constants for use by exporters and other code
+  ns.PCEConstants = {
+    MAX_SPRITE_COLORS: 15,    // 15 + transparent = 16 (4bpp)
+    TILE_SIZE: 16,            // Sprite cell size
+    BYTES_PER_TILE: 128,      // 4 bitplanes of 16 words per sprite cell
+    BG_TILE_SIZE: 8,
+    BYTES_PER_BG_TILE: 32,    // 4bpp = 32 bytes per 8x8 BG tile
+    BYTES_PER_PALETTE: 32,    // 16 colors × 2 bytes each
+    COLOR_DEPTH: 3,           // 3 bits per RGB channel
+    BITS_PER_PIXEL: 4,
+    TOTAL_COLORS: 512,        // 8 × 8 × 8 = 512 possible colors
+    SPRITE_PALETTES: 16       // VCE entries 256-511
+  };
+})();
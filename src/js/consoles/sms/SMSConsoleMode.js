@@ -129,8 +129,14 @@
       palette: SMS_PALETTE,
       maxColors: 15,        // 15 colors + transparent (4bpp = 16 total)
       tileSize: 8,          // 8x8 tiles for 4BPP
+      vramBudget: {label: 'Sprite tiles', bytes: 8192, bitsPerPixel: 4, colorBytes: 1},
+      tileFlip: true,       // BG tiles only (sprites cannot flip)
+      spriteFlip: false,    // Sprite tiles are used as they are
+      spriteSizes: ['8x8', '8x16'], // VDP register 1 selects 8x16
+      scanlineLimits: {sprites: 8},
       defaultSize: {width: 8, height: 16},  // Common SMS sprite (8x16)
-      exportTabs: ['sms4bpp'],
+      exportTabs: ['sms4bpp', 'metasprite'],
+      asmDialect: 'wladx',
       themeVariables: {
         '--highlight-color': '#CC0000',
         '--console-accent': '#CC0000',
@@ -28,9 +28,16 @@
       palette: null,          // No fixed palette - uses RGB555 picker
       paletteType: 'rgb555',  // Signals quantized color picker mode
       maxColors: 15,          // 15 colors + transparent (4bpp = 16 total)
+      subPaletteCount: 8,     // 8 OBJ palettes
+      colorRegions: [{name: 'Tile', width: 8, height: 8, maxColors: 15}],
       tileSize: 8,            // 8x8 tiles for 4BPP
+      vramBudget: {label: 'OBJ name tables', bytes: 16384, bitsPerPixel: 4, colorBytes: 2},
+      tileFlip: true,         // OAM attributes have H/V flip bits
+      spriteSizes: ['8x8', '16x16', '32x32'], // OBSEL small/large sizes
+      scanlineLimits: {sprites: 32, pixels: 272}, // 34 sprite tiles per line
       defaultSize: {width: 16, height: 16},  // Common SNES sprite size
-      exportTabs: ['snes4bpp'],
+      exportTabs: ['snes4bpp', 'metasprite', 'subpalettes', 'background'],
+      asmDialect: 'ca65',
       themeVariables: {
         '--highlight-color': '#CC66FF',
         '--console-accent': '#9933CC',
@@ -0,0 +1,229 @@
+/**
+ * ZXSpectrumConsoleMode - Sinclair ZX Spectrum console mode.
+ *
+ * Provides constraints for ZX Spectrum graphics:
+ * - Fixed 15-color palette: 8 colors (0-7) in a normal and a BRIGHT
+ *   version, black being the same in both
+ * - Attribute cells: each 8x8 cell shows 2 colors (ink and paper), both
+ *   from the same BRIGHT half, as the BRIGHT flag applies to the cell
+ * - Screen export (interleaved bitmap + attributes) and linear sprites
+ *   with masks
+ *
+ * Cells breaking the attribute rule are tinted in the editor (see
+ * pskl.utils.ColorRegionUtils) and can be fixed with fixAttributeClash.
+ *
+ * References:
+ * - https://worldofspectrum.org/faq/reference/48kreference.htm
+ */
+(function () {
+  var ns = $.namespace('pskl.consoles');
+
+  /**
+   * ZX Spectrum palette. Index is the 3-bit color code of the attribute
+   * byte, bright the value of the BRIGHT bit (null for black, which looks
+   * the same in both halves).
+   */
+  var ZX_PALETTE_DATA = [
+    {color: '#000000', index: 0, bright: null,  name: 'Black'},
+    {color: '#0000D7', index: 1, bright: false, name: 'Blue'},
+    {color: '#D70000', index: 2, bright: false, name: 'Red'},
+    {color: '#D700D7', index: 3, bright: false, name: 'Magenta'},
+    {color: '#00D700', index: 4, bright: false, name: 'Green'},
+    {color: '#00D7D7', index: 5, bright: false, name: 'Cyan'},
+    {color: '#D7D700', index: 6, bright: false, name: 'Yellow'},
+    {color: '#D7D7D7', index: 7, bright: false, name: 'White'},
+    {color: '#0000FF', index: 1, bright: true,  name: 'Bright Blue'},
+    {color: '#FF0000', index: 2, bright: true,  name: 'Bright Red'},
+    {color: '#FF00FF', index: 3, bright: true,  name: 'Bright Magenta'},
+    {color: '#00FF00', index: 4, bright: true,  name: 'Bright Green'},
+    {color: '#00FFFF', index: 5, bright: true,  name: 'Bright Cyan'},
+    {color: '#FFFF00', index: 6, bright: true,  name: 'Bright Yellow'},
+    {color: '#FFFFFF', index: 7, bright: true,  name: 'Bright White'}
+  ];
+
+  /** Extract just the color values for the palette array. */
+  var ZX_PALETTE = ZX_PALETTE_DATA.map(function (entry) {
+    return entry.color;
+  });
+
+  /** Colors of each BRIGHT half, black included in both. */
+  var NORMAL_COLORS = ZX_PALETTE_DATA.filter(function (entry) {
+    return entry.bright !== true;
+  }).map(function (entry) {
+    return entry.color;
+  });
+  var BRIGHT_COLORS = ZX_PALETTE_DATA.filter(function (entry) {
+    return entry.bright !== false;
+  }).map(function (entry) {
+    return entry.color;
+  });
+
+  /** Map from hex color to palette data entry. */
+  var COLOR_TO_ENTRY = {};
+  ZX_PALETTE_DATA.forEach(function (entry) {
+    COLOR_TO_ENTRY[entry.color.toUpperCase()] = entry;
+  });
+
+  /** @const {number} Attribute cell size in pixels. */
+  var CELL_SIZE = 8;
+
+  /**
+   * @param {number} color - Color integer (ABGR)
+   * @return {Array<number>} [r, g, b]
+   */
+  var toRgb = function (color) {
+    return [color & 0xFF, (color >> 8) & 0xFF, (color >> 16) & 0xFF];
+  };
+
+  /** Squared distance between two [r, g, b] colors. */
+  var distance = function (a, b) {
+    var dr = a[0] - b[0];
+    var dg = a[1] - b[1];
+    var db = a[2] - b[2];
+    return dr * dr + dg * dg + db * db;
+  };
+
+  /**
+   * Picks the 2 colors of one group closest to the pixels, each pixel
+   * counting the distance to the nearest color of the pair.
+   * @param {Array<Object>} pixels - {rgb} per opaque pixel
+   * @param {Array<Array<string>>} groups - Hex colors per group
+   * @return {Array<Object>} Two {color (integer), rgb} entries
+   */
+  var findBestPair = function (pixels, groups) {
+    var best = null;
+    var bestCost = Infinity;
+    groups.forEach(function (group) {
+      var colors = group.map(function (hexColor) {
+        var color = pskl.utils.colorToInt(hexColor);
+        return {color: color, rgb: toRgb(color)};
+      });
+      for (var i = 0; i < colors.length; i++) {
+        for (var j = i; j < colors.length; j++) {
+          var cost = 0;
+          for (var p = 0; p < pixels.length && cost < bestCost; p++) {
+            cost += Math.min(distance(pixels[p].rgb, colors[i].rgb), distance(pixels[p].rgb, colors[j].rgb));
+          }
+          if (cost < bestCost) {
+            bestCost = cost;
+            best = [colors[i], colors[j]];
+          }
+        }
+      }
+    });
+    return best;
+  };
+
+  /**
+   * ZX Spectrum-specific console mode extending base ConsoleMode.
+   */
+  var ZXSpectrumConsoleMode = function () {
+    pskl.consoles.ConsoleMode.call(this, {
+      id: 'zxspectrum',
+      name: 'ZX Spectrum',
+      bodyClass: 'console-zxspectrum',
+      palette: ZX_PALETTE,
+      maxColors: 15,              // Any palette color, limited per attribute cell
+      colorRegions: [{
+        name: 'Attribute cell',
+        width: CELL_SIZE,
+        height: CELL_SIZE,
+        maxColors: 2,             // Ink and paper
+        colorGroups: [NORMAL_COLORS, BRIGHT_COLORS]
+      }],
+      tileSize: CELL_SIZE,
+      defaultSize: {width: 16, height: 16},
+      exportTabs: ['zxspectrum'],
+      asmDialect: 'wladx',        // WLA-DX z80
+      themeVariables: {
+        '--highlight-color': '#D70000',
+        '--console-accent': '#D70000',
+        '--console-accent-text': '#FF6A5C',
+        '--console-accent-dim': '#9A0000',
+        '--console-bg-dark': '#0A0A0A',
+        '--console-bg-medium': '#141414',
+        '--console-bg-light': '#1F1F1F',
+        '--console-border': '#3C3C3C',
+        '--console-text': '#EDEDED'
+      },
+      badgeText: 'ZX'
+    });
+  };
+
+  pskl.utils.inherit(ZXSpectrumConsoleMode, pskl.consoles.ConsoleMode);
+
+  /**
+   * Gets extended palette data with attribute color codes.
+   * @return {Array<Object>} Array of {color, index, bright, name}
+   */
+  ZXSpectrumConsoleMode.prototype.getPaletteData = function () {
+    return ZX_PALETTE_DATA;
+  };
+
+  /**
+   * Gets the palette entry of a color.
+   * @param {string} hexColor - Hex color string (e.g., '#D70000')
+   * @return {Object|null} {color, index, bright, name} or null if not in the
+   *         palette
+   */
+  ZXSpectrumConsoleMode.prototype.getColorEntry = function (hexColor) {
+    return COLOR_TO_ENTRY[hexColor.toUpperCase()] || null;
+  };
+
+  /**
+   * Recolors the attribute cells of a frame breaking the attribute rule:
+   * each cell gets the ink/paper pair of one BRIGHT half closest to its
+   * pixels, every pixel taking the closest color of the pair. Transparent
+   * pixels are kept.
+   * @param {pskl.model.Frame} frame
+   * @return {number} Number of cells fixed
+   */
+  ZXSpectrumConsoleMode.prototype.fixAttributeClash = function (frame) {
+    var constraint = this.colorRegions[0];
+    var width = frame.getWidth();
+    var height = frame.getHeight();
+    var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+    var violations = pskl.utils.ColorRegionUtils.findViolations(frame.getPixels(), width, height, [constraint]);
+
+    violations.forEach(function (cell) {
+      var pixels = [];
+      for (var y = cell.y; y < cell.y + cell.height; y++) {
+        for (var x = cell.x; x < cell.x + cell.width; x++) {
+          var color = frame.getPixel(x, y);
+          if (color !== transparent) {
+            pixels.push({x: x, y: y, rgb: toRgb(color)});
+          }
+        }
+      }
+
+      var pair = findBestPair(pixels, constraint.colorGroups);
+      pixels.forEach(function (pixel) {
+        var useFirst = distance(pixel.rgb, pair[0].rgb) <= distance(pixel.rgb, pair[1].rgb);
+        frame.setPixel(pixel.x, pixel.y, (useFirst ? pair[0] : pair[1]).color);
+      });
+    });
+
+    return violations.length;
+  };
+
+  /**
+   * Creates and returns a new ZX Spectrum console mode instance.
+   * @return {ZXSpectrumConsoleMode}
+   */
+  ns.createZXSpectrumMode = function () {
+    return new ZXSpectrumConsoleMode();
+  };
+
+  // Export constants for use by exporters and other code
+  ns.ZXSpectrumConstants = {
+    PALETTE: ZX_PALETTE,
+    PALETTE_DATA: ZX_PALETTE_DATA,
+    COLOR_TO_ENTRY: COLOR_TO_ENTRY,
+    CELL_SIZE: CELL_SIZE,
+    SCREEN_WIDTH: 256,
+    SCREEN_HEIGHT: 192,
+    BITMAP_BYTES: 6144,       // 192 lines × 32 bytes
+    ATTRIBUTE_BYTES: 768,     // 24 rows × 32 cells
+    SCREEN_BYTES: 6912
+  };
+})();
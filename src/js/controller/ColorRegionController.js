@@ -0,0 +1,122 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  var OVERLAY_COLOR = 'rgba(255, 0, 0, 0.35)';
+
+  /**
+   * Tints the regions of the current frame using more colors than the active
+   * console allows (see ConsoleMode.colorRegions). Checked on every render
+   * while drawing, only the regions containing changed pixels are recounted.
+   */
+  ns.ColorRegionController = function (piskelController, drawingController, container) {
+    this.piskelController = piskelController;
+    this.drawingController = drawingController;
+    this.container = container;
+
+    this.cache = {};
+    this.frameHash = null;
+    this.violations = [];
+    this.redrawFlag = true;
+    this.viewport = '';
+  };
+
+  ns.ColorRegionController.prototype.init = function () {
+    this.overlay = document.createElement('canvas');
+    this.overlay.className = 'color-region-overlay';
+    this.container.appendChild(this.overlay);
+
+    var onRedrawNeeded = this.onRedrawNeeded_.bind(this);
+    $.subscribe(Events.ZOOM_CHANGED, onRedrawNeeded);
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, onRedrawNeeded);
+  };
+
+  ns.ColorRegionController.prototype.onRedrawNeeded_ = function () {
+    this.redrawFlag = true;
+  };
+
+  ns.ColorRegionController.prototype.getConstraints_ = function () {
+    var mode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    return mode ? mode.colorRegions : [];
+  };
+
+  ns.ColorRegionController.prototype.render = function () {
+    var constraints = this.getConstraints_();
+    if (!constraints.length) {
+      if (this.violations.length || this.redrawFlag) {
+        this.violations = [];
+        this.overlay.style.display = 'none';
+        this.redrawFlag = false;
+      }
+      this.frameHash = null;
+      return;
+    }
+
+    var layers = this.piskelController.getLayers();
+    var frameIndex = this.piskelController.getCurrentFrameIndex();
+    var frameHash = pskl.utils.LayerUtils.getFrameHashAt(layers, frameIndex);
+    if (frameHash !== this.frameHash) {
+      this.frameHash = frameHash;
+      this.updateViolations_(layers, frameIndex, constraints);
+    }
+
+    // Panning moves the drawing without any event
+    var renderer = this.drawingController.getRenderer();
+    var offset = renderer.getOffset();
+    var displaySize = renderer.getDisplaySize();
+    var viewport = [offset.x, offset.y, displaySize.width, displaySize.height].join(',');
+    if (viewport !== this.viewport) {
+      this.viewport = viewport;
+      this.redrawFlag = true;
+    }
+
+    if (this.redrawFlag) {
+      this.renderOverlay_();
+      this.redrawFlag = false;
+    }
+  };
+
+  ns.ColorRegionController.prototype.updateViolations_ = function (layers, frameIndex, constraints) {
+    var frames = layers.map(function (layer) {
+      return layer.getFrameAt(frameIndex);
+    });
+    // Merging clones the pixels, which the cache may then keep
+    var pixels = frames.length > 1 ? pskl.utils.FrameUtils.merge(frames).pixels : frames[0].getPixels();
+
+    var violations = pskl.utils.ColorRegionUtils.updateViolations(this.cache, pixels,
+      this.piskelController.getWidth(), this.piskelController.getHeight(), constraints);
+
+    if (violations.length || this.violations.length) {
+      this.redrawFlag = true;
+    }
+    this.violations = violations;
+  };
+
+  ns.ColorRegionController.prototype.renderOverlay_ = function () {
+    if (!this.violations.length) {
+      this.overlay.style.display = 'none';
+      return;
+    }
+
+    var renderer = this.drawingController.getRenderer();
+    var zoom = renderer.getZoom();
+    var zoomX = zoom * renderer.getPixelAspect();
+    var offset = renderer.getOffset();
+    var displaySize = renderer.getDisplaySize();
+    var marginX = Math.max(0, displaySize.width - zoomX * this.piskelController.getWidth()) / 2;
+    var marginY = Math.max(0, displaySize.height - zoom * this.piskelController.getHeight()) / 2;
+
+    this.overlay.width = displaySize.width;
+    this.overlay.height = displaySize.height;
+    this.overlay.style.display = 'block';
+
+    var context = this.overlay.getContext('2d');
+    context.fillStyle = OVERLAY_COLOR;
+    this.violations.forEach(function (region) {
+      context.fillRect(
+        Math.floor(marginX + (region.x - offset.x) * zoomX),
+        Math.floor(marginY + (region.y - offset.y) * zoom),
+        Math.ceil(region.width * zoomX),
+        Math.ceil(region.height * zoom));
+    });
+  };
+})();
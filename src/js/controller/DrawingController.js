@@ -61,6 +61,8 @@
 
     $.subscribe(Events.USER_SETTINGS_CHANGED, this.onUserSettingsChange_.bind(this));
     $.subscribe(Events.FRAME_SIZE_CHANGED, this.onFrameSizeChange_.bind(this));
+    // The pixel aspect of the console changes the space taken by the frame
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, this.onFrameSizeChange_.bind(this));
 
     var shortcuts = pskl.service.keyboard.Shortcuts;
     pskl.app.shortcutService.registerShortcut(shortcuts.MISC.RESET_ZOOM, this.resetZoom_.bind(this));
@@ -304,7 +306,8 @@
     }
 
     var off = this.getOffset();
-    var oldWidth = this.getContainerWidth_() / this.renderer.getZoom();
+    var aspect = this.renderer.getPixelAspect();
+    var oldWidth = this.getContainerWidth_() / (this.renderer.getZoom() * aspect);
     var oldHeight = this.getContainerHeight_() / this.renderer.getZoom();
 
     var step = zoomMultiplier * this.getZoomStep_();
@@ -313,7 +316,7 @@
     if (typeof centerCoords === 'object') {
       var xRatio = (centerCoords.x - off.x) / oldWidth;
       var yRatio = (centerCoords.y - off.y) / oldHeight;
-      var newWidth = this.getContainerWidth_() / this.renderer.getZoom();
+      var newWidth = this.getContainerWidth_() / (this.renderer.getZoom() * aspect);
       var newHeight = this.getContainerHeight_() / this.renderer.getZoom();
       this.setOffset(
         off.x - ((newWidth - oldWidth) * xRatio),
@@ -448,7 +451,7 @@
    */
   ns.DrawingController.prototype.calculateZoom_ = function () {
     var frameHeight = this.piskelController.getCurrentFrame().getHeight();
-    var frameWidth = this.piskelController.getCurrentFrame().getWidth();
+    var frameWidth = this.piskelController.getCurrentFrame().getWidth() * this.renderer.getPixelAspect();
 
     return Math.min(this.getAvailableWidth_() / frameWidth, this.getAvailableHeight_() / frameHeight);
   };
@@ -143,7 +143,7 @@
       }
 
       // Check if any tile is updated
-      var hash = this.piskelController.getCurrentLayer().getFrameAt(i).getHash();
+      var hash = this.getTileHash_(this.piskelController.getCurrentLayer().getFrameAt(i));
       if (this.tiles[i].getAttribute('data-tile-hash') !== hash) {
         if (this.tiles[i].querySelector('canvas')) {
           this.tiles[i].querySelector('.canvas-container').replaceChild(
@@ -249,7 +249,7 @@
 
     var previewTileRoot = document.createElement('li');
     previewTileRoot.setAttribute('data-tile-number', tileNumber);
-    previewTileRoot.setAttribute('data-tile-hash', currentFrame.getHash());
+    previewTileRoot.setAttribute('data-tile-hash', this.getTileHash_(currentFrame));
     previewTileRoot.setAttribute('data-tile-action', ACTION.SELECT);
     previewTileRoot.classList.add('preview-tile');
     if (this.piskelController.getCurrentFrame() == currentFrame) {
@@ -314,13 +314,23 @@
   };
 
   ns.FramesListController.prototype.getCanvasForFrame = function (frame) {
-    var canvas = this.cachedFrameProcessor.get(frame, this.zoom);
+    var namespace = this.zoom + '-' + pskl.utils.DisplayColorUtils.getKey();
+    var canvas = this.cachedFrameProcessor.get(frame, namespace);
     return canvas;
   };
 
+  /**
+   * Tiles are rendered again when their frame or the display colors change.
+   * @private
+   */
+  ns.FramesListController.prototype.getTileHash_ = function (frame) {
+    return frame.getHash() + '-' + pskl.utils.DisplayColorUtils.getKey();
+  };
+
   ns.FramesListController.prototype.frameToPreviewCanvas_ = function (frame) {
     var canvasRenderer = new pskl.rendering.CanvasRenderer(frame, this.zoom);
     canvasRenderer.drawTransparentAs(Constants.TRANSPARENT_COLOR);
+    canvasRenderer.useDisplayColors();
     var canvas = canvasRenderer.render();
     canvas.classList.add('tile-view', 'canvas');
     return canvas;
@@ -74,7 +74,8 @@
     var ratio = drawingAreaZoom / animatedPreviewZoom;
 
     var displaySize = this.drawingController.getRenderer().getDisplaySize();
-    var minimapWidth  = displaySize.width / ratio;
+    // Pixels of the drawing area can be wider than high, not in the preview
+    var minimapWidth  = displaySize.width / (ratio * this.drawingController.getRenderer().getPixelAspect());
     var minimapHeight = displaySize.height / ratio;
 
     return {
@@ -141,7 +142,7 @@
   ns.MinimapController.prototype.getHorizontalRatio_ = function () {
     var drawingAreaZoom = this.drawingController.getRenderer().getZoom();
     var frame = this.piskelController.getCurrentFrame();
-    var frameTotalWidth = frame.getWidth() * drawingAreaZoom;
+    var frameTotalWidth = frame.getWidth() * drawingAreaZoom * this.drawingController.getRenderer().getPixelAspect();
     var frameDisplayWidth = this.drawingController.getRenderer().getDisplaySize().width;
 
     return frameTotalWidth / frameDisplayWidth;
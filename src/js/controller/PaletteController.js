@@ -105,18 +105,29 @@
     return mode && mode.paletteType === 'rgb333';
   };
 
+  /**
+   * Checks if the active console mode uses Neo Geo (RGB555 + dark bit)
+   * color snapping.
+   * @return {boolean}
+   * @private
+   */
+  ns.PaletteController.prototype.isNeoGeoMode_ = function () {
+    var mode = this.getActiveConsoleMode_();
+    return mode && mode.paletteType === 'neogeo';
+  };
+
   /**
    * Checks if the active console mode uses any quantized color space.
    * @return {boolean}
    * @private
    */
   ns.PaletteController.prototype.isQuantizedColorMode_ = function () {
-    return this.isRGB555Mode_() || this.isRGB333Mode_();
+    return this.isRGB555Mode_() || this.isRGB333Mode_() || this.isNeoGeoMode_();
   };
 
   /**
    * Snaps a color to the active console mode's color space.
-   * Handles RGB555 (GBC/SNES) and RGB333 (Genesis).
+   * Handles RGB555 (GBC/SNES), RGB333 (Genesis) and Neo Geo colors.
    * @param {string} color - Hex color string
    * @return {string} Snapped color (or original if not quantized mode)
    * @private
@@ -134,6 +145,9 @@
     if (mode && mode.paletteType === 'rgb333' && mode.snapColorToRGB333) {
       return mode.snapColorToRGB333(color);
     }
+    if (mode && mode.paletteType === 'neogeo' && mode.snapColorToNeoGeo) {
+      return mode.snapColorToNeoGeo(color);
+    }
     return color;
   };
 
@@ -359,6 +373,22 @@
     return 'R:' + r3 + ' G:' + g3 + ' B:' + b3;
   };
 
+  /**
+   * Gets Neo Geo info string for a color.
+   * @param {string} color - Hex color string
+   * @return {string} Neo Geo info (e.g., "R:31 G:20 B:9 D:1")
+   * @private
+   */
+  ns.PaletteController.prototype.getNeoGeoInfo_ = function (color) {
+    var mode = this.getActiveConsoleMode_();
+    var levels = mode && mode.getNeoGeoLevels ? mode.getNeoGeoLevels(color) : null;
+    if (!levels) {
+      return '';
+    }
+
+    return 'R:' + levels.r + ' G:' + levels.g + ' B:' + levels.b + ' D:' + levels.dark;
+  };
+
   /**
    * Gets quantized color info string based on active mode.
    * @param {string} color - Hex color string
@@ -372,6 +402,9 @@
     if (this.isRGB333Mode_()) {
       return this.getRGB333Info_(color);
     }
+    if (this.isNeoGeoMode_()) {
+      return this.getNeoGeoInfo_(color);
+    }
     return '';
   };
 
@@ -394,6 +427,9 @@
       // Show notification if color was snapped
       if (this.isQuantizedColorMode_() && originalColor !== color) {
         var modeName = this.isRGB555Mode_() ? 'RGB555' : 'RGB333';
+        if (this.isNeoGeoMode_()) {
+          modeName = 'Neo Geo palette';
+        }
         $.publish(Events.SHOW_NOTIFICATION, [{
           content: 'Color snapped to ' + modeName + ': ' + color.toUpperCase(),
           hideDelay: 2000
@@ -475,8 +511,10 @@
     color, isPrimary
   ) {
     // Check for console mode restrictions
+    // With sub-palettes, the limit is the sum of the sub-palette sizes
     var consoleMode = this.getActiveConsoleMode_();
-    var maxColors = consoleMode ? consoleMode.maxColors : null;
+    var maxColors = consoleMode ?
+      consoleMode.getColorLimit(pskl.app.piskelController.getPiskel().getSubPalettes()) : null;
 
     // No restrictions if no max colors defined
     if (!maxColors) {
@@ -565,8 +603,10 @@
   };
 
   /**
-   * Replaces all pixels of oldColor with newColor across all layers/frames.
-   * Saves state for undo/redo.
+   * Replaces all pixels of oldColor with newColor across all layers/frames,
+   * newColor keeping the palette index of oldColor. Saves state for undo/redo.
+   * Indexed piskels only change the color of the palette entry, unless
+   * newColor already has an index.
    * @param {string} oldColor - Hex color to replace
    * @param {string} newColor - Hex color to use as replacement
    * @private
@@ -578,19 +618,23 @@
     var newColorInt = pskl.utils.colorToInt(newColor);
 
     var piskelController = pskl.app.piskelController;
-    var layers = piskelController.getLayers();
-
-    // Replace color in all layers and frames
-    layers.forEach(function (layer) {
-      var frames = layer.getFrames();
-      frames.forEach(function (frame) {
-        frame.forEachPixel(function (color, col, row) {
-          if (color !== null && color === oldColorInt) {
-            frame.setPixel(col, row, newColorInt);
-          }
+    var piskel = piskelController.getPiskel();
+    var palette = piskel.getPalette();
+    var paletteIndex = palette ? palette.getIndex(oldColorInt) : -1;
+
+    if (paletteIndex < 1 || !piskel.setPaletteColor(paletteIndex, newColor)) {
+      // Replace color in all layers and frames
+      piskelController.getLayers().forEach(function (layer) {
+        var frames = layer.getFrames();
+        frames.forEach(function (frame) {
+          frame.forEachPixel(function (color, col, row) {
+            if (color !== null && color === oldColorInt) {
+              frame.setPixel(col, row, newColorInt);
+            }
+          });
         });
       });
-    });
+    }
 
     // Save state for undo
     $.publish(Events.PISKEL_SAVE_STATE, [{
@@ -598,6 +642,12 @@
       action: 'Color replacement'
     }]);
 
+    // The new color takes the palette index of the replaced one
+    if (!palette) {
+      piskel.setPaletteOrder(pskl.utils.PaletteOrderUtils.replaceColor(
+        piskel.getPaletteOrder(), oldColor, newColor));
+    }
+
     // Synchronously update current colors list to avoid async race conditions
     // (the async updateCurrentColors would cause stale data on rapid changes)
     this.syncUpdateCurrentColors_(oldColor, newColor);
@@ -15,6 +15,9 @@
     this.colorListContainer_ = document.querySelector('.palettes-list-colors');
     this.colorPaletteSelect_ = document.querySelector('.palettes-list-select');
     this.colorLimitBadge_ = document.querySelector('.color-limit-badge');
+    if (this.colorLimitBadge_) {
+      this.colorLimitBadge_.addEventListener('click', this.onColorLimitBadgeClick_.bind(this));
+    }
 
     var createPaletteButton_ = document.querySelector('.create-palette-button');
     var editPaletteButton_ = document.querySelector('.edit-palette-button');
@@ -31,7 +34,9 @@
     $.subscribe(Events.PRIMARY_COLOR_SELECTED, this.highlightSelectedColors.bind(this));
     $.subscribe(Events.SECONDARY_COLOR_SELECTED, this.highlightSelectedColors.bind(this));
     $.subscribe(Events.USER_SETTINGS_CHANGED, this.onUserSettingsChange_.bind(this));
-    $.subscribe(Events.CONSOLE_MODE_CHANGED, this.updateColorLimitBadge_.bind(this));
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, this.onCurrentColorsUpdated_.bind(this));
+    $.subscribe(Events.PALETTE_ORDER_UPDATED, this.onCurrentColorsUpdated_.bind(this));
+    $.subscribe(Events.SUB_PALETTES_UPDATED, this.updateColorLimitBadge_.bind(this));
 
     var shortcuts = pskl.service.keyboard.Shortcuts;
     pskl.app.shortcutService.registerShortcut(shortcuts.COLOR.PREVIOUS_COLOR, this.selectPreviousColor_.bind(this));
@@ -45,7 +50,7 @@
   };
 
   /**
-   * Handles current colors update - refreshes list and badge.
+   * Handles current colors and palette order updates - refreshes list and badge.
    * @private
    */
   ns.PalettesListController.prototype.onCurrentColorsUpdated_ = function () {
@@ -73,7 +78,8 @@
     // Get console mode
     var consoleMode = pskl.app.consoleRegistry ?
       pskl.app.consoleRegistry.getActive() : null;
-    var maxColors = consoleMode ? consoleMode.maxColors : null;
+    var maxColors = consoleMode ?
+      consoleMode.getColorLimit(pskl.app.piskelController.getPiskel().getSubPalettes()) : null;
 
     // Hide badge if no color limit
     if (!maxColors) {
@@ -230,6 +236,12 @@
     });
   };
 
+  ns.PalettesListController.prototype.onColorLimitBadgeClick_ = function (evt) {
+    $.publish(Events.DIALOG_SHOW, {
+      dialogId : 'palette-order'
+    });
+  };
+
   ns.PalettesListController.prototype.onEditPaletteClick_ = function (evt) {
     var paletteId = this.colorPaletteSelect_.value;
     $.publish(Events.DIALOG_SHOW, {
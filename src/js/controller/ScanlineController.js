@@ -0,0 +1,177 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  var HEAT_BAR_WIDTH = 8;
+  var HEAT_BAR_SPACING = 2;
+
+  // Frames are analyzed at most once per interval while drawing
+  var ANALYSIS_INTERVAL = 300;
+
+  /**
+   * Draws the sprites per scanline load of the current frame in a heat bar
+   * left of the drawing area, and lists the frames where the active console
+   * would drop sprites (see ConsoleMode.scanlineLimits).
+   */
+  ns.ScanlineController = function (piskelController, drawingController, container) {
+    this.piskelController = piskelController;
+    this.drawingController = drawingController;
+    this.container = container;
+
+    this.redrawFlag = true;
+    this.frameIndex = -1;
+    this.viewport = '';
+  };
+
+  ns.ScanlineController.prototype.init = function () {
+    this.heatBar = document.createElement('canvas');
+    this.heatBar.className = 'scanline-heat-bar';
+    this.heatBar.width = HEAT_BAR_WIDTH;
+    this.container.appendChild(this.heatBar);
+
+    this.warningEl = document.createElement('div');
+    this.warningEl.className = 'scanline-warning';
+    this.container.appendChild(this.warningEl);
+
+    this.updateOverflowFrames_ = pskl.utils.FunctionUtils.throttle(
+      this.updateOverflowFrames_.bind(this), ANALYSIS_INTERVAL);
+
+    var onContentChanged = this.onContentChanged_.bind(this);
+    $.subscribe(Events.HISTORY_STATE_SAVED, onContentChanged);
+    $.subscribe(Events.HISTORY_STATE_LOADED, onContentChanged);
+    $.subscribe(Events.PISKEL_RESET, onContentChanged);
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, onContentChanged);
+    $.subscribe(Events.ZOOM_CHANGED, this.onZoomChanged_.bind(this));
+  };
+
+  ns.ScanlineController.prototype.onContentChanged_ = function () {
+    this.redrawFlag = true;
+    this.updateOverflowFrames_();
+  };
+
+  ns.ScanlineController.prototype.onZoomChanged_ = function () {
+    this.redrawFlag = true;
+  };
+
+  ns.ScanlineController.prototype.render = function () {
+    var frameIndex = this.piskelController.getCurrentFrameIndex();
+    if (frameIndex !== this.frameIndex) {
+      this.frameIndex = frameIndex;
+      this.redrawFlag = true;
+    }
+
+    // Panning moves the drawing without any event
+    var renderer = this.drawingController.getRenderer();
+    var offset = renderer.getOffset();
+    var displaySize = renderer.getDisplaySize();
+    var viewport = [offset.x, offset.y, displaySize.width, displaySize.height].join(',');
+    if (viewport !== this.viewport) {
+      this.viewport = viewport;
+      this.redrawFlag = true;
+    }
+
+    if (this.redrawFlag) {
+      this.renderHeatBar_();
+      this.redrawFlag = false;
+    }
+  };
+
+  /**
+   * @return {Object|null} {limits, spriteSize} for the active console, null
+   *         when the console has no scanline limit.
+   */
+  ns.ScanlineController.prototype.getAnalysis_ = function () {
+    var mode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    if (!mode || !mode.scanlineLimits) {
+      return null;
+    }
+
+    var spriteSize = pskl.utils.ScanlineUtils.getSpriteSize(mode,
+      this.piskelController.getWidth(), this.piskelController.getHeight());
+    if (!spriteSize) {
+      return null;
+    }
+
+    return {
+      limits : mode.scanlineLimits,
+      spriteSize : spriteSize
+    };
+  };
+
+  ns.ScanlineController.prototype.renderHeatBar_ = function () {
+    var analysis = this.getAnalysis_();
+    if (!analysis) {
+      this.heatBar.style.display = 'none';
+      this.warningEl.style.display = 'none';
+      return;
+    }
+
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var frame = this.piskelController.renderFrameAt(this.frameIndex, true);
+    var pixels = frame.getContext('2d').getImageData(0, 0, width, height).data;
+    var counts = pskl.utils.ScanlineUtils.countScanlines(pixels, width, height, analysis.spriteSize);
+
+    // Map frame lines to the drawing area, the frame being centered when
+    // smaller than the display
+    var renderer = this.drawingController.getRenderer();
+    var zoom = renderer.getZoom();
+    var offset = renderer.getOffset();
+    var displaySize = renderer.getDisplaySize();
+    var marginX = Math.max(0, displaySize.width - zoom * renderer.getPixelAspect() * width) / 2;
+    var marginY = Math.max(0, displaySize.height - zoom * height) / 2;
+
+    this.heatBar.height = displaySize.height;
+    this.heatBar.style.display = 'block';
+    this.heatBar.style.left = Math.max(0, marginX - HEAT_BAR_WIDTH - HEAT_BAR_SPACING) + 'px';
+
+    var context = this.heatBar.getContext('2d');
+    context.clearRect(0, 0, HEAT_BAR_WIDTH, displaySize.height);
+    for (var line = 0; line < height; line++) {
+      if (!counts.sprites[line]) {
+        continue;
+      }
+      var top = marginY + (line - offset.y) * zoom;
+      if (top + zoom < 0 || top > displaySize.height) {
+        continue;
+      }
+      context.fillStyle = this.getLoadColor_(pskl.utils.ScanlineUtils.getLoad(counts, analysis.limits, line));
+      context.fillRect(0, Math.floor(top), HEAT_BAR_WIDTH, Math.ceil(zoom));
+    }
+  };
+
+  /**
+   * Green for a single sprite, yellow at the limit, red when sprites are
+   * dropped.
+   */
+  ns.ScanlineController.prototype.getLoadColor_ = function (load) {
+    if (load > 1) {
+      return 'hsl(0, 100%, 50%)';
+    }
+    return 'hsl(' + Math.round(120 - 60 * load) + ', 100%, 45%)';
+  };
+
+  ns.ScanlineController.prototype.updateOverflowFrames_ = function () {
+    var analysis = this.getAnalysis_();
+    var overflowFrames = [];
+    if (analysis) {
+      overflowFrames = pskl.utils.ScanlineUtils.getOverflowFrames(
+        pskl.utils.TileUtils.getFramesPixels(this.piskelController),
+        this.piskelController.getWidth(),
+        this.piskelController.getHeight(),
+        analysis.spriteSize,
+        analysis.limits);
+    }
+
+    if (overflowFrames.length) {
+      var frameNumbers = overflowFrames.map(function (index) {
+        return index + 1;
+      });
+      this.warningEl.textContent = 'Sprites dropped on frame' +
+        (frameNumbers.length > 1 ? 's ' : ' ') + frameNumbers.join(', ') +
+        ' (' + analysis.limits.sprites + ' per scanline)';
+      this.warningEl.style.display = 'block';
+    } else {
+      this.warningEl.style.display = 'none';
+    }
+  };
+})();
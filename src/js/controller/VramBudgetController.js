@@ -0,0 +1,103 @@
+(function () {
+  var ns = $.namespace('pskl.controller');
+
+  // Usage is recomputed at most once per interval while drawing
+  var UPDATE_INTERVAL = 500;
+
+  // Meters turn yellow above this ratio of the budget
+  var WARNING_RATIO = 0.9;
+
+  /**
+   * Shows the tiles and palette slots used by the sprite against the budget
+   * of the active console (see ConsoleMode.vramBudget), and the size of each
+   * export.
+   */
+  ns.VramBudgetController = function (piskelController, currentColorsService) {
+    this.piskelController = piskelController;
+    this.currentColorsService = currentColorsService;
+  };
+
+  ns.VramBudgetController.prototype.init = function () {
+    this.container = document.querySelector('.vram-budget-container');
+    this.tilesMeter = this.container.querySelector('.vram-budget-tiles');
+    this.paletteMeter = this.container.querySelector('.vram-budget-palette');
+    this.sizesList = this.container.querySelector('.vram-budget-sizes');
+    this.budgetInput = this.container.querySelector('.vram-budget-input');
+    this.sizeTemplate = pskl.utils.Template.get('vram-budget-size-template');
+
+    this.budgetInput.addEventListener('change', this.onBudgetInputChange_.bind(this));
+
+    var update = pskl.utils.FunctionUtils.throttle(this.update_.bind(this), UPDATE_INTERVAL);
+    $.subscribe(Events.HISTORY_STATE_SAVED, update);
+    $.subscribe(Events.HISTORY_STATE_LOADED, update);
+    $.subscribe(Events.PISKEL_RESET, update);
+    $.subscribe(Events.FRAME_SIZE_CHANGED, update);
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, update);
+    $.subscribe(Events.CURRENT_COLORS_UPDATED, update);
+    $.subscribe(Events.VRAM_BUDGET_UPDATED, update);
+
+    this.update_();
+  };
+
+  ns.VramBudgetController.prototype.getMode_ = function () {
+    return pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+  };
+
+  ns.VramBudgetController.prototype.onBudgetInputChange_ = function () {
+    var bytes = parseInt(this.budgetInput.value, 10);
+    this.piskelController.getPiskel().setVramBudget(bytes > 0 ? bytes : null);
+  };
+
+  ns.VramBudgetController.prototype.update_ = function () {
+    var mode = this.getMode_();
+    if (!pskl.utils.VramBudgetUtils.isSupported(mode)) {
+      this.container.style.display = 'none';
+      return;
+    }
+    this.container.style.display = '';
+
+    var projectBytes = this.piskelController.getPiskel().getVramBudget();
+    var budget = pskl.utils.VramBudgetUtils.getBudget(mode, projectBytes);
+    var usage = pskl.utils.VramBudgetUtils.getUsage(mode,
+      pskl.utils.TileUtils.getFramesPixels(this.piskelController),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      this.currentColorsService.getCurrentColors().length);
+
+    this.updateMeter_(this.tilesMeter, budget.label,
+      usage.uniqueTiles + ' / ' + budget.tiles + ' tiles', usage.uniqueTiles / budget.tiles);
+
+    this.paletteMeter.style.display = usage.paletteSlots ? '' : 'none';
+    if (usage.paletteSlots) {
+      this.updateMeter_(this.paletteMeter, null,
+        usage.colors + ' / ' + usage.paletteSlots, usage.colors / usage.paletteSlots);
+    }
+
+    this.sizesList.innerHTML = usage.sizes.map(function (size) {
+      return pskl.utils.Template.replace(this.sizeTemplate, {
+        name : size.name,
+        size : pskl.utils.VramBudgetUtils.formatBytes(size.bytes)
+      });
+    }.bind(this)).join('');
+
+    this.budgetInput.placeholder = mode.vramBudget.bytes;
+    this.budgetInput.value = projectBytes || '';
+  };
+
+  /**
+   * @param {Element} meter - Meter element
+   * @param {string|null} name - Meter name, null to keep the current one
+   * @param {string} value - Usage text
+   * @param {number} ratio - Used part of the budget
+   * @private
+   */
+  ns.VramBudgetController.prototype.updateMeter_ = function (meter, name, value, ratio) {
+    if (name !== null) {
+      meter.querySelector('.vram-budget-name').textContent = name;
+    }
+    meter.querySelector('.vram-budget-value').textContent = value;
+    meter.querySelector('.vram-budget-bar-fill').style.width = Math.min(100, ratio * 100) + '%';
+    meter.classList.toggle('vram-budget-over', ratio > 1);
+    meter.classList.toggle('vram-budget-warning', ratio > WARNING_RATIO && ratio <= 1);
+  };
+})();
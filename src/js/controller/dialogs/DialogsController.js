@@ -33,6 +33,10 @@
     'replace-color' : {
       template : 'templates/dialogs/replace-color.html',
       controller : ns.ReplaceColorController
+    },
+    'palette-order' : {
+      template : 'templates/dialogs/palette-order.html',
+      controller : ns.PaletteOrderController
     }
   };
 
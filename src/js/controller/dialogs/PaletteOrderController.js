@@ -0,0 +1,119 @@
+/**
+ * PaletteOrderController - Dialog for editing the palette index order.
+ *
+ * Lists the project colors by palette index (see pskl.utils.PaletteOrderUtils)
+ * and lets the user move them to another index. Index 0 is pinned to
+ * transparent. Changes are applied to the piskel immediately.
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.dialogs');
+
+  /**
+   * @param {Object} piskelController - The piskel controller instance
+   */
+  ns.PaletteOrderController = function (piskelController) {
+    this.piskelController = piskelController;
+  };
+
+  pskl.utils.inherit(ns.PaletteOrderController, ns.AbstractDialogController);
+
+  ns.PaletteOrderController.prototype.init = function () {
+    this.superclass.init.call(this);
+
+    this.list = document.querySelector('.palette-order-list');
+    this.addEventListener(this.list, 'click', this.onListClick_);
+
+    var removeUnusedBtn = document.querySelector('.palette-order-remove-unused');
+    var closeBtn = document.querySelector('.palette-order-close');
+    this.addEventListener(removeUnusedBtn, 'click', this.onRemoveUnusedClick_);
+    this.addEventListener(closeBtn, 'click', this.closeDialog);
+
+    this.populateList_();
+  };
+
+  /**
+   * Gets the palette order, including used colors without an index yet.
+   * @return {Array<string>}
+   * @private
+   */
+  ns.PaletteOrderController.prototype.getPaletteOrder_ = function () {
+    return pskl.app.currentColorsService.getIndexedColors();
+  };
+
+  /**
+   * Fills the list with one row per palette index.
+   * @private
+   */
+  ns.PaletteOrderController.prototype.populateList_ = function () {
+    var consoleMode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    var piskel = this.piskelController.getPiskel();
+    var maxColors = consoleMode ? consoleMode.getColorLimit(piskel.getSubPalettes()) : null;
+    var usedColors = pskl.app.currentColorsService.getCurrentColors().map(
+      pskl.utils.PaletteOrderUtils.normalize);
+    var colors = this.getPaletteOrder_();
+
+    var html = '<li class="palette-order-slot transparent">' +
+      '<span class="palette-order-index">0</span>' +
+      '<span class="palette-order-swatch"></span>' +
+      '<span class="palette-order-hex">Transparent</span>' +
+      '</li>';
+
+    html += colors.map(function (color, i) {
+      var isUsed = usedColors.indexOf(color) !== -1;
+      var isOverLimit = maxColors && i >= maxColors;
+      var tag = isOverLimit ? 'over limit' : (isUsed ? '' : 'unused');
+      return '<li class="palette-order-slot' + (isOverLimit ? ' over-limit' : '') + '">' +
+        '<span class="palette-order-index">' + (i + 1) + '</span>' +
+        '<span class="palette-order-swatch" style="background:' + color + '"></span>' +
+        '<span class="palette-order-hex">' + color + '</span>' +
+        '<span class="palette-order-tag">' + tag + '</span>' +
+        '<button type="button" class="button" data-action="up" data-index="' + i + '"' +
+        (i === 0 ? ' disabled' : '') + '>&#9650;</button>' +
+        '<button type="button" class="button" data-action="down" data-index="' + i + '"' +
+        (i === colors.length - 1 ? ' disabled' : '') + '>&#9660;</button>' +
+        '</li>';
+    }).join('');
+
+    this.list.innerHTML = html;
+  };
+
+  /**
+   * Handles clicks on the move up / move down buttons.
+   * @param {Event} evt
+   * @private
+   */
+  ns.PaletteOrderController.prototype.onListClick_ = function (evt) {
+    var action = evt.target.dataset.action;
+    if (!action) {
+      return;
+    }
+
+    var index = parseInt(evt.target.dataset.index, 10);
+    var target = action === 'up' ? index - 1 : index + 1;
+    this.setPaletteOrder_(pskl.utils.PaletteOrderUtils.moveColor(
+      this.getPaletteOrder_(), index, target));
+  };
+
+  /**
+   * Frees the indexes of colors no longer used by the sprite.
+   * @private
+   */
+  ns.PaletteOrderController.prototype.onRemoveUnusedClick_ = function () {
+    this.setPaletteOrder_(pskl.utils.PaletteOrderUtils.removeUnusedColors(
+      this.getPaletteOrder_(), pskl.app.currentColorsService.getCurrentColors()));
+  };
+
+  /**
+   * @param {Array<string>} paletteOrder
+   * @private
+   */
+  ns.PaletteOrderController.prototype.setPaletteOrder_ = function (paletteOrder) {
+    this.piskelController.getPiskel().setPaletteOrder(paletteOrder);
+    this.populateList_();
+  };
+
+  ns.PaletteOrderController.prototype.destroy = function () {
+    this.superclass.destroy.call(this);
+    this.list = null;
+  };
+})();
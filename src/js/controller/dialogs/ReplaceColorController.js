@@ -40,7 +40,8 @@
     // Get console mode info
     var consoleMode = pskl.app.consoleRegistry ?
       pskl.app.consoleRegistry.getActive() : null;
-    var maxColors = consoleMode ? consoleMode.maxColors : 3;
+    var maxColors = consoleMode ?
+      consoleMode.getColorLimit(pskl.app.piskelController.getPiskel().getSubPalettes()) : 3;
     var consoleName = consoleMode ? consoleMode.name : 'Console';
 
     // Update dialog title
@@ -6,6 +6,10 @@
       controller : ns.steps.ImageImport,
       template : 'import-image-import'
     },
+    'TILE_IMPORT' : {
+      controller : ns.steps.TileImport,
+      template : 'import-tile-import'
+    },
     'ADJUST_SIZE' : {
       controller : ns.steps.AdjustSize,
       template : 'import-adjust-size'
@@ -31,7 +35,8 @@
       origin: null,
       resize: null,
       insertIndex: null,
-      insertMode: null
+      insertMode: null,
+      consoleModeId: null
     };
   };
 
@@ -51,6 +56,8 @@
 
     if (this.hasSingleImage_()) {
       this.wizard.goTo('IMAGE_IMPORT');
+    } else if (this.hasSingleTileFile_()) {
+      this.wizard.goTo('TILE_IMPORT');
     } else if (this.hasSinglePiskelFile_()) {
       // If a piskel file was provided we can directly go to
       pskl.utils.PiskelFileUtils.loadFromFile(this.mergeData.rawFiles[0],
@@ -66,7 +73,7 @@
         }.bind(this)
       );
     } else {
-      console.error('Unsupported import. Only single piskel or single image are supported at the moment.');
+      console.error('Unsupported import. Only single piskel, image or console tile files are supported at the moment.');
       this.closeDialog();
     }
   };
@@ -79,7 +86,7 @@
   ns.ImportWizard.prototype.next = function () {
     var step = this.wizard.getCurrentStep();
 
-    if (step.name === 'IMAGE_IMPORT') {
+    if (step.name === 'IMAGE_IMPORT' || step.name === 'TILE_IMPORT') {
       if (this.piskelController.isEmpty()) {
         // If the current sprite is empty finalize immediately and replace the current sprite.
         this.mergeData.importMode = ns.steps.SelectMode.MODES.REPLACE;
@@ -115,14 +122,18 @@
 
   ns.ImportWizard.prototype.createSteps_ = function () {
     // The IMAGE_IMPORT step is used only if there is a single image file
-    // being imported.
+    // being imported, the TILE_IMPORT step only for a single tile binary.
     var hasSingleImage = this.hasSingleImage_();
+    var hasSingleTileFile = this.hasSingleTileFile_();
 
     var steps = {};
     Object.keys(stepDefinitions).forEach(function (stepName) {
       if (stepName === 'IMAGE_IMPORT' && !hasSingleImage) {
         return;
       }
+      if (stepName === 'TILE_IMPORT' && !hasSingleTileFile) {
+        return;
+      }
 
       var definition = stepDefinitions[stepName];
       var el = pskl.utils.Template.getAsHTML(definition.template);
@@ -137,6 +148,8 @@
 
     if (hasSingleImage) {
       steps.IMAGE_IMPORT.el.classList.add('import-first-step');
+    } else if (hasSingleTileFile) {
+      steps.TILE_IMPORT.el.classList.add('import-first-step');
     } else {
       steps.SELECT_MODE.el.classList.add('import-first-step');
     }
@@ -151,6 +164,10 @@
     if (mode === ns.steps.SelectMode.MODES.REPLACE) {
       // Replace the current piskel and close the dialog.
       if (window.confirm(Constants.CONFIRM_OVERWRITE)) {
+        if (this.mergeData.consoleModeId) {
+          // Console tiles replace the sprite in the console mode they were made for.
+          pskl.UserSettings.set(pskl.UserSettings.CONSOLE_MODE, this.mergeData.consoleModeId);
+        }
         this.piskelController.setPiskel(piskel);
         this.closeDialog();
       }
@@ -191,6 +208,15 @@
     return file.type.indexOf('image') === 0;
   };
 
+  ns.ImportWizard.prototype.hasSingleTileFile_ = function () {
+    if (this.mergeData.rawFiles.length !== 1) {
+      return false;
+    }
+
+    var file = this.mergeData.rawFiles[0];
+    return pskl.utils.TileImportUtils.isTileFile(file.name);
+  };
+
   ns.ImportWizard.prototype.hasSinglePiskelFile_ = function () {
     if (this.mergeData.rawFiles.length !== 1) {
       return false;
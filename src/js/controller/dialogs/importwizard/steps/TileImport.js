@@ -0,0 +1,195 @@
+(function () {
+  var ns = $.namespace('pskl.controller.dialogs.importwizard.steps');
+
+  /** @const {number} Default frame width in tiles. */
+  var DEFAULT_TILES_PER_ROW = 16;
+
+  ns.TileImport = function (piskelController, importController, container) {
+    this.superclass.constructor.apply(this, arguments);
+    this.file_ = null;
+    this.data_ = null;
+    this.palettes_ = null;
+  };
+
+  pskl.utils.inherit(ns.TileImport, ns.AbstractImportStep);
+
+  ns.TileImport.prototype.init = function () {
+    this.superclass.init.call(this);
+
+    // This step is only used if rawFiles contains a single tile binary.
+    this.file_ = this.mergeData.rawFiles[0];
+
+    this.importPreview = this.container.querySelector('.import-tile-preview');
+    this.fileNameContainer = this.container.querySelector('.import-tile-file-name');
+    this.paletteNameContainer = this.container.querySelector('.import-tile-palette-name');
+    this.infoContainer = this.container.querySelector('.import-tile-info');
+
+    this.formatSelect = this.container.querySelector('[name=tile-format]');
+    this.paletteIndexSelect = this.container.querySelector('[name=tile-palette-index]');
+    this.paletteInput = this.container.querySelector('[name=tile-palette-input]');
+    this.paletteButton = this.container.querySelector('.import-tile-palette-button');
+    this.tilesPerRow = this.container.querySelector('[name=tiles-per-row]');
+    this.frameRows = this.container.querySelector('[name=frame-rows]');
+
+    this.populateFormats_();
+
+    this.addEventListener(this.formatSelect, 'change', this.onFormatChange_);
+    this.addEventListener(this.paletteIndexSelect, 'change', this.updatePreview_);
+    this.addEventListener(this.paletteButton, 'click', this.onPaletteButtonClick_);
+    this.addEventListener(this.paletteInput, 'change', this.onPaletteInputChange_);
+    this.addEventListener(this.tilesPerRow, 'keyup', this.updatePreview_);
+    this.addEventListener(this.frameRows, 'keyup', this.updatePreview_);
+
+    var fileName = this.file_.name;
+    this.fileNameContainer.textContent = fileName;
+    this.fileNameContainer.setAttribute('title', fileName);
+
+    pskl.utils.FileUtils.readFileAsArrayBuffer(this.file_, this.onFileLoaded_.bind(this));
+
+    if (this.piskelController.isEmpty()) {
+      this.nextButton.textContent = 'import';
+    }
+  };
+
+  ns.TileImport.prototype.onNextClick = function () {
+    if (!this.data_) {
+      return;
+    }
+
+    var formatId = this.formatSelect.value;
+    this.mergeData.mergePiskel = pskl.app.importService.newPiskelFromTiles(this.data_, {
+      formatId : formatId,
+      name : this.file_.name.replace(/\.[a-zA-Z0-9]+$/, ''),
+      palettes : this.palettes_,
+      paletteIndex : parseInt(this.paletteIndexSelect.value, 10) || 0,
+      tilesPerRow : this.getTilesPerRow_(),
+      frameRows : this.getFrameRows_()
+    });
+    this.mergeData.consoleModeId = pskl.utils.TileImportUtils.getFormat(formatId).console;
+    this.superclass.onNextClick.call(this);
+  };
+
+  ns.TileImport.prototype.onShow = function () {
+    this.updatePreview_();
+  };
+
+  /**
+   * Lists the formats matching the file extension, selecting the active
+   * console's format when it is one of them.
+   * @private
+   */
+  ns.TileImport.prototype.populateFormats_ = function () {
+    var formats = pskl.utils.TileImportUtils.FORMATS;
+    var formatIds = pskl.utils.TileImportUtils.getFormatsForFile(this.file_.name);
+    var activeMode = pskl.app.consoleRegistry.getActive();
+
+    this.formatSelect.innerHTML = formatIds.map(function (formatId) {
+      return '<option value="' + formatId + '">' + formats[formatId].name + '</option>';
+    }).join('');
+
+    formatIds.forEach(function (formatId) {
+      if (activeMode && formats[formatId].console === activeMode.id) {
+        this.formatSelect.value = formatId;
+      }
+    }.bind(this));
+  };
+
+  ns.TileImport.prototype.onFileLoaded_ = function (buffer) {
+    this.data_ = new Uint8Array(buffer);
+    this.tilesPerRow.value = DEFAULT_TILES_PER_ROW;
+    this.frameRows.value = '';
+    this.onFormatChange_();
+  };
+
+  ns.TileImport.prototype.onFormatChange_ = function () {
+    // Palette files are format specific, drop the one loaded for the previous format.
+    this.palettes_ = null;
+    this.paletteInput.value = '';
+    this.paletteNameContainer.textContent = 'default palette';
+
+    var format = pskl.utils.TileImportUtils.getFormat(this.formatSelect.value);
+    this.paletteButton.disabled = !format.palette;
+    this.updatePaletteIndexes_();
+    this.updatePreview_();
+  };
+
+  ns.TileImport.prototype.onPaletteButtonClick_ = function () {
+    this.paletteInput.click();
+  };
+
+  ns.TileImport.prototype.onPaletteInputChange_ = function () {
+    var file = this.paletteInput.files[0];
+    if (!file) {
+      return;
+    }
+
+    pskl.utils.FileUtils.readFileAsArrayBuffer(file, function (buffer) {
+      var palettes = pskl.utils.TileImportUtils.decodePalette(
+        new Uint8Array(buffer), this.formatSelect.value);
+      this.palettes_ = palettes.length ? palettes : null;
+      this.paletteNameContainer.textContent = palettes.length ? file.name : 'default palette';
+      this.paletteNameContainer.setAttribute('title', file.name);
+      this.updatePaletteIndexes_();
+      this.updatePreview_();
+    }.bind(this));
+  };
+
+  ns.TileImport.prototype.updatePaletteIndexes_ = function () {
+    var count = this.palettes_ ? this.palettes_.length : 1;
+    var options = [];
+    for (var i = 0; i < count; i++) {
+      options.push('<option value="' + i + '">' + i + '</option>');
+    }
+    this.paletteIndexSelect.innerHTML = options.join('');
+    this.paletteIndexSelect.disabled = count < 2;
+  };
+
+  ns.TileImport.prototype.getPalette_ = function () {
+    if (this.palettes_) {
+      var index = parseInt(this.paletteIndexSelect.value, 10) || 0;
+      return this.palettes_[index] || this.palettes_[0];
+    }
+    return pskl.utils.TileImportUtils.getDefaultPalette(this.formatSelect.value);
+  };
+
+  ns.TileImport.prototype.getTilesPerRow_ = function () {
+    var value = parseInt(this.tilesPerRow.value, 10);
+    return isNaN(value) || value < 1 ? DEFAULT_TILES_PER_ROW : value;
+  };
+
+  ns.TileImport.prototype.getFrameRows_ = function () {
+    var value = parseInt(this.frameRows.value, 10);
+    return isNaN(value) || value < 1 ? 0 : value;
+  };
+
+  /**
+   * Renders the first frame of the import and shows the tile and frame counts.
+   * @private
+   */
+  ns.TileImport.prototype.updatePreview_ = function () {
+    if (!this.data_) {
+      return;
+    }
+
+    var utils = pskl.utils.TileImportUtils;
+    var formatId = this.formatSelect.value;
+    var format = utils.getFormat(formatId);
+    var tiles = utils.decodeTiles(this.data_, formatId);
+    var result = utils.createFramesPixels(tiles, this.getPalette_(), {
+      tilesPerRow : this.getTilesPerRow_(),
+      frameRows : this.getFrameRows_()
+    });
+
+    var frame = pskl.model.Frame.fromPixelGrid(result.frames[0], result.width, result.height);
+    var zoom = Math.max(1, Math.floor(220 / Math.max(result.width, result.height)));
+    this.importPreview.innerHTML = '';
+    this.importPreview.appendChild(pskl.utils.FrameUtils.toImage(frame, zoom));
+
+    var info = tiles.length + ' tiles, ' + result.frames.length + ' frame(s) of ' +
+      pskl.utils.StringUtils.formatSize(result.width, result.height);
+    if (this.data_.length % format.bytesPerTile !== 0) {
+      info += ' (file size is not a multiple of ' + format.bytesPerTile + ' bytes)';
+    }
+    this.infoContainer.textContent = info;
+  };
+})();
@@ -26,9 +26,25 @@
     }
 
     this.layerIdCounter = 1;
+    this.updateIndexedColors_();
   };
 
   ns.PiskelController.prototype.init = function () {
+    $.subscribe(Events.CONSOLE_MODE_CHANGED, this.updateIndexedColors_.bind(this));
+    $.subscribe(Events.SUB_PALETTES_UPDATED, this.updateIndexedColors_.bind(this));
+  };
+
+  /**
+   * Projects of consoles drawing from a palette store palette indexes, see
+   * pskl.consoles.ConsoleMode.prototype.isIndexed. The palette is limited to
+   * the color limit of the console.
+   * @private
+   */
+  ns.PiskelController.prototype.updateIndexedColors_ = function () {
+    var mode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    if (mode) {
+      this.piskel.setIndexed(mode.isIndexed(), mode.getColorLimit(this.piskel.getSubPalettes()));
+    }
   };
 
   ns.PiskelController.prototype.getHeight = function () {
@@ -139,7 +155,8 @@
   ns.PiskelController.prototype.createEmptyFrame_ = function () {
     var w = this.piskel.getWidth();
     var h = this.piskel.getHeight();
-    return new pskl.model.Frame(w, h);
+    var palette = this.piskel.getPalette();
+    return palette ? new pskl.model.IndexedFrame(w, h, palette) : new pskl.model.Frame(w, h);
   };
 
   ns.PiskelController.prototype.removeFrameAt = function (index) {
@@ -6,8 +6,46 @@
     pskl.utils.Event.addEventListener(el, type, callback, this);
   };
 
+  /**
+   * Registers the click callback of a download button. Errors thrown while
+   * generating the files are shown in a notification, and the button follows
+   * setDownloadsEnabled.
+   */
+  ns.AbstractSettingController.prototype.addDownloadListener = function (el, callback) {
+    this.downloadButtons_ = this.downloadButtons_ || [];
+    this.downloadButtons_.push(el);
+    el.disabled = this.downloadsDisabled_ === true;
+    this.addEventListener(el, 'click', function (evt) {
+      try {
+        callback.call(this, evt);
+      } catch (e) {
+        this.onDownloadError_(e);
+      }
+    });
+  };
+
+  /**
+   * Enables or disables the download buttons, including the ones registered
+   * later with addDownloadListener.
+   */
+  ns.AbstractSettingController.prototype.setDownloadsEnabled = function (enabled) {
+    this.downloadsDisabled_ = !enabled;
+    (this.downloadButtons_ || []).forEach(function (el) {
+      el.disabled = !enabled;
+    });
+  };
+
+  ns.AbstractSettingController.prototype.onDownloadError_ = function (e) {
+    console.error(e);
+    $.publish(Events.SHOW_NOTIFICATION, [{
+      content : 'Download failed : ' + e.message,
+      hideDelay : 10000
+    }]);
+  };
+
   ns.AbstractSettingController.prototype.destroy = function () {
     pskl.utils.Event.removeAllEventListeners(this);
+    this.downloadButtons_ = [];
     this.nullifyDomReferences_();
   };
 
@@ -11,11 +11,15 @@
     this.hiddenFileInput = document.querySelector('[name="file-upload-input"]');
     this.addEventListener(this.hiddenFileInput, 'change', this.onFileUploadChange_);
 
+    this.hiddenTileInput = document.querySelector('[name="tile-upload-input"]');
+    this.addEventListener(this.hiddenTileInput, 'change', this.onTileUploadChange_);
+
     this.hiddenOpenPiskelInput = document.querySelector('[name="open-piskel-input"]');
 
     this.addEventListener('.browse-local-button', 'click', this.onBrowseLocalClick_);
     this.addEventListener('.browse-backups-button', 'click', this.onBrowseBackupsClick_);
     this.addEventListener('.file-input-button', 'click', this.onFileInputClick_);
+    this.addEventListener('.tile-input-button', 'click', this.onTileInputClick_);
 
     // different handlers, depending on the Environment
     if (pskl.utils.Environment.detectNodeWebkit()) {
@@ -37,6 +41,25 @@
     this.hiddenFileInput.click();
   };
 
+  ns.ImportController.prototype.onTileInputClick_ = function (evt) {
+    this.hiddenTileInput.click();
+  };
+
+  ns.ImportController.prototype.onTileUploadChange_ = function (evt) {
+    var files = this.hiddenTileInput.files;
+    this.closeDrawer_();
+    if (files.length == 1 && pskl.utils.TileImportUtils.isTileFile(files[0].name)) {
+      $.publish(Events.DIALOG_SHOW, {
+        dialogId : 'import',
+        initArgs : {
+          rawFiles: [files[0]]
+        }
+      });
+    } else {
+      console.error('The selected file is not a console tile file');
+    }
+  };
+
   ns.ImportController.prototype.onOpenPiskelChange_ = function (evt) {
     var files = this.hiddenOpenPiskelInput.files;
     if (files.length == 1) {
@@ -0,0 +1,347 @@
+/**
+ * Controller for Atari 2600 player graphics export, NTSC and PAL.
+ *
+ * Frames are split into 8 pixel wide players, from left to right. Each
+ * player is a GRP table and a color table of one byte per line.
+ *
+ * Tables are stored bottom-up (first byte = bottom line), the order of
+ * kernels counting the line index down to 0:
+ *   lda (gfxPtr),y / sta GRP0 / lda (colPtr),y / sta COLUP0
+ *
+ * GRP format (.grp): 1 bit per pixel, bit 7 = leftmost pixel (REFPx off)
+ * Color format (.col): color byte of each line (hue << 4 | luminance << 1),
+ *   the most used color of the line. Other colors of the line are drawn in
+ *   that color, empty lines are 0.
+ *
+ * Tables of all players of all frames are concatenated, frame by frame.
+ *
+ * References:
+ *   - https://alienbill.com/2600/101/docs/stella.html
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Player width in pixels. */
+  var PLAYER_WIDTH = 8;
+
+  ns.Atari2600ExportController = function (piskelController) {
+    this.piskelController = piskelController;
+
+    /** @type {string} Console mode, selects the color bytes. */
+    this.modeId = 'atari2600';
+
+    /** @type {string} Class name prefix of the export tab. */
+    this.prefix = 'atari2600';
+  };
+
+  pskl.utils.inherit(ns.Atari2600ExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.Atari2600ExportController.prototype.init = function () {
+    this.validateAndDisplay_();
+
+    this.addDownloadListener(this.find_('download-graphics-button'), this.onDownloadGraphicsClick_);
+    this.addDownloadListener(this.find_('download-color-button'), this.onDownloadColorClick_);
+    this.addDownloadListener(this.find_('download-asm-button'), this.onDownloadAsmClick_);
+    this.addDownloadListener(this.find_('download-both-button'), this.onDownloadBothClick_);
+
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    this.asmDialectSelect = this.find_('asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * @param {string} name - Class name of the element, without the tab prefix
+   * @return {Element}
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.find_ = function (name) {
+    return document.querySelector('.' + this.prefix + '-' + name);
+  };
+
+  /**
+   * Updates download info and the color warnings display.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.validateAndDisplay_ = function () {
+    // Colors missing from the palette can't be encoded, see getColorCode_
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    var hasUnmappedColors = pskl.app.currentColorsService.getCurrentColors().some(function (color) {
+      return !mode || mode.getIndexForColor(color) === null;
+    });
+    this.setDownloadsEnabled(!hasUnmappedColors);
+
+    var colorWarning = this.find_('color-warning');
+    if (colorWarning) {
+      colorWarning.style.display = hasUnmappedColors ? 'flex' : 'none';
+    }
+
+    var players = hasUnmappedColors ? [] : this.buildPlayers_();
+    var clashCount = players.reduce(function (count, player) {
+      return count + player.clashCount;
+    }, 0);
+
+    var warning = this.find_('line-warning');
+    if (warning) {
+      warning.style.display = clashCount ? 'flex' : 'none';
+    }
+    var warningCount = this.find_('line-count');
+    if (warningCount) {
+      warningCount.innerHTML = clashCount + (clashCount > 1 ? ' lines use' : ' line uses');
+    }
+
+    var frameCount = this.piskelController.getFrameCount();
+    var playerCount = frameCount * this.getPlayersPerFrame_();
+    var info = playerCount * this.piskelController.getHeight() + ' bytes (' +
+      playerCount + (playerCount > 1 ? ' players' : ' player') +
+      (frameCount > 1 ? ', ' + frameCount + ' frames' : '') + ')';
+
+    var graphicsInfo = this.find_('graphics-info');
+    if (graphicsInfo) {
+      graphicsInfo.innerHTML = info;
+    }
+
+    var colorInfo = this.find_('color-info');
+    if (colorInfo) {
+      colorInfo.innerHTML = info;
+    }
+  };
+
+  /**
+   * Handles GRP tables download button click.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.onDownloadGraphicsClick_ = function () {
+    this.downloadBinary_(this.generateGraphicsData_(), '.grp');
+  };
+
+  /**
+   * Handles color tables download button click.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.onDownloadColorClick_ = function () {
+    this.downloadBinary_(this.generateColorData_(), '.col');
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadGraphicsClick_();
+    setTimeout(this.onDownloadColorClick_.bind(this), 100);
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * @return {number} Players per frame
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.getPlayersPerFrame_ = function () {
+    return Math.ceil(this.piskelController.getWidth() / PLAYER_WIDTH);
+  };
+
+  /**
+   * Encodes the players of all frames.
+   * @return {Array<Object>} {graphics, colors, clashCount} per player, frame
+   *         by frame. graphics and colors are bottom-up tables, clashCount
+   *         the number of lines using more than one color.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.buildPlayers_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var players = [];
+
+    pskl.utils.TileUtils.getFramesPixels(this.piskelController).forEach(function (pixels) {
+      for (var x = 0; x < width; x += PLAYER_WIDTH) {
+        players.push(this.encodePlayer_(pixels, width, height, x));
+      }
+    }, this);
+
+    return players;
+  };
+
+  /**
+   * Encodes the player starting at column startX of a frame.
+   * @param {Uint8ClampedArray} pixels - Frame RGBA data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {number} startX - Player start X coordinate
+   * @return {Object} {graphics, colors, clashCount}
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.encodePlayer_ = function (pixels, width, height, startX) {
+    var graphics = new Uint8Array(height);
+    var colors = new Uint8Array(height);
+    var clashCount = 0;
+
+    for (var y = 0; y < height; y++) {
+      var line = height - 1 - y;
+      var counts = {};
+      var lineColor = null;
+
+      for (var x = 0; x < PLAYER_WIDTH && startX + x < width; x++) {
+        var idx = (y * width + startX + x) * 4;
+        if (pixels[idx + 3] < 128) {
+          continue;
+        }
+
+        graphics[line] |= 0x80 >> x;
+        var color = pskl.utils.rgbToHex(pixels[idx], pixels[idx + 1], pixels[idx + 2]);
+        counts[color] = (counts[color] || 0) + 1;
+        if (lineColor === null || counts[color] > counts[lineColor]) {
+          lineColor = color;
+        }
+      }
+
+      if (Object.keys(counts).length > 1) {
+        clashCount++;
+      }
+      colors[line] = lineColor ? this.getColorCode_(lineColor) : 0;
+    }
+
+    return {graphics: graphics, colors: colors, clashCount: clashCount};
+  };
+
+  /**
+   * Gets the color byte of a color.
+   * @param {string} hexColor - Hex color string
+   * @return {number} Color byte
+   * @throws {Error} when the palette does not hold the color
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.getColorCode_ = function (hexColor) {
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    var code = mode ? mode.getIndexForColor(hexColor) : null;
+    if (code === null) {
+      throw pskl.utils.TileUtils.createUnmappedColorError(hexColor);
+    }
+    return code;
+  };
+
+  /**
+   * Generates the GRP tables of all players.
+   * @return {Uint8Array} The GRP file bytes
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.generateGraphicsData_ = function () {
+    return this.concatTables_(this.buildPlayers_(), 'graphics');
+  };
+
+  /**
+   * Generates the color tables of all players.
+   * @return {Uint8Array} The color file bytes
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.generateColorData_ = function () {
+    return this.concatTables_(this.buildPlayers_(), 'colors');
+  };
+
+  /**
+   * @param {Array<Object>} players - See buildPlayers_
+   * @param {string} key - 'graphics' or 'colors'
+   * @return {Uint8Array}
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.concatTables_ = function (players, key) {
+    var height = this.piskelController.getHeight();
+    var bytes = new Uint8Array(players.length * height);
+    players.forEach(function (player, i) {
+      bytes.set(player[key], i * height);
+    });
+    return bytes;
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.onDownloadAsmClick_ = function () {
+    var players = this.buildPlayers_();
+    var height = this.piskelController.getHeight();
+    var playersPerFrame = this.getPlayersPerFrame_();
+    var frameCount = this.piskelController.getFrameCount();
+
+    // One label per table: frame0, or frame0_0, frame0_1... with several
+    // players per frame
+    var labels = players.map(function (player, i) {
+      var frame = Math.floor(i / playersPerFrame);
+      var suffix = playersPerFrame > 1 ? '_' + (i % playersPerFrame) : '';
+      return {offset : i * height, label : 'frame' + frame + suffix};
+    });
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'Atari 2600 bottom-up GRP and color tables',
+      constants : [
+        ['HEIGHT', height],
+        ['PLAYERS_PER_FRAME', playersPerFrame],
+        ['FRAME_COUNT', frameCount]
+      ],
+      blocks : [{
+        label : 'graphics',
+        bytes : this.concatTables_(players, 'graphics'),
+        labels : labels
+      }, {
+        label : 'colors',
+        bytes : this.concatTables_(players, 'colors'),
+        labels : labels.map(function (label) {
+          return {offset : label.offset, label : 'colors_' + label.label};
+        })
+      }]
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). GRP tables and
+   * their color tables.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Atari2600ExportController.prototype.getBundleFiles = function () {
+    return {
+      '.grp' : this.generateGraphicsData_(),
+      '.col' : this.generateColorData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.Atari2600ExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+
+  /**
+   * Controller for Atari 2600 PAL export, see Atari2600ExportController.
+   * Shares the export tab template of the NTSC mode.
+   */
+  ns.Atari2600PalExportController = function (piskelController) {
+    ns.Atari2600ExportController.call(this, piskelController);
+    this.modeId = 'atari2600pal';
+  };
+
+  pskl.utils.inherit(ns.Atari2600PalExportController, ns.Atari2600ExportController);
+})();
@@ -0,0 +1,426 @@
+/**
+ * Controller for Atari 7800 160A graphics export, NTSC and PAL.
+ *
+ * 160A format: 2 bits per pixel, 4 pixels per byte, leftmost pixel in
+ * bits 7-6. 00 is transparent, 01-11 the colors 1-3 of the palette chosen
+ * by the display list entry.
+ *
+ * Zone layout (.gfx): MARIA reads line n of a zone of height H from the
+ * graphics address + (H - 1 - n) pages. Frames are cut into slices of one
+ * zone, and slices are packed side by side in blocks of H pages:
+ *   - Page p of a block holds line H - 1 - p of its slices
+ *   - A slice is (width / 4) bytes at the same column of each page, one
+ *     display list entry: sprites are at most 31 bytes (124 pixels) wide
+ *   - Blocks are 4K (16 line zones) or 2K (8 line zones), the size of a
+ *     holey DMA area: each block must be placed at an address with A12
+ *     (16 lines) or A11 (8 lines) clear, e.g. $8000 and $A000. Sprites
+ *     crossing zones then read zeros from the hole above their block.
+ *   - The last lines of slices past the frame are transparent
+ *
+ * Slice table (.ofs): 2 bytes per slice, frame by frame from the top:
+ *   column (low byte of the display list address) and block index
+ * Palette format (.pal): color bytes of colors 1-3
+ *
+ * References:
+ *   - https://7800.8bitdev.org/index.php/7800_Software_Guide
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Pixels per graphics byte. */
+  var PIXELS_PER_BYTE = 4;
+
+  /** @const {number} Bytes per page, one page per zone line. */
+  var PAGE_SIZE = 256;
+
+  /** @const {number} Max bytes of a display list entry. */
+  var MAX_WIDTH_BYTES = 31;
+
+  /** @const {number} Colors of a 160A palette, besides transparent. */
+  var MAX_COLORS = 3;
+
+  /** @const {number} Zone height used when the export tab is not shown. */
+  var DEFAULT_ZONE_HEIGHT = 16;
+
+  ns.Atari7800ExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.palette = null;
+    this.indexMap = {};
+    this.spriteColors = [];
+
+    /** @type {string} Console mode, selects the color bytes. */
+    this.modeId = 'atari7800';
+
+    /** @type {string} Class name prefix of the export tab. */
+    this.prefix = 'atari7800';
+  };
+
+  pskl.utils.inherit(ns.Atari7800ExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.Atari7800ExportController.prototype.init = function () {
+    this.zoneHeightSelect = this.find_('zone-height-select');
+    this.addEventListener(this.zoneHeightSelect, 'change', this.validateAndDisplay_);
+
+    this.validateAndDisplay_();
+
+    this.addDownloadListener(this.find_('download-graphics-button'), this.onDownloadGraphicsClick_);
+    this.addDownloadListener(this.find_('download-slices-button'), this.onDownloadSlicesClick_);
+    this.addDownloadListener(this.find_('download-palette-button'), this.onDownloadPaletteClick_);
+    this.addDownloadListener(this.find_('download-asm-button'), this.onDownloadAsmClick_);
+    this.addDownloadListener(this.find_('download-both-button'), this.onDownloadBothClick_);
+
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    this.asmDialectSelect = this.find_('asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * @param {string} name - Class name of the element, without the tab prefix
+   * @return {Element}
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.find_ = function (name) {
+    return document.querySelector('.' + this.prefix + '-' + name);
+  };
+
+  /**
+   * @return {number} Zone height in lines, 8 or 16
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getZoneHeight_ = function () {
+    return this.zoneHeightSelect ? parseInt(this.zoneHeightSelect.value, 10) : DEFAULT_ZONE_HEIGHT;
+  };
+
+  /**
+   * @return {number} Bytes per slice line
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getWidthBytes_ = function () {
+    return Math.ceil(this.piskelController.getWidth() / PIXELS_PER_BYTE);
+  };
+
+  /**
+   * @return {number} Slices per frame
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getSlicesPerFrame_ = function () {
+    return Math.ceil(this.piskelController.getHeight() / this.getZoneHeight_());
+  };
+
+  /**
+   * Updates index map, download info, and color and width warning display.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.validateAndDisplay_ = function () {
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+
+    // Colors are encoded with their palette position
+    var colorMap = {};
+    this.spriteColors = colors.slice(0, MAX_COLORS);
+    this.spriteColors.forEach(function (color, i) {
+      colorMap[pskl.utils.colorToInt(color)] = i + 1;
+    });
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index and too wide sprites can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    var isTooWide = this.getWidthBytes_() > MAX_WIDTH_BYTES;
+    this.setDownloadsEnabled(!hasUnmappedPixels && !isTooWide);
+
+    var warning = this.find_('color-warning');
+    if (warning) {
+      warning.style.display = colors.length > MAX_COLORS || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
+    var widthWarning = this.find_('width-warning');
+    if (widthWarning) {
+      widthWarning.style.display = isTooWide ? 'flex' : 'none';
+    }
+
+    var frameCount = this.piskelController.getFrameCount();
+    var sliceCount = frameCount * this.getSlicesPerFrame_();
+    var blockCount = this.getBlockCount_(sliceCount);
+
+    var graphicsInfo = this.find_('graphics-info');
+    if (graphicsInfo) {
+      graphicsInfo.innerHTML = blockCount * this.getZoneHeight_() * PAGE_SIZE + ' bytes (' +
+        blockCount + (blockCount > 1 ? ' blocks, ' : ' block, ') +
+        sliceCount + (sliceCount > 1 ? ' slices' : ' slice') + ')';
+    }
+
+    var slicesInfo = this.find_('slices-info');
+    if (slicesInfo) {
+      slicesInfo.innerHTML = sliceCount * 2 + ' bytes';
+    }
+
+    var paletteInfo = this.find_('palette-info');
+    if (paletteInfo) {
+      paletteInfo.innerHTML = MAX_COLORS + ' bytes (' + colors.length + '/' + MAX_COLORS + ' colors)';
+    }
+  };
+
+  /**
+   * @param {number} sliceCount
+   * @return {number} Blocks needed for sliceCount slices
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getBlockCount_ = function (sliceCount) {
+    var slicesPerBlock = Math.floor(PAGE_SIZE / this.getWidthBytes_());
+    return Math.ceil(sliceCount / slicesPerBlock);
+  };
+
+  /**
+   * Handles graphics download button click.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.onDownloadGraphicsClick_ = function () {
+    this.downloadBinary_(this.generateGraphicsData_(), '.gfx');
+  };
+
+  /**
+   * Handles slice table download button click.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.onDownloadSlicesClick_ = function () {
+    this.downloadBinary_(this.generateSliceData_(), '.ofs');
+  };
+
+  /**
+   * Handles palette download button click.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.onDownloadPaletteClick_ = function () {
+    this.downloadBinary_(this.generatePaletteData_(), '.pal');
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadGraphicsClick_();
+    setTimeout(this.onDownloadSlicesClick_.bind(this), 100);
+    setTimeout(this.onDownloadPaletteClick_.bind(this), 200);
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * Cuts all frames into zone slices and packs them into blocks.
+   * @return {{bytes: Uint8Array, slices: Array<Object>}} Graphics blocks,
+   *         and the {column, block} of each slice, frame by frame
+   * @throws {Error} for sprites wider than a display list entry
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.buildZoneLayout_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var zoneHeight = this.getZoneHeight_();
+    var widthBytes = this.getWidthBytes_();
+    if (widthBytes > MAX_WIDTH_BYTES) {
+      throw new Error('Sprites are ' + widthBytes + ' bytes wide, display list entries hold up to ' +
+        MAX_WIDTH_BYTES + ' bytes (' + MAX_WIDTH_BYTES * PIXELS_PER_BYTE + ' pixels)');
+    }
+    var blockSize = zoneHeight * PAGE_SIZE;
+    var framesPixels = pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette);
+
+    var sliceCount = framesPixels.length * this.getSlicesPerFrame_();
+    var bytes = new Uint8Array(this.getBlockCount_(sliceCount) * blockSize);
+    var slices = [];
+    var block = 0;
+    var column = 0;
+
+    framesPixels.forEach(function (pixels) {
+      for (var startY = 0; startY < height; startY += zoneHeight) {
+        if (column + widthBytes > PAGE_SIZE) {
+          block++;
+          column = 0;
+        }
+
+        for (var line = 0; line < zoneHeight && startY + line < height; line++) {
+          var offset = block * blockSize + (zoneHeight - 1 - line) * PAGE_SIZE + column;
+          this.encodeLine_(pixels, width, startY + line, bytes, offset);
+        }
+
+        slices.push({column: column, block: block});
+        column += widthBytes;
+      }
+    }, this);
+
+    return {bytes: bytes, slices: slices};
+  };
+
+  /**
+   * Encodes one line of a frame to 160A bytes.
+   * @param {Uint8ClampedArray} pixels - Frame palette indexes, see
+   *        TileUtils.getFramesIndexes
+   * @param {number} width - Frame width
+   * @param {number} y - Line of the frame
+   * @param {Uint8Array} bytes - Destination
+   * @param {number} offset - Offset of the first byte in bytes
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.encodeLine_ = function (pixels, width, y, bytes, offset) {
+    for (var x = 0; x < width; x++) {
+      var idx = (y * width + x) * 4;
+      var colorIndex = this.getColorIndex_(pixels[idx], pixels[idx + 1], pixels[idx + 2], pixels[idx + 3]);
+      bytes[offset + Math.floor(x / PIXELS_PER_BYTE)] |= colorIndex << (6 - (x % PIXELS_PER_BYTE) * 2);
+    }
+  };
+
+  /**
+   * Maps the palette index of a pixel to its 160A bit pair.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
+   * @return {number} 0 for transparent, 1-3 for palette colors
+   * @throws {Error} for palette indexes missing from the index map
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Generates the graphics blocks of all frames.
+   * @return {Uint8Array} The graphics file bytes
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.generateGraphicsData_ = function () {
+    return this.buildZoneLayout_().bytes;
+  };
+
+  /**
+   * Generates the slice table: column and block of each slice.
+   * @return {Uint8Array} The slice table bytes
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.generateSliceData_ = function () {
+    var slices = this.buildZoneLayout_().slices;
+    var bytes = new Uint8Array(slices.length * 2);
+    slices.forEach(function (slice, i) {
+      bytes[i * 2] = slice.column;
+      bytes[i * 2 + 1] = slice.block;
+    });
+    return bytes;
+  };
+
+  /**
+   * Generates the color bytes of palette colors 1-3, 0 for unused colors.
+   * @return {Uint8Array} The palette file bytes
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.generatePaletteData_ = function () {
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    var bytes = new Uint8Array(MAX_COLORS);
+    this.spriteColors.forEach(function (color, i) {
+      var code = mode ? mode.getIndexForColor(color) : null;
+      bytes[i] = code !== null ? code : 0;
+    });
+    return bytes;
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.onDownloadAsmClick_ = function () {
+    var layout = this.buildZoneLayout_();
+    var zoneHeight = this.getZoneHeight_();
+    var widthBytes = this.getWidthBytes_();
+    var slicesPerFrame = this.getSlicesPerFrame_();
+    var frameCount = this.piskelController.getFrameCount();
+    var blockCount = layout.bytes.length / (zoneHeight * PAGE_SIZE);
+
+    var blockLabels = [];
+    for (var i = 0; i < blockCount; i++) {
+      blockLabels.push({offset : i * zoneHeight * PAGE_SIZE, label : 'block' + i});
+    }
+    var frameLabels = [];
+    for (var f = 0; f < frameCount; f++) {
+      frameLabels.push({offset : f * slicesPerFrame * 2, label : 'slices_frame' + f});
+    }
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'Atari 7800 160A graphics in zone layout',
+      constants : [
+        ['ZONE_HEIGHT', zoneHeight],
+        ['WIDTH_BYTES', widthBytes],
+        // Width field of the display list entry, palette in bits 7-5
+        ['DL_WIDTH', (32 - widthBytes) & 0x1F],
+        ['SLICES_PER_FRAME', slicesPerFrame],
+        ['FRAME_COUNT', frameCount],
+        ['BLOCK_COUNT', blockCount]
+      ],
+      blocks : [{
+        // Each block must be moved to its own holey DMA area
+        label : 'graphics',
+        bytes : layout.bytes,
+        labels : blockLabels
+      }, {
+        label : 'slices',
+        bytes : this.generateSliceData_(),
+        labels : frameLabels
+      }, {
+        label : 'palette',
+        bytes : this.generatePaletteData_()
+      }]
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). Graphics blocks in
+   * zone layout and the color bytes of the palette.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Atari7800ExportController.prototype.getBundleFiles = function () {
+    return {
+      '.gfx' : this.generateGraphicsData_(),
+      '.pal' : this.generatePaletteData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.Atari7800ExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+
+  /**
+   * Controller for Atari 7800 PAL export, see Atari7800ExportController.
+   * Shares the export tab template of the NTSC mode.
+   */
+  ns.Atari7800PalExportController = function (piskelController) {
+    ns.Atari7800ExportController.call(this, piskelController);
+    this.modeId = 'atari7800pal';
+  };
+
+  pskl.utils.inherit(ns.Atari7800PalExportController, ns.Atari7800ExportController);
+})();
@@ -0,0 +1,264 @@
+/**
+ * Controller for background screen export.
+ *
+ * Each frame is split into 8x8 tiles. Duplicate tiles (and mirrored tiles,
+ * when the console's map entries have flip bits) are only kept once, and
+ * each frame is written as a map of that tileset.
+ *
+ * Exports:
+ *   - Tile file: The deduplicated tileset, encoded with the console's tile
+ *     exporter
+ *   - Map file: Maps of all frames in the console's native format (see
+ *     NametableUtils). On GBC, the CGB attribute map is a separate .attr file
+ *
+ * When the project defines sub-palettes, map entries use the sub-palette
+ * assigned to their 8x8 region.
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /**
+   * Tile exporter, tile file extension and map file extension for each
+   * console mode. Controllers are looked up lazily, as they are defined in
+   * other files.
+   */
+  var EXPORTERS = {
+    'nes' : {controller : 'ChrExportController', extension : '.chr', mapExtension : '.nam'},
+    'gameboy' : {controller : 'Gb2bppExportController', extension : '.2bpp', mapExtension : '.tilemap'},
+    'gbc' : {controller : 'Gbc2bppExportController', extension : '.2bpp', mapExtension : '.tilemap'},
+    'snes' : {controller : 'Snes4bppExportController', extension : '.4bpp', mapExtension : '.map'},
+    'genesis' : {controller : 'Genesis4bppExportController', extension : '.4bpp', mapExtension : '.map'},
+    'gba' : {controller : 'Gba4bppExportController', extension : '.4bpp', mapExtension : '.map'},
+    'gba8bpp' : {controller : 'Gba8bppExportController', extension : '.8bpp', mapExtension : '.map'}
+  };
+
+  ns.BackgroundExportController = function (piskelController) {
+    this.piskelController = piskelController;
+  };
+
+  pskl.utils.inherit(ns.BackgroundExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.BackgroundExportController.prototype.init = function () {
+    this.priorityCheckbox = document.querySelector('.background-priority-checkbox');
+    this.addEventListener(this.priorityCheckbox, 'change', this.validateAndDisplay_);
+
+    var tilesBtn = document.querySelector('.background-download-tiles-button');
+    var mapBtn = document.querySelector('.background-download-map-button');
+    var bothBtn = document.querySelector('.background-download-both-button');
+
+    this.addDownloadListener(tilesBtn, this.onDownloadTilesClick_);
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    this.validateAndDisplay_();
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+    $.subscribe(Events.SUB_PALETTES_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * Updates format, tile count and map size display.
+   * @private
+   */
+  ns.BackgroundExportController.prototype.validateAndDisplay_ = function () {
+    var consoleId = this.getConsoleId_();
+    if (!pskl.utils.NametableUtils.isSupported(consoleId)) {
+      return;
+    }
+
+    var format = pskl.utils.NametableUtils.getFormat(consoleId);
+    var formatInfo = document.querySelector('.background-format-info');
+    var priorityContainer = document.querySelector('.background-priority-container');
+    var warning = document.querySelector('.background-warning');
+    var tilesInfo = document.querySelector('.background-tiles-info');
+    var mapInfo = document.querySelector('.background-map-info');
+    if (!formatInfo) {
+      return;
+    }
+
+    formatInfo.textContent = format.name;
+    priorityContainer.style.display = format.priority ? '' : 'none';
+
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    if (width % 8 !== 0 || height % 8 !== 0) {
+      warning.textContent = 'Dimensions must be multiples of 8 pixels.';
+      tilesInfo.textContent = '';
+      mapInfo.textContent = '';
+      return;
+    }
+
+    var tileSet = this.buildTileSet_();
+    var encoded = this.encodeMaps_(tileSet);
+    var warnings = [];
+    if (tileSet.tiles.length > format.maxTiles) {
+      warnings.push('Maps can only reference ' + format.maxTiles + ' tiles.');
+    }
+    if (consoleId === 'nes') {
+      var conflicts = pskl.utils.NametableUtils.countAttributeConflicts(
+        tileSet.maps, width / 8, height / 8);
+      if (conflicts) {
+        warnings.push(conflicts + ' 16x16 attribute area(s) mix sub-palettes.');
+      }
+    }
+    warning.textContent = warnings.join(' ');
+
+    tilesInfo.textContent = tileSet.tiles.length + ' unique tiles';
+    var mapText = encoded.map.length + ' bytes (' + (width / 8) + 'x' + (height / 8) +
+      ' tiles, ' + tileSet.maps.length + ' screen(s))';
+    if (encoded.attributes) {
+      mapText += ' + ' + encoded.attributes.length + ' bytes attribute map';
+    }
+    mapInfo.textContent = mapText;
+  };
+
+  /**
+   * Splits all frames into 8x8 tiles, merging duplicate tiles.
+   * @return {Object} Result of TileUtils.buildTileSet
+   * @private
+   */
+  ns.BackgroundExportController.prototype.buildTileSet_ = function () {
+    var format = pskl.utils.NametableUtils.getFormat(this.getConsoleId_());
+    var tilePalettes = this.piskelController.getPiskel().getTilePalettes();
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.getPalette_()),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize : true,
+        flip : format.flip,
+        getPalette : this.getSubPalettes_() ?
+          pskl.utils.SubPaletteUtils.getPaletteIndex.bind(null, tilePalettes) : null
+      }
+    );
+  };
+
+  /**
+   * @param {Object} tileSet - Result of buildTileSet_
+   * @return {{map: Uint8Array, attributes: Uint8Array|null}}
+   * @private
+   */
+  ns.BackgroundExportController.prototype.encodeMaps_ = function (tileSet) {
+    return pskl.utils.NametableUtils.encodeMaps(
+      this.getConsoleId_(),
+      tileSet.maps,
+      this.piskelController.getWidth() / 8,
+      this.piskelController.getHeight() / 8,
+      {priority : !!(this.priorityCheckbox && this.priorityCheckbox.checked)}
+    );
+  };
+
+  /**
+   * @return {pskl.model.IndexedPalette} Palette of the exported tiles, see
+   *         TileUtils.getPalette
+   * @private
+   */
+  ns.BackgroundExportController.prototype.getPalette_ = function () {
+    return pskl.utils.TileUtils.getPalette(this.piskelController,
+      pskl.app.currentColorsService.getIndexedColors());
+  };
+
+  /**
+   * @return {Array<Array<string>>|null} Sub-palettes of the active console,
+   *         or null when they do not apply
+   * @private
+   */
+  ns.BackgroundExportController.prototype.getSubPalettes_ = function () {
+    return pskl.utils.SubPaletteUtils.getConsoleSubPalettes(
+      pskl.app.consoleRegistry.getActive(), this.piskelController.getPiskel());
+  };
+
+  /**
+   * Generates the tileset, using the console's tile encoding.
+   * @param {Object} tileSet - Result of buildTileSet_
+   * @return {Uint8Array}
+   * @private
+   */
+  ns.BackgroundExportController.prototype.generateTileData_ = function (tileSet) {
+    var exporterInfo = EXPORTERS[this.getConsoleId_()];
+    var tileExporter = new ns[exporterInfo.controller](this.piskelController);
+    tileExporter.validateAndDisplay_();
+
+    var subPalettes = this.getSubPalettes_();
+    var indexMaps = subPalettes ?
+      pskl.utils.SubPaletteUtils.createIndexMaps(subPalettes, tileExporter.palette) : null;
+    var encodedTiles = tileSet.tiles.map(function (tile, i) {
+      if (indexMaps) {
+        tileExporter.indexMap = indexMaps[tileSet.palettes[i]] || indexMaps[0];
+      }
+      return tileExporter.encodeTile_(tile, 8, 0, 0);
+    });
+
+    var bytesPerTile = encodedTiles.length ? encodedTiles[0].length : 0;
+    var bytes = new Uint8Array(encodedTiles.length * bytesPerTile);
+    encodedTiles.forEach(function (tileBytes, i) {
+      bytes.set(tileBytes, i * bytesPerTile);
+    });
+    return bytes;
+  };
+
+  /**
+   * Handles tileset download button click.
+   * @private
+   */
+  ns.BackgroundExportController.prototype.onDownloadTilesClick_ = function () {
+    var data = this.generateTileData_(this.buildTileSet_());
+    var extension = EXPORTERS[this.getConsoleId_()].extension;
+    var fileName = this.getPiskelName_() + '-bg' + extension;
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+  };
+
+  /**
+   * Handles map download button click. The CGB attribute map is downloaded
+   * next to the GBC tile map.
+   * @private
+   */
+  ns.BackgroundExportController.prototype.onDownloadMapClick_ = function () {
+    var encoded = this.encodeMaps_(this.buildTileSet_());
+    var extension = EXPORTERS[this.getConsoleId_()].mapExtension;
+    var fileName = this.getPiskelName_() + '-bg' + extension;
+    var blob = new Blob([encoded.map], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+
+    if (encoded.attributes) {
+      var attributesName = this.getPiskelName_() + '-bg.attr';
+      var attributesBlob = new Blob([encoded.attributes], {type: 'application/octet-stream'});
+      // Small delay to avoid browser blocking multiple downloads
+      setTimeout(function () {
+        pskl.utils.FileUtils.downloadAsFile(attributesBlob, attributesName);
+      }, 100);
+    }
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.BackgroundExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadTilesClick_();
+    // Small delay to avoid browser blocking multiple downloads
+    setTimeout(this.onDownloadMapClick_.bind(this), 100);
+  };
+
+  /**
+   * @return {string} ID of the active console mode
+   * @private
+   */
+  ns.BackgroundExportController.prototype.getConsoleId_ = function () {
+    var mode = pskl.app.consoleRegistry.getActive();
+    return mode ? mode.id : 'default';
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.BackgroundExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
@@ -0,0 +1,412 @@
+/**
+ * Controller for Commodore 64 hardware sprite export, hires and multicolor.
+ *
+ * Sprite format: 64 bytes per sprite
+ *   - 21 rows of 3 bytes (63 bytes), then 1 pad byte
+ *   - Hires: 1 bit per pixel, bit 7 of the first byte = leftmost pixel
+ *   - Multicolor: 2 bits per double-wide pixel, leftmost pixel in bits 7-6
+ *     (00 = transparent, 01 = $D025, 10 = sprite color, 11 = $D026)
+ *
+ * Sprites are 64 byte aligned, so the exported file can be copied to a
+ * 64 byte boundary of the VIC bank and used by sprite pointers directly
+ * (pointer = address / 64). Frames larger than a sprite are split into
+ * sprites row by row, the part of a sprite past the frame is transparent.
+ *
+ * Color register format: VIC-II color codes (0-15)
+ *   - Hires: 1 byte, the sprite color ($D027+)
+ *   - Multicolor: 3 bytes, $D025, $D026 and the sprite color ($D027+)
+ *
+ * Exports:
+ *   - .spr file: Sprite data (all frames concatenated)
+ *   - .clr file: Color registers
+ *
+ * References:
+ *   - https://www.c64-wiki.com/wiki/Sprite
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Sprite height in pixels. */
+  var SPRITE_HEIGHT = 21;
+
+  /** @const {number} Bytes per sprite row. */
+  var BYTES_PER_ROW = 3;
+
+  /** @const {number} Bytes per sprite, including the pad byte. */
+  var BYTES_PER_SPRITE = 64;
+
+  /** @const {number} Color code used when a color is not a VIC-II color. */
+  var DEFAULT_COLOR_CODE = 1;  // White
+
+  ns.C64SpriteExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.palette = null;
+    this.indexMap = {};
+    this.spriteColors = [];
+
+    /** @type {boolean} Whether pixels are encoded as multicolor bit pairs. */
+    this.multicolor = false;
+
+    /** @type {string} Console mode and class name prefix of the export tab. */
+    this.modeId = 'c64';
+    this.prefix = 'c64sprite';
+  };
+
+  pskl.utils.inherit(ns.C64SpriteExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.C64SpriteExportController.prototype.init = function () {
+    this.optimizeCheckbox = this.find_('optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change', this.validateAndDisplay_);
+
+    this.validateAndDisplay_();
+
+    this.addDownloadListener(this.find_('download-sprites-button'), this.onDownloadSpritesClick_);
+    this.addDownloadListener(this.find_('download-color-button'), this.onDownloadColorClick_);
+    this.addDownloadListener(this.find_('download-map-button'), this.onDownloadMapClick_);
+    this.addDownloadListener(this.find_('download-asm-button'), this.onDownloadAsmClick_);
+    this.addDownloadListener(this.find_('download-both-button'), this.onDownloadBothClick_);
+
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    this.asmDialectSelect = this.find_('asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * @param {string} name - Class name of the element, without the tab prefix
+   * @return {Element}
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.find_ = function (name) {
+    return document.querySelector('.' + this.prefix + '-' + name);
+  };
+
+  /**
+   * @return {number} Sprite width in frame pixels
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getSpriteWidth_ = function () {
+    return this.multicolor ? 12 : 24;
+  };
+
+  /**
+   * @return {number} Max colors of a sprite, besides transparent
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getMaxColors_ = function () {
+    return this.multicolor ? 3 : 1;
+  };
+
+  /**
+   * Updates index map, download info, and color warning display.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.validateAndDisplay_ = function () {
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+    var maxColors = this.getMaxColors_();
+
+    // Colors are encoded with their palette position: the bit pair of
+    // multicolor sprites selects the color register
+    var colorMap = {};
+    this.spriteColors = colors.slice(0, maxColors);
+    this.spriteColors.forEach(function (color, i) {
+      colorMap[pskl.utils.colorToInt(color)] = i + 1;
+    });
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    var warning = this.find_('color-warning');
+    if (warning) {
+      warning.style.display = colors.length > maxColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
+    var frameCount = this.piskelController.getFrameCount();
+    // Frames are only rendered when sprite optimization is enabled
+    var spriteCount = this.isOptimizeEnabled_() ?
+      this.buildTileSet_().tiles.length : frameCount * this.getSpritesPerFrame_();
+
+    var spritesInfo = this.find_('sprites-info');
+    if (spritesInfo) {
+      spritesInfo.innerHTML = spriteCount * BYTES_PER_SPRITE + ' bytes (' +
+        spriteCount + (this.isOptimizeEnabled_() ? ' unique' : '') + ' sprites' +
+        (frameCount > 1 ? ', ' + frameCount + ' frames' : '') + ')';
+    }
+
+    var colorInfo = this.find_('color-info');
+    if (colorInfo) {
+      colorInfo.innerHTML = this.generateColorData_().length + ' bytes (' +
+        colors.length + '/' + maxColors + ' colors)';
+    }
+
+    var mapInfo = this.find_('map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = frameCount * this.getSpritesPerFrame_() * 2 + ' bytes';
+    }
+  };
+
+  /**
+   * Handles sprite download button click.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.onDownloadSpritesClick_ = function () {
+    this.downloadBinary_(this.generateSpriteData_(), '.spr');
+  };
+
+  /**
+   * Handles color registers download button click.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.onDownloadColorClick_ = function () {
+    this.downloadBinary_(this.generateColorData_(), '.clr');
+  };
+
+  /**
+   * Handles sprite map download button click.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.onDownloadMapClick_ = function () {
+    this.downloadBinary_(pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps), '.map');
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadSpritesClick_();
+    setTimeout(this.onDownloadColorClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * Generates the sprites of all frames, 64 bytes each.
+   * @return {Uint8Array} The sprite file bytes
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.generateSpriteData_ = function () {
+    var sprites = this.buildTileSet_().tiles;
+    var bytes = new Uint8Array(sprites.length * BYTES_PER_SPRITE);
+
+    sprites.forEach(function (sprite, i) {
+      bytes.set(sprite, i * BYTES_PER_SPRITE);
+    });
+
+    return bytes;
+  };
+
+  /**
+   * Splits all frames into sprites and encodes them. When "Optimize
+   * sprites" is checked, duplicate sprites are only kept once. The hardware
+   * can expand sprites but not mirror them, so mirrored sprites are kept.
+   * @return {{tiles: Array<Uint8Array>, maps: Array<Array<Object>>}} Encoded
+   *         sprites, and the sprite of each position of each frame
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.buildTileSet_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var spriteWidth = this.getSpriteWidth_();
+    var optimize = this.isOptimizeEnabled_();
+
+    var sprites = [];
+    var maps = [];
+    var keyToIndex = {};
+
+    pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette).forEach(function (pixels) {
+      var map = [];
+      for (var y = 0; y < height; y += SPRITE_HEIGHT) {
+        for (var x = 0; x < width; x += spriteWidth) {
+          var sprite = this.encodeSprite_(pixels, width, height, x, y);
+          var key = sprite.join(',');
+          if (!optimize || !keyToIndex.hasOwnProperty(key)) {
+            keyToIndex[key] = sprites.length;
+            sprites.push(sprite);
+          }
+          map.push({index: optimize ? keyToIndex[key] : sprites.length - 1, flipX: false, flipY: false});
+        }
+      }
+      maps.push(map);
+    }, this);
+
+    return {tiles: sprites, maps: maps};
+  };
+
+  /**
+   * @return {number} Sprites per frame
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getSpritesPerFrame_ = function () {
+    return Math.ceil(this.piskelController.getWidth() / this.getSpriteWidth_()) *
+      Math.ceil(this.piskelController.getHeight() / SPRITE_HEIGHT);
+  };
+
+  /**
+   * @return {boolean} True if the "Optimize sprites" option is checked
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * Encodes the sprite at (startX, startY) of a frame to 64 bytes.
+   * @param {Uint8ClampedArray} pixels - Frame palette indexes, see
+   *        TileUtils.getFramesIndexes
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {number} startX - Sprite start X coordinate
+   * @param {number} startY - Sprite start Y coordinate
+   * @return {Uint8Array} 64 bytes for this sprite, the pad byte is 0
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.encodeSprite_ = function (pixels, width, height, startX, startY) {
+    var bytes = new Uint8Array(BYTES_PER_SPRITE);
+    var bitsPerPixel = this.multicolor ? 2 : 1;
+    var spriteWidth = this.getSpriteWidth_();
+
+    for (var y = 0; y < SPRITE_HEIGHT && startY + y < height; y++) {
+      for (var x = 0; x < spriteWidth && startX + x < width; x++) {
+        var idx = ((startY + y) * width + startX + x) * 4;
+        var colorIndex = this.getColorIndex_(pixels[idx], pixels[idx + 1], pixels[idx + 2], pixels[idx + 3]);
+        var bit = x * bitsPerPixel;
+        var byteIndex = y * BYTES_PER_ROW + (bit >> 3);
+        bytes[byteIndex] |= colorIndex << (8 - bitsPerPixel - (bit & 7));
+      }
+    }
+
+    return bytes;
+  };
+
+  /**
+   * Maps the palette index of a pixel to its bits in the sprite data.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
+   * @return {number} 0 for transparent, 1 for set hires pixels, the bit
+   *         pair of multicolor pixels
+   * @throws {Error} for palette indexes missing from the index map
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Gets the VIC-II color code of a sprite color.
+   * @param {string} hexColor - Hex color string, or undefined for unused
+   *        colors
+   * @return {number} Color code (0-15)
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getColorCode_ = function (hexColor) {
+    var mode = pskl.app.consoleRegistry.get(this.modeId);
+    var code = hexColor && mode ? mode.getIndexForColor(hexColor) : null;
+    return code !== null ? code : DEFAULT_COLOR_CODE;
+  };
+
+  /**
+   * Generates the color register values: the sprite color for hires
+   * sprites, $D025, $D026 and the sprite color for multicolor sprites.
+   * @return {Uint8Array} The color file bytes
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.generateColorData_ = function () {
+    var colors = this.spriteColors;
+    if (!this.multicolor) {
+      return new Uint8Array([this.getColorCode_(colors[0])]);
+    }
+    // Bit pairs 01, 11 and 10
+    return new Uint8Array([
+      this.getColorCode_(colors[0]),
+      this.getColorCode_(colors[2]),
+      this.getColorCode_(colors[1])
+    ]);
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.onDownloadAsmClick_ = function () {
+    var tiles = this.generateSpriteData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'C64 ' + (this.multicolor ? 'multicolor' : 'hires') + ' sprites and color registers',
+      // Sprites are the tiles of the include, TILE_SIZE is their height
+      constants : {TILE_SIZE : SPRITE_HEIGHT, BYTES_PER_TILE : BYTES_PER_SPRITE},
+      tiles : tiles,
+      tileCount : tiles.length / BYTES_PER_SPRITE,
+      tilesPerFrame : this.getSpritesPerFrame_(),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generateColorData_(),
+      paletteWordSize : 1,
+      paletteLabel : 'colors'
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). Sprite data and the
+   * color registers.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.C64SpriteExportController.prototype.getBundleFiles = function () {
+    return {
+      '.spr' : this.generateSpriteData_(),
+      '.clr' : this.generateColorData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.C64SpriteExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+
+  /**
+   * Controller for C64 multicolor sprite export, see C64SpriteExportController.
+   */
+  ns.C64MulticolorExportController = function (piskelController) {
+    ns.C64SpriteExportController.call(this, piskelController);
+    this.multicolor = true;
+    this.modeId = 'c64mc';
+    this.prefix = 'c64mcsprite';
+  };
+
+  pskl.utils.inherit(ns.C64MulticolorExportController, ns.C64SpriteExportController);
+})();
@@ -28,6 +28,17 @@
    */
   ns.CExporter.prototype.onDownloadClick_ = function () {
     var fileName = this.getPiskelName_() + '.c';
+    pskl.utils.BlobUtils.stringToBlob(this.generateCData_(), function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }.bind(this), 'application/text');
+  };
+
+  /**
+   * Generates the C source holding the pixels of all frames.
+   * @return {string} C source
+   * @private
+   */
+  ns.CExporter.prototype.generateCData_ = function () {
     var cName = this.getPiskelName_().replace(' ', '_');
     var width = this.piskelController.getWidth();
     var height = this.piskelController.getHeight();
@@ -71,9 +82,7 @@
     }
 
     frameStr += '};\n';
-    pskl.utils.BlobUtils.stringToBlob(frameStr, function (blob) {
-      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
-    }.bind(this), 'application/text');
+    return frameStr;
   };
 
   /**
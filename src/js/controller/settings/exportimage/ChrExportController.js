@@ -7,6 +7,8 @@
  *
  * Note: CHR exports ALL frames into a single .chr file. Tiles from each
  * frame are concatenated sequentially (frame 0 tiles, then frame 1, etc.).
+ * With "Optimize tiles" checked, duplicate and mirrored tiles are only
+ * exported once and a .map file describes each frame (see TileUtils).
  *
  * Reference: https://wiki.xxiivv.com/site/chr_format.html
  */
@@ -15,7 +17,8 @@
 
   ns.ChrExportController = function (piskelController) {
     this.piskelController = piskelController;
-    this.colorMap = {};  // Maps color int -> index (0-3)
+    this.palette = null;  // Palette of the exported indexes
+    this.indexMap = {};   // Maps palette index -> index (0-3)
   };
 
   pskl.utils.inherit(ns.ChrExportController,
@@ -25,15 +28,36 @@
     this.validateAndDisplay_();
 
     var downloadBtn = document.querySelector('.chr-download-button');
-    this.addEventListener(downloadBtn, 'click', this.onDownloadClick_);
+    this.addDownloadListener(downloadBtn, this.onDownloadClick_);
 
-    // Listen for color changes to update color map
+    var mapBtn = document.querySelector('.chr-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.chr-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.chr-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('nes'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.chr-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('nes');
+    this.asmDialectSelect = document.querySelector('.chr-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    // Listen for color changes to update index map
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
       this.validateAndDisplay_.bind(this));
   };
 
   /**
-   * Updates color map and download info display.
+   * Updates index map and download info display.
    * @private
    */
   ns.ChrExportController.prototype.validateAndDisplay_ = function () {
@@ -41,20 +65,38 @@
     var height = this.piskelController.getHeight();
     var frameCount = this.piskelController.getFrameCount();
 
-    // Build color map for export
-    var colors = pskl.app.currentColorsService.getCurrentColors();
-    this.colorMap = {};
-    this.colorMap[0] = 0;  // Transparent (alpha = 0) maps to index 0
-    for (var i = 0; i < Math.min(colors.length, 3); i++) {
-      var colorInt = pskl.utils.colorToInt(colors[i]);
-      this.colorMap[colorInt] = i + 1;
+    // Build index map for export, in palette index order
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette,
+      pskl.utils.PaletteOrderUtils.createColorMap(colors, 3));
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, this.getSubPalettes_() ? this.getSubPaletteIndexMaps_() : [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    var warning = document.querySelector('.chr-color-warning');
+    if (warning) {
+      warning.style.display = hasUnmappedPixels ? 'flex' : 'none';
     }
 
     // Update download info text
-    var totalBytes = frameCount * (width / 8) * (height / 8) * 16;
+    var tileCount = this.getTileCount_();
+    var totalBytes = tileCount * 16;
     var downloadInfo = document.querySelector('.chr-download-info');
-    downloadInfo.innerHTML = totalBytes + ' bytes' +
-      (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+    if (downloadInfo) {
+      downloadInfo.innerHTML = totalBytes + ' bytes' +
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generateChrData_.bind(this));
+    }
+
+    var mapInfo = document.querySelector('.chr-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = frameCount * (width / 8) * (height / 8) * 2 + ' bytes';
+    }
   };
 
   /**
@@ -64,8 +106,11 @@
   ns.ChrExportController.prototype.onDownloadClick_ = function () {
     var chrData = this.generateChrData_();
     if (chrData) {
-      var fileName = this.getPiskelName_() + '.chr';
-      var blob = new Blob([chrData], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.chr' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, chrData)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -76,37 +121,134 @@
    * @private
    */
   ns.ChrExportController.prototype.generateChrData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
+    var tileSet = this.buildTileSet_();
+    var chrBytes = new Uint8Array(tileSet.tiles.length * 16);
 
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 16;
-
-    var chrBytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
-
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      // Process each 8x8 tile (row by row, left to right)
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(pixels, width, tileX * 8, tileY * 8);
-          chrBytes.set(tileBytes, byteIndex);
-          byteIndex += 16;
-        }
+    // Tiles are standalone 8x8 buffers of palette indexes, encoded with the
+    // colors of their sub-palette when sub-palettes are defined
+    var indexMap = this.indexMap;
+    var indexMaps = this.getSubPaletteIndexMaps_();
+    tileSet.tiles.forEach(function (tile, i) {
+      if (indexMaps) {
+        this.indexMap = indexMaps[tileSet.palettes[i]] || indexMaps[0];
       }
-    }
+      chrBytes.set(this.encodeTile_(tile, 8, 0, 0), i * 16);
+    }, this);
+    this.indexMap = indexMap;
 
     return chrBytes;
   };
 
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once. Tiles of regions using
+   * different sub-palettes are never merged.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>,
+   *         palettes: Array<number>}}
+   * @private
+   */
+  ns.ChrExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('nes');
+    var tilePalettes = this.piskelController.getPiskel().getTilePalettes();
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip),
+        getPalette: this.getSubPalettes_() ?
+          pskl.utils.SubPaletteUtils.getPaletteIndex.bind(null, tilePalettes) : null
+      }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.ChrExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
+    }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
+
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.ChrExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.ChrExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * @return {Array<Array<string>>|null} Sub-palettes to export, or null when
+   *         all tiles use the current colors
+   * @private
+   */
+  ns.ChrExportController.prototype.getSubPalettes_ = function () {
+    return pskl.utils.SubPaletteUtils.getConsoleSubPalettes(
+      pskl.app.consoleRegistry.get('nes'), this.piskelController.getPiskel());
+  };
+
+  /**
+   * @return {Array<Object>|null} Index map of each sub-palette
+   * @private
+   */
+  ns.ChrExportController.prototype.getSubPaletteIndexMaps_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    return subPalettes ? pskl.utils.SubPaletteUtils.createIndexMaps(subPalettes, this.palette) : null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.ChrExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+  };
+
+  /**
+   * Generates the sprite palette RAM bytes ($3F10-$3F1F) of the sub-palettes:
+   * 4 PPU color values per sub-palette, the transparent entry set to $0F.
+   * @return {Uint8Array|null} The palette bytes, or null without sub-palettes
+   * @private
+   */
+  ns.ChrExportController.prototype.generateAllPalettesData_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    if (!subPalettes) {
+      return null;
+    }
+
+    var mode = pskl.app.consoleRegistry.get('nes');
+    var bytes = new Uint8Array(subPalettes.length * 4);
+    subPalettes.forEach(function (palette, p) {
+      bytes[p * 4] = 0x0F;
+      for (var i = 0; i < 3; i++) {
+        var register = palette[i] && mode.getRegisterForColor(palette[i]);
+        bytes[p * 4 + i + 1] = register ? parseInt(register.substr(1), 16) : 0x0F;
+      }
+    });
+    return bytes;
+  };
+
   /**
    * Encodes a single 8x8 tile to 16 bytes in CHR format.
    *
@@ -114,7 +256,8 @@
    *   - First 8 bytes: bit 0 of each pixel's color index
    *   - Next 8 bytes: bit 1 of each pixel's color index
    *
-   * @param {Uint8ClampedArray} pixels - Full image RGBA data
+   * @param {Uint8ClampedArray} pixels - Full image palette indexes, see
+   *        TileUtils.getFramesIndexes
    * @param {number} imgWidth - Full image width
    * @param {number} startX - Tile start X coordinate
    * @param {number} startY - Tile start Y coordinate
@@ -163,31 +306,65 @@
   };
 
   /**
-   * Maps an RGBA pixel to a color index 0-3.
-   * @param {number} r - Red component (0-255)
-   * @param {number} g - Green component (0-255)
-   * @param {number} b - Blue component (0-255)
-   * @param {number} a - Alpha component (0-255)
+   * Maps the palette index of a pixel to a color index 0-3.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
    * @return {number} Color index 0-3
+   * @throws {Error} for palette indexes missing from the index map
    * @private
    */
   ns.ChrExportController.prototype.getColorIndex_ = function (r, g, b, a) {
-    // Transparent pixels -> index 0
-    if (a < 128) {
-      return 0;
-    }
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.ChrExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.NESConstants;
+    var tiles = this.generateChrData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
 
-    // Convert RGBA to int format used by Piskel
-    var colorInt = (255 << 24 >>> 0) + (b << 16) + (g << 8) + r;
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'NES CHR tiles',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generateAllPalettesData_(),
+      tilePalettes : this.getSubPalettes_() ? pskl.utils.SubPaletteUtils.encodePaletteIndexes(
+        this.piskelController.getPiskel().getTilePalettes(), width, height,
+        this.piskelController.getFrameCount()) : null
+    });
 
-    if (this.colorMap.hasOwnProperty(colorInt)) {
-      return this.colorMap[colorInt];
-    }
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
 
-    // Color not in map - this shouldn't happen if validation passed
-    // Default to index 1 as fallback
-    console.warn('Unmapped color during CHR export:', r, g, b);
-    return 1;
+  /**
+   * Files of the console bundle (see ZipExportController). CHR tiles, and the
+   * sprite palettes when sub-palettes are defined.
+   * @return {Object<string, Uint8Array>} File contents by extension,
+   *         the palette being null without sub-palettes
+   */
+  ns.ChrExportController.prototype.getBundleFiles = function () {
+    return {
+      '.chr' : this.generateChrData_(),
+      '.pal' : this.generateAllPalettesData_()
+    };
   };
 
   /**
@@ -97,6 +97,70 @@
       template : 'templates/settings/export/msx2plus4bpp.html',
       controller : ns.Msx2plus4bppExportController,
       consoles : ['msx2plus']  // Only available in MSX2+ mode
+    },
+    'pcesprite' : {
+      template : 'templates/settings/export/pcesprite.html',
+      controller : ns.PceSpriteExportController,
+      consoles : ['pce']  // Only available in PC Engine mode
+    },
+    'c64sprite' : {
+      template : 'templates/settings/export/c64sprite.html',
+      controller : ns.C64SpriteExportController,
+      consoles : ['c64']  // Only available in C64 hires mode
+    },
+    'c64mcsprite' : {
+      template : 'templates/settings/export/c64mcsprite.html',
+      controller : ns.C64MulticolorExportController,
+      consoles : ['c64mc']  // Only available in C64 multicolor mode
+    },
+    'zxspectrum' : {
+      template : 'templates/settings/export/zxspectrum.html',
+      controller : ns.ZxSpectrumExportController,
+      consoles : ['zxspectrum']  // Only available in ZX Spectrum mode
+    },
+    'atari2600' : {
+      template : 'templates/settings/export/atari2600.html',
+      controller : ns.Atari2600ExportController,
+      consoles : ['atari2600']  // Only available in Atari 2600 NTSC mode
+    },
+    'atari2600pal' : {
+      template : 'templates/settings/export/atari2600.html',
+      controller : ns.Atari2600PalExportController,
+      consoles : ['atari2600pal']  // Only available in Atari 2600 PAL mode
+    },
+    'atari7800' : {
+      template : 'templates/settings/export/atari7800.html',
+      controller : ns.Atari7800ExportController,
+      consoles : ['atari7800']  // Only available in Atari 7800 NTSC mode
+    },
+    'atari7800pal' : {
+      template : 'templates/settings/export/atari7800.html',
+      controller : ns.Atari7800PalExportController,
+      consoles : ['atari7800pal']  // Only available in Atari 7800 PAL mode
+    },
+    'neogeo' : {
+      template : 'templates/settings/export/neogeo.html',
+      controller : ns.NeoGeoExportController,
+      consoles : ['neogeo']  // Only available in Neo Geo mode
+    },
+    'metasprite' : {
+      template : 'templates/settings/export/metasprite.html',
+      controller : ns.MetaspriteExportController,
+      // Consoles with a sprite attribute table (see ConsoleMode.spriteSizes)
+      consoles : ['nes', 'gameboy', 'gbc', 'snes', 'genesis', 'sms',
+        'gamegear', 'gba', 'gba8bpp', 'msx']
+    },
+    'subpalettes' : {
+      template : 'templates/settings/export/subpalettes.html',
+      controller : ns.SubPaletteExportController,
+      // Consoles with several sprite sub-palettes (see ConsoleMode.subPaletteCount)
+      consoles : ['nes', 'snes', 'genesis', 'gbc', 'gba']
+    },
+    'background' : {
+      template : 'templates/settings/export/background.html',
+      controller : ns.BackgroundExportController,
+      // Consoles with a background map format (see NametableUtils)
+      consoles : ['nes', 'gameboy', 'gbc', 'snes', 'genesis', 'gba', 'gba8bpp']
     }
   };
 
@@ -15,7 +15,8 @@
 
   ns.Gb2bppExportController = function (piskelController) {
     this.piskelController = piskelController;
-    this.colorMap = {};  // Maps color int -> shade index (0-3)
+    this.palette = null;  // Palette of the exported indexes
+    this.indexMap = {};   // Maps palette index -> shade index (0-3)
   };
 
   pskl.utils.inherit(ns.Gb2bppExportController,
@@ -25,15 +26,42 @@
     this.validateAndDisplay_();
 
     var downloadBtn = document.querySelector('.gb2bpp-download-button');
-    this.addEventListener(downloadBtn, 'click', this.onDownloadClick_);
+    this.addDownloadListener(downloadBtn, this.onDownloadClick_);
 
-    // Listen for color changes to update color map
+    var mapBtn = document.querySelector('.gb2bpp-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.gb2bpp-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.gb2bpp-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('gameboy'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.gb2bpp-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('gameboy');
+    this.asmDialectSelect = document.querySelector('.gb2bpp-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    var toolchainBtn = document.querySelector('.gb2bpp-download-toolchain-button');
+    this.addDownloadListener(toolchainBtn, this.onDownloadToolchainClick_);
+
+    this.toolchainSelect = document.querySelector('.gb2bpp-toolchain-select');
+    pskl.utils.ToolchainUtils.fillPresetSelect(this.toolchainSelect, 'gameboy');
+
+    // Listen for color changes to update index map
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
       this.validateAndDisplay_.bind(this));
   };
 
   /**
-   * Updates color map and download info display.
+   * Updates index map and download info display.
    * @private
    */
   ns.Gb2bppExportController.prototype.validateAndDisplay_ = function () {
@@ -42,23 +70,48 @@
     var frameCount = this.piskelController.getFrameCount();
 
     // Build color map for export using Game Boy shade mapping
-    var colors = pskl.app.currentColorsService.getCurrentColors();
-    this.colorMap = {};
-    this.colorMap[0] = 0;  // Transparent (alpha = 0) maps to shade 0
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+    var colorMap = {};
+    colorMap[0] = 0;  // Transparent (alpha = 0) maps to shade 0
 
     var gbMode = pskl.app.consoleRegistry.get('gameboy');
     for (var i = 0; i < Math.min(colors.length, 3); i++) {
       var colorInt = pskl.utils.colorToInt(colors[i]);
       // Try to get the actual GB shade, fallback to index-based
       var shade = gbMode ? gbMode.getShadeForColor(colors[i]) : null;
-      this.colorMap[colorInt] = shade !== null ? shade : (i + 1);
+      colorMap[colorInt] = shade !== null ? shade : (i + 1);
+    }
+
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    var warning = document.querySelector('.gb2bpp-color-warning');
+    if (warning) {
+      warning.style.display = hasUnmappedPixels ? 'flex' : 'none';
     }
 
     // Update download info text
-    var totalBytes = frameCount * (width / 8) * (height / 8) * 16;
+    var tileCount = this.getTileCount_();
+    var totalBytes = tileCount * 16;
     var downloadInfo = document.querySelector('.gb2bpp-download-info');
-    downloadInfo.innerHTML = totalBytes + ' bytes' +
-      (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+    if (downloadInfo) {
+      downloadInfo.innerHTML = totalBytes + ' bytes' +
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generate2bppData_.bind(this));
+    }
+
+    var mapInfo = document.querySelector('.gb2bpp-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = frameCount * (width / 8) * (height / 8) * 2 + ' bytes';
+    }
   };
 
   /**
@@ -68,8 +121,11 @@
   ns.Gb2bppExportController.prototype.onDownloadClick_ = function () {
     var data = this.generate2bppData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.2bpp';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.2bpp' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -80,37 +136,77 @@
    * @private
    */
   ns.Gb2bppExportController.prototype.generate2bppData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
+    var tileSet = this.buildTileSet_();
+    var bytes = new Uint8Array(tileSet.tiles.length * 16);
+
+    // Tiles are standalone 8x8 buffers of palette indexes
+    tileSet.tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeTile_(tile, 8, 0, 0), i * 16);
+    }, this);
+
+    return bytes;
+  };
 
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 16;
-
-    var bytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
-
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      // Process each 8x8 tile (row by row, left to right)
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(
-            pixels, width, tileX * 8, tileY * 8
-          );
-          bytes.set(tileBytes, byteIndex);
-          byteIndex += 16;
-        }
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>}}
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('gameboy');
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip)
       }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
     }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
 
-    return bytes;
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
   };
 
   /**
@@ -122,7 +218,8 @@
    *
    * This differs from NES CHR which stores all low bytes, then all high.
    *
-   * @param {Uint8ClampedArray} pixels - Full image RGBA data
+   * @param {Uint8ClampedArray} pixels - Full image palette indexes, see
+   *        TileUtils.getFramesIndexes
    * @param {number} imgWidth - Full image width
    * @param {number} startX - Tile start X coordinate
    * @param {number} startY - Tile start Y coordinate
@@ -167,31 +264,100 @@
   };
 
   /**
-   * Maps an RGBA pixel to a shade index 0-3.
-   * @param {number} r - Red component (0-255)
-   * @param {number} g - Green component (0-255)
-   * @param {number} b - Blue component (0-255)
-   * @param {number} a - Alpha component (0-255)
+   * Maps the palette index of a pixel to a shade index 0-3.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
    * @return {number} Shade index 0-3
+   * @throws {Error} for palette indexes missing from the index map
    * @private
    */
   ns.Gb2bppExportController.prototype.getShadeIndex_ = function (r, g, b, a) {
-    // Transparent pixels -> shade 0 (lightest, used as transparent in sprites)
-    if (a < 128) {
-      return 0;
-    }
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
 
-    // Convert RGBA to int format used by Piskel
-    var colorInt = (255 << 24 >>> 0) + (b << 16) + (g << 8) + r;
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.GameBoyConstants;
+    var tiles = this.generate2bppData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'Game Boy 2BPP tiles',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps
+    });
 
-    if (this.colorMap.hasOwnProperty(colorInt)) {
-      return this.colorMap[colorInt];
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Handles toolchain export button click: generates the resource files of
+   * the selected preset and downloads them as a zip.
+   * @private
+   */
+  ns.Gb2bppExportController.prototype.onDownloadToolchainClick_ = function () {
+    var presetId = this.toolchainSelect.value;
+    var tiles = this.generate2bppData_();
+    var data = {
+      name : this.getPiskelName_(),
+      width : this.piskelController.getWidth(),
+      height : this.piskelController.getHeight(),
+      frameCount : this.piskelController.getFrameCount(),
+      bpp : 2,
+      tiles : tiles,
+      tileCount : tiles.length / pskl.consoles.GameBoyConstants.BYTES_PER_TILE,
+      maps : pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps),
+      optimized : this.isOptimizeEnabled_(),
+      palette : null
+    };
+
+    if (presetId === 'gbdk') {
+      // png2asset metasprites use 8x16 hardware sprites
+      var metasprites = pskl.utils.MetaspriteUtils.buildMetasprites(
+        pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+        data.width, data.height, {consoleId : 'gameboy', size : '8x16'});
+      var emptyTile = new Uint8ClampedArray(8 * 8 * 4);
+      var spriteTiles = new Uint8Array(metasprites.tiles.length * 16);
+      metasprites.tiles.forEach(function (tile, i) {
+        spriteTiles.set(this.encodeTile_(tile || emptyTile, 8, 0, 0), i * 16);
+      }, this);
+      data.spriteTiles = spriteTiles;
+      data.spriteHeight = 16;
+      data.metasprites = metasprites.frames;
     }
 
-    // Color not in map - shouldn't happen if validation passed
-    // Default to shade 1 as fallback
-    console.warn('Unmapped color during 2BPP export:', r, g, b);
-    return 1;
+    var files = pskl.utils.ToolchainUtils.generateFiles(presetId, data);
+    var fileName = this.getPiskelName_() + '-' + presetId + '.zip';
+    pskl.utils.FileUtils.downloadAsFile(pskl.utils.ToolchainUtils.zipFiles(files), fileName);
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). 2BPP tiles. Game
+   * Boy shades are set by the game, there is no palette file.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Gb2bppExportController.prototype.getBundleFiles = function () {
+    return {
+      '.2bpp' : this.generate2bppData_()
+    };
   };
 
   /**
@@ -26,7 +26,8 @@
 
   ns.Gba8bppExportController = function (piskelController) {
     this.piskelController = piskelController;
-    this.colorMap = {};       // Maps color int -> index (0-255)
+    this.palette = null;      // Palette of the exported indexes
+    this.indexMap = {};       // Maps palette index -> index (0-255)
     this.paletteColors = [];  // Array of hex colors in order
   };
 
@@ -40,9 +41,36 @@
     var palBtn = document.querySelector('.gba8bpp-download-pal-button');
     var bothBtn = document.querySelector('.gba8bpp-download-both-button');
 
-    this.addEventListener(tilesBtn, 'click', this.onDownloadTilesClick_);
-    this.addEventListener(palBtn, 'click', this.onDownloadPaletteClick_);
-    this.addEventListener(bothBtn, 'click', this.onDownloadBothClick_);
+    this.addDownloadListener(tilesBtn, this.onDownloadTilesClick_);
+    this.addDownloadListener(palBtn, this.onDownloadPaletteClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.gba8bpp-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.gba8bpp-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.gba8bpp-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('gba8bpp'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.gba8bpp-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('gba8bpp');
+    this.asmDialectSelect = document.querySelector('.gba8bpp-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    var toolchainBtn = document.querySelector('.gba8bpp-download-toolchain-button');
+    this.addDownloadListener(toolchainBtn, this.onDownloadToolchainClick_);
+
+    this.toolchainSelect = document.querySelector('.gba8bpp-toolchain-select');
+    pskl.utils.ToolchainUtils.fillPresetSelect(this.toolchainSelect, 'gba8bpp');
 
     // Listen for color changes to update display
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
@@ -50,7 +78,7 @@
   };
 
   /**
-   * Updates color map, download info, and color warning display.
+   * Updates index map, download info, and color warning display.
    * @private
    */
   ns.Gba8bppExportController.prototype.validateAndDisplay_ = function () {
@@ -59,30 +87,39 @@
     var frameCount = this.piskelController.getFrameCount();
 
     // Get current colors and check if over limit
-    var colors = pskl.app.currentColorsService.getCurrentColors();
+    var colors = pskl.app.currentColorsService.getIndexedColors();
     var colorCount = colors.length;
     var hasTooManyColors = colorCount > MAX_COLORS;
 
-    // Show/hide color warning
-    var warning = document.querySelector('.gba8bpp-color-warning');
-    if (warning) {
-      warning.style.display = hasTooManyColors ? 'flex' : 'none';
-    }
-
     // Build color map for export (up to 255 colors + transparent)
-    this.colorMap = {};
+    var colorMap = {};
     this.paletteColors = [];
-    this.colorMap[0] = 0;  // Transparent maps to index 0
+    colorMap[0] = 0;  // Transparent maps to index 0
     this.paletteColors.push(null);  // Index 0 = transparent
 
     // Map up to 255 non-transparent colors
     var maxColors = Math.min(colorCount, MAX_COLORS);
     for (var i = 0; i < maxColors; i++) {
       var colorInt = pskl.utils.colorToInt(colors[i]);
-      this.colorMap[colorInt] = i + 1;
+      colorMap[colorInt] = i + 1;
       this.paletteColors.push(colors[i]);
     }
 
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    // Show/hide color warning
+    var warning = document.querySelector('.gba8bpp-color-warning');
+    if (warning) {
+      warning.style.display = hasTooManyColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
     // Pad palette to 256 colors if needed
     while (this.paletteColors.length < 256) {
       this.paletteColors.push('#000000');
@@ -90,7 +127,9 @@
 
     // Update download info
     var tilesPerFrame = (width / 8) * (height / 8);
-    var totalTileBytes = frameCount * tilesPerFrame * 64;  // 64 bytes per tile
+    var tileCount = this.getTileCount_();
+    var totalTileBytes = tileCount * 64;  // 64 bytes per tile
+    var mapBytes = frameCount * tilesPerFrame * 2;
     var paletteBytes = 512;  // 256 colors × 2 bytes
 
     var tilesInfo = document.querySelector('.gba8bpp-tiles-info');
@@ -98,12 +137,20 @@
 
     if (tilesInfo) {
       tilesInfo.innerHTML = totalTileBytes + ' bytes' +
-        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generate8bppData_.bind(this));
     }
     if (palInfo) {
       palInfo.innerHTML = paletteBytes + ' bytes (' + colorCount +
         '/' + MAX_COLORS + ' colors)';
     }
+
+    var mapInfo = document.querySelector('.gba8bpp-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
+    }
   };
 
   /**
@@ -113,8 +160,11 @@
   ns.Gba8bppExportController.prototype.onDownloadTilesClick_ = function () {
     var data = this.generate8bppData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.8bpp';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.8bpp' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -140,6 +190,9 @@
     this.onDownloadTilesClick_();
     // Small delay to avoid browser blocking multiple downloads
     setTimeout(this.onDownloadPaletteClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
   };
 
   /**
@@ -153,36 +206,77 @@
    * @private
    */
   ns.Gba8bppExportController.prototype.generate8bppData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
+    var tileSet = this.buildTileSet_();
+    var bytes = new Uint8Array(tileSet.tiles.length * 64);
 
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 64;  // 64 bytes per tile
+    // Tiles are standalone 8x8 buffers of palette indexes
+    tileSet.tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeTile_(tile, 8, 0, 0), i * 64);
+    }, this);
 
-    var bytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
+    return bytes;
+  };
 
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(
-            pixels, width, tileX * 8, tileY * 8
-          );
-          bytes.set(tileBytes, byteIndex);
-          byteIndex += 64;
-        }
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>}}
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('gba8bpp');
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip)
       }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
     }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
 
-    return bytes;
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
   };
 
   /**
@@ -230,7 +324,8 @@
    *   - Each byte is the palette index (0-255)
    *   - Rows stored top to bottom
    *
-   * @param {Uint8ClampedArray} pixels - Full image RGBA data
+   * @param {Uint8ClampedArray} pixels - Full image palette indexes, see
+   *        TileUtils.getFramesIndexes
    * @param {number} imgWidth - Full image width
    * @param {number} startX - Tile start X coordinate
    * @param {number} startY - Tile start Y coordinate
@@ -262,29 +357,88 @@
   };
 
   /**
-   * Maps an RGBA pixel to a color index 0-255.
-   * @param {number} r - Red component (0-255)
-   * @param {number} g - Green component (0-255)
-   * @param {number} b - Blue component (0-255)
-   * @param {number} a - Alpha component (0-255)
+   * Maps the palette index of a pixel to a color index 0-255.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
    * @return {number} Color index 0-255
+   * @throws {Error} for palette indexes missing from the index map
    * @private
    */
-  ns.Gba8bppExportController.prototype.getColorIndex_ = function (
-    r, g, b, a
-  ) {
-    if (a < 128) {
-      return 0;
-    }
+  ns.Gba8bppExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
 
-    var colorInt = (255 << 24 >>> 0) + (b << 16) + (g << 8) + r;
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.GBA8bppConstants;
+    var tiles = this.generate8bppData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
 
-    if (this.colorMap.hasOwnProperty(colorInt)) {
-      return this.colorMap[colorInt];
-    }
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'GBA 8BPP tiles and palette',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generatePaletteData_(),
+      paletteWordSize : 2
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Handles toolchain export button click: generates the resource files of
+   * the selected preset and downloads them as a zip.
+   * @private
+   */
+  ns.Gba8bppExportController.prototype.onDownloadToolchainClick_ = function () {
+    var presetId = this.toolchainSelect.value;
+    var tiles = this.generate8bppData_();
+    var data = {
+      name : this.getPiskelName_(),
+      width : this.piskelController.getWidth(),
+      height : this.piskelController.getHeight(),
+      frameCount : this.piskelController.getFrameCount(),
+      bpp : 8,
+      tiles : tiles,
+      tileCount : tiles.length / pskl.consoles.GBA8bppConstants.BYTES_PER_TILE,
+      maps : pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps),
+      optimized : this.isOptimizeEnabled_(),
+      palette : this.generatePaletteData_()
+    };
+
+    var files = pskl.utils.ToolchainUtils.generateFiles(presetId, data);
+    var fileName = this.getPiskelName_() + '-' + presetId + '.zip';
+    pskl.utils.FileUtils.downloadAsFile(pskl.utils.ToolchainUtils.zipFiles(files), fileName);
+  };
 
-    console.warn('Unmapped color during GBA 8BPP export:', r, g, b);
-    return 1;
+  /**
+   * Files of the console bundle (see ZipExportController). 8BPP tiles and the
+   * 256-color palette.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Gba8bppExportController.prototype.getBundleFiles = function () {
+    return {
+      '.8bpp' : this.generate8bppData_(),
+      '.pal' : this.generatePaletteData_()
+    };
   };
 
   /**
@@ -21,7 +21,8 @@
 
   ns.Gbc2bppExportController = function (piskelController) {
     this.piskelController = piskelController;
-    this.colorMap = {};  // Maps color int -> index (0-3)
+    this.palette = null;      // Palette of the exported indexes
+    this.indexMap = {};       // Maps palette index -> index (0-3)
     this.paletteColors = [];  // Array of hex colors in order
   };
 
@@ -35,9 +36,36 @@
     var palBtn = document.querySelector('.gbc2bpp-download-pal-button');
     var bothBtn = document.querySelector('.gbc2bpp-download-both-button');
 
-    this.addEventListener(tilesBtn, 'click', this.onDownloadTilesClick_);
-    this.addEventListener(palBtn, 'click', this.onDownloadPaletteClick_);
-    this.addEventListener(bothBtn, 'click', this.onDownloadBothClick_);
+    this.addDownloadListener(tilesBtn, this.onDownloadTilesClick_);
+    this.addDownloadListener(palBtn, this.onDownloadPaletteClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.gbc2bpp-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.gbc2bpp-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.gbc2bpp-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('gbc'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.gbc2bpp-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('gbc');
+    this.asmDialectSelect = document.querySelector('.gbc2bpp-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    var toolchainBtn = document.querySelector('.gbc2bpp-download-toolchain-button');
+    this.addDownloadListener(toolchainBtn, this.onDownloadToolchainClick_);
+
+    this.toolchainSelect = document.querySelector('.gbc2bpp-toolchain-select');
+    pskl.utils.ToolchainUtils.fillPresetSelect(this.toolchainSelect, 'gbc');
 
     // Listen for color changes to update display
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
@@ -45,7 +73,7 @@
   };
 
   /**
-   * Updates color map, download info, and color warning display.
+   * Updates index map, download info, and color warning display.
    * @private
    */
   ns.Gbc2bppExportController.prototype.validateAndDisplay_ = function () {
@@ -54,29 +82,40 @@
     var frameCount = this.piskelController.getFrameCount();
 
     // Get current colors and check if over limit
-    var colors = pskl.app.currentColorsService.getCurrentColors();
+    var colors = pskl.app.currentColorsService.getIndexedColors();
     var colorCount = colors.length;
-    var hasTooManyColors = colorCount > MAX_COLORS;
-
-    // Show/hide color warning
-    var warning = document.querySelector('.gbc2bpp-color-warning');
-    if (warning) {
-      warning.style.display = hasTooManyColors ? 'flex' : 'none';
-    }
+    // With sub-palettes, colors are validated per region (Palettes tab)
+    var subPalettes = this.getSubPalettes_();
+    var hasTooManyColors = !subPalettes && colorCount > MAX_COLORS;
 
     // Build color map for export
-    this.colorMap = {};
+    var colorMap = {};
     this.paletteColors = [];
-    this.colorMap[0] = 0;  // Transparent maps to index 0
+    colorMap[0] = 0;  // Transparent maps to index 0
     this.paletteColors.push(null);  // Index 0 = transparent
 
     var maxColors = Math.min(colorCount, MAX_COLORS);
     for (var i = 0; i < maxColors; i++) {
       var colorInt = pskl.utils.colorToInt(colors[i]);
-      this.colorMap[colorInt] = i + 1;
+      colorMap[colorInt] = i + 1;
       this.paletteColors.push(colors[i]);
     }
 
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, subPalettes ? this.getSubPaletteIndexMaps_() : [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    // Show/hide color warning
+    var warning = document.querySelector('.gbc2bpp-color-warning');
+    if (warning) {
+      warning.style.display = hasTooManyColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
     // Pad palette to 4 colors if needed
     while (this.paletteColors.length < 4) {
       this.paletteColors.push('#000000');
@@ -84,7 +123,9 @@
 
     // Update download info
     var tilesPerFrame = (width / 8) * (height / 8);
-    var totalTileBytes = frameCount * tilesPerFrame * 16;
+    var tileCount = this.getTileCount_();
+    var totalTileBytes = tileCount * 16;
+    var mapBytes = frameCount * tilesPerFrame * 2;
     var paletteBytes = 8;  // 4 colors × 2 bytes
 
     var tilesInfo = document.querySelector('.gbc2bpp-tiles-info');
@@ -92,11 +133,20 @@
 
     if (tilesInfo) {
       tilesInfo.innerHTML = totalTileBytes + ' bytes' +
-        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generate2bppData_.bind(this));
     }
     if (palInfo) {
-      palInfo.innerHTML = paletteBytes + ' bytes (' + colorCount +
-        '/' + MAX_COLORS + ' colors)';
+      palInfo.innerHTML = subPalettes ?
+        paletteBytes * subPalettes.length + ' bytes (' + subPalettes.length + ' sub-palettes)' :
+        paletteBytes + ' bytes (' + colorCount + '/' + MAX_COLORS + ' colors)';
+    }
+
+    var mapInfo = document.querySelector('.gbc2bpp-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
     }
   };
 
@@ -107,8 +157,11 @@
   ns.Gbc2bppExportController.prototype.onDownloadTilesClick_ = function () {
     var data = this.generate2bppData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.2bpp';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.2bpp' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -118,7 +171,7 @@
    * @private
    */
   ns.Gbc2bppExportController.prototype.onDownloadPaletteClick_ = function () {
-    var data = this.generatePaletteData_();
+    var data = this.generateAllPalettesData_();
     if (data) {
       var fileName = this.getPiskelName_() + '.pal';
       var blob = new Blob([data], {type: 'application/octet-stream'});
@@ -134,6 +187,9 @@
     this.onDownloadTilesClick_();
     // Small delay to avoid browser blocking multiple downloads
     setTimeout(this.onDownloadPaletteClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
   };
 
   /**
@@ -142,36 +198,108 @@
    * @private
    */
   ns.Gbc2bppExportController.prototype.generate2bppData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
-
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 16;
+    var tileSet = this.buildTileSet_();
+    var bytes = new Uint8Array(tileSet.tiles.length * 16);
+
+    // Tiles are standalone 8x8 buffers of palette indexes, encoded with the
+    // colors of their sub-palette when sub-palettes are defined
+    var indexMap = this.indexMap;
+    var indexMaps = this.getSubPaletteIndexMaps_();
+    tileSet.tiles.forEach(function (tile, i) {
+      if (indexMaps) {
+        this.indexMap = indexMaps[tileSet.palettes[i]] || indexMaps[0];
+      }
+      bytes.set(this.encodeTile_(tile, 8, 0, 0), i * 16);
+    }, this);
+    this.indexMap = indexMap;
 
-    var bytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
+    return bytes;
+  };
 
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(
-            pixels, width, tileX * 8, tileY * 8
-          );
-          bytes.set(tileBytes, byteIndex);
-          byteIndex += 16;
-        }
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once. Tiles of regions using
+   * different sub-palettes are never merged.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>,
+   *         palettes: Array<number>}}
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('gbc');
+    var tilePalettes = this.piskelController.getPiskel().getTilePalettes();
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip),
+        getPalette: this.getSubPalettes_() ?
+          pskl.utils.SubPaletteUtils.getPaletteIndex.bind(null, tilePalettes) : null
       }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
     }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
 
-    return bytes;
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * @return {Array<Array<string>>|null} Sub-palettes to export, or null when
+   *         all tiles use the current colors
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.getSubPalettes_ = function () {
+    return pskl.utils.SubPaletteUtils.getConsoleSubPalettes(
+      pskl.app.consoleRegistry.get('gbc'), this.piskelController.getPiskel());
+  };
+
+  /**
+   * @return {Array<Object>|null} Index map of each sub-palette
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.getSubPaletteIndexMaps_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    return subPalettes ? pskl.utils.SubPaletteUtils.createIndexMaps(subPalettes, this.palette) : null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
   };
 
   /**
@@ -211,10 +339,40 @@
     return bytes;
   };
 
+  /**
+   * Generates the palette data of every sub-palette, one after the other,
+   * or of the current colors when no sub-palettes are defined.
+   * @return {Uint8Array} The palette file bytes
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.generateAllPalettesData_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    if (!subPalettes) {
+      return this.generatePaletteData_();
+    }
+
+    var paletteColors = this.paletteColors;
+    var palettes = subPalettes.map(function (palette) {
+      this.paletteColors = [null].concat(palette.slice(0, 3));
+      while (this.paletteColors.length < 4) {
+        this.paletteColors.push('#000000');
+      }
+      return this.generatePaletteData_();
+    }, this);
+    this.paletteColors = paletteColors;
+
+    var bytes = new Uint8Array(palettes.length * palettes[0].length);
+    palettes.forEach(function (palette, i) {
+      bytes.set(palette, i * palette.length);
+    });
+    return bytes;
+  };
+
   /**
    * Encodes a single 8x8 tile to 16 bytes in Game Boy 2BPP format.
    * Uses INTERLEAVED format (low byte, high byte per row).
-   * @param {Uint8ClampedArray} pixels - Full image RGBA data
+   * @param {Uint8ClampedArray} pixels - Full image palette indexes, see
+   *        TileUtils.getFramesIndexes
    * @param {number} imgWidth - Full image width
    * @param {number} startX - Tile start X coordinate
    * @param {number} startY - Tile start Y coordinate
@@ -258,27 +416,106 @@
   };
 
   /**
-   * Maps an RGBA pixel to a color index 0-3.
-   * @param {number} r - Red component (0-255)
-   * @param {number} g - Green component (0-255)
-   * @param {number} b - Blue component (0-255)
-   * @param {number} a - Alpha component (0-255)
+   * Maps the palette index of a pixel to a color index 0-3.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
    * @return {number} Color index 0-3
+   * @throws {Error} for palette indexes missing from the index map
    * @private
    */
   ns.Gbc2bppExportController.prototype.getColorIndex_ = function (r, g, b, a) {
-    if (a < 128) {
-      return 0;
-    }
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.GBCConstants;
+    var tiles = this.generate2bppData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
 
-    var colorInt = (255 << 24 >>> 0) + (b << 16) + (g << 8) + r;
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'GBC 2BPP tiles and palette',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generateAllPalettesData_(),
+      paletteWordSize : 2,
+      tilePalettes : this.getSubPalettes_() ? pskl.utils.SubPaletteUtils.encodePaletteIndexes(
+        this.piskelController.getPiskel().getTilePalettes(), width, height,
+        this.piskelController.getFrameCount()) : null
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
 
-    if (this.colorMap.hasOwnProperty(colorInt)) {
-      return this.colorMap[colorInt];
+  /**
+   * Handles toolchain export button click: generates the resource files of
+   * the selected preset and downloads them as a zip.
+   * @private
+   */
+  ns.Gbc2bppExportController.prototype.onDownloadToolchainClick_ = function () {
+    var presetId = this.toolchainSelect.value;
+    var tiles = this.generate2bppData_();
+    var data = {
+      name : this.getPiskelName_(),
+      width : this.piskelController.getWidth(),
+      height : this.piskelController.getHeight(),
+      frameCount : this.piskelController.getFrameCount(),
+      bpp : 2,
+      tiles : tiles,
+      tileCount : tiles.length / pskl.consoles.GBCConstants.BYTES_PER_TILE,
+      maps : pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps),
+      optimized : this.isOptimizeEnabled_(),
+      palette : this.generateAllPalettesData_()
+    };
+
+    if (presetId === 'gbdk') {
+      // png2asset metasprites use 8x16 hardware sprites
+      var metasprites = pskl.utils.MetaspriteUtils.buildMetasprites(
+        pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+        data.width, data.height, {consoleId : 'gbc', size : '8x16'});
+      var emptyTile = new Uint8ClampedArray(8 * 8 * 4);
+      var spriteTiles = new Uint8Array(metasprites.tiles.length * 16);
+      metasprites.tiles.forEach(function (tile, i) {
+        spriteTiles.set(this.encodeTile_(tile || emptyTile, 8, 0, 0), i * 16);
+      }, this);
+      data.spriteTiles = spriteTiles;
+      data.spriteHeight = 16;
+      data.metasprites = metasprites.frames;
     }
 
-    console.warn('Unmapped color during GBC 2BPP export:', r, g, b);
-    return 1;
+    var files = pskl.utils.ToolchainUtils.generateFiles(presetId, data);
+    var fileName = this.getPiskelName_() + '-' + presetId + '.zip';
+    pskl.utils.FileUtils.downloadAsFile(pskl.utils.ToolchainUtils.zipFiles(files), fileName);
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). 2BPP tiles and the
+   * palettes of every sub-palette.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Gbc2bppExportController.prototype.getBundleFiles = function () {
+    return {
+      '.2bpp' : this.generate2bppData_(),
+      '.pal' : this.generateAllPalettesData_()
+    };
   };
 
   /**
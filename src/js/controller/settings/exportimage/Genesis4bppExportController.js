@@ -26,7 +26,8 @@
 
   ns.Genesis4bppExportController = function (piskelController) {
     this.piskelController = piskelController;
-    this.colorMap = {};       // Maps color int -> index (0-15)
+    this.palette = null;      // Palette of the exported indexes
+    this.indexMap = {};       // Maps palette index -> index (0-15)
     this.paletteColors = [];  // Array of hex colors in order
   };
 
@@ -40,9 +41,36 @@
     var palBtn = document.querySelector('.genesis4bpp-download-pal-button');
     var bothBtn = document.querySelector('.genesis4bpp-download-both-button');
 
-    this.addEventListener(tilesBtn, 'click', this.onDownloadTilesClick_);
-    this.addEventListener(palBtn, 'click', this.onDownloadPaletteClick_);
-    this.addEventListener(bothBtn, 'click', this.onDownloadBothClick_);
+    this.addDownloadListener(tilesBtn, this.onDownloadTilesClick_);
+    this.addDownloadListener(palBtn, this.onDownloadPaletteClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.genesis4bpp-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.genesis4bpp-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.genesis4bpp-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('genesis'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.genesis4bpp-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('genesis');
+    this.asmDialectSelect = document.querySelector('.genesis4bpp-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    var toolchainBtn = document.querySelector('.genesis4bpp-download-toolchain-button');
+    this.addDownloadListener(toolchainBtn, this.onDownloadToolchainClick_);
+
+    this.toolchainSelect = document.querySelector('.genesis4bpp-toolchain-select');
+    pskl.utils.ToolchainUtils.fillPresetSelect(this.toolchainSelect, 'genesis');
 
     // Listen for color changes to update display
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
@@ -50,7 +78,7 @@
   };
 
   /**
-   * Updates color map, download info, and color warning display.
+   * Updates index map, download info, and color warning display.
    * @private
    */
   ns.Genesis4bppExportController.prototype.validateAndDisplay_ = function () {
@@ -59,30 +87,41 @@
     var frameCount = this.piskelController.getFrameCount();
 
     // Get current colors and check if over limit
-    var colors = pskl.app.currentColorsService.getCurrentColors();
+    var colors = pskl.app.currentColorsService.getIndexedColors();
     var colorCount = colors.length;
-    var hasTooManyColors = colorCount > MAX_COLORS;
-
-    // Show/hide color warning
-    var warning = document.querySelector('.genesis4bpp-color-warning');
-    if (warning) {
-      warning.style.display = hasTooManyColors ? 'flex' : 'none';
-    }
+    // With sub-palettes, colors are validated per region (Palettes tab)
+    var subPalettes = this.getSubPalettes_();
+    var hasTooManyColors = !subPalettes && colorCount > MAX_COLORS;
 
     // Build color map for export (up to 15 colors + transparent)
-    this.colorMap = {};
+    var colorMap = {};
     this.paletteColors = [];
-    this.colorMap[0] = 0;  // Transparent maps to index 0
+    colorMap[0] = 0;  // Transparent maps to index 0
     this.paletteColors.push(null);  // Index 0 = transparent
 
     // Map up to 15 non-transparent colors
     var maxColors = Math.min(colorCount, MAX_COLORS);
     for (var i = 0; i < maxColors; i++) {
       var colorInt = pskl.utils.colorToInt(colors[i]);
-      this.colorMap[colorInt] = i + 1;
+      colorMap[colorInt] = i + 1;
       this.paletteColors.push(colors[i]);
     }
 
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, subPalettes ? this.getSubPaletteIndexMaps_() : [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    // Show/hide color warning
+    var warning = document.querySelector('.genesis4bpp-color-warning');
+    if (warning) {
+      warning.style.display = hasTooManyColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
     // Pad palette to 16 colors if needed
     while (this.paletteColors.length < 16) {
       this.paletteColors.push('#000000');
@@ -90,7 +129,9 @@
 
     // Update download info
     var tilesPerFrame = (width / 8) * (height / 8);
-    var totalTileBytes = frameCount * tilesPerFrame * 32;  // 32 bytes per tile
+    var tileCount = this.getTileCount_();
+    var totalTileBytes = tileCount * 32;  // 32 bytes per tile
+    var mapBytes = frameCount * tilesPerFrame * 2;
     var paletteBytes = 32;  // 16 colors × 2 bytes
 
     var tilesInfo = document.querySelector('.genesis4bpp-tiles-info');
@@ -98,11 +139,20 @@
 
     if (tilesInfo) {
       tilesInfo.innerHTML = totalTileBytes + ' bytes' +
-        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generate4bppData_.bind(this));
     }
     if (palInfo) {
-      palInfo.innerHTML = paletteBytes + ' bytes (' + colorCount +
-        '/' + MAX_COLORS + ' colors)';
+      palInfo.innerHTML = subPalettes ?
+        paletteBytes * subPalettes.length + ' bytes (' + subPalettes.length + ' sub-palettes)' :
+        paletteBytes + ' bytes (' + colorCount + '/' + MAX_COLORS + ' colors)';
+    }
+
+    var mapInfo = document.querySelector('.genesis4bpp-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
     }
   };
 
@@ -113,8 +163,11 @@
   ns.Genesis4bppExportController.prototype.onDownloadTilesClick_ = function () {
     var data = this.generate4bppData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.4bpp';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.4bpp' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -125,7 +178,7 @@
    */
   ns.Genesis4bppExportController.prototype.onDownloadPaletteClick_ =
     function () {
-      var data = this.generatePaletteData_();
+      var data = this.generateAllPalettesData_();
       if (data) {
         var fileName = this.getPiskelName_() + '.pal';
         var blob = new Blob([data], {type: 'application/octet-stream'});
@@ -141,6 +194,9 @@
     this.onDownloadTilesClick_();
     // Small delay to avoid browser blocking multiple downloads
     setTimeout(this.onDownloadPaletteClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
   };
 
   /**
@@ -150,36 +206,108 @@
    * @private
    */
   ns.Genesis4bppExportController.prototype.generate4bppData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
-
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 32;  // 32 bytes per tile
+    var tileSet = this.buildTileSet_();
+    var bytes = new Uint8Array(tileSet.tiles.length * 32);
+
+    // Tiles are standalone 8x8 buffers of palette indexes, encoded with the
+    // colors of their sub-palette when sub-palettes are defined
+    var indexMap = this.indexMap;
+    var indexMaps = this.getSubPaletteIndexMaps_();
+    tileSet.tiles.forEach(function (tile, i) {
+      if (indexMaps) {
+        this.indexMap = indexMaps[tileSet.palettes[i]] || indexMaps[0];
+      }
+      bytes.set(this.encodeTile_(tile, 8, 0, 0), i * 32);
+    }, this);
+    this.indexMap = indexMap;
 
-    var bytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
+    return bytes;
+  };
 
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(
-            pixels, width, tileX * 8, tileY * 8
-          );
-          bytes.set(tileBytes, byteIndex);
-          byteIndex += 32;
-        }
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once. Tiles of regions using
+   * different sub-palettes are never merged.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>,
+   *         palettes: Array<number>}}
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('genesis');
+    var tilePalettes = this.piskelController.getPiskel().getTilePalettes();
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip),
+        getPalette: this.getSubPalettes_() ?
+          pskl.utils.SubPaletteUtils.getPaletteIndex.bind(null, tilePalettes) : null
       }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
     }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
 
-    return bytes;
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * @return {Array<Array<string>>|null} Sub-palettes to export, or null when
+   *         all tiles use the current colors
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.getSubPalettes_ = function () {
+    return pskl.utils.SubPaletteUtils.getConsoleSubPalettes(
+      pskl.app.consoleRegistry.get('genesis'), this.piskelController.getPiskel());
+  };
+
+  /**
+   * @return {Array<Object>|null} Index map of each sub-palette
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.getSubPaletteIndexMaps_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    return subPalettes ? pskl.utils.SubPaletteUtils.createIndexMaps(subPalettes, this.palette) : null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
   };
 
   /**
@@ -219,6 +347,35 @@
     return bytes;
   };
 
+  /**
+   * Generates the palette data of every sub-palette, one after the other,
+   * or of the current colors when no sub-palettes are defined.
+   * @return {Uint8Array} The palette file bytes
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.generateAllPalettesData_ = function () {
+    var subPalettes = this.getSubPalettes_();
+    if (!subPalettes) {
+      return this.generatePaletteData_();
+    }
+
+    var paletteColors = this.paletteColors;
+    var palettes = subPalettes.map(function (palette) {
+      this.paletteColors = [null].concat(palette.slice(0, 15));
+      while (this.paletteColors.length < 16) {
+        this.paletteColors.push('#000000');
+      }
+      return this.generatePaletteData_();
+    }, this);
+    this.paletteColors = paletteColors;
+
+    var bytes = new Uint8Array(palettes.length * palettes[0].length);
+    palettes.forEach(function (palette, i) {
+      bytes.set(palette, i * palette.length);
+    });
+    return bytes;
+  };
+
   /**
    * Encodes a single 8x8 tile to 32 bytes in Genesis 4BPP format.
    *
@@ -229,7 +386,8 @@
    *   - 8 pixels = 4 bytes per row
    *   - 8 rows = 32 bytes per tile
    *
-   * @param {Uint8ClampedArray} pixels - Full image RGBA data
+   * @param {Uint8ClampedArray} pixels - Full image palette indexes, see
+   *        TileUtils.getFramesIndexes
    * @param {number} imgWidth - Full image width
    * @param {number} startX - Tile start X coordinate
    * @param {number} startY - Tile start Y coordinate
@@ -272,29 +430,91 @@
   };
 
   /**
-   * Maps an RGBA pixel to a color index 0-15.
-   * @param {number} r - Red component (0-255)
-   * @param {number} g - Green component (0-255)
-   * @param {number} b - Blue component (0-255)
-   * @param {number} a - Alpha component (0-255)
+   * Maps the palette index of a pixel to a color index 0-15.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
    * @return {number} Color index 0-15
+   * @throws {Error} for palette indexes missing from the index map
    * @private
    */
-  ns.Genesis4bppExportController.prototype.getColorIndex_ = function (
-    r, g, b, a
-  ) {
-    if (a < 128) {
-      return 0;
-    }
+  ns.Genesis4bppExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
 
-    var colorInt = (255 << 24 >>> 0) + (b << 16) + (g << 8) + r;
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.GenesisConstants;
+    var tiles = this.generate4bppData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
 
-    if (this.colorMap.hasOwnProperty(colorInt)) {
-      return this.colorMap[colorInt];
-    }
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'Genesis 4BPP tiles and palette',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generateAllPalettesData_(),
+      paletteWordSize : 2,
+      tilePalettes : this.getSubPalettes_() ? pskl.utils.SubPaletteUtils.encodePaletteIndexes(
+        this.piskelController.getPiskel().getTilePalettes(), width, height,
+        this.piskelController.getFrameCount()) : null
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Handles toolchain export button click: generates the resource files of
+   * the selected preset and downloads them as a zip.
+   * @private
+   */
+  ns.Genesis4bppExportController.prototype.onDownloadToolchainClick_ = function () {
+    var presetId = this.toolchainSelect.value;
+    var tiles = this.generate4bppData_();
+    var data = {
+      name : this.getPiskelName_(),
+      width : this.piskelController.getWidth(),
+      height : this.piskelController.getHeight(),
+      frameCount : this.piskelController.getFrameCount(),
+      bpp : 4,
+      tiles : tiles,
+      tileCount : tiles.length / pskl.consoles.GenesisConstants.BYTES_PER_TILE,
+      maps : pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps),
+      optimized : this.isOptimizeEnabled_(),
+      palette : this.generateAllPalettesData_()
+    };
 
-    console.warn('Unmapped color during Genesis 4BPP export:', r, g, b);
-    return 1;
+    var files = pskl.utils.ToolchainUtils.generateFiles(presetId, data);
+    var fileName = this.getPiskelName_() + '-' + presetId + '.zip';
+    pskl.utils.FileUtils.downloadAsFile(pskl.utils.ToolchainUtils.zipFiles(files), fileName);
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). 4BPP tiles and the
+   * CRAM palettes of every sub-palette.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Genesis4bppExportController.prototype.getBundleFiles = function () {
+    return {
+      '.4bpp' : this.generate4bppData_(),
+      '.pal' : this.generateAllPalettesData_()
+    };
   };
 
   /**
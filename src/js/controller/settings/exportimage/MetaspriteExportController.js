@@ -0,0 +1,271 @@
+/**
+ * Controller for metasprite (OAM table) export.
+ *
+ * Each frame is split into hardware sprites of the selected size. Fully
+ * transparent sprites are skipped, the others are written as a per-frame
+ * sprite table in the console's native OAM attribute layout.
+ *
+ * Exports:
+ *   - .oam file: Sprite tables of all frames (see MetaspriteUtils)
+ *   - Tile file: Sprite tiles in the VRAM order expected by the tables,
+ *     encoded with the console's tile exporter
+ *
+ * Sprite sizes come from the active console mode (ConsoleMode.spriteSizes).
+ * When the project defines sub-palettes, each sprite uses the sub-palette of
+ * its top-left 8x8 region.
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /**
+   * Tile exporter and tile file extension for each console mode.
+   * Controllers are looked up lazily, as they are defined in other files.
+   */
+  var TILE_EXPORTERS = {
+    'nes' : {controller : 'ChrExportController', extension : '.chr'},
+    'gameboy' : {controller : 'Gb2bppExportController', extension : '.2bpp'},
+    'gbc' : {controller : 'Gbc2bppExportController', extension : '.2bpp'},
+    'snes' : {controller : 'Snes4bppExportController', extension : '.4bpp'},
+    'genesis' : {controller : 'Genesis4bppExportController', extension : '.4bpp'},
+    'sms' : {controller : 'Sms4bppExportController', extension : '.4bpp'},
+    'gamegear' : {controller : 'Gg4bppExportController', extension : '.4bpp'},
+    'gba' : {controller : 'Gba4bppExportController', extension : '.4bpp'},
+    'gba8bpp' : {controller : 'Gba8bppExportController', extension : '.8bpp'},
+    'msx' : {controller : 'Msx1bppExportController', extension : '.1bpp'}
+  };
+
+  ns.MetaspriteExportController = function (piskelController) {
+    this.piskelController = piskelController;
+  };
+
+  pskl.utils.inherit(ns.MetaspriteExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.MetaspriteExportController.prototype.init = function () {
+    this.sizeSelect = document.querySelector('.metasprite-size-select');
+    this.populateSizes_();
+    this.addEventListener(this.sizeSelect, 'change', this.validateAndDisplay_);
+
+    var tableBtn = document.querySelector('.metasprite-download-table-button');
+    var tilesBtn = document.querySelector('.metasprite-download-tiles-button');
+    var bothBtn = document.querySelector('.metasprite-download-both-button');
+
+    this.addDownloadListener(tableBtn, this.onDownloadTableClick_);
+    this.addDownloadListener(tilesBtn, this.onDownloadTilesClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    this.validateAndDisplay_();
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+    $.subscribe(Events.SUB_PALETTES_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * Fills the sprite size selector with the sizes of the active console.
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.populateSizes_ = function () {
+    var mode = pskl.app.consoleRegistry.getActive();
+    var sizes = mode ? mode.spriteSizes : [];
+    this.sizeSelect.innerHTML = sizes.map(function (size) {
+      return '<option value="' + size + '">' + size + '</option>';
+    }).join('');
+  };
+
+  /**
+   * Updates sprite count and file size display.
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.validateAndDisplay_ = function () {
+    var metasprites = this.buildMetasprites_();
+    if (!metasprites) {
+      return;
+    }
+
+    var spriteCounts = metasprites.frames.map(function (sprites) {
+      return sprites.length;
+    });
+    var totalSprites = spriteCounts.reduce(function (a, b) {
+      return a + b;
+    }, 0);
+    var maxSprites = Math.max.apply(null, spriteCounts);
+
+    var tableBytes = this.generateTableData_(metasprites).length;
+    var tileCount = metasprites.tiles.length;
+
+    var tableInfo = document.querySelector('.metasprite-table-info');
+    var tilesInfo = document.querySelector('.metasprite-tiles-info');
+
+    if (tableInfo) {
+      tableInfo.innerHTML = tableBytes + ' bytes (' + totalSprites +
+        ' sprites, max ' + maxSprites + ' per frame)';
+    }
+    if (tilesInfo) {
+      tilesInfo.innerHTML = tileCount + ' tiles';
+    }
+  };
+
+  /**
+   * Splits all frames into hardware sprites of the selected size.
+   * @return {Object|null} Result of MetaspriteUtils.buildMetasprites, or null
+   *         if the active console has no sprite table
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.buildMetasprites_ = function () {
+    var consoleId = this.getConsoleId_();
+    var size = this.sizeSelect && this.sizeSelect.value;
+    if (!pskl.utils.MetaspriteUtils.isSupported(consoleId) || !size) {
+      return null;
+    }
+
+    var piskel = this.piskelController.getPiskel();
+    var usesSubPalettes = !!this.getSubPalettes_();
+    return pskl.utils.MetaspriteUtils.buildMetasprites(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.getPalette_()),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        consoleId : consoleId,
+        size : size,
+        getPalette : usesSubPalettes ?
+          pskl.utils.SubPaletteUtils.getPaletteIndex.bind(null, piskel.getTilePalettes()) : null
+      }
+    );
+  };
+
+  /**
+   * @return {pskl.model.IndexedPalette} Palette of the exported tiles, see
+   *         TileUtils.getPalette
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.getPalette_ = function () {
+    return pskl.utils.TileUtils.getPalette(this.piskelController,
+      pskl.app.currentColorsService.getIndexedColors());
+  };
+
+  /**
+   * @return {Array<Array<string>>|null} Sub-palettes of the active console,
+   *         or null when they do not apply
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.getSubPalettes_ = function () {
+    return pskl.utils.SubPaletteUtils.getConsoleSubPalettes(
+      pskl.app.consoleRegistry.getActive(), this.piskelController.getPiskel());
+  };
+
+  /**
+   * Creates the console's tile exporter, with its index map up to date.
+   * @return {Object} Tile export controller
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.createTileExporter_ = function () {
+    var exporterInfo = TILE_EXPORTERS[this.getConsoleId_()];
+    var tileExporter = new ns[exporterInfo.controller](this.piskelController);
+    tileExporter.validateAndDisplay_();
+    return tileExporter;
+  };
+
+  /**
+   * Generates the sprite tables of all frames.
+   * @param {Object} metasprites - Result of buildMetasprites_
+   * @return {Uint8Array}
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.generateTableData_ = function (metasprites) {
+    var options = {};
+    if (this.getConsoleId_() === 'msx') {
+      // MSX1 sprites store their color in the attribute table
+      options.color = this.createTileExporter_().foregroundIndex;
+    }
+    return pskl.utils.MetaspriteUtils.encodeTables(
+      this.getConsoleId_(), metasprites.frames, options);
+  };
+
+  /**
+   * Generates the sprite tile data, using the console's tile encoding.
+   * @param {Object} metasprites - Result of buildMetasprites_
+   * @return {Uint8Array}
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.generateTileData_ = function (metasprites) {
+    var tileExporter = this.createTileExporter_();
+    var emptyTile = new Uint8ClampedArray(8 * 8 * 4);
+    var subPalettes = this.getSubPalettes_();
+    var indexMaps = subPalettes ?
+      pskl.utils.SubPaletteUtils.createIndexMaps(subPalettes, tileExporter.palette) : null;
+
+    var encodedTiles = metasprites.tiles.map(function (tile, i) {
+      if (indexMaps) {
+        tileExporter.indexMap = indexMaps[metasprites.palettes[i]] || indexMaps[0];
+      }
+      // Unused slots of the SNES sprite sheet are left blank
+      return tileExporter.encodeTile_(tile || emptyTile, 8, 0, 0);
+    });
+
+    var bytesPerTile = encodedTiles.length ? encodedTiles[0].length : 0;
+    var bytes = new Uint8Array(encodedTiles.length * bytesPerTile);
+    encodedTiles.forEach(function (tileBytes, i) {
+      bytes.set(tileBytes, i * bytesPerTile);
+    });
+    return bytes;
+  };
+
+  /**
+   * Handles sprite table download button click.
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.onDownloadTableClick_ = function () {
+    var metasprites = this.buildMetasprites_();
+    if (metasprites) {
+      var data = this.generateTableData_(metasprites);
+      var fileName = this.getPiskelName_() + '.oam';
+      var blob = new Blob([data], {type: 'application/octet-stream'});
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }
+  };
+
+  /**
+   * Handles sprite tiles download button click.
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.onDownloadTilesClick_ = function () {
+    var metasprites = this.buildMetasprites_();
+    if (metasprites) {
+      var data = this.generateTileData_(metasprites);
+      var extension = TILE_EXPORTERS[this.getConsoleId_()].extension;
+      var fileName = this.getPiskelName_() + '-sprites' + extension;
+      var blob = new Blob([data], {type: 'application/octet-stream'});
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadTableClick_();
+    // Small delay to avoid browser blocking multiple downloads
+    setTimeout(this.onDownloadTilesClick_.bind(this), 100);
+  };
+
+  /**
+   * @return {string} ID of the active console mode
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.getConsoleId_ = function () {
+    var mode = pskl.app.consoleRegistry.getActive();
+    return mode ? mode.id : 'default';
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.MetaspriteExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
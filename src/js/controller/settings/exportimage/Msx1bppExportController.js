@@ -40,9 +40,30 @@
     var colorBtn = document.querySelector('.msx1bpp-download-color-button');
     var bothBtn = document.querySelector('.msx1bpp-download-both-button');
 
-    this.addEventListener(patternBtn, 'click', this.onDownloadPatternClick_);
-    this.addEventListener(colorBtn, 'click', this.onDownloadColorClick_);
-    this.addEventListener(bothBtn, 'click', this.onDownloadBothClick_);
+    this.addDownloadListener(patternBtn, this.onDownloadPatternClick_);
+    this.addDownloadListener(colorBtn, this.onDownloadColorClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.msx1bpp-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    this.optimizeCheckbox = document.querySelector('.msx1bpp-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change',
+      this.validateAndDisplay_);
+
+    this.compressionSelect = document.querySelector('.msx1bpp-compression-select');
+    pskl.utils.CompressionUtils.fillCodecSelect(this.compressionSelect,
+      pskl.app.consoleRegistry.get('msx'));
+    this.addEventListener(this.compressionSelect, 'change',
+      this.validateAndDisplay_);
+
+    var asmBtn = document.querySelector('.msx1bpp-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('msx');
+    this.asmDialectSelect = document.querySelector('.msx1bpp-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
 
     $.subscribe(Events.CURRENT_COLORS_UPDATED,
       this.validateAndDisplay_.bind(this));
@@ -57,7 +78,7 @@
     var height = this.piskelController.getHeight();
     var frameCount = this.piskelController.getFrameCount();
 
-    var colors = pskl.app.currentColorsService.getCurrentColors();
+    var colors = pskl.app.currentColorsService.getIndexedColors();
     var colorCount = colors.length;
     var hasTooManyColors = colorCount > MAX_COLORS;
 
@@ -72,19 +93,31 @@
 
     // Calculate sizes
     var tilesPerFrame = (width / 8) * (height / 8);
-    var totalPatternBytes = frameCount * tilesPerFrame * 8;  // 8 bytes/tile
-    var totalColorBytes = frameCount * tilesPerFrame * 8;    // 8 bytes/tile
+    var tileCount = this.getTileCount_();
+    var totalPatternBytes = tileCount * 8;  // 8 bytes/tile
+    var totalColorBytes = tileCount * 8;    // 8 bytes/tile
+    var mapBytes = frameCount * tilesPerFrame * 2;
 
     var patternInfo = document.querySelector('.msx1bpp-pattern-info');
     var colorInfo = document.querySelector('.msx1bpp-color-info');
 
     if (patternInfo) {
       patternInfo.innerHTML = totalPatternBytes + ' bytes' +
-        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '');
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (this.isOptimizeEnabled_() ? ', ' + tileCount + ' unique tiles' : '') +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generate1bppData_.bind(this));
     }
     if (colorInfo) {
       colorInfo.innerHTML = totalColorBytes + ' bytes (color: ' +
-        this.foregroundIndex + ')';
+        this.foregroundIndex + ')' +
+        pskl.utils.CompressionUtils.formatCompressedSize(this.getCompressionCodec_(),
+          this.generateColorData_.bind(this));
+    }
+
+    var mapInfo = document.querySelector('.msx1bpp-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
     }
   };
 
@@ -112,8 +145,11 @@
   ns.Msx1bppExportController.prototype.onDownloadPatternClick_ = function () {
     var data = this.generate1bppData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.1bpp';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.1bpp' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -125,8 +161,11 @@
   ns.Msx1bppExportController.prototype.onDownloadColorClick_ = function () {
     var data = this.generateColorData_();
     if (data) {
-      var fileName = this.getPiskelName_() + '.clr';
-      var blob = new Blob([data], {type: 'application/octet-stream'});
+      var codecId = this.getCompressionCodec_();
+      var fileName = this.getPiskelName_() + '.clr' +
+        pskl.utils.CompressionUtils.getExtension(codecId);
+      var blob = new Blob([pskl.utils.CompressionUtils.compress(codecId, data)],
+        {type: 'application/octet-stream'});
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }
   };
@@ -138,6 +177,9 @@
   ns.Msx1bppExportController.prototype.onDownloadBothClick_ = function () {
     this.onDownloadPatternClick_();
     setTimeout(this.onDownloadColorClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
   };
 
   /**
@@ -146,36 +188,77 @@
    * @private
    */
   ns.Msx1bppExportController.prototype.generate1bppData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
+    var tileSet = this.buildTileSet_();
+    var bytes = new Uint8Array(tileSet.tiles.length * 8);
 
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 8;
+    // Tiles are standalone 8x8 RGBA buffers
+    tileSet.tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeTile_(tile, 8, 0, 0), i * 8);
+    }, this);
 
-    var bytes = new Uint8Array(totalBytes);
-    var byteIndex = 0;
-
-    for (var f = 0; f < frameCount; f++) {
-      var render = this.piskelController.renderFrameAt(f, true);
-      var ctx = render.getContext('2d');
-      var imgData = ctx.getImageData(0, 0, width, height);
-      var pixels = imgData.data;
-
-      for (var tileY = 0; tileY < tilesY; tileY++) {
-        for (var tileX = 0; tileX < tilesX; tileX++) {
-          var tileBytes = this.encodeTile_(
-            pixels, width, tileX * 8, tileY * 8
-          );
-          bytes.set(tileBytes, byteIndex);
-          byteIndex += 8;
-        }
+    return bytes;
+  };
+
+  /**
+   * Splits all frames into 8x8 tiles. When "Optimize tiles" is checked,
+   * duplicate tiles are only kept once.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>}}
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.buildTileSet_ = function () {
+    var mode = pskl.app.consoleRegistry.get('msx');
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesPixels(this.piskelController),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: !!(mode && mode.tileFlip)
       }
+    );
+  };
+
+  /**
+   * Counts the tiles that will be exported. Frames are only rendered when
+   * tile optimization is enabled.
+   * @return {number} Tile count
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.getTileCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
     }
+    var tilesX = this.piskelController.getWidth() / 8;
+    var tilesY = this.piskelController.getHeight() / 8;
+    return this.piskelController.getFrameCount() * tilesX * tilesY;
+  };
 
-    return bytes;
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * @return {string|null} ID of the selected compression codec, or null to
+   *         export raw tiles
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.getCompressionCodec_ = function () {
+    return (this.compressionSelect && this.compressionSelect.value) || null;
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.onDownloadMapClick_ = function () {
+    var data = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+    var fileName = this.getPiskelName_() + '.map';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
   };
 
   /**
@@ -186,14 +269,8 @@
    * @private
    */
   ns.Msx1bppExportController.prototype.generateColorData_ = function () {
-    var width = this.piskelController.getWidth();
-    var height = this.piskelController.getHeight();
-    var frameCount = this.piskelController.getFrameCount();
-
-    var tilesX = width / 8;
-    var tilesY = height / 8;
-    var tilesPerFrame = tilesX * tilesY;
-    var totalBytes = frameCount * tilesPerFrame * 8;
+    // One color row per pattern row, so the size follows the tile count
+    var totalBytes = this.getTileCount_() * 8;
 
     var bytes = new Uint8Array(totalBytes);
     // Fill with foreground color (background = 0 for transparent)
@@ -243,6 +320,52 @@
     return tile;
   };
 
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.Msx1bppExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.MSXConstants;
+    var tiles = this.generate1bppData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'MSX1 1BPP patterns and color table',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tiles.length / constants.BYTES_PER_TILE,
+      tilesPerFrame : (width / 8) * (height / 8),
+      frameCount : this.piskelController.getFrameCount(),
+      maps : maps,
+      palette : this.generateColorData_(),
+      paletteWordSize : 1,
+      paletteLabel : 'colors'
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). 1BPP sprite
+   * patterns and their color table.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.Msx1bppExportController.prototype.getBundleFiles = function () {
+    return {
+      '.1bpp' : this.generate1bppData_(),
+      '.clr' : this.generateColorData_()
+    };
+  };
+
   /**
    * Gets the current piskel name for the filename.
    * @return {string} Piskel name
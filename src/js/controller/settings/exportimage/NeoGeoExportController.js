@@ -0,0 +1,515 @@
+/**
+ * Controller for Neo Geo C-ROM sprite tiles, S-ROM fix tiles and palette
+ * export.
+ *
+ * C-ROM format: 128 bytes per 16x16 tile, split across the C1/C2 pair
+ *   - The tile is made of four 8x8 blocks, stored in this order: top
+ *     right, bottom right, top left, bottom left
+ *   - Each block line is 4 bitplane bytes, bit 0 = leftmost pixel
+ *   - C1 (odd ROM) gets bitplanes 0 and 1 of each line, C2 (even ROM)
+ *     bitplanes 2 and 3: 64 bytes per tile in each file
+ *
+ * Files are ready to be burnt or loaded as they are, without a NeoBuilder
+ * style conversion: tile n is at offset n * 64 of both files.
+ *
+ * Without "Optimize tiles", frames are split into 16 pixel wide sprites
+ * from left to right, and each sprite into its tiles from top to bottom,
+ * the order of the tiles in the sprite control block (SCB1).
+ *
+ * S-ROM format: 32 bytes per 8x8 fix tile
+ *   - Columns 4-5 of the 8 lines, then columns 6-7, 0-1 and 2-3
+ *   - One byte per column pair, low nibble = left pixel
+ *
+ * Palette format: 32 bytes for 16-color palette
+ *   - Each color is a big-endian word: DRGBRRRR GGGGBBBB
+ *
+ * Exports:
+ *   - .c1/.c2 files: Sprite tiles (all frames concatenated)
+ *   - .s1 file: Fix tiles (all frames concatenated)
+ *   - .pal file: Palette data (palette RAM format)
+ *
+ * References:
+ *   - https://wiki.neogeodev.org/index.php?title=Sprite_graphics_format
+ *   - https://wiki.neogeodev.org/index.php?title=Fix_graphics_format
+ *   - https://wiki.neogeodev.org/index.php?title=Colors
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Max colors per tile (15 + transparent). */
+  var MAX_COLORS = 15;
+
+  /** @const {number} Sprite tile size in pixels. */
+  var TILE_SIZE = 16;
+
+  /** @const {number} Bytes per sprite tile in each C-ROM. */
+  var BYTES_PER_CROM_TILE = 64;
+
+  /** @const {number} Fix tile size in pixels. */
+  var FIX_TILE_SIZE = 8;
+
+  /** @const {number} Bytes per fix tile. */
+  var BYTES_PER_FIX_TILE = 32;
+
+  /** @const {Array<number>} X of the 8x8 blocks of a tile, in C-ROM order. */
+  var BLOCK_COLUMNS = [8, 0];
+
+  /** @const {Array<number>} First column of each S-ROM column pair. */
+  var FIX_COLUMN_PAIRS = [4, 6, 0, 2];
+
+  ns.NeoGeoExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.palette = null;
+    this.indexMap = {};
+    this.paletteColors = [];
+  };
+
+  pskl.utils.inherit(ns.NeoGeoExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.NeoGeoExportController.prototype.init = function () {
+    this.optimizeCheckbox = document.querySelector('.neogeo-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change', this.validateAndDisplay_);
+
+    this.validateAndDisplay_();
+
+    var cromBtn = document.querySelector('.neogeo-download-crom-button');
+    var fixBtn = document.querySelector('.neogeo-download-fix-button');
+    var palBtn = document.querySelector('.neogeo-download-pal-button');
+    var bothBtn = document.querySelector('.neogeo-download-both-button');
+
+    this.addDownloadListener(cromBtn, this.onDownloadCromClick_);
+    this.addDownloadListener(fixBtn, this.onDownloadFixClick_);
+    this.addDownloadListener(palBtn, this.onDownloadPaletteClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.neogeo-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    var asmBtn = document.querySelector('.neogeo-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    var mode = pskl.app.consoleRegistry.get('neogeo');
+    this.asmDialectSelect = document.querySelector('.neogeo-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * Updates index map, download info, and color warning display.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.validateAndDisplay_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var frameCount = this.piskelController.getFrameCount();
+
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+    var colorCount = colors.length;
+    var hasTooManyColors = colorCount > MAX_COLORS;
+
+    // Build color map
+    var colorMap = {};
+    this.paletteColors = [];
+    colorMap[0] = 0;
+    this.paletteColors.push(null);
+
+    var maxColors = Math.min(colorCount, MAX_COLORS);
+    for (var i = 0; i < maxColors; i++) {
+      var colorInt = pskl.utils.colorToInt(colors[i]);
+      colorMap[colorInt] = i + 1;
+      this.paletteColors.push(colors[i]);
+    }
+
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    var warning = document.querySelector('.neogeo-color-warning');
+    if (warning) {
+      warning.style.display = hasTooManyColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
+    while (this.paletteColors.length < 16) {
+      this.paletteColors.push('#000000');
+    }
+
+    // Update download info
+    var tileCount = this.getSpriteTiles_().length;
+    var fixTileCount = frameCount * Math.ceil(width / FIX_TILE_SIZE) * Math.ceil(height / FIX_TILE_SIZE);
+    var mapBytes = frameCount * Math.ceil(width / TILE_SIZE) * Math.ceil(height / TILE_SIZE) * 2;
+
+    var cromInfo = document.querySelector('.neogeo-crom-info');
+    if (cromInfo) {
+      cromInfo.innerHTML = 'C1 + C2, ' + tileCount * BYTES_PER_CROM_TILE + ' bytes each (' +
+        tileCount + (this.isOptimizeEnabled_() ? ' unique' : '') + ' tiles' +
+        (frameCount > 1 ? ', ' + frameCount + ' frames' : '') + ')';
+    }
+
+    var fixInfo = document.querySelector('.neogeo-fix-info');
+    if (fixInfo) {
+      fixInfo.innerHTML = fixTileCount * BYTES_PER_FIX_TILE + ' bytes (' + fixTileCount + ' tiles)';
+    }
+
+    var palInfo = document.querySelector('.neogeo-pal-info');
+    if (palInfo) {
+      palInfo.innerHTML = '32 bytes (' + colorCount + '/' + MAX_COLORS + ' colors)';
+    }
+
+    var mapInfo = document.querySelector('.neogeo-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
+    }
+  };
+
+  /**
+   * Handles C-ROM download button click, downloads both files of the pair.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadCromClick_ = function () {
+    this.downloadBinary_(this.generateC1Data_(), '.c1');
+    setTimeout(function () {
+      this.downloadBinary_(this.generateC2Data_(), '.c2');
+    }.bind(this), 100);
+  };
+
+  /**
+   * Handles fix tiles download button click.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadFixClick_ = function () {
+    this.downloadBinary_(this.generateFixData_(), '.s1');
+  };
+
+  /**
+   * Handles palette download button click.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadPaletteClick_ = function () {
+    this.downloadBinary_(this.generatePaletteData_(), '.pal');
+  };
+
+  /**
+   * Handles tile map download button click.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadMapClick_ = function () {
+    this.downloadBinary_(pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps), '.map');
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadCromClick_();
+    setTimeout(this.onDownloadPaletteClick_.bind(this), 200);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 300);
+    }
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * Generates the C1 (odd) ROM: bitplanes 0 and 1 of all sprite tiles.
+   * @return {Uint8Array} The C1 file bytes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.generateC1Data_ = function () {
+    return this.generateCromData_(0);
+  };
+
+  /**
+   * Generates the C2 (even) ROM: bitplanes 2 and 3 of all sprite tiles.
+   * @return {Uint8Array} The C2 file bytes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.generateC2Data_ = function () {
+    return this.generateCromData_(2);
+  };
+
+  /**
+   * @param {number} firstPlane - First bitplane stored in the ROM, 0 or 2
+   * @return {Uint8Array} The C-ROM file bytes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.generateCromData_ = function (firstPlane) {
+    var tiles = this.getSpriteTiles_();
+    var bytes = new Uint8Array(tiles.length * BYTES_PER_CROM_TILE);
+
+    tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeCromTile_(tile, firstPlane), i * BYTES_PER_CROM_TILE);
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Gets the sprite tiles of all frames. When "Optimize tiles" is checked,
+   * unique tiles are written one after the other (see buildTileSet_),
+   * otherwise frames are split into sprite columns.
+   * @return {Array<Uint8ClampedArray>} 16x16 tiles of palette indexes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.getSpriteTiles_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles;
+    }
+
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var tiles = [];
+    pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette).forEach(function (pixels) {
+      for (var x = 0; x < width; x += TILE_SIZE) {
+        for (var y = 0; y < height; y += TILE_SIZE) {
+          tiles.push(this.extractTile_(pixels, width, height, x, y));
+        }
+      }
+    }, this);
+
+    return tiles;
+  };
+
+  /**
+   * Copies a 16x16 tile of a frame, the part past the frame is transparent.
+   * @param {Uint8ClampedArray} pixels - Frame palette indexes, see TileUtils.getFramesIndexes
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {number} startX - Tile start X coordinate
+   * @param {number} startY - Tile start Y coordinate
+   * @return {Uint8ClampedArray} 16x16 tile of palette indexes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.extractTile_ = function (pixels, width, height, startX, startY) {
+    var tile = new Uint8ClampedArray(TILE_SIZE * TILE_SIZE * 4);
+    var rowWidth = Math.min(TILE_SIZE, width - startX);
+    for (var y = 0; y < TILE_SIZE && startY + y < height; y++) {
+      var from = ((startY + y) * width + startX) * 4;
+      tile.set(pixels.subarray(from, from + rowWidth * 4), y * TILE_SIZE * 4);
+    }
+    return tile;
+  };
+
+  /**
+   * Splits all frames into 16x16 tiles. When "Optimize tiles" is checked,
+   * duplicate and mirrored tiles are only kept once: each tile of a sprite
+   * has its own flip flags in SCB1.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>}}
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.buildTileSet_ = function () {
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        flip: true,
+        tileSize: TILE_SIZE
+      }
+    );
+  };
+
+  /**
+   * @return {number} Tile count of the C-ROM files
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.getTileCount_ = function () {
+    return this.getSpriteTiles_().length;
+  };
+
+  /**
+   * @return {boolean} True if the "Optimize tiles" option is checked
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * Generates the fix tiles of all frames, 8x8 tiles row by row.
+   * @return {Uint8Array} The S-ROM file bytes
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.generateFixData_ = function () {
+    var tiles = pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {optimize: false}
+    ).tiles;
+    var bytes = new Uint8Array(tiles.length * BYTES_PER_FIX_TILE);
+
+    tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeFixTile_(tile), i * BYTES_PER_FIX_TILE);
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Generates the binary palette data as big-endian palette RAM words.
+   * Color 0 is transparent and left at 0.
+   * @return {Uint8Array} The palette file bytes (32 bytes)
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.generatePaletteData_ = function () {
+    var mode = pskl.app.consoleRegistry.get('neogeo');
+    var bytes = new Uint8Array(32);
+
+    for (var i = 1; i < 16; i++) {
+      var color = this.paletteColors[i];
+      var word = mode && color !== null ? mode.colorToNeoGeoWord(color) : 0;
+
+      bytes[i * 2] = word >> 8;
+      bytes[i * 2 + 1] = word & 0xFF;
+    }
+
+    return bytes;
+  };
+
+  /**
+   * Encodes the half of a 16x16 tile stored in one ROM of the C1/C2 pair:
+   * the 8x8 blocks in C-ROM order, 16 lines each, and for each line the
+   * bytes of 2 bitplanes.
+   * @param {Uint8ClampedArray} tile - 16x16 palette indexes
+   * @param {number} firstPlane - First bitplane stored in the ROM, 0 or 2
+   * @return {Uint8Array} 64 bytes for this tile
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.encodeCromTile_ = function (tile, firstPlane) {
+    var bytes = new Uint8Array(BYTES_PER_CROM_TILE);
+
+    BLOCK_COLUMNS.forEach(function (startX, column) {
+      // Top and bottom blocks of a column are contiguous
+      for (var y = 0; y < TILE_SIZE; y++) {
+        var offset = (column * TILE_SIZE + y) * 2;
+        for (var x = 0; x < 8; x++) {
+          var idx = (y * TILE_SIZE + startX + x) * 4;
+          var colorIndex = this.getColorIndex_(tile[idx], tile[idx + 1], tile[idx + 2], tile[idx + 3]);
+          bytes[offset] |= ((colorIndex >> firstPlane) & 1) << x;
+          bytes[offset + 1] |= ((colorIndex >> (firstPlane + 1)) & 1) << x;
+        }
+      }
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Encodes an 8x8 tile to 32 bytes in S-ROM format.
+   * @param {Uint8ClampedArray} tile - 8x8 palette indexes
+   * @return {Uint8Array} 32 bytes for this tile
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.encodeFixTile_ = function (tile) {
+    var bytes = new Uint8Array(BYTES_PER_FIX_TILE);
+
+    FIX_COLUMN_PAIRS.forEach(function (startX, pair) {
+      for (var y = 0; y < FIX_TILE_SIZE; y++) {
+        var left = (y * FIX_TILE_SIZE + startX) * 4;
+        var right = left + 4;
+        bytes[pair * FIX_TILE_SIZE + y] =
+          this.getColorIndex_(tile[left], tile[left + 1], tile[left + 2], tile[left + 3]) |
+          (this.getColorIndex_(tile[right], tile[right + 1], tile[right + 2], tile[right + 3]) << 4);
+      }
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Maps the palette index of a pixel to a color index 0-15.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
+   * @return {number} Color index 0-15
+   * @throws {Error} for palette indexes missing from the index map
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Handles assembly include download button click. Tiles are read by the
+   * video hardware from the C-ROMs, the include has the palette words and
+   * the tile map of optimized tiles.
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.onDownloadAsmClick_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var frameCount = this.piskelController.getFrameCount();
+    var tilesPerFrame = Math.ceil(width / TILE_SIZE) * Math.ceil(height / TILE_SIZE);
+
+    var blocks = [{label : 'palette', bytes : this.generatePaletteData_()}];
+    if (this.isOptimizeEnabled_()) {
+      var maps = pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps);
+      var mapLabels = [];
+      for (var f = 0; f < frameCount; f++) {
+        mapLabels.push({offset : f * tilesPerFrame * 2, label : 'frame' + f});
+      }
+      blocks.push({label : 'map', bytes : maps, wordSize : 2, labels : mapLabels});
+    }
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'Neo Geo palette and sprite tile map',
+      constants : [
+        ['TILE_COUNT', this.getTileCount_()],
+        ['TILES_PER_FRAME', tilesPerFrame],
+        ['SPRITES_PER_FRAME', Math.ceil(width / TILE_SIZE)],
+        ['FRAME_COUNT', frameCount]
+      ],
+      blocks : blocks
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). C1/C2 sprite tile
+   * ROM pair and the palette words.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.NeoGeoExportController.prototype.getBundleFiles = function () {
+    return {
+      '.c1' : this.generateC1Data_(),
+      '.c2' : this.generateC2Data_(),
+      '.pal' : this.generatePaletteData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.NeoGeoExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
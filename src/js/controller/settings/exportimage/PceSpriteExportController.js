@@ -0,0 +1,540 @@
+/**
+ * Controller for PC Engine sprite, BG tile and VCE palette export.
+ *
+ * Sprite format: 128 bytes per 16x16 cell
+ *   - 4 bitplanes of 16 words, bitplane 0 first
+ *   - One word per row, bit 15 = leftmost pixel
+ *   - Words are little-endian, as written to the VDC data port
+ *
+ * Larger sprites use several cells: the right cell of a 32 pixel wide
+ * sprite is the next pattern, the cells below are 2 patterns further.
+ * Exported sprites follow this layout, 16 pixel wide sprites taller than
+ * 16 pixels leave every other cell empty.
+ *
+ * BG tile format: 32 bytes per 8x8 tile
+ *   - Bitplanes 0/1 interleaved row by row (bytes 0-15)
+ *   - Bitplanes 2/3 interleaved row by row (bytes 16-31)
+ *
+ * Palette format: 32 bytes for 16-color palette
+ *   - Each color is a little-endian VCE word: 0000000G GGRRRBBB
+ *
+ * Exports:
+ *   - .spr file: Sprite cells (all frames concatenated)
+ *   - .4bpp file: BG tiles (all frames concatenated)
+ *   - .pal file: Palette data (VCE format)
+ *
+ * References:
+ *   - https://archaicpixels.com/HuC6270
+ *   - https://archaicpixels.com/HuC6260
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Max colors per sprite (15 + transparent). */
+  var MAX_COLORS = 15;
+
+  /** @const {number} Sprite cell size in pixels. */
+  var CELL_SIZE = 16;
+
+  /** @const {number} Bytes per sprite cell. */
+  var BYTES_PER_CELL = 128;
+
+  /** @const {number} Bytes per BG tile. */
+  var BYTES_PER_BG_TILE = 32;
+
+  /** @const {string} Sprite size used when no size is selected. */
+  var DEFAULT_SPRITE_SIZE = '16x16';
+
+  ns.PceSpriteExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.palette = null;
+    this.indexMap = {};
+    this.paletteColors = [];
+  };
+
+  pskl.utils.inherit(ns.PceSpriteExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.PceSpriteExportController.prototype.init = function () {
+    var mode = pskl.app.consoleRegistry.get('pce');
+
+    this.sizeSelect = document.querySelector('.pcesprite-size-select');
+    (mode ? mode.spriteSizes : [DEFAULT_SPRITE_SIZE]).forEach(function (size) {
+      var option = document.createElement('option');
+      option.value = size;
+      option.textContent = size;
+      this.sizeSelect.appendChild(option);
+    }, this);
+    this.addEventListener(this.sizeSelect, 'change', this.validateAndDisplay_);
+
+    this.optimizeCheckbox = document.querySelector('.pcesprite-optimize-checkbox');
+    this.addEventListener(this.optimizeCheckbox, 'change', this.onOptimizeChange_);
+
+    this.validateAndDisplay_();
+
+    var spritesBtn = document.querySelector('.pcesprite-download-sprites-button');
+    var bgBtn = document.querySelector('.pcesprite-download-bg-button');
+    var palBtn = document.querySelector('.pcesprite-download-pal-button');
+    var bothBtn = document.querySelector('.pcesprite-download-both-button');
+
+    this.addDownloadListener(spritesBtn, this.onDownloadSpritesClick_);
+    this.addDownloadListener(bgBtn, this.onDownloadBgClick_);
+    this.addDownloadListener(palBtn, this.onDownloadPaletteClick_);
+    this.addDownloadListener(bothBtn, this.onDownloadBothClick_);
+
+    var mapBtn = document.querySelector('.pcesprite-download-map-button');
+    this.addDownloadListener(mapBtn, this.onDownloadMapClick_);
+
+    var asmBtn = document.querySelector('.pcesprite-download-asm-button');
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+
+    this.asmDialectSelect = document.querySelector('.pcesprite-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * Optimized cells are exported one by one, the sprite size only applies
+   * to the hardware layout of unoptimized sprites.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onOptimizeChange_ = function () {
+    this.sizeSelect.disabled = this.isOptimizeEnabled_();
+    this.validateAndDisplay_();
+  };
+
+  /**
+   * Updates index map, download info, and color warning display.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.validateAndDisplay_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var frameCount = this.piskelController.getFrameCount();
+
+    var colors = pskl.app.currentColorsService.getIndexedColors();
+    var colorCount = colors.length;
+    var hasTooManyColors = colorCount > MAX_COLORS;
+
+    // Build color map
+    var colorMap = {};
+    this.paletteColors = [];
+    colorMap[0] = 0;
+    this.paletteColors.push(null);
+
+    var maxColors = Math.min(colorCount, MAX_COLORS);
+    for (var i = 0; i < maxColors; i++) {
+      var colorInt = pskl.utils.colorToInt(colors[i]);
+      colorMap[colorInt] = i + 1;
+      this.paletteColors.push(colors[i]);
+    }
+
+    // Tiles hold palette indexes, see TileUtils.getFramesIndexes
+    this.palette = pskl.utils.TileUtils.getPalette(this.piskelController, colors);
+    this.indexMap = pskl.utils.TileUtils.createIndexMap(this.palette, colorMap);
+
+    // Pixels without an exported index can't be encoded
+    var hasUnmappedPixels = pskl.utils.TileUtils.hasUnmappedPixels(this.piskelController,
+      this.palette, [this.indexMap]);
+    this.setDownloadsEnabled(!hasUnmappedPixels);
+
+    var warning = document.querySelector('.pcesprite-color-warning');
+    if (warning) {
+      warning.style.display = hasTooManyColors || hasUnmappedPixels ? 'flex' : 'none';
+    }
+
+    while (this.paletteColors.length < 16) {
+      this.paletteColors.push('#000000');
+    }
+
+    // Update download info
+    var cellCount = this.getCellCount_();
+    var bgTileCount = frameCount * (width / 8) * (height / 8);
+    var mapBytes = frameCount * (width / CELL_SIZE) * (height / CELL_SIZE) * 2;
+
+    var spritesInfo = document.querySelector('.pcesprite-sprites-info');
+    if (spritesInfo) {
+      spritesInfo.innerHTML = cellCount * BYTES_PER_CELL + ' bytes (' +
+        cellCount + (this.isOptimizeEnabled_() ? ' unique' : '') + ' cells' +
+        (frameCount > 1 ? ', ' + frameCount + ' frames' : '') + ')';
+    }
+
+    var bgInfo = document.querySelector('.pcesprite-bg-info');
+    if (bgInfo) {
+      bgInfo.innerHTML = bgTileCount * BYTES_PER_BG_TILE + ' bytes (' + bgTileCount + ' tiles)';
+    }
+
+    var palInfo = document.querySelector('.pcesprite-pal-info');
+    if (palInfo) {
+      palInfo.innerHTML = '32 bytes (' + colorCount + '/' + MAX_COLORS + ' colors)';
+    }
+
+    var mapInfo = document.querySelector('.pcesprite-map-info');
+    if (mapInfo) {
+      mapInfo.innerHTML = mapBytes + ' bytes';
+    }
+  };
+
+  /**
+   * Handles sprite download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadSpritesClick_ = function () {
+    this.downloadBinary_(this.generateSpriteData_(), '.spr');
+  };
+
+  /**
+   * Handles BG tiles download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadBgClick_ = function () {
+    this.downloadBinary_(this.generateBgTileData_(), '.4bpp');
+  };
+
+  /**
+   * Handles palette download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadPaletteClick_ = function () {
+    this.downloadBinary_(this.generatePaletteData_(), '.pal');
+  };
+
+  /**
+   * Handles cell map download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadMapClick_ = function () {
+    this.downloadBinary_(pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps), '.map');
+  };
+
+  /**
+   * Handles combined download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadBothClick_ = function () {
+    this.onDownloadSpritesClick_();
+    setTimeout(this.onDownloadPaletteClick_.bind(this), 100);
+    if (this.isOptimizeEnabled_()) {
+      setTimeout(this.onDownloadMapClick_.bind(this), 200);
+    }
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * Generates the sprite cells of all frames. When "Optimize cells" is
+   * checked, unique cells are written one after the other (see
+   * buildTileSet_), otherwise frames are split into sprites of the selected
+   * size, written in their VRAM layout.
+   * @return {Uint8Array} The sprite file bytes
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.generateSpriteData_ = function () {
+    var cells = this.isOptimizeEnabled_() ? this.buildTileSet_().tiles : this.getSpriteCells_();
+    var bytes = new Uint8Array(cells.length * BYTES_PER_CELL);
+
+    cells.forEach(function (cell, i) {
+      if (cell) {
+        bytes.set(this.encodeCell_(cell), i * BYTES_PER_CELL);
+      }
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Splits all frames into sprites of the selected size, and the sprites
+   * into cells in VRAM order. Cells are null where the sprite leaves a
+   * pattern unused or goes past the frame.
+   * @return {Array<Uint8ClampedArray|null>} 16x16 cells of palette indexes
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.getSpriteCells_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var size = pskl.utils.MetaspriteUtils.parseSize(this.getSpriteSize_());
+    var cellsX = size.width / CELL_SIZE;
+    var cellsY = size.height / CELL_SIZE;
+    // Cells below are 2 patterns further, whatever the sprite width
+    var patternsPerRow = cellsY > 1 ? 2 : cellsX;
+
+    var cells = [];
+    pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette).forEach(function (pixels) {
+      for (var spriteY = 0; spriteY < height; spriteY += size.height) {
+        for (var spriteX = 0; spriteX < width; spriteX += size.width) {
+          for (var cy = 0; cy < cellsY; cy++) {
+            for (var cx = 0; cx < patternsPerRow; cx++) {
+              var x = spriteX + cx * CELL_SIZE;
+              var y = spriteY + cy * CELL_SIZE;
+              var inside = cx < cellsX && x < width && y < height;
+              cells.push(inside ? this.extractCell_(pixels, width, height, x, y) : null);
+            }
+          }
+        }
+      }
+    }, this);
+
+    return cells;
+  };
+
+  /**
+   * Copies a 16x16 cell of a frame, the part past the frame is transparent.
+   * @param {Uint8ClampedArray} pixels - Frame palette indexes, see TileUtils.getFramesIndexes
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @param {number} startX - Cell start X coordinate
+   * @param {number} startY - Cell start Y coordinate
+   * @return {Uint8ClampedArray} 16x16 cell of palette indexes
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.extractCell_ = function (pixels, width, height, startX, startY) {
+    var cell = new Uint8ClampedArray(CELL_SIZE * CELL_SIZE * 4);
+    var rowWidth = Math.min(CELL_SIZE, width - startX);
+    for (var y = 0; y < CELL_SIZE && startY + y < height; y++) {
+      var from = ((startY + y) * width + startX) * 4;
+      cell.set(pixels.subarray(from, from + rowWidth * 4), y * CELL_SIZE * 4);
+    }
+    return cell;
+  };
+
+  /**
+   * Splits all frames into 16x16 cells. When "Optimize cells" is checked,
+   * duplicate cells are only kept once. Sprite cells can not be mirrored
+   * on their own, only whole sprites.
+   * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>}}
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.buildTileSet_ = function () {
+    return pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        optimize: this.isOptimizeEnabled_(),
+        tileSize: CELL_SIZE
+      }
+    );
+  };
+
+  /**
+   * Counts the sprite cells that will be exported.
+   * @return {number} Cell count
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.getCellCount_ = function () {
+    if (this.isOptimizeEnabled_()) {
+      return this.buildTileSet_().tiles.length;
+    }
+
+    var size = pskl.utils.MetaspriteUtils.parseSize(this.getSpriteSize_());
+    var cellsY = size.height / CELL_SIZE;
+    var patternsPerSprite = cellsY * (cellsY > 1 ? 2 : size.width / CELL_SIZE);
+    var spritesX = Math.ceil(this.piskelController.getWidth() / size.width);
+    var spritesY = Math.ceil(this.piskelController.getHeight() / size.height);
+    return this.piskelController.getFrameCount() * spritesX * spritesY * patternsPerSprite;
+  };
+
+  /**
+   * @return {string} Selected sprite size, 'WxH'
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.getSpriteSize_ = function () {
+    return (this.sizeSelect && this.sizeSelect.value) || DEFAULT_SPRITE_SIZE;
+  };
+
+  /**
+   * @return {boolean} True if the "Optimize cells" option is checked
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.isOptimizeEnabled_ = function () {
+    return !!(this.optimizeCheckbox && this.optimizeCheckbox.checked);
+  };
+
+  /**
+   * Generates the BG tiles of all frames, 8x8 tiles row by row.
+   * @return {Uint8Array} The BG tile file bytes
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.generateBgTileData_ = function () {
+    var tiles = pskl.utils.TileUtils.buildTileSet(
+      pskl.utils.TileUtils.getFramesIndexes(this.piskelController, this.palette),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {optimize: false}
+    ).tiles;
+    var bytes = new Uint8Array(tiles.length * BYTES_PER_BG_TILE);
+
+    tiles.forEach(function (tile, i) {
+      bytes.set(this.encodeBgTile_(tile), i * BYTES_PER_BG_TILE);
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Generates the binary palette data as VCE color words.
+   * @return {Uint8Array} The palette file bytes (32 bytes)
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.generatePaletteData_ = function () {
+    var pceMode = pskl.app.consoleRegistry.get('pce');
+    var bytes = new Uint8Array(32);
+
+    for (var i = 0; i < 16; i++) {
+      var color = this.paletteColors[i];
+      var word = 0;
+
+      if (i > 0 && color !== null) {
+        if (pceMode) {
+          word = pceMode.colorToVCEWord(color);
+        } else {
+          // Fallback: simple RGB333 conversion
+          var tc = window.tinycolor(color).toRgb();
+          word = (Math.round(tc.g * 7 / 255) << 6) |
+            (Math.round(tc.r * 7 / 255) << 3) |
+            Math.round(tc.b * 7 / 255);
+        }
+      }
+
+      bytes[i * 2] = word & 0xFF;
+      bytes[i * 2 + 1] = (word >> 8) & 0xFF;
+    }
+
+    return bytes;
+  };
+
+  /**
+   * Encodes a 16x16 cell to 128 bytes in sprite format: bitplane 0 of
+   * the 16 rows, then bitplanes 1, 2 and 3.
+   * @param {Uint8ClampedArray} cell - 16x16 palette indexes
+   * @return {Uint8Array} 128 bytes for this cell
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.encodeCell_ = function (cell) {
+    var bytes = new Uint8Array(BYTES_PER_CELL);
+
+    for (var y = 0; y < CELL_SIZE; y++) {
+      var planes = [0, 0, 0, 0];
+      for (var x = 0; x < CELL_SIZE; x++) {
+        var idx = (y * CELL_SIZE + x) * 4;
+        var colorIndex = this.getColorIndex_(cell[idx], cell[idx + 1], cell[idx + 2], cell[idx + 3]);
+        for (var plane = 0; plane < 4; plane++) {
+          planes[plane] |= ((colorIndex >> plane) & 1) << (15 - x);
+        }
+      }
+
+      for (var p = 0; p < 4; p++) {
+        var offset = (p * CELL_SIZE + y) * 2;
+        bytes[offset] = planes[p] & 0xFF;
+        bytes[offset + 1] = planes[p] >> 8;
+      }
+    }
+
+    return bytes;
+  };
+
+  /**
+   * Encodes an 8x8 tile to 32 bytes in BG tile format.
+   * @param {Uint8ClampedArray} tile - 8x8 palette indexes
+   * @return {Uint8Array} 32 bytes for this tile
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.encodeBgTile_ = function (tile) {
+    var bytes = new Uint8Array(BYTES_PER_BG_TILE);
+
+    for (var y = 0; y < 8; y++) {
+      for (var x = 0; x < 8; x++) {
+        var idx = (y * 8 + x) * 4;
+        var colorIndex = this.getColorIndex_(tile[idx], tile[idx + 1], tile[idx + 2], tile[idx + 3]);
+        var bit = 7 - x;
+        bytes[y * 2] |= (colorIndex & 1) << bit;
+        bytes[y * 2 + 1] |= ((colorIndex >> 1) & 1) << bit;
+        bytes[16 + y * 2] |= ((colorIndex >> 2) & 1) << bit;
+        bytes[16 + y * 2 + 1] |= ((colorIndex >> 3) & 1) << bit;
+      }
+    }
+
+    return bytes;
+  };
+
+  /**
+   * Maps the palette index of a pixel to a color index 0-15.
+   * @param {number} r - Red byte of the pixel
+   * @param {number} g - Green byte of the pixel
+   * @param {number} b - Blue byte of the pixel
+   * @param {number} a - Alpha byte of the pixel
+   * @return {number} Color index 0-15
+   * @throws {Error} for palette indexes missing from the index map
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.getColorIndex_ = function (r, g, b, a) {
+    return pskl.utils.TileUtils.getExportIndex(this.indexMap, this.palette, r, g, a);
+  };
+
+  /**
+   * Handles assembly include download button click.
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.onDownloadAsmClick_ = function () {
+    var constants = pskl.consoles.PCEConstants;
+    var tiles = this.generateSpriteData_();
+    var maps = this.isOptimizeEnabled_() ?
+      pskl.utils.TileUtils.encodeTileMaps(this.buildTileSet_().maps) : null;
+    var frameCount = this.piskelController.getFrameCount();
+    var tileCount = tiles.length / constants.BYTES_PER_TILE;
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'PC Engine sprite cells and VCE palette',
+      constants : constants,
+      tiles : tiles,
+      tileCount : tileCount,
+      tilesPerFrame : maps ?
+        (this.piskelController.getWidth() / CELL_SIZE) * (this.piskelController.getHeight() / CELL_SIZE) :
+        tileCount / frameCount,
+      frameCount : frameCount,
+      maps : maps,
+      palette : this.generatePaletteData_(),
+      paletteWordSize : 2
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). 16x16 sprite cells
+   * and the sprite palette.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.PceSpriteExportController.prototype.getBundleFiles = function () {
+    return {
+      '.spr' : this.generateSpriteData_(),
+      '.pal' : this.generatePaletteData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.PceSpriteExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
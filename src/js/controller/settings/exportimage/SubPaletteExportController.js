@@ -0,0 +1,420 @@
+/**
+ * Controller for the sprite sub-palettes tab.
+ *
+ * Edits the project sub-palettes (Piskel.subPalettes) and the sub-palette
+ * assigned to each 8x8 region (Piskel.tilePalettes). Both are saved with the
+ * project and used by the tile, metasprite and assembly exporters.
+ *
+ * Exports:
+ *   - .pal file: All sub-palettes, encoded by the console's tile exporter
+ *   - .pidx file: Sub-palette index of each tile position, 1 byte per tile,
+ *     frame by frame and row by row (see SubPaletteUtils.encodePaletteIndexes)
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Size of the region preview, in pixels. */
+  var PREVIEW_SIZE = 256;
+
+  /**
+   * Tile exporter of each console mode, used to encode the palette file.
+   * Controllers are looked up lazily, as they are defined in other files.
+   */
+  var TILE_EXPORTERS = {
+    'nes' : 'ChrExportController',
+    'snes' : 'Snes4bppExportController',
+    'genesis' : 'Genesis4bppExportController',
+    'gbc' : 'Gbc2bppExportController',
+    'gba' : 'Gba4bppExportController'
+  };
+
+  ns.SubPaletteExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.selectedPalette = 0;
+    this.onSubPalettesUpdated_ = this.onSubPalettesUpdated_.bind(this);
+  };
+
+  pskl.utils.inherit(ns.SubPaletteExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.SubPaletteExportController.prototype.init = function () {
+    this.list = document.querySelector('.subpalettes-list');
+    this.preview = document.querySelector('.subpalettes-preview');
+
+    this.addEventListener(this.list, 'click', this.onListClick_);
+    this.addEventListener(this.list, 'contextmenu', this.onListContextMenu_);
+    this.addEventListener(this.preview, 'click', this.onPreviewClick_);
+    this.addEventListener('.subpalettes-add-button', 'click', this.onAddClick_);
+    this.addEventListener('.subpalettes-remove-button', 'click', this.onRemoveClick_);
+    this.addEventListener('.subpalettes-auto-button', 'click', this.onAutoAssignClick_);
+    this.addEventListener('.subpalettes-reset-button', 'click', this.onResetClick_);
+    this.addEventListener('.subpalettes-download-palette-button', 'click',
+      this.onDownloadPaletteClick_);
+    this.addEventListener('.subpalettes-download-indexes-button', 'click',
+      this.onDownloadIndexesClick_);
+
+    this.render_();
+
+    $.subscribe(Events.SUB_PALETTES_UPDATED, this.onSubPalettesUpdated_);
+    $.subscribe(Events.CURRENT_COLORS_UPDATED, this.onSubPalettesUpdated_);
+  };
+
+  ns.SubPaletteExportController.prototype.destroy = function () {
+    $.unsubscribe(Events.SUB_PALETTES_UPDATED, this.onSubPalettesUpdated_);
+    $.unsubscribe(Events.CURRENT_COLORS_UPDATED, this.onSubPalettesUpdated_);
+    this.superclass.destroy.call(this);
+  };
+
+  /**
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onSubPalettesUpdated_ = function () {
+    if (this.list) {
+      this.render_();
+    }
+  };
+
+  /**
+   * @return {pskl.consoles.ConsoleMode|null} Active console mode
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.getMode_ = function () {
+    return pskl.app.consoleRegistry.getActive();
+  };
+
+  /**
+   * @return {pskl.model.Piskel}
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.getPiskel_ = function () {
+    return this.piskelController.getPiskel();
+  };
+
+  /**
+   * Renders the sub-palette list, the region preview and the file infos.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.render_ = function () {
+    var mode = this.getMode_();
+    var subPalettes = this.getPiskel_().getSubPalettes();
+    if (!mode) {
+      return;
+    }
+
+    this.selectedPalette = Math.min(this.selectedPalette, Math.max(0, subPalettes.length - 1));
+    this.renderList_(mode, subPalettes);
+    this.renderPreview_(subPalettes);
+
+    var countInfo = document.querySelector('.subpalettes-count-info');
+    if (countInfo) {
+      countInfo.innerHTML = subPalettes.length + '/' + mode.subPaletteCount +
+        ' (' + mode.maxColors + ' colors + transparent each)';
+    }
+
+    var validationInfo = document.querySelector('.subpalettes-validation-info');
+    if (validationInfo) {
+      var validation = mode.validateRegions(
+        pskl.utils.TileUtils.getFramesPixels(this.piskelController),
+        this.piskelController.getWidth(),
+        this.piskelController.getHeight(),
+        subPalettes,
+        this.getPiskel_().getTilePalettes());
+      validationInfo.innerHTML = validation.valid ? 'All regions are valid' : validation.message;
+    }
+
+    var usesSubPalettes = mode.usesSubPalettes(subPalettes);
+    var paletteInfo = document.querySelector('.subpalettes-palette-info');
+    if (paletteInfo) {
+      var paletteData = usesSubPalettes ? this.generatePaletteData_() : null;
+      paletteInfo.innerHTML = paletteData ?
+        paletteData.length + ' bytes (' + subPalettes.length + ' sub-palettes)' :
+        'No sub-palettes defined';
+    }
+
+    var indexesInfo = document.querySelector('.subpalettes-indexes-info');
+    if (indexesInfo) {
+      indexesInfo.innerHTML = usesSubPalettes ?
+        this.generateIndexesData_().length + ' bytes' : 'No sub-palettes defined';
+    }
+  };
+
+  /**
+   * Renders one row of swatches per sub-palette.
+   * @param {pskl.consoles.ConsoleMode} mode - Active console mode
+   * @param {Array<Array<string>>} subPalettes - Project sub-palettes
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.renderList_ = function (mode, subPalettes) {
+    var html = subPalettes.map(function (palette, p) {
+      var slots = '';
+      for (var i = 0; i < mode.maxColors; i++) {
+        var color = palette[i];
+        slots += '<span class="subpalettes-slot" data-palette="' + p + '" data-slot="' + i + '"' +
+          ' style="display:inline-block;width:16px;height:16px;margin-right:2px;' +
+          'border:1px solid #888;vertical-align:middle;cursor:pointer;' +
+          (color ? 'background:' + color : '') + '" title="' + (color || 'Empty') + '"></span>';
+      }
+      var selected = p === this.selectedPalette;
+      return '<div class="subpalettes-row" data-palette="' + p + '" style="padding:2px;' +
+        'cursor:pointer;' + (selected ? 'outline:1px solid var(--highlight-color);' : '') + '">' +
+        '<span style="display:inline-block;width:20px">' + p + '</span>' + slots + '</div>';
+    }, this).join('');
+
+    this.list.innerHTML = html;
+  };
+
+  /**
+   * Renders the current frame with its 8x8 grid and the sub-palette index
+   * of each region.
+   * @param {Array<Array<string>>} subPalettes - Project sub-palettes
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.renderPreview_ = function (subPalettes) {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var zoom = Math.max(1, Math.floor(PREVIEW_SIZE / Math.max(width, height)));
+    var frame = this.piskelController.renderFrameAt(
+      this.piskelController.getCurrentFrameIndex(), true);
+
+    this.preview.width = width * zoom;
+    this.preview.height = height * zoom;
+    var context = this.preview.getContext('2d');
+    context.imageSmoothingEnabled = false;
+    context.drawImage(frame, 0, 0, width * zoom, height * zoom);
+
+    var tilePalettes = this.getPiskel_().getTilePalettes();
+    var regionSize = 8 * zoom;
+    context.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    context.font = Math.max(8, Math.floor(regionSize / 3)) + 'px sans-serif';
+    context.textBaseline = 'top';
+    for (var row = 0; row * 8 < height; row++) {
+      for (var col = 0; col * 8 < width; col++) {
+        var x = col * regionSize;
+        var y = row * regionSize;
+        context.strokeRect(x + 0.5, y + 0.5, regionSize - 1, regionSize - 1);
+        if (subPalettes.length) {
+          context.fillStyle = '#fff';
+          context.fillText(pskl.utils.SubPaletteUtils.getPaletteIndex(tilePalettes, col, row),
+            x + 2, y + 2);
+        }
+      }
+    }
+  };
+
+  /**
+   * Selects a sub-palette, or sets a slot to the primary color.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onListClick_ = function (evt) {
+    var target = evt.target;
+    var palette = parseInt(target.getAttribute('data-palette') ||
+      target.parentNode.getAttribute('data-palette'), 10);
+    if (isNaN(palette)) {
+      return;
+    }
+
+    this.selectedPalette = palette;
+    if (target.hasAttribute('data-slot')) {
+      var color = window.tinycolor(pskl.app.selectedColorsService.getPrimaryColor());
+      this.setSlotColor_(palette, parseInt(target.getAttribute('data-slot'), 10),
+        color.toHexString().toUpperCase());
+    } else {
+      this.render_();
+    }
+  };
+
+  /**
+   * Clears a sub-palette slot.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onListContextMenu_ = function (evt) {
+    var target = evt.target;
+    if (target.hasAttribute('data-slot')) {
+      evt.preventDefault();
+      this.setSlotColor_(parseInt(target.getAttribute('data-palette'), 10),
+        parseInt(target.getAttribute('data-slot'), 10), null);
+    }
+  };
+
+  /**
+   * @param {number} palette - Sub-palette index
+   * @param {number} slot - Color slot in the sub-palette
+   * @param {string|null} color - Hex color, or null to clear the slot
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.setSlotColor_ = function (palette, slot, color) {
+    var subPalettes = this.getPiskel_().getSubPalettes().map(function (colors) {
+      return colors.slice();
+    });
+    var colors = subPalettes[palette];
+    if (color) {
+      colors[slot] = color;
+    } else {
+      colors.splice(slot, 1);
+    }
+    // Empty slots are only allowed at the end of a sub-palette
+    subPalettes[palette] = colors.filter(function (c) {
+      return !!c;
+    });
+    this.getPiskel_().setSubPalettes(subPalettes);
+  };
+
+  /**
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onAddClick_ = function () {
+    var mode = this.getMode_();
+    var subPalettes = this.getPiskel_().getSubPalettes();
+    if (mode && subPalettes.length < mode.subPaletteCount) {
+      this.selectedPalette = subPalettes.length;
+      this.getPiskel_().setSubPalettes(subPalettes.concat([[]]));
+    }
+  };
+
+  /**
+   * Removes the selected sub-palette. Regions using it go back to
+   * sub-palette 0, regions using the following ones keep their colors.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onRemoveClick_ = function () {
+    var piskel = this.getPiskel_();
+    var subPalettes = piskel.getSubPalettes();
+    var removed = this.selectedPalette;
+    if (!subPalettes.length) {
+      return;
+    }
+
+    var tilePalettes = {};
+    var assignments = piskel.getTilePalettes();
+    Object.keys(assignments).forEach(function (key) {
+      var index = assignments[key];
+      if (index > removed) {
+        tilePalettes[key] = index - 1;
+      } else if (index < removed) {
+        tilePalettes[key] = index;
+      }
+    });
+
+    piskel.setTilePalettes(tilePalettes);
+    piskel.setSubPalettes(subPalettes.filter(function (palette, i) {
+      return i !== removed;
+    }));
+  };
+
+  /**
+   * Assigns the selected sub-palette to the clicked region.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onPreviewClick_ = function (evt) {
+    if (!this.getPiskel_().getSubPalettes().length) {
+      return;
+    }
+
+    var rect = this.preview.getBoundingClientRect();
+    var scale = this.preview.width / rect.width;
+    var zoom = this.preview.width / this.piskelController.getWidth();
+    var col = Math.floor((evt.clientX - rect.left) * scale / (8 * zoom));
+    var row = Math.floor((evt.clientY - rect.top) * scale / (8 * zoom));
+
+    var piskel = this.getPiskel_();
+    piskel.setTilePalettes(pskl.utils.SubPaletteUtils.setPaletteIndex(
+      piskel.getTilePalettes(), col, row, this.selectedPalette));
+  };
+
+  /**
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onAutoAssignClick_ = function () {
+    var piskel = this.getPiskel_();
+    var mode = this.getMode_();
+    if (!mode || !mode.usesSubPalettes(piskel.getSubPalettes())) {
+      return;
+    }
+
+    var result = pskl.utils.SubPaletteUtils.autoAssign(
+      pskl.utils.TileUtils.getFramesPixels(this.piskelController),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      {
+        subPalettes : piskel.getSubPalettes().slice(0, mode.subPaletteCount),
+        tilePalettes : piskel.getTilePalettes(),
+        regionSize : mode.tileSize || 8
+      });
+    piskel.setTilePalettes(result.tilePalettes);
+
+    if (result.unassigned) {
+      $.publish(Events.SHOW_NOTIFICATION, [{
+        content : result.unassigned + ' region(s) do not fit in any sub-palette.',
+        hideDelay : 3000
+      }]);
+    }
+  };
+
+  /**
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onResetClick_ = function () {
+    this.getPiskel_().setTilePalettes({});
+  };
+
+  /**
+   * Encodes all sub-palettes with the console's tile exporter.
+   * @return {Uint8Array|null}
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.generatePaletteData_ = function () {
+    var mode = this.getMode_();
+    var controller = mode && TILE_EXPORTERS[mode.id];
+    if (!controller) {
+      return null;
+    }
+    var tileExporter = new ns[controller](this.piskelController);
+    tileExporter.validateAndDisplay_();
+    return tileExporter.generateAllPalettesData_();
+  };
+
+  /**
+   * @return {Uint8Array} Sub-palette index of each tile position
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.generateIndexesData_ = function () {
+    return pskl.utils.SubPaletteUtils.encodePaletteIndexes(
+      this.getPiskel_().getTilePalettes(),
+      this.piskelController.getWidth(),
+      this.piskelController.getHeight(),
+      this.piskelController.getFrameCount());
+  };
+
+  /**
+   * Handles palette download button click.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onDownloadPaletteClick_ = function () {
+    var data = this.generatePaletteData_();
+    if (data && this.getMode_().usesSubPalettes(this.getPiskel_().getSubPalettes())) {
+      var fileName = this.getPiskelName_() + '.pal';
+      var blob = new Blob([data], {type: 'application/octet-stream'});
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }
+  };
+
+  /**
+   * Handles region palettes download button click.
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.onDownloadIndexesClick_ = function () {
+    var data = this.generateIndexesData_();
+    var fileName = this.getPiskelName_() + '.pidx';
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.SubPaletteExportController.prototype.getPiskelName_ = function () {
+    return this.getPiskel_().getDescriptor().name;
+  };
+})();
@@ -67,21 +67,24 @@
    * @private
    */
   ns.SvgExporter.prototype.onDownloadClick_ = function () {
-    var frameCount = this.piskelController.getFrameCount();
-    var svgContent;
-
-    if (frameCount === 1) {
-      svgContent = this.generateStaticSvg_();
-    } else {
-      svgContent = this.generateAnimatedSvg_();
-    }
-
     var fileName = this.getPiskelName_() + '.svg';
-    pskl.utils.BlobUtils.stringToBlob(svgContent, function (blob) {
+    pskl.utils.BlobUtils.stringToBlob(this.generateSvg_(), function (blob) {
       pskl.utils.FileUtils.downloadAsFile(blob, fileName);
     }, 'image/svg+xml');
   };
 
+  /**
+   * Generates the SVG of the sprite, animated if it has several frames.
+   * @return {string} SVG markup
+   * @private
+   */
+  ns.SvgExporter.prototype.generateSvg_ = function () {
+    if (this.piskelController.getFrameCount() === 1) {
+      return this.generateStaticSvg_();
+    }
+    return this.generateAnimatedSvg_();
+  };
+
   /**
    * Gets the piskel name for file naming.
    * @return {string} Piskel name
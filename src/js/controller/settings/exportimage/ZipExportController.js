@@ -1,6 +1,86 @@
 (function () {
   var ns = $.namespace('pskl.controller.settings.exportimage');
 
+  /**
+   * Exporters of the console bundle, for each console mode. Controllers give
+   * the bundled files by extension (getBundleFiles), the extensions tell the
+   * tiles from the palette. Controllers are looked up lazily, as they are
+   * defined in other files. Consoles splitting their tiles across 2 files
+   * (ROM pairs) also set tiles2Extension.
+   */
+  var BUNDLE_EXPORTERS = {
+    'nes' : {
+      controller : 'ChrExportController', tilesExtension : '.chr', paletteExtension : '.pal'
+    },
+    'gameboy' : {
+      controller : 'Gb2bppExportController', tilesExtension : '.2bpp'
+    },
+    'gbc' : {
+      controller : 'Gbc2bppExportController', tilesExtension : '.2bpp', paletteExtension : '.pal'
+    },
+    'snes' : {
+      controller : 'Snes4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'genesis' : {
+      controller : 'Genesis4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'sms' : {
+      controller : 'Sms4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'gamegear' : {
+      controller : 'Gg4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'gba' : {
+      controller : 'Gba4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'gba8bpp' : {
+      controller : 'Gba8bppExportController', tilesExtension : '.8bpp', paletteExtension : '.pal'
+    },
+    'msx' : {
+      controller : 'Msx1bppExportController', tilesExtension : '.1bpp', paletteExtension : '.clr'
+    },
+    'msx2' : {
+      controller : 'Msx24bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'msx2plus' : {
+      controller : 'Msx2plus4bppExportController', tilesExtension : '.4bpp', paletteExtension : '.pal'
+    },
+    'pce' : {
+      controller : 'PceSpriteExportController', tilesExtension : '.spr', paletteExtension : '.pal'
+    },
+    'c64' : {
+      controller : 'C64SpriteExportController', tilesExtension : '.spr', paletteExtension : '.clr'
+    },
+    'c64mc' : {
+      controller : 'C64MulticolorExportController', tilesExtension : '.spr', paletteExtension : '.clr'
+    },
+    'zxspectrum' : {
+      controller : 'ZxSpectrumExportController', tilesExtension : '.scr'
+    },
+    'atari2600' : {
+      controller : 'Atari2600ExportController', tilesExtension : '.grp', paletteExtension : '.col'
+    },
+    'atari2600pal' : {
+      controller : 'Atari2600PalExportController', tilesExtension : '.grp', paletteExtension : '.col'
+    },
+    'atari7800' : {
+      controller : 'Atari7800ExportController', tilesExtension : '.gfx', paletteExtension : '.pal'
+    },
+    'atari7800pal' : {
+      controller : 'Atari7800PalExportController', tilesExtension : '.gfx', paletteExtension : '.pal'
+    },
+    'neogeo' : {
+      controller : 'NeoGeoExportController', tilesExtension : '.c1', tiles2Extension : '.c2',
+      paletteExtension : '.pal'
+    }
+  };
+
+  /**
+   * Modification date of bundle entries. Fixed (DOS dates start in 1980) so
+   * that bundles of the same sprite are byte-identical.
+   */
+  var BUNDLE_DATE = new Date(1980, 0, 1);
+
   ns.ZipExportController = function (piskelController, exportController) {
     this.piskelController = piskelController;
     this.exportController = exportController;
@@ -8,6 +88,9 @@
 
   pskl.utils.inherit(ns.ZipExportController, pskl.controller.settings.AbstractSettingController);
 
+  // Also used by piskel-cli to encode the console formats
+  ns.ZipExportController.BUNDLE_EXPORTERS = BUNDLE_EXPORTERS;
+
   ns.ZipExportController.prototype.init = function () {
     this.pngFilePrefixInput = document.querySelector('.zip-prefix-name');
     this.pngFilePrefixInput.value = 'sprite_';
@@ -21,6 +104,12 @@
 
     var zipButton = document.querySelector('.zip-generate-button');
     this.addEventListener(zipButton, 'click', this.onZipButtonClick_);
+
+    var bundleButton = document.querySelector('.zip-bundle-button');
+    this.addEventListener(bundleButton, 'click', this.onBundleButtonClick_);
+
+    var bundleSection = document.querySelector('.zip-bundle-section');
+    bundleSection.style.display = BUNDLE_EXPORTERS[this.getConsoleId_()] ? '' : 'none';
   };
 
   ns.ZipExportController.prototype.toggleHideUseLayerNamesCheckbox = function () {
@@ -84,6 +173,100 @@
     }
   };
 
+  /**
+   * Downloads a single zip with everything a build needs for the active
+   * console: tiles, palette, metadata JSON, a 1:1 preview PNG of all frames
+   * and the .piskel source.
+   * @private
+   */
+  ns.ZipExportController.prototype.onBundleButtonClick_ = function () {
+    var consoleId = this.getConsoleId_();
+    var exporterInfo = BUNDLE_EXPORTERS[consoleId];
+    if (!exporterInfo) {
+      return;
+    }
+
+    var exporter = new ns[exporterInfo.controller](this.piskelController);
+    exporter.validateAndDisplay_();
+
+    var name = this.getPiskelName_();
+    var zip = new window.JSZip();
+    var files = {};
+
+    var bundleFiles;
+    try {
+      bundleFiles = exporter.getBundleFiles();
+    } catch (e) {
+      // Encoding errors come from the tiles, see TileUtils.getExportIndex
+      $.publish(Events.SHOW_NOTIFICATION, [{
+        content : 'Could not encode ' + name + exporterInfo.tilesExtension + ' : ' + e.message,
+        hideDelay : 10000
+      }]);
+      return;
+    }
+    files.tiles = name + exporterInfo.tilesExtension;
+    zip.file(files.tiles, bundleFiles[exporterInfo.tilesExtension], {date : BUNDLE_DATE});
+
+    if (exporterInfo.tiles2Extension) {
+      files.tiles2 = name + exporterInfo.tiles2Extension;
+      zip.file(files.tiles2, bundleFiles[exporterInfo.tiles2Extension], {date : BUNDLE_DATE});
+    }
+
+    var palette = exporterInfo.paletteExtension ? bundleFiles[exporterInfo.paletteExtension] : null;
+    if (palette) {
+      files.palette = name + exporterInfo.paletteExtension;
+      zip.file(files.palette, palette, {date : BUNDLE_DATE});
+    }
+
+    var preview = new pskl.rendering.PiskelRenderer(this.piskelController).renderAsCanvas();
+    files.preview = name + '.png';
+    zip.file(files.preview, pskl.utils.CanvasUtils.getBase64FromCanvas(preview) + '\n',
+      {base64 : true, date : BUNDLE_DATE});
+
+    files.source = name + '.piskel';
+    zip.file(files.source, this.piskelController.serialize(), {date : BUNDLE_DATE});
+
+    // Sprite formats have no tile count
+    var tileCount = exporter.getTileCount_ ? exporter.getTileCount_() : null;
+    var metadata = this.createBundleMetadata_(consoleId, tileCount, files);
+    zip.file(name + '.json', JSON.stringify(metadata, null, 2) + '\n', {date : BUNDLE_DATE});
+
+    var blob = zip.generate({
+      type : 'blob'
+    });
+    pskl.utils.FileUtils.downloadAsFile(blob, name + '-' + consoleId + '.zip');
+  };
+
+  /**
+   * @param {string} consoleId - ID of the active console mode
+   * @param {number|null} tileCount - Number of tiles in the tiles file
+   * @param {Object} files - Names of the bundled files
+   * @return {Object} Bundle metadata
+   * @private
+   */
+  ns.ZipExportController.prototype.createBundleMetadata_ = function (consoleId, tileCount, files) {
+    return {
+      name : this.getPiskelName_(),
+      console : consoleId,
+      width : this.piskelController.getWidth(),
+      height : this.piskelController.getHeight(),
+      frameCount : this.piskelController.getFrameCount(),
+      fps : this.piskelController.getFPS(),
+      tileCount : tileCount,
+      paletteOrder : this.piskelController.getPiskel().getPaletteOrder(),
+      files : files
+    };
+  };
+
+  /**
+   * @return {string} ID of the active console mode
+   * @private
+   */
+  ns.ZipExportController.prototype.getConsoleId_ = function () {
+    var mode = pskl.app.consoleRegistry.getActive();
+    return mode ? mode.id : 'default';
+  };
+
   ns.ZipExportController.prototype.getPiskelName_ = function () {
     return this.piskelController.getPiskel().getDescriptor().name;
   };
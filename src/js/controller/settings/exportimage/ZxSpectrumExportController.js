@@ -0,0 +1,461 @@
+/**
+ * Controller for ZX Spectrum screen and sprite export.
+ *
+ * Every 8x8 cell gets an attribute byte: FLASH(7) BRIGHT(6) PAPER(5-3)
+ * INK(2-0). The most used color of the cell is the ink, the second one the
+ * paper (black when the cell has a single color). Bitmap bits are set for
+ * ink pixels. Other colors of clashing cells are drawn as paper.
+ *
+ * Screen format (.scr): 6912 bytes per frame
+ *   - 6144 bytes bitmap, 32 bytes per line, lines interleaved as in the
+ *     Spectrum display file: the address of line y is
+ *     (y & 0xC0) << 5 | (y & 0x07) << 8 | (y & 0x38) << 2
+ *   - 768 bytes attributes, 32 cells per row
+ *   - The frame is drawn at the top-left of the 256x192 screen, the rest
+ *     of the screen is empty
+ *
+ * Sprite format (.spr): linear, row by row from the top
+ *   - Each row is (mask byte, graphics byte) pairs from left to right
+ *   - Mask bits are set for transparent pixels (AND mask), graphics bits
+ *     for ink pixels (OR)
+ *
+ * Sprite attributes (.atr): 1 attribute byte per cell, row by row
+ *
+ * Sprite rows are padded with transparent pixels to whole cells.
+ *
+ * References:
+ *   - https://worldofspectrum.org/faq/reference/48kreference.htm
+ */
+(function () {
+  var ns = $.namespace('pskl.controller.settings.exportimage');
+
+  /** @const {number} Attribute cell size in pixels. */
+  var CELL_SIZE = 8;
+
+  /** @const {number} Screen size in pixels. */
+  var SCREEN_WIDTH = 256;
+  var SCREEN_HEIGHT = 192;
+
+  /** @const {number} Bitmap size in bytes. */
+  var BITMAP_BYTES = 6144;
+
+  /** @const {number} Screen file size in bytes (bitmap + attributes). */
+  var SCREEN_BYTES = 6912;
+
+  ns.ZxSpectrumExportController = function (piskelController) {
+    this.piskelController = piskelController;
+    this.colorMap = {};
+  };
+
+  pskl.utils.inherit(ns.ZxSpectrumExportController,
+    pskl.controller.settings.AbstractSettingController);
+
+  ns.ZxSpectrumExportController.prototype.init = function () {
+    this.validateAndDisplay_();
+
+    var screenBtn = document.querySelector('.zxspectrum-download-screen-button');
+    var spriteBtn = document.querySelector('.zxspectrum-download-sprite-button');
+    var attrBtn = document.querySelector('.zxspectrum-download-attr-button');
+    var asmBtn = document.querySelector('.zxspectrum-download-asm-button');
+    var fixBtn = document.querySelector('.zxspectrum-fix-button');
+
+    this.addDownloadListener(screenBtn, this.onDownloadScreenClick_);
+    this.addDownloadListener(spriteBtn, this.onDownloadSpriteClick_);
+    this.addDownloadListener(attrBtn, this.onDownloadAttributesClick_);
+    this.addDownloadListener(asmBtn, this.onDownloadAsmClick_);
+    this.addEventListener(fixBtn, 'click', this.onFixClick_);
+
+    var mode = pskl.app.consoleRegistry.get('zxspectrum');
+    this.asmDialectSelect = document.querySelector('.zxspectrum-asm-dialect-select');
+    pskl.utils.AsmUtils.fillDialectSelect(this.asmDialectSelect,
+      mode && mode.asmDialect);
+
+    $.subscribe(Events.CURRENT_COLORS_UPDATED,
+      this.validateAndDisplay_.bind(this));
+  };
+
+  /**
+   * Updates color map, download info, and color and clash warnings display.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.validateAndDisplay_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var frameCount = this.piskelController.getFrameCount();
+
+    // Color map from color integers to palette entries
+    this.colorMap = {};
+    pskl.consoles.ZXSpectrumConstants.PALETTE_DATA.forEach(function (entry) {
+      this.colorMap[pskl.utils.colorToInt(entry.color)] = entry;
+    }, this);
+
+    // Colors missing from the palette can't be encoded, see getEntry_
+    var hasUnmappedColors = pskl.app.currentColorsService.getCurrentColors().some(function (color) {
+      return !this.colorMap.hasOwnProperty(pskl.utils.colorToInt(color));
+    }, this);
+    this.setDownloadsEnabled(!hasUnmappedColors);
+
+    var colorWarning = document.querySelector('.zxspectrum-color-warning');
+    if (colorWarning) {
+      colorWarning.style.display = hasUnmappedColors ? 'flex' : 'none';
+    }
+
+    var clashCount = hasUnmappedColors ? 0 : this.countClashingCells_();
+    var warning = document.querySelector('.zxspectrum-clash-warning');
+    if (warning) {
+      warning.style.display = clashCount ? 'flex' : 'none';
+    }
+    var warningMessage = document.querySelector('.zxspectrum-clash-count');
+    if (warningMessage) {
+      warningMessage.innerHTML = clashCount + (clashCount > 1 ? ' cells break' : ' cell breaks');
+    }
+
+    var screenInfo = document.querySelector('.zxspectrum-screen-info');
+    if (screenInfo) {
+      var cropped = width > SCREEN_WIDTH || height > SCREEN_HEIGHT;
+      screenInfo.innerHTML = frameCount * SCREEN_BYTES + ' bytes' +
+        (frameCount > 1 ? ' (' + frameCount + ' frames)' : '') +
+        (cropped ? ', cropped to 256x192' : '');
+    }
+
+    var spriteInfo = document.querySelector('.zxspectrum-sprite-info');
+    if (spriteInfo) {
+      var bytesPerRow = Math.ceil(width / CELL_SIZE) * 2;
+      spriteInfo.innerHTML = frameCount * height * bytesPerRow + ' bytes (' +
+        bytesPerRow + ' bytes per row)';
+    }
+
+    var attrInfo = document.querySelector('.zxspectrum-attr-info');
+    if (attrInfo) {
+      attrInfo.innerHTML = frameCount * Math.ceil(width / CELL_SIZE) *
+        Math.ceil(height / CELL_SIZE) + ' bytes';
+    }
+  };
+
+  /**
+   * Handles screen download button click.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.onDownloadScreenClick_ = function () {
+    this.downloadBinary_(this.generateScreenData_(), '.scr');
+  };
+
+  /**
+   * Handles sprite download button click.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.onDownloadSpriteClick_ = function () {
+    this.downloadBinary_(this.generateSpriteData_(), '.spr');
+  };
+
+  /**
+   * Handles sprite attributes download button click.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.onDownloadAttributesClick_ = function () {
+    this.downloadBinary_(this.generateAttributeData_(), '.atr');
+  };
+
+  /**
+   * Recolors the clashing cells of every frame of every layer (see
+   * ZXSpectrumConsoleMode.fixAttributeClash). Layers are fixed one by one,
+   * cells may still clash where layers overlap.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.onFixClick_ = function () {
+    var mode = pskl.app.consoleRegistry.get('zxspectrum');
+    var fixedCount = 0;
+    this.piskelController.getLayers().forEach(function (layer) {
+      layer.getFrames().forEach(function (frame) {
+        fixedCount += mode.fixAttributeClash(frame);
+      });
+    });
+
+    if (fixedCount) {
+      $.publish(Events.PISKEL_RESET);
+      $.publish(Events.PISKEL_SAVE_STATE, {
+        type : pskl.service.HistoryService.SNAPSHOT
+      });
+    }
+    this.validateAndDisplay_();
+  };
+
+  /**
+   * @param {Uint8Array} data
+   * @param {string} extension
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.downloadBinary_ = function (data, extension) {
+    var blob = new Blob([data], {type: 'application/octet-stream'});
+    pskl.utils.FileUtils.downloadAsFile(blob, this.getPiskelName_() + extension);
+  };
+
+  /**
+   * Generates one screen per frame: interleaved bitmap, then attributes.
+   * @return {Uint8Array} The screen file bytes
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.generateScreenData_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var framesPixels = pskl.utils.TileUtils.getFramesPixels(this.piskelController);
+    var bytes = new Uint8Array(framesPixels.length * SCREEN_BYTES);
+
+    framesPixels.forEach(function (pixels, f) {
+      var screen = bytes.subarray(f * SCREEN_BYTES, (f + 1) * SCREEN_BYTES);
+      for (var cy = 0; cy < Math.min(height, SCREEN_HEIGHT); cy += CELL_SIZE) {
+        for (var cx = 0; cx < Math.min(width, SCREEN_WIDTH); cx += CELL_SIZE) {
+          var cell = this.analyzeCell_(pixels, width, cx, cy);
+          screen[BITMAP_BYTES + (cy / CELL_SIZE) * 32 + cx / CELL_SIZE] = cell.attribute;
+          for (var y = cy; y < cy + CELL_SIZE; y++) {
+            screen[this.getLineAddress_(y) + cx / CELL_SIZE] = this.encodeByte_(pixels, width, cx, y, cell).graphics;
+          }
+        }
+      }
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * @param {number} y - Screen line (0-191)
+   * @return {number} Offset of the line in the bitmap
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.getLineAddress_ = function (y) {
+    return ((y & 0xC0) << 5) | ((y & 0x07) << 8) | ((y & 0x38) << 2);
+  };
+
+  /**
+   * Generates the masked sprite data of all frames. Rows are padded to whole
+   * cells, padding pixels are transparent.
+   * @return {Uint8Array} The sprite file bytes
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.generateSpriteData_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var cols = Math.ceil(width / CELL_SIZE);
+    var bytesPerRow = cols * 2;
+    var framesPixels = pskl.utils.TileUtils.getFramesPixels(this.piskelController);
+    var bytes = new Uint8Array(framesPixels.length * height * bytesPerRow);
+
+    var offset = 0;
+    framesPixels.forEach(function (pixels) {
+      var cells = this.analyzeFrame_(pixels, width, height);
+      for (var y = 0; y < height; y++) {
+        for (var x = 0; x < width; x += CELL_SIZE) {
+          var cell = cells[Math.floor(y / CELL_SIZE) * cols + x / CELL_SIZE];
+          var encoded = this.encodeByte_(pixels, width, x, y, cell);
+          bytes[offset++] = encoded.mask;
+          bytes[offset++] = encoded.graphics;
+        }
+      }
+    }, this);
+
+    return bytes;
+  };
+
+  /**
+   * Generates the attribute bytes of all frames, for sprites.
+   * @return {Uint8Array} The attribute file bytes
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.generateAttributeData_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    var attributes = [];
+    pskl.utils.TileUtils.getFramesPixels(this.piskelController).forEach(function (pixels) {
+      this.analyzeFrame_(pixels, width, height).forEach(function (cell) {
+        attributes.push(cell.attribute);
+      });
+    }, this);
+    return new Uint8Array(attributes);
+  };
+
+  /**
+   * Counts the cells of all frames breaking the attribute rule.
+   * @return {number}
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.countClashingCells_ = function () {
+    var width = this.piskelController.getWidth();
+    var height = this.piskelController.getHeight();
+    return pskl.utils.TileUtils.getFramesPixels(this.piskelController).reduce(function (count, pixels) {
+      return count + this.analyzeFrame_(pixels, width, height).filter(function (cell) {
+        return cell.clash;
+      }).length;
+    }.bind(this), 0);
+  };
+
+  /**
+   * @param {Uint8ClampedArray} pixels - Frame RGBA data
+   * @param {number} width - Frame width
+   * @param {number} height - Frame height
+   * @return {Array<Object>} Cells row by row, see analyzeCell_
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.analyzeFrame_ = function (pixels, width, height) {
+    var cells = [];
+    for (var y = 0; y < height; y += CELL_SIZE) {
+      for (var x = 0; x < width; x += CELL_SIZE) {
+        cells.push(this.analyzeCell_(pixels, width, x, y));
+      }
+    }
+    return cells;
+  };
+
+  /**
+   * Picks the ink and paper of an 8x8 cell.
+   * @param {Uint8ClampedArray} pixels - Frame RGBA data
+   * @param {number} width - Frame width
+   * @param {number} startX - Cell start X coordinate
+   * @param {number} startY - Cell start Y coordinate
+   * @return {Object} {ink: color integer or null, attribute, clash}, clash
+   *         being true when the cell breaks the attribute rule
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.analyzeCell_ = function (pixels, width, startX, startY) {
+    var counts = {};
+    var colors = [];
+    for (var y = startY; y < startY + CELL_SIZE; y++) {
+      for (var x = startX; x < startX + CELL_SIZE; x++) {
+        var color = this.getColorInt_(pixels, width, x, y);
+        if (color === null) {
+          continue;
+        }
+        if (!counts[color]) {
+          counts[color] = 0;
+          colors.push(color);
+        }
+        counts[color]++;
+      }
+    }
+
+    // Stable sort: first seen color wins ties
+    colors = colors.map(function (color, i) {
+      return {color: color, order: i};
+    }).sort(function (a, b) {
+      return counts[b.color] - counts[a.color] || a.order - b.order;
+    }).map(function (entry) {
+      return entry.color;
+    });
+
+    var ink = this.getEntry_(colors[0]);
+    var paper = this.getEntry_(colors[1]);
+    var bright = ink.bright === true || paper.bright === true;
+    var mixed = (ink.bright === true && paper.bright === false) ||
+      (ink.bright === false && paper.bright === true);
+
+    return {
+      ink : colors.length ? colors[0] : null,
+      attribute : (bright ? 0x40 : 0) | (paper.index << 3) | ink.index,
+      clash : colors.length > 2 || mixed
+    };
+  };
+
+  /**
+   * @param {number} color - Color integer, undefined for a missing color
+   * @return {Object} Palette entry {index, bright}, black for missing colors
+   * @throws {Error} when the palette does not hold the color
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.getEntry_ = function (color) {
+    if (color === undefined) {
+      return {index: 0, bright: null};
+    }
+    if (this.colorMap.hasOwnProperty(color)) {
+      return this.colorMap[color];
+    }
+    throw pskl.utils.TileUtils.createUnmappedColorError(color);
+  };
+
+  /**
+   * @return {number|null} Color integer of the pixel, null when transparent
+   *         or outside of the frame
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.getColorInt_ = function (pixels, width, x, y) {
+    var idx = (y * width + x) * 4;
+    if (x >= width || idx >= pixels.length || pixels[idx + 3] < 128) {
+      return null;
+    }
+    return (255 << 24 >>> 0) + (pixels[idx + 2] << 16) + (pixels[idx + 1] << 8) + pixels[idx];
+  };
+
+  /**
+   * Encodes 8 pixels of a cell line.
+   * @param {Uint8ClampedArray} pixels - Frame RGBA data
+   * @param {number} width - Frame width
+   * @param {number} startX - Cell start X coordinate
+   * @param {number} y - Line
+   * @param {Object} cell - Cell ink, see analyzeCell_
+   * @return {{mask: number, graphics: number}}
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.encodeByte_ = function (pixels, width, startX, y, cell) {
+    var mask = 0;
+    var graphics = 0;
+    for (var x = 0; x < CELL_SIZE; x++) {
+      var color = this.getColorInt_(pixels, width, startX + x, y);
+      if (color === null) {
+        mask |= 0x80 >> x;
+      } else if (color === cell.ink) {
+        graphics |= 0x80 >> x;
+      }
+    }
+    return {mask: mask, graphics: graphics};
+  };
+
+  /**
+   * Handles assembly include download button click. Each frame is one
+   * masked sprite of the include.
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.onDownloadAsmClick_ = function () {
+    var tiles = this.generateSpriteData_();
+    var frameCount = this.piskelController.getFrameCount();
+
+    var dialect = this.asmDialectSelect.value;
+    var source = pskl.utils.AsmUtils.generateTileInclude({
+      dialect : dialect,
+      name : this.getPiskelName_(),
+      description : 'ZX Spectrum masked sprites and attributes',
+      // Sprites are the tiles of the include, TILE_SIZE is their width
+      constants : {TILE_SIZE : this.piskelController.getWidth(), BYTES_PER_TILE : tiles.length / frameCount},
+      tiles : tiles,
+      tileCount : frameCount,
+      tilesPerFrame : 1,
+      frameCount : frameCount,
+      maps : null,
+      palette : this.generateAttributeData_(),
+      paletteWordSize : 1,
+      paletteLabel : 'attributes'
+    });
+
+    var fileName = this.getPiskelName_() + pskl.utils.AsmUtils.DIALECTS[dialect].extension;
+    pskl.utils.BlobUtils.stringToBlob(source, function (blob) {
+      pskl.utils.FileUtils.downloadAsFile(blob, fileName);
+    }, 'application/text');
+  };
+
+  /**
+   * Files of the console bundle (see ZipExportController). One screen per
+   * frame, attributes included.
+   * @return {Object<string, Uint8Array>} File contents by extension
+   */
+  ns.ZxSpectrumExportController.prototype.getBundleFiles = function () {
+    return {
+      '.scr' : this.generateScreenData_()
+    };
+  };
+
+  /**
+   * Gets the current piskel name for the filename.
+   * @return {string} Piskel name
+   * @private
+   */
+  ns.ZxSpectrumExportController.prototype.getPiskelName_ = function () {
+    return this.piskelController.getPiskel().getDescriptor().name;
+  };
+})();
@@ -28,6 +28,27 @@
     // Set initial visibility based on console mode
     this.updateColorReplaceSettingVisibility_();
 
+    // NES palette variant and color emphasis (visible in NES mode)
+    this.nesPaletteSetting_ = document.querySelector('.nes-palette-setting');
+    this.nesPaletteSelect_ = document.querySelector('.nes-palette-select');
+    this.nesPaletteInput_ = document.querySelector('.nes-palette-input');
+    this.populateNesPaletteOptions_();
+    this.addEventListener(this.nesPaletteSelect_, 'change', this.onNesPaletteChange_);
+    this.addEventListener(document.querySelector('.nes-palette-button'), 'click', this.onNesPaletteButtonClick_);
+    this.addEventListener(this.nesPaletteInput_, 'change', this.onNesPaletteInputChange_);
+
+    var nesEmphasisSelect = document.querySelector('.nes-emphasis-select');
+    nesEmphasisSelect.value = pskl.UserSettings.get(pskl.UserSettings.NES_EMPHASIS);
+    this.addEventListener(nesEmphasisSelect, 'change', this.onNesEmphasisChange_);
+    this.updateNesPaletteSettingVisibility_();
+
+    // LCD color correction toggle (visible in handheld modes)
+    this.lcdCorrectionSetting_ = document.querySelector('.lcd-correction-setting');
+    var lcdCorrectionCheckbox = document.querySelector('.lcd-correction-checkbox');
+    lcdCorrectionCheckbox.checked = pskl.UserSettings.get(pskl.UserSettings.LCD_COLOR_CORRECTION);
+    this.addEventListener(lcdCorrectionCheckbox, 'change', this.onLcdCorrectionChange_);
+    this.updateLcdCorrectionSettingVisibility_();
+
     this.backgroundContainer = document.querySelector('.background-picker-wrapper');
     this.addEventListener(this.backgroundContainer, 'click', this.onBackgroundClick_);
 
@@ -151,6 +172,8 @@
     if (confirmed) {
       pskl.UserSettings.set(pskl.UserSettings.CONSOLE_MODE, newModeId);
       this.updateColorReplaceSettingVisibility_();
+      this.updateNesPaletteSettingVisibility_();
+      this.updateLcdCorrectionSettingVisibility_();
 
       // Offer to resize to console's recommended dimensions
       this.promptDefaultSizeChange_(newModeId);
@@ -248,6 +271,132 @@
       this.colorReplaceSetting_.style.display = hasRestrictions ? '' : 'none';
     };
 
+  /**
+   * Populates the NES palette dropdown with the built-in variants, and the
+   * custom palette once a .pal file was loaded.
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.populateNesPaletteOptions_ =
+    function () {
+      var Variants = pskl.consoles.NESPaletteVariants;
+      var select = this.nesPaletteSelect_;
+      var customPalette = pskl.UserSettings.get(
+        pskl.UserSettings.NES_CUSTOM_PALETTE);
+
+      var variants = Variants.getVariants();
+      if (customPalette) {
+        variants.push({
+          id: Variants.CUSTOM,
+          name: 'Custom (' + customPalette.name + ')'
+        });
+      }
+
+      select.innerHTML = '';
+      variants.forEach(function (variant) {
+        var option = document.createElement('option');
+        option.value = variant.id;
+        option.textContent = variant.name;
+        select.appendChild(option);
+      });
+      select.value = pskl.UserSettings.get(pskl.UserSettings.NES_PALETTE);
+    };
+
+  /**
+   * Handles NES palette variant selection change.
+   * @param {Event} evt - Change event
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.onNesPaletteChange_ = function (evt) {
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, evt.target.value);
+  };
+
+  /**
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.onNesPaletteButtonClick_ =
+    function () {
+      this.nesPaletteInput_.click();
+    };
+
+  /**
+   * Loads a .pal file as the custom NES palette, and selects it.
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.onNesPaletteInputChange_ =
+    function () {
+      var file = this.nesPaletteInput_.files[0];
+      if (!file) {
+        return;
+      }
+
+      pskl.utils.FileUtils.readFileAsArrayBuffer(file, function (buffer) {
+        var colors;
+        try {
+          colors = pskl.consoles.NESPaletteVariants.parsePalFile(buffer);
+        } catch (e) {
+          $.publish(Events.SHOW_NOTIFICATION, [{
+            content : e.message,
+            hideDelay : 5000
+          }]);
+          return;
+        }
+
+        pskl.UserSettings.set(pskl.UserSettings.NES_CUSTOM_PALETTE, {
+          name: file.name,
+          colors: colors
+        });
+        pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE,
+          pskl.consoles.NESPaletteVariants.CUSTOM);
+        this.populateNesPaletteOptions_();
+      }.bind(this));
+    };
+
+  /**
+   * Handles NES color emphasis selection change.
+   * @param {Event} evt - Change event
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.onNesEmphasisChange_ = function (evt) {
+    pskl.UserSettings.set(pskl.UserSettings.NES_EMPHASIS,
+      parseInt(evt.target.value, 10));
+  };
+
+  /**
+   * Shows the NES palette setting in NES mode only.
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.updateNesPaletteSettingVisibility_ =
+    function () {
+      var consoleMode = pskl.app.consoleRegistry &&
+                        pskl.app.consoleRegistry.getActive();
+      var isNes = consoleMode && consoleMode.id === 'nes';
+      this.nesPaletteSetting_.style.display = isNes ? '' : 'none';
+    };
+
+  /**
+   * Handles LCD color correction checkbox toggle.
+   * @param {Event} evt - Change event
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.onLcdCorrectionChange_ =
+    function (evt) {
+      pskl.UserSettings.set(
+        pskl.UserSettings.LCD_COLOR_CORRECTION,
+        evt.target.checked);
+    };
+
+  /**
+   * Shows the LCD color correction setting for consoles with an LCD model.
+   * @private
+   */
+  ns.MiscPreferencesController.prototype.updateLcdCorrectionSettingVisibility_ =
+    function () {
+      var consoleMode = pskl.app.consoleRegistry &&
+                        pskl.app.consoleRegistry.getActive();
+      var hasLcd = consoleMode && consoleMode.lcdColorModel;
+      this.lcdCorrectionSetting_.style.display = hasLcd ? '' : 'none';
+    };
+
   /**
    * Shows confirmation dialog for console mode switch.
    * Skips dialog if canvas is empty (nothing drawn).
@@ -0,0 +1,112 @@
+(function () {
+  var ns = $.namespace('pskl.model');
+
+  /**
+   * Frame of an indexed piskel: pixels hold indexes of the palette shared by
+   * the piskel (see pskl.model.IndexedPalette), editing a palette entry
+   * recolors every frame using it.
+   *
+   * The pixels array of pskl.model.Frame is kept as the color view of the
+   * indexes, so renderers and tools handle both frame types the same way.
+   * Colors drawn on the frame get an index in the palette if they have none.
+   *
+   * @param {Number} width
+   * @param {Number} height
+   * @param {pskl.model.IndexedPalette} palette
+   */
+  ns.IndexedFrame = function (width, height, palette) {
+    ns.Frame.call(this, width, height);
+    this.palette = palette;
+    this.indexes = new Uint16Array(width * height);
+  };
+
+  pskl.utils.inherit(ns.IndexedFrame, ns.Frame);
+
+  /**
+   * @param {pskl.model.Frame} frame frame to convert, colors missing from the
+   *        palette are added to it
+   * @param {pskl.model.IndexedPalette} palette
+   * @return {pskl.model.IndexedFrame}
+   */
+  ns.IndexedFrame.fromFrame = function (frame, palette) {
+    var indexedFrame = new ns.IndexedFrame(frame.getWidth(), frame.getHeight(), palette);
+    indexedFrame.setPixels(frame.pixels);
+    return indexedFrame;
+  };
+
+  ns.IndexedFrame.prototype.clone = function () {
+    var clone = new ns.IndexedFrame(this.width, this.height, this.palette);
+    clone.setIndexes(this.indexes);
+    return clone;
+  };
+
+  ns.IndexedFrame.prototype.getPalette = function () {
+    return this.palette;
+  };
+
+  /**
+   * Copies the passed colors into the frame, as palette indexes.
+   */
+  ns.IndexedFrame.prototype.setPixels = function (pixels) {
+    this.pixels = this.clonePixels_(pixels);
+    for (var i = 0, length = this.pixels.length; i < length; i++) {
+      this.indexes[i] = this.palette.addColor(this.pixels[i]);
+      this.pixels[i] = this.palette.getColorInt(this.indexes[i]);
+    }
+    this.version++;
+  };
+
+  ns.IndexedFrame.prototype.clear = function () {
+    this.superclass.clear.call(this);
+    this.indexes.fill(0);
+  };
+
+  ns.IndexedFrame.prototype.setPixel = function (x, y, color) {
+    if (this.containsPixel(x, y)) {
+      var index = y * this.width + x;
+      var paletteIndex = this.palette.addColor(color);
+
+      if (this.indexes[index] !== paletteIndex) {
+        this.indexes[index] = paletteIndex;
+        this.pixels[index] = this.palette.getColorInt(paletteIndex);
+        this.version++;
+      }
+    }
+  };
+
+  /**
+   * @return {Number} palette index of the pixel, null outside of the frame
+   */
+  ns.IndexedFrame.prototype.getIndex = function (x, y) {
+    if (this.containsPixel(x, y)) {
+      return this.indexes[y * this.width + x];
+    } else {
+      return null;
+    }
+  };
+
+  /**
+   * Returns a copy of the palette indexes of the frame
+   */
+  ns.IndexedFrame.prototype.getIndexes = function () {
+    return new Uint16Array(this.indexes);
+  };
+
+  /**
+   * Copies the passed palette indexes into the frame.
+   */
+  ns.IndexedFrame.prototype.setIndexes = function (indexes) {
+    this.indexes = new Uint16Array(indexes);
+    this.refreshColors();
+  };
+
+  /**
+   * Updates the colors of the frame after palette entries were edited.
+   */
+  ns.IndexedFrame.prototype.refreshColors = function () {
+    for (var i = 0, length = this.indexes.length; i < length; i++) {
+      this.pixels[i] = this.palette.getColorInt(this.indexes[i]);
+    }
+    this.version++;
+  };
+})();
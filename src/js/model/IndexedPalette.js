@@ -0,0 +1,153 @@
+(function () {
+  var ns = $.namespace('pskl.model');
+
+  /**
+   * Palette of an indexed piskel, shared by all its frames (see
+   * pskl.model.IndexedFrame). Index 0 is transparent, the color at position i
+   * uses index i + 1, like the palette order of RGBA piskels
+   * (see pskl.utils.PaletteOrderUtils). Colors are unique.
+   *
+   * @param {Array<string>} colors hex colors, in index order
+   */
+  ns.IndexedPalette = function (colors) {
+    this.maxColors = null;
+    this.getUsedIndexes = null;
+    this.setColors(colors || []);
+  };
+
+  /**
+   * Limits the palette to the index count of the console: once the palette
+   * holds maxColors colors, new colors take the index of a color no pixel
+   * uses any more, like pskl.utils.PaletteOrderUtils.lockColors.
+   * @param {number|null} maxColors console color limit, null for none
+   * @param {function():Array<boolean>} getUsedIndexes flags the indexes used
+   *        by pixels
+   */
+  ns.IndexedPalette.prototype.setLimit = function (maxColors, getUsedIndexes) {
+    this.maxColors = maxColors || null;
+    this.getUsedIndexes = getUsedIndexes;
+  };
+
+  /**
+   * @return {Array<string>} uppercase '#RRGGBB' colors, in index order
+   */
+  ns.IndexedPalette.prototype.getColors = function () {
+    return this.colors.slice();
+  };
+
+  /**
+   * Replaces all colors, duplicated colors are only kept once.
+   * @param {Array<string>} colors hex colors, in index order
+   */
+  ns.IndexedPalette.prototype.setColors = function (colors) {
+    this.colors = [];
+    this.colorInts = [pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR)];
+    this.indexes = {};
+    colors.forEach(function (color) {
+      if (this.getIndex(color) === -1) {
+        this.appendColor_(color);
+      }
+    }, this);
+  };
+
+  ns.IndexedPalette.prototype.size = function () {
+    return this.colors.length;
+  };
+
+  /**
+   * @param {number} index palette index
+   * @return {number} color int of the index, transparent for index 0 and
+   *         unknown indexes
+   */
+  ns.IndexedPalette.prototype.getColorInt = function (index) {
+    return this.colorInts[index] || this.colorInts[0];
+  };
+
+  /**
+   * @param {string|number} color hex color or color int
+   * @return {number} palette index of the color, -1 if the palette does not
+   *         hold the color
+   */
+  ns.IndexedPalette.prototype.getIndex = function (color) {
+    var colorInt = pskl.utils.colorToInt(color);
+    if (!(colorInt >>> 24)) {
+      return 0;
+    }
+    return this.indexes.hasOwnProperty(colorInt) ? this.indexes[colorInt] : -1;
+  };
+
+  /**
+   * Gives an index to a color, unless the palette already holds it. The
+   * color reuses a free index when the palette is full (see setLimit).
+   * @param {string|number} color hex color or color int
+   * @return {number} palette index of the color
+   */
+  ns.IndexedPalette.prototype.addColor = function (color) {
+    var index = this.getIndex(color);
+    if (index === -1) {
+      index = this.getFreeIndex_();
+      if (index === -1) {
+        index = this.appendColor_(color);
+      } else {
+        this.setColor(index, color);
+      }
+    }
+    return index;
+  };
+
+  /**
+   * @return {number} index of a color no pixel uses any more when the palette
+   *         is full, -1 otherwise
+   * @private
+   */
+  ns.IndexedPalette.prototype.getFreeIndex_ = function () {
+    if (!this.maxColors || this.colors.length < this.maxColors) {
+      return -1;
+    }
+
+    var used = this.getUsedIndexes();
+    for (var index = 1; index <= this.colors.length; index++) {
+      if (!used[index]) {
+        return index;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * @param {string|number} color hex color or color int, missing from the
+   *        palette
+   * @return {number} palette index of the color
+   * @private
+   */
+  ns.IndexedPalette.prototype.appendColor_ = function (color) {
+    var colorInt = pskl.utils.colorToInt(color);
+    this.colors.push(pskl.utils.intToHex(colorInt).toUpperCase());
+    this.colorInts.push(colorInt);
+    this.indexes[colorInt] = this.colorInts.length - 1;
+    return this.colorInts.length - 1;
+  };
+
+  /**
+   * Changes the color of an index. Frames using the palette keep their
+   * indexes, see pskl.model.IndexedFrame.prototype.refreshColors.
+   * @param {number} index palette index, 1 and up
+   * @param {string|number} color hex color or color int, not already in the
+   *        palette
+   * @return {boolean} false if the index is invalid or the color already
+   *         has another index
+   */
+  ns.IndexedPalette.prototype.setColor = function (index, color) {
+    var currentIndex = this.getIndex(color);
+    if (index < 1 || index > this.colors.length || (currentIndex !== -1 && currentIndex !== index)) {
+      return false;
+    }
+
+    var colorInt = pskl.utils.colorToInt(color);
+    delete this.indexes[this.colorInts[index]];
+    this.colors[index - 1] = pskl.utils.intToHex(colorInt).toUpperCase();
+    this.colorInts[index] = colorInt;
+    this.indexes[colorInt] = index;
+    return true;
+  };
+})();
@@ -66,6 +66,14 @@
     this.frames.splice(index, 0, frame);
   };
 
+  ns.Layer.prototype.replaceFrameAt = function (frame, index) {
+    if (this.frames[index]) {
+      this.frames[index] = frame;
+    } else {
+      console.error('Invalid index in replaceFrameAt : %s (size : %s)', index, this.size());
+    }
+  };
+
   ns.Layer.prototype.removeFrame = function (frame) {
     var index = this.frames.indexOf(frame);
     this.removeFrameAt(index);
@@ -17,6 +17,11 @@
       this.savePath = null;
       this.fps = fps;
       this.hiddenFrames = [];
+      this.subPalettes = [];
+      this.tilePalettes = {};
+      this.paletteOrder = [];
+      this.palette = null;
+      this.vramBudget = null;
     } else {
       throw 'Missing arguments in Piskel constructor : ' + Array.prototype.join.call(arguments, ',');
     }
@@ -131,6 +136,207 @@
     $.publish(Events.PISKEL_DESCRIPTOR_UPDATED);
   };
 
+  /**
+   * @return {Array<Array<string>>} Hex colors of each sub-palette, without
+   *         the transparent entry
+   */
+  ns.Piskel.prototype.getSubPalettes = function () {
+    return this.subPalettes;
+  };
+
+  ns.Piskel.prototype.setSubPalettes = function (subPalettes) {
+    this.subPalettes = subPalettes;
+    $.publish(Events.SUB_PALETTES_UPDATED);
+  };
+
+  /**
+   * @return {Object<string, number>} Sub-palette index per 8x8 region, keyed
+   *         by 'col,row'. Regions without an entry use sub-palette 0.
+   */
+  ns.Piskel.prototype.getTilePalettes = function () {
+    return this.tilePalettes;
+  };
+
+  ns.Piskel.prototype.setTilePalettes = function (tilePalettes) {
+    this.tilePalettes = tilePalettes;
+    $.publish(Events.SUB_PALETTES_UPDATED);
+  };
+
+  /**
+   * @return {Array<string>} Hex colors in palette index order. The color at
+   *         position i uses palette index i + 1, index 0 is transparent.
+   */
+  ns.Piskel.prototype.getPaletteOrder = function () {
+    return this.palette ? this.palette.getColors() : this.paletteOrder;
+  };
+
+  /**
+   * Indexed piskels keep the colors of their pixels: pixels get the new index
+   * of their color.
+   */
+  ns.Piskel.prototype.setPaletteOrder = function (paletteOrder) {
+    if (this.palette) {
+      this.palette.setColors(paletteOrder);
+      this.getIndexedFrames_().forEach(function (frame) {
+        frame.setPixels(frame.pixels);
+      });
+    } else {
+      this.paletteOrder = paletteOrder;
+    }
+    $.publish(Events.PALETTE_ORDER_UPDATED);
+  };
+
+  /**
+   * @return {pskl.model.IndexedPalette|null} Palette shared by the frames of
+   *         an indexed piskel, null if frames store colors
+   */
+  ns.Piskel.prototype.getPalette = function () {
+    return this.palette;
+  };
+
+  ns.Piskel.prototype.isIndexed = function () {
+    return !!this.palette;
+  };
+
+  /**
+   * Converts the frames to palette indexes (see pskl.model.IndexedFrame), or
+   * back to colors. The palette starts with the palette order, followed by
+   * the other colors of the frames. Frames added since the last conversion
+   * are converted as well.
+   * @param {boolean} indexed
+   * @param {number=} maxColors console color limit: colors drawn on a full
+   *        palette reuse the indexes no pixel uses any more
+   */
+  ns.Piskel.prototype.setIndexed = function (indexed, maxColors) {
+    if (indexed) {
+      this.palette = this.palette || new pskl.model.IndexedPalette(this.paletteOrder);
+    } else if (this.palette) {
+      this.paletteOrder = this.palette.getColors();
+      this.palette = null;
+    }
+
+    var palette = this.palette;
+    this.layers.forEach(function (layer) {
+      layer.getFrames().forEach(function (frame, index) {
+        var isIndexed = frame.getPalette && frame.getPalette() === palette;
+        if (palette && !isIndexed) {
+          layer.replaceFrameAt(pskl.model.IndexedFrame.fromFrame(frame, palette), index);
+        } else if (!palette && frame.getPalette) {
+          layer.replaceFrameAt(pskl.model.Frame.fromPixelGrid(frame.getPixels(), frame.getWidth(),
+            frame.getHeight()), index);
+        }
+      });
+    });
+
+    if (palette) {
+      palette.setLimit(maxColors, this.getUsedIndexes_.bind(this));
+    }
+  };
+
+  /**
+   * @return {Object|null} Palette colors and palette indexes of each frame of
+   *         an indexed piskel, null for other piskels (see restoreIndexes)
+   */
+  ns.Piskel.prototype.saveIndexes = function () {
+    if (!this.palette) {
+      return null;
+    }
+
+    var palette = this.palette;
+    return {
+      colors : palette.getColors(),
+      layers : this.layers.map(function (layer) {
+        return layer.getFrames().map(function (frame) {
+          return frame.getPalette && frame.getPalette() === palette ? frame.getIndexes() : null;
+        });
+      })
+    };
+  };
+
+  /**
+   * Puts back the palette and the frame indexes saved by saveIndexes, as they
+   * were: pixels are not indexed again from their colors. Frames without
+   * saved indexes held colors and are indexed with the restored palette.
+   * @param {Object} saved
+   */
+  ns.Piskel.prototype.restoreIndexes = function (saved) {
+    if (!this.palette) {
+      return;
+    }
+
+    this.palette.setColors(saved.colors);
+    this.layers.forEach(function (layer, layerIndex) {
+      var layerIndexes = saved.layers[layerIndex] || [];
+      layer.getFrames().forEach(function (frame, index) {
+        if (layerIndexes[index]) {
+          frame.setIndexes(layerIndexes[index]);
+        } else {
+          frame.setPixels(frame.pixels);
+        }
+      });
+    });
+    $.publish(Events.PALETTE_ORDER_UPDATED);
+  };
+
+  /**
+   * Changes the color of a palette entry, recoloring all the pixels using it.
+   * @param {number} index Palette index, 1 and up
+   * @param {string} color Hex color
+   * @return {boolean} false if the piskel is not indexed or the palette
+   *         already holds the color
+   */
+  ns.Piskel.prototype.setPaletteColor = function (index, color) {
+    if (!this.palette || !this.palette.setColor(index, color)) {
+      return false;
+    }
+
+    this.getIndexedFrames_().forEach(function (frame) {
+      frame.refreshColors();
+    });
+    $.publish(Events.PALETTE_ORDER_UPDATED);
+    return true;
+  };
+
+  /**
+   * @return {Array<boolean>} true at the palette indexes used by pixels
+   * @private
+   */
+  ns.Piskel.prototype.getUsedIndexes_ = function () {
+    var used = [];
+    this.getIndexedFrames_().forEach(function (frame) {
+      for (var i = 0, length = frame.indexes.length; i < length; i++) {
+        used[frame.indexes[i]] = true;
+      }
+    });
+    return used;
+  };
+
+  /**
+   * @return {Array<pskl.model.IndexedFrame>} Frames using the piskel palette
+   * @private
+   */
+  ns.Piskel.prototype.getIndexedFrames_ = function () {
+    var palette = this.palette;
+    return this.layers.reduce(function (frames, layer) {
+      return frames.concat(layer.getFrames().filter(function (frame) {
+        return frame.getPalette && frame.getPalette() === palette;
+      }));
+    }, []);
+  };
+
+  /**
+   * @return {number|null} Video memory budget in bytes, null to use the
+   *         console default (ConsoleMode.vramBudget)
+   */
+  ns.Piskel.prototype.getVramBudget = function () {
+    return this.vramBudget;
+  };
+
+  ns.Piskel.prototype.setVramBudget = function (vramBudget) {
+    this.vramBudget = vramBudget;
+    $.publish(Events.VRAM_BUDGET_UPDATED);
+  };
+
   ns.Piskel.prototype.getHash = function () {
     return this.layers.map(function (layer) {
       return layer.getHash();
@@ -6,6 +6,7 @@
     this.zoom = zoom;
     this.opacity_ = 1;
     this.transparentColor_ = 'white';
+    this.displayColors_ = false;
   };
 
   /**
@@ -21,11 +22,22 @@
     this.opacity_ = opacity;
   };
 
+  /**
+   * Render the colors as displayed by the target console, for the editor
+   * views only (see pskl.utils.DisplayColorUtils). Off by default.
+   */
+  ns.CanvasRenderer.prototype.useDisplayColors = function () {
+    this.displayColors_ = true;
+  };
+
   ns.CanvasRenderer.prototype.render = function  () {
     var canvas = this.createCanvas_();
 
     // Draw in canvas
     pskl.utils.FrameUtils.drawToCanvas(this.frame, canvas, this.transparentColor_, this.opacity_);
+    if (this.displayColors_) {
+      pskl.utils.DisplayColorUtils.applyToCanvas(canvas);
+    }
 
     var scaledCanvas = this.createCanvas_(this.zoom);
     var scaledContext = scaledCanvas.getContext('2d');
@@ -28,6 +28,10 @@
     return this.getSampleRenderer_().getZoom();
   };
 
+  ns.CompositeRenderer.prototype.getPixelAspect = function () {
+    return this.getSampleRenderer_().getPixelAspect();
+  };
+
   ns.CompositeRenderer.prototype.setDisplaySize = function (w, h) {
     this.renderers.forEach(function (renderer) {
       renderer.setDisplaySize(w, h);
@@ -59,6 +59,7 @@
     var layers = this.piskelController.getLayers();
     return [
       this.getZoom(),
+      pskl.utils.PixelAspectUtils.get(),
       this.getGridWidth(),
       offset.x,
       offset.y,
@@ -67,7 +68,8 @@
       frames.map(function (f) {
         return f.getHash();
       }).join('-'),
-      layers.length
+      layers.length,
+      pskl.utils.DisplayColorUtils.getKey()
     ].join('-');
   };
 
@@ -17,15 +17,18 @@
   ns.BackgroundImageFrameRenderer.prototype.frameToDataUrl_ = function (frame) {
     var canvas;
     if (frame instanceof pskl.model.frame.RenderedFrame) {
-      canvas = pskl.utils.ImageResizer.scale(frame.getRenderedFrame(), this.zoom);
+      canvas = pskl.utils.CanvasUtils.clone(frame.getRenderedFrame());
     } else {
-      canvas = pskl.utils.FrameUtils.toImage(frame, this.zoom);
+      canvas = pskl.utils.FrameUtils.toImage(frame);
     }
-    return canvas.toDataURL('image/png');
+    // Map the colors displayed by the target console before zooming
+    pskl.utils.DisplayColorUtils.applyToCanvas(canvas);
+    return pskl.utils.ImageResizer.scale(canvas, this.zoom).toDataURL('image/png');
   };
 
   ns.BackgroundImageFrameRenderer.prototype.render = function (frame) {
-    var imageSrc = this.cachedFrameProcessor.get(frame, this.zoom);
+    var namespace = this.zoom + '-' + pskl.utils.DisplayColorUtils.getKey();
+    var imageSrc = this.cachedFrameProcessor.get(frame, namespace);
     this.frameContainer.style.backgroundImage = 'url(' + imageSrc + ')';
   };
 
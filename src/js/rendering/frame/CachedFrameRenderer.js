@@ -33,11 +33,13 @@
     var size = this.getDisplaySize();
     var serializedFrame = [
       this.getZoom(),
+      this.getPixelAspect(),
       this.getGridWidth(),
       this.getGridSpacing(),
       this.getGridColor(),
       pskl.UserSettings.get('SEAMLESS_MODE'),
       pskl.UserSettings.get('SEAMLESS_OPACITY'),
+      pskl.utils.DisplayColorUtils.getKey(),
       offset.x, offset.y,
       size.width, size.height,
       frame.getHash()
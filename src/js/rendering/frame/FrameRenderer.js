@@ -88,13 +88,14 @@
     }
 
     // back up center coordinates
-    var centerX = this.offset.x + (this.displayWidth / (2 * this.zoom));
+    var aspect = this.getPixelAspect();
+    var centerX = this.offset.x + (this.displayWidth / (2 * this.zoom * aspect));
     var centerY = this.offset.y + (this.displayHeight / (2 * this.zoom));
 
     this.zoom = zoom;
     // recenter
     this.setOffset(
-      centerX - (this.displayWidth / (2 * this.zoom)),
+      centerX - (this.displayWidth / (2 * this.zoom * aspect)),
       centerY - (this.displayHeight / (2 * this.zoom))
     );
   };
@@ -103,6 +104,14 @@
     return this.zoom;
   };
 
+  /**
+   * Sprite pixels are displayed getPixelAspect() times wider than high, the
+   * zoom is the height of a pixel on screen.
+   */
+  ns.FrameRenderer.prototype.getPixelAspect = function () {
+    return pskl.utils.PixelAspectUtils.get();
+  };
+
   ns.FrameRenderer.prototype.setDisplaySize = function (width, height) {
     this.displayWidth = width;
     this.displayHeight = height;
@@ -130,7 +139,7 @@
   ns.FrameRenderer.prototype.setOffset = function (x, y) {
     var width = pskl.app.piskelController.getWidth();
     var height = pskl.app.piskelController.getHeight();
-    var maxX = width - (this.displayWidth / this.zoom);
+    var maxX = width - (this.displayWidth / (this.zoom * this.getPixelAspect()));
     x = pskl.utils.Math.minmax(x, 0, maxX);
     var maxY = height - (this.displayHeight / this.zoom);
     y = pskl.utils.Math.minmax(y, 0, maxY);
@@ -186,7 +195,7 @@
   };
 
   ns.FrameRenderer.prototype.updateMargins_ = function (frame) {
-    var deltaX = this.displayWidth - (this.zoom * frame.getWidth());
+    var deltaX = this.displayWidth - (this.zoom * this.getPixelAspect() * frame.getWidth());
     this.margin.x = Math.max(0, deltaX) / 2;
 
     var deltaY = this.displayHeight - (this.zoom * frame.getHeight());
@@ -238,25 +247,27 @@
     x = x - this.margin.x;
     y = y - this.margin.y;
 
-    var cellSize = this.zoom;
+    var cellWidth = this.zoom * this.getPixelAspect();
+    var cellHeight = this.zoom;
     // apply frame offset
-    x = x + this.offset.x * cellSize;
-    y = y + this.offset.y * cellSize;
+    x = x + this.offset.x * cellWidth;
+    y = y + this.offset.y * cellHeight;
 
     return {
-      x : Math.floor(x / cellSize),
-      y : Math.floor(y / cellSize)
+      x : Math.floor(x / cellWidth),
+      y : Math.floor(y / cellHeight)
     };
   };
 
   ns.FrameRenderer.prototype.reverseCoordinates = function(x, y) {
-    var cellSize = this.zoom;
+    var cellWidth = this.zoom * this.getPixelAspect();
+    var cellHeight = this.zoom;
 
-    x = x * cellSize;
-    y = y * cellSize;
+    x = x * cellWidth;
+    y = y * cellHeight;
 
-    x = x - this.offset.x * cellSize;
-    y = y - this.offset.y * cellSize;
+    x = x - this.offset.x * cellWidth;
+    y = y - this.offset.y * cellHeight;
 
     x = x + this.margin.x;
     y = y + this.margin.y;
@@ -266,8 +277,8 @@
     y = y + containerRect.top;
 
     return {
-      x : x + (cellSize / 2),
-      y : y + (cellSize / 2)
+      x : x + (cellWidth / 2),
+      y : y + (cellHeight / 2)
     };
   };
 
@@ -282,16 +293,19 @@
     var w = this.canvas.width;
     var h = this.canvas.height;
     var z = this.zoom;
+    // Horizontal zoom, pixels are wider than high on some consoles
+    var zx = z * this.getPixelAspect();
 
-    // Draw in canvas
+    // Draw in canvas, with the colors displayed by the target console
     pskl.utils.FrameUtils.drawToCanvas(frame, this.canvas);
+    pskl.utils.DisplayColorUtils.applyToCanvas(this.canvas);
 
     this.updateMargins_(frame);
 
     var displayContext = this.displayCanvas.getContext('2d');
     displayContext.save();
 
-    var translateX = this.margin.x - this.offset.x * z;
+    var translateX = this.margin.x - this.offset.x * zx;
     var translateY = this.margin.y - this.offset.y * z;
 
     var isZoomedOut = translateX > 0 || translateY > 0;
@@ -311,7 +325,7 @@
     displayContext.translate(translateX, translateY);
 
     // Scale up to draw the canvas content
-    displayContext.scale(z, z);
+    displayContext.scale(zx, z);
 
     if (pskl.UserSettings.get('SEAMLESS_MODE')) {
       displayContext.clearRect(-1 * w, -1 * h, 3 * w, 3 * h);
@@ -330,7 +344,7 @@
     if (gridWidth > 0) {
       var gridColor = this.getGridColor();
       // Scale out before drawing the grid.
-      displayContext.scale(1 / z, 1 / z);
+      displayContext.scale(1 / zx, 1 / z);
 
       var drawOrClear;
       if (gridColor === Constants.TRANSPARENT_COLOR) {
@@ -343,13 +357,13 @@
       // Draw or clear vertical lines.
       for (var i = 1 ; i < frame.getWidth() ; i++) {
         if (i % gridSpacing == 0) {
-          drawOrClear((i * z) - (gridWidth / 2), 0, gridWidth, h * z);
+          drawOrClear((i * zx) - (gridWidth / 2), 0, gridWidth, h * z);
         }
       }
       // Draw or clear horizontal lines.
       for (var j = 1 ; j < frame.getHeight() ; j++) {
         if (j % gridSpacing == 0) {
-          drawOrClear(0, (j * z) - (gridWidth / 2), w * z, gridWidth);
+          drawOrClear(0, (j * z) - (gridWidth / 2), w * zx, gridWidth);
         }
       }
     }
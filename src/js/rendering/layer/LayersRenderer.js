@@ -40,6 +40,7 @@
 
     var serializedRendering = [
       this.getZoom(),
+      pskl.utils.PixelAspectUtils.get(),
       this.getGridWidth(),
       offset.x,
       offset.y,
@@ -47,7 +48,8 @@
       size.height,
       pskl.utils.LayerUtils.getFrameHashAt(belowLayers, frameIndex),
       pskl.utils.LayerUtils.getFrameHashAt(aboveLayers, frameIndex),
-      layers.length
+      layers.length,
+      pskl.utils.DisplayColorUtils.getKey()
     ].join('-');
 
     if (this.serializedRendering != serializedRendering) {
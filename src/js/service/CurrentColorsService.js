@@ -27,15 +27,45 @@
     return this.currentColors;
   };
 
+  /**
+   * @return {Array<string>} Colors in palette index order (see
+   *         pskl.utils.PaletteOrderUtils), used by the console exporters
+   */
+  ns.CurrentColorsService.prototype.getIndexedColors = function () {
+    var piskel = this.piskelController.getPiskel();
+    return pskl.utils.PaletteOrderUtils.getIndexedColors(piskel.getPaletteOrder(), this.currentColors);
+  };
+
   ns.CurrentColorsService.prototype.setCurrentColors = function (colors) {
     var historyIndex = pskl.app.historyService.currentIndex;
     this.cache[historyIndex] = colors;
     if (colors.join('') !== this.currentColors.join('')) {
       this.currentColors = colors;
+      this.lockColors_(colors);
       $.publish(Events.CURRENT_COLORS_UPDATED);
     }
   };
 
+  /**
+   * Gives a palette index to colors used for the first time.
+   * @private
+   */
+  ns.CurrentColorsService.prototype.lockColors_ = function (colors) {
+    var piskel = this.piskelController.getPiskel();
+    var consoleMode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    var maxColors = consoleMode ? consoleMode.getColorLimit(piskel.getSubPalettes()) : null;
+    var currentOrder = piskel.getPaletteOrder();
+    if (piskel.isIndexed() && maxColors) {
+      // Indexed piskels give an index to colors as soon as they are drawn,
+      // colors past the limit take the index of unused colors here
+      currentOrder = currentOrder.slice(0, maxColors);
+    }
+    var paletteOrder = pskl.utils.PaletteOrderUtils.lockColors(currentOrder, colors, maxColors);
+    if (paletteOrder !== currentOrder) {
+      piskel.setPaletteOrder(paletteOrder);
+    }
+  };
+
   ns.CurrentColorsService.prototype.isCurrentColorsPaletteSelected_ = function () {
     var paletteId = pskl.UserSettings.get(pskl.UserSettings.SELECTED_PALETTE);
     var palette = this.paletteService.getPaletteById(paletteId);
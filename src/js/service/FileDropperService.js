@@ -34,6 +34,7 @@
       var isImage = file.type.indexOf('image') === 0;
       var isPiskel = /\.piskel$/i.test(file.name);
       var isPalette = /\.(gpl|txt|pal)$/i.test(file.name);
+      var isTiles = pskl.utils.TileImportUtils.isTileFile(file.name);
       if (isImage) {
         pskl.utils.FileUtils.readImageFile(file, function (image) {
           this.onImageLoaded_(image, file);
@@ -42,6 +43,13 @@
         pskl.utils.PiskelFileUtils.loadFromFile(file, this.onPiskelFileLoaded_, this.onPiskelFileError_);
       } else if (isPalette) {
         pskl.app.paletteImportService.read(file, this.onPaletteLoaded_.bind(this));
+      } else if (isTiles) {
+        $.publish(Events.DIALOG_SHOW, {
+          dialogId : 'import',
+          initArgs : {
+            rawFiles: [file]
+          }
+        });
       }
     }
   };
@@ -62,6 +62,7 @@
     if (isSnapshot || isAtAutoSnapshotInterval) {
       var piskel = this.piskelController.getPiskel();
       state.piskel = this.serializer.serialize(piskel);
+      state.indexes = piskel.saveIndexes();
     }
 
     // If the new state pushes over MAX_SAVED_STATES, erase all states between the first and
@@ -156,7 +157,17 @@
     piskel.setDescriptor(this.piskelController.piskel.getDescriptor());
     // propagate save path to the new piskel instance
     piskel.savePath = this.piskelController.piskel.savePath;
+    // sub-palettes are not part of the undo history
+    piskel.subPalettes = this.piskelController.piskel.getSubPalettes();
+    piskel.tilePalettes = this.piskelController.piskel.getTilePalettes();
+    piskel.paletteOrder = this.piskelController.piskel.getPaletteOrder();
+    piskel.vramBudget = this.piskelController.piskel.getVramBudget();
     this.piskelController.setPiskel(piskel);
+    // the snapshot only holds colors, palette indexes are restored as saved
+    var indexes = this.stateQueue[snapshotIndex].indexes;
+    if (indexes) {
+      piskel.restoreIndexes(indexes);
+    }
 
     for (var i = snapshotIndex + 1 ; i <= index ; i++) {
       var state = this.stateQueue[i];
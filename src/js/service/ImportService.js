@@ -87,6 +87,60 @@
     });
   };
 
+  /**
+   * Given a console tile binary and some options, create a new Piskel using
+   * the palette indexes of the tiles. The palette order of the new piskel
+   * follows the palette, so exporting it again gives the same indexes.
+   * @param {Uint8Array} data
+   * @param {Object} options
+   *        - {String}  formatId key in pskl.utils.TileImportUtils.FORMATS
+   *        - {String}  name
+   *        - {Array}   palettes sub-palettes decoded from a palette file (optional)
+   *        - {Number}  paletteIndex sub-palette used for the tiles (optional)
+   *        - {Number}  tilesPerRow
+   *        - {Number}  frameRows frame height in tiles (optional, single frame if omitted)
+   * @return {pskl.model.Piskel}
+   */
+  ns.ImportService.prototype.newPiskelFromTiles = function (data, options) {
+    var utils = pskl.utils.TileImportUtils;
+    var format = utils.getFormat(options.formatId);
+    var palettes = options.palettes && options.palettes.length ? options.palettes : null;
+    var palette = palettes ?
+      palettes[options.paletteIndex || 0] || palettes[0] :
+      utils.getDefaultPalette(options.formatId);
+
+    var tiles = utils.decodeTiles(data, options.formatId);
+    var result = utils.createFramesPixels(tiles, palette, {
+      tilesPerRow : options.tilesPerRow,
+      frameRows : options.frameRows
+    });
+    var frames = result.frames.map(function (pixels) {
+      return pskl.model.Frame.fromPixelGrid(pixels, result.width, result.height);
+    });
+
+    var layer = pskl.model.Layer.fromFrames('Layer 1', frames);
+    var descriptor = new pskl.model.piskel.Descriptor(options.name || 'Imported tiles', '');
+    var piskel = pskl.model.Piskel.fromLayers([layer], Constants.DEFAULT.FPS, descriptor);
+
+    // Index 0 is transparent, give every other color its palette index.
+    var paletteOrder = [];
+    palette.slice(1).forEach(function (color) {
+      if (paletteOrder.indexOf(color) === -1) {
+        paletteOrder.push(color);
+      }
+    });
+    piskel.setPaletteOrder(paletteOrder);
+
+    var mode = pskl.app.consoleRegistry.get(format.console);
+    if (palettes && palettes.length > 1 && mode && mode.subPaletteCount > 1) {
+      piskel.setSubPalettes(palettes.slice(0, mode.subPaletteCount).map(function (subPalette) {
+        return subPalette.slice(1, 1 + mode.maxColors);
+      }));
+    }
+
+    return piskel;
+  };
+
   /**
    * @param {!Image} image
    * @param {!number} frameSizeX
@@ -8,6 +8,13 @@
   };
 
   ns.CurrentColorsPalette.prototype.getColors = function () {
+    // Console modes list colors in palette index order, as they are exported
+    var consoleMode = pskl.app.consoleRegistry ? pskl.app.consoleRegistry.getActive() : null;
+    if (consoleMode && consoleMode.maxColors) {
+      var indexedColors = pskl.app.currentColorsService.getIndexedColors();
+      return indexedColors.slice(0, Constants.MAX_PALETTE_COLORS);
+    }
+
     var currentColors = pskl.app.currentColorsService.getCurrentColors();
     currentColors = currentColors.slice(0, Constants.MAX_PALETTE_COLORS);
     return this.colorSorter.sort(currentColors);
@@ -0,0 +1,287 @@
+/**
+ * AsmUtils - Formats exported binary data as assembly source includes.
+ *
+ * Supported dialects:
+ *   - ca65 (cc65 suite): .byte / .word
+ *   - rgbds: db / dw
+ *   - wladx (WLA-DX): .db / .dw
+ *   - asm68k: dc.b / dc.w
+ *   - gas (GNU as): .byte / .hword
+ *
+ * Word data is read from little-endian byte pairs, which is how the console
+ * exporters store 16-bit colors. The assembler then emits the words in the
+ * target CPU's byte order (e.g. big-endian for asm68k).
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Values per data line. */
+  var VALUES_PER_LINE = 16;
+
+  /**
+   * Formats a number as an assembler hex literal.
+   * @param {string} prefix - Hex prefix ('$' or '0x')
+   * @param {number} value
+   * @param {number} digits
+   * @return {string}
+   */
+  var toHex = function (prefix, value, digits) {
+    return prefix + ('0000' + value.toString(16).toUpperCase()).substr(-digits);
+  };
+
+  var DIALECTS = {
+    'ca65' : {
+      name : 'ca65 (.byte)',
+      extension : '.s',
+      byteDirective : '.byte',
+      wordDirective : '.word',
+      hexPrefix : '$',
+      comment : function (text) {
+        return '; ' + text;
+      },
+      constant : function (name, value) {
+        return name + ' = ' + value;
+      },
+      label : function (name) {
+        return name + ':';
+      }
+    },
+    'rgbds' : {
+      name : 'RGBDS (db)',
+      extension : '.asm',
+      byteDirective : 'db',
+      wordDirective : 'dw',
+      hexPrefix : '$',
+      comment : function (text) {
+        return '; ' + text;
+      },
+      constant : function (name, value) {
+        return 'DEF ' + name + ' EQU ' + value;
+      },
+      label : function (name) {
+        return name + '::';
+      }
+    },
+    'wladx' : {
+      name : 'WLA-DX (.db)',
+      extension : '.asm',
+      byteDirective : '.db',
+      wordDirective : '.dw',
+      hexPrefix : '$',
+      comment : function (text) {
+        return '; ' + text;
+      },
+      constant : function (name, value) {
+        return '.DEFINE ' + name + ' ' + value;
+      },
+      label : function (name) {
+        return name + ':';
+      }
+    },
+    'asm68k' : {
+      name : 'asm68k (dc.b/dc.w)',
+      extension : '.asm',
+      byteDirective : 'dc.b',
+      wordDirective : 'dc.w',
+      hexPrefix : '$',
+      comment : function (text) {
+        return '; ' + text;
+      },
+      constant : function (name, value) {
+        return name + ' equ ' + value;
+      },
+      label : function (name) {
+        return name + ':';
+      }
+    },
+    'gas' : {
+      name : 'GNU as (.byte/.hword)',
+      extension : '.s',
+      byteDirective : '.byte',
+      wordDirective : '.hword',
+      hexPrefix : '0x',
+      comment : function (text) {
+        return '/* ' + text + ' */';
+      },
+      constant : function (name, value) {
+        return '.equ ' + name + ', ' + value;
+      },
+      label : function (name) {
+        return '.global ' + name + '\n' + name + ':';
+      }
+    }
+  };
+
+  ns.AsmUtils = {
+    DIALECTS : DIALECTS,
+
+    /** @const {string} Dialect used when the console mode has no default. */
+    DEFAULT_DIALECT : 'ca65',
+
+    /**
+     * Builds an assembler symbol from a piskel name.
+     * @param {string} name
+     * @return {string} Lowercase symbol, e.g. 'My hero 2' -> 'my_hero_2'
+     */
+    toLabel : function (name) {
+      var label = (name || 'sprite').toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+      return /^[0-9]/.test(label) ? '_' + label : label;
+    },
+
+    /**
+     * Fills a select element with the supported dialects.
+     * @param {HTMLSelectElement} select
+     * @param {string|null} selectedDialect - Initially selected dialect ID
+     */
+    fillDialectSelect : function (select, selectedDialect) {
+      select.innerHTML = Object.keys(DIALECTS).map(function (dialectId) {
+        return '<option value="' + dialectId + '">' + DIALECTS[dialectId].name + '</option>';
+      }).join('');
+      select.value = selectedDialect || ns.AsmUtils.DEFAULT_DIALECT;
+    },
+
+    /**
+     * Formats data as directive lines.
+     * @param {string} dialectId
+     * @param {Uint8Array|Array<number>} bytes
+     * @param {number=} wordSize - 1 for bytes, 2 for little-endian words
+     * @return {string}
+     */
+    formatData : function (dialectId, bytes, wordSize) {
+      var dialect = DIALECTS[dialectId];
+      var values = [];
+      if (wordSize === 2) {
+        for (var i = 0; i + 1 < bytes.length; i += 2) {
+          values.push(toHex(dialect.hexPrefix, bytes[i] | (bytes[i + 1] << 8), 4));
+        }
+      } else {
+        for (var j = 0; j < bytes.length; j++) {
+          values.push(toHex(dialect.hexPrefix, bytes[j], 2));
+        }
+      }
+
+      var directive = wordSize === 2 ? dialect.wordDirective : dialect.byteDirective;
+      var lines = [];
+      for (var k = 0; k < values.length; k += VALUES_PER_LINE) {
+        lines.push('  ' + directive + ' ' + values.slice(k, k + VALUES_PER_LINE).join(', '));
+      }
+      return lines.join('\n');
+    },
+
+    /**
+     * Generates an assembly include.
+     *
+     * Blocks are data sections: {label, bytes, wordSize, labels}, where the
+     * optional labels ({offset, label}) are placed before the byte at offset.
+     *
+     * @param {Object} options - {dialect, name, description, constants, blocks}
+     *        constants is an array of [name, value] pairs, prefixed with
+     *        the uppercase label of the piskel
+     * @return {string} Assembly source
+     */
+    generateInclude : function (options) {
+      var dialect = DIALECTS[options.dialect];
+      var label = ns.AsmUtils.toLabel(options.name);
+      var lines = [];
+
+      lines.push(dialect.comment(options.description + ' for "' + options.name + '"'));
+      lines.push(dialect.comment('Generated by RetroPiskel'));
+      lines.push('');
+
+      (options.constants || []).forEach(function (constant) {
+        lines.push(dialect.constant(label.toUpperCase() + '_' + constant[0], constant[1]));
+      });
+
+      (options.blocks || []).forEach(function (block) {
+        var pushData = function (from, to) {
+          if (to > from) {
+            lines.push(ns.AsmUtils.formatData(options.dialect,
+              block.bytes.subarray(from, to), block.wordSize || 1));
+          }
+        };
+
+        lines.push('');
+        lines.push(dialect.label(label + '_' + block.label));
+
+        var start = 0;
+        var subLabels = (block.labels || []).slice().sort(function (a, b) {
+          return a.offset - b.offset;
+        });
+        subLabels.forEach(function (subLabel) {
+          pushData(start, subLabel.offset);
+          lines.push(dialect.label(label + '_' + subLabel.label));
+          start = subLabel.offset;
+        });
+        pushData(start, block.bytes.length);
+
+        lines.push(dialect.label(label + '_' + block.label + '_end'));
+      });
+
+      return lines.join('\n') + '\n';
+    },
+
+    /**
+     * Generates the assembly include of a tile exporter: size constants,
+     * tile data with per-frame labels, optional tile maps and palette.
+     *
+     * @param {Object} options
+     *        - dialect, name, description: see generateInclude
+     *        - constants: pskl.consoles.*Constants of the console
+     *        - tiles: encoded tile data
+     *        - tileCount, tilesPerFrame, frameCount
+     *        - maps: encoded tile maps (when tiles are deduplicated)
+     *        - palette, paletteWordSize: encoded palette (optional)
+     *        - paletteLabel: label of the palette block, defaults to 'palette'
+     *        - tilePalettes: sub-palette index of each tile position (optional)
+     * @return {string} Assembly source
+     */
+    generateTileInclude : function (options) {
+      var bytesPerTile = options.constants.BYTES_PER_TILE;
+      var frameLabels = [];
+      var mapLabels = [];
+      for (var f = 0; f < options.frameCount; f++) {
+        var frameLabel = {label : 'frame' + f};
+        if (options.maps) {
+          frameLabel.offset = f * options.tilesPerFrame * 2;
+          mapLabels.push(frameLabel);
+        } else {
+          frameLabel.offset = f * options.tilesPerFrame * bytesPerTile;
+          frameLabels.push(frameLabel);
+        }
+      }
+
+      var constants = [
+        ['TILE_COUNT', options.tileCount],
+        ['TILE_SIZE', options.constants.TILE_SIZE],
+        ['BYTES_PER_TILE', bytesPerTile],
+        ['TILES_PER_FRAME', options.tilesPerFrame],
+        ['FRAME_COUNT', options.frameCount]
+      ];
+
+      var blocks = [{label : 'tiles', bytes : options.tiles, labels : frameLabels}];
+      if (options.maps) {
+        blocks.push({label : 'map', bytes : options.maps, wordSize : 2, labels : mapLabels});
+      }
+      if (options.palette) {
+        var paletteLabel = options.paletteLabel || 'palette';
+        constants.push([paletteLabel.toUpperCase() + '_SIZE', options.palette.length]);
+        blocks.push({
+          label : paletteLabel,
+          bytes : options.palette,
+          wordSize : options.paletteWordSize
+        });
+      }
+      if (options.tilePalettes) {
+        blocks.push({label : 'tile_palettes', bytes : options.tilePalettes});
+      }
+
+      return ns.AsmUtils.generateInclude({
+        dialect : options.dialect,
+        name : options.name,
+        description : options.description,
+        constants : constants,
+        blocks : blocks
+      });
+    }
+  };
+})();
@@ -0,0 +1,216 @@
+/**
+ * ColorRegionUtils - Checks regional color constraints.
+ *
+ * A constraint {name, width, height, maxColors, countTransparent} splits the
+ * frame into width x height regions aligned with its top-left corner, each
+ * region using at most maxColors colors. Transparent pixels only count as a
+ * color when countTransparent is set, for hardware where transparency takes
+ * one of the region colors (e.g. MSX1 Screen 2 background color).
+ *
+ * An optional colorGroups constraint (Array<Array<string>>, hex colors)
+ * also requires all the colors of a region to belong to one group, for
+ * hardware where region colors share a flag (e.g. ZX Spectrum BRIGHT).
+ *
+ * Pixels are the color integers of pskl.model.Frame.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var getRegionCols = function (width, constraint) {
+    return Math.ceil(width / constraint.width);
+  };
+
+  var getRegionRows = function (height, constraint) {
+    return Math.ceil(height / constraint.height);
+  };
+
+  /**
+   * @return {number} Color count of the region, negated when the region
+   *         mixes color groups
+   */
+  var measureRegion = function (pixels, width, height, x, y, constraint) {
+    var count = ns.ColorRegionUtils.countRegionColors(pixels, width, height, x, y, constraint);
+    if (count > 1 && constraint.colorGroups &&
+        ns.ColorRegionUtils.mixesColorGroups(pixels, width, height, x, y, constraint)) {
+      return -count;
+    }
+    return count;
+  };
+
+  var countAllRegions = function (pixels, width, height, constraint) {
+    var cols = getRegionCols(width, constraint);
+    var counts = new Int32Array(cols * getRegionRows(height, constraint));
+    for (var i = 0; i < counts.length; i++) {
+      counts[i] = measureRegion(pixels, width, height,
+        (i % cols) * constraint.width, Math.floor(i / cols) * constraint.height, constraint);
+    }
+    return counts;
+  };
+
+  var collectViolations = function (counts, width, height, constraints) {
+    var violations = [];
+    constraints.forEach(function (constraint, c) {
+      var cols = getRegionCols(width, constraint);
+      for (var i = 0; i < counts[c].length; i++) {
+        var mixedGroups = counts[c][i] < 0;
+        var count = Math.abs(counts[c][i]);
+        if (count > constraint.maxColors || mixedGroups) {
+          var x = (i % cols) * constraint.width;
+          var y = Math.floor(i / cols) * constraint.height;
+          violations.push({
+            constraint : constraint,
+            x : x,
+            y : y,
+            width : Math.min(constraint.width, width - x),
+            height : Math.min(constraint.height, height - y),
+            count : count,
+            mixedGroups : mixedGroups
+          });
+        }
+      }
+    });
+    return violations;
+  };
+
+  ns.ColorRegionUtils = {
+    /**
+     * Counts the colors used in the region starting at x, y.
+     * @param {Uint32Array} pixels - Frame pixels
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} x - Region left
+     * @param {number} y - Region top
+     * @param {Object} constraint - Region constraint
+     * @return {number}
+     */
+    countRegionColors : function (pixels, width, height, x, y, constraint) {
+      var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+      var colors = [];
+      var maxX = Math.min(x + constraint.width, width);
+      var maxY = Math.min(y + constraint.height, height);
+      for (var py = y; py < maxY; py++) {
+        for (var px = x; px < maxX; px++) {
+          var color = pixels[py * width + px];
+          var counted = color !== transparent || constraint.countTransparent;
+          if (counted && colors.indexOf(color) === -1) {
+            colors.push(color);
+          }
+        }
+      }
+      return colors.length;
+    },
+
+    /**
+     * Checks whether the colors used in the region starting at x, y belong
+     * to different groups of the constraint. A color missing from every
+     * group never shares a group with another color.
+     * @param {Uint32Array} pixels - Frame pixels
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} x - Region left
+     * @param {number} y - Region top
+     * @param {Object} constraint - Region constraint with colorGroups
+     * @return {boolean}
+     */
+    mixesColorGroups : function (pixels, width, height, x, y, constraint) {
+      var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+      var groups = constraint.colorGroups.map(function (group) {
+        return group.map(pskl.utils.colorToInt);
+      });
+      // Groups still able to hold every color seen so far
+      var candidates = groups.map(function (group, i) {
+        return i;
+      });
+      var maxX = Math.min(x + constraint.width, width);
+      var maxY = Math.min(y + constraint.height, height);
+      for (var py = y; py < maxY; py++) {
+        for (var px = x; px < maxX; px++) {
+          var color = pixels[py * width + px];
+          if (color === transparent) {
+            continue;
+          }
+          candidates = candidates.filter(function (g) {
+            return groups[g].indexOf(color) !== -1;
+          });
+          if (!candidates.length) {
+            return true;
+          }
+        }
+      }
+      return false;
+    },
+
+    /**
+     * Lists the regions of a frame using too many colors, or mixing color
+     * groups.
+     * @param {Uint32Array} pixels - Frame pixels
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Array<Object>} constraints - Region constraints
+     * @return {Array<Object>} {constraint, x, y, width, height, count,
+     *         mixedGroups} per invalid region
+     */
+    findViolations : function (pixels, width, height, constraints) {
+      var counts = constraints.map(function (constraint) {
+        return countAllRegions(pixels, width, height, constraint);
+      });
+      return collectViolations(counts, width, height, constraints);
+    },
+
+    /**
+     * Same as findViolations, only recounting the regions containing pixels
+     * changed since the previous call with the same cache. Everything is
+     * recounted when the frame size or the constraints array change. The
+     * cache keeps a reference to the pixels, which must not be modified
+     * afterwards.
+     * @param {Object} cache - Empty object on the first call
+     * @param {Uint32Array} pixels - Frame pixels
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Array<Object>} constraints - Region constraints
+     * @return {Array<Object>} See findViolations
+     */
+    updateViolations : function (cache, pixels, width, height, constraints) {
+      var isStale = !cache.pixels || cache.width !== width || cache.height !== height ||
+        cache.constraints !== constraints;
+
+      if (isStale) {
+        cache.counts = constraints.map(function (constraint) {
+          return countAllRegions(pixels, width, height, constraint);
+        });
+      } else {
+        var dirty = constraints.map(function (constraint, c) {
+          return new Uint8Array(cache.counts[c].length);
+        });
+        for (var i = 0; i < pixels.length; i++) {
+          if (pixels[i] === cache.pixels[i]) {
+            continue;
+          }
+          var x = i % width;
+          var y = Math.floor(i / width);
+          for (var c = 0; c < constraints.length; c++) {
+            var constraint = constraints[c];
+            var cols = getRegionCols(width, constraint);
+            dirty[c][Math.floor(y / constraint.height) * cols + Math.floor(x / constraint.width)] = 1;
+          }
+        }
+        dirty.forEach(function (regions, c) {
+          var constraint = constraints[c];
+          var cols = getRegionCols(width, constraint);
+          for (var r = 0; r < regions.length; r++) {
+            if (regions[r]) {
+              cache.counts[c][r] = measureRegion(pixels, width, height,
+                (r % cols) * constraint.width, Math.floor(r / cols) * constraint.height, constraint);
+            }
+          }
+        });
+      }
+
+      cache.pixels = pixels;
+      cache.width = width;
+      cache.height = height;
+      cache.constraints = constraints;
+      return collectViolations(cache.counts, width, height, constraints);
+    }
+  };
+})();
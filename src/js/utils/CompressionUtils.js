@@ -0,0 +1,583 @@
+/**
+ * CompressionUtils - Compresses exported tile data with console codecs.
+ *
+ * Codecs:
+ *   - gba-lz77: GBA BIOS LZ77 (SWI 0x11/0x12). Header 0x10 + 24-bit size,
+ *     then flag bytes (MSB first, 1 = match) followed by 8 literal bytes or
+ *     2-byte matches (length-3 in 4 bits, displacement-1 in 12 bits).
+ *     Displacements are at least 2, so the data is also safe for the VRAM
+ *     variant
+ *   - gba-rle: GBA BIOS RLE (SWI 0x14/0x15). Header 0x30 + 24-bit size,
+ *     then packets: 0x80|(n-3) + 1 byte repeated n times, or (n-1) + n bytes
+ *   - konami-rle: $01-$80 + 1 byte repeated n times, $81-$FE + (n-$80)
+ *     literal bytes, $FF ends the data
+ *   - packbits: (n-1) + n literal bytes, or (1-n) as signed byte + 1 byte
+ *     repeated n times
+ *   - nemesis: Sega Nemesis, prefix-coded nibble runs of 8x8 4bpp tiles.
+ *     Data is padded to a whole number of 32-byte tiles
+ *   - kosinski: Sega Kosinski, LZ with 16-bit little-endian descriptor
+ *     fields, ended by the 00 F0 00 full match
+ *   - lz4: Raw LZ4 block (no frame header)
+ *   - rle: Generic RLE. Bytes are copied as is, two equal bytes in a row are
+ *     followed by the number of additional copies (0-255)
+ *
+ * All compressed data is returned as a Uint8Array. Sizes are stored in
+ * headers only where the format defines one.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Hash chain entries tried per position by LZ encoders. */
+  var MAX_CHAIN = 128;
+
+  /** @const {Array<string>} Codecs offered for every console. */
+  var GENERIC_CODECS = ['lz4', 'rle'];
+
+  /**
+   * Creates a longest-match finder over bytes. Positions are hashed on their
+   * first 3 bytes, so matches shorter than 3 bytes are not searched for.
+   * Positions must be queried in increasing order.
+   * @param {Uint8Array} bytes
+   * @return {function(number, number, number, number): {length: number, distance: number}}
+   *         Takes the position, maximum distance, maximum length and minimum
+   *         distance of the match
+   */
+  var createMatchFinder = function (bytes) {
+    var head = new Int32Array(0x10000).fill(-1);
+    var prev = new Int32Array(bytes.length);
+    var inserted = 0;
+
+    var hash = function (pos) {
+      return ((bytes[pos] << 8) ^ (bytes[pos + 1] << 4) ^ bytes[pos + 2]) & 0xFFFF;
+    };
+
+    return function (pos, maxDistance, maxLength, minDistance) {
+      for (; inserted < pos; inserted++) {
+        if (inserted + 2 < bytes.length) {
+          var key = hash(inserted);
+          prev[inserted] = head[key];
+          head[key] = inserted;
+        }
+      }
+
+      var best = {length : 0, distance : 0};
+      if (pos + 2 >= bytes.length) {
+        return best;
+      }
+
+      var limit = Math.min(maxLength, bytes.length - pos);
+      var candidate = head[hash(pos)];
+      for (var steps = 0; candidate >= 0 && steps < MAX_CHAIN; steps++) {
+        var distance = pos - candidate;
+        if (distance > maxDistance) {
+          break;
+        }
+        if (distance >= minDistance) {
+          var length = 0;
+          while (length < limit && bytes[candidate + length] === bytes[pos + length]) {
+            length++;
+          }
+          if (length > best.length) {
+            best = {length : length, distance : distance};
+            if (length === limit) {
+              break;
+            }
+          }
+        }
+        candidate = prev[candidate];
+      }
+      return best;
+    };
+  };
+
+  /**
+   * @return {number} Number of bytes equal to bytes[pos], starting at pos
+   */
+  var runLength = function (bytes, pos, maxLength) {
+    var length = 1;
+    while (length < maxLength && pos + length < bytes.length &&
+      bytes[pos + length] === bytes[pos]) {
+      length++;
+    }
+    return length;
+  };
+
+  /**
+   * Splits bytes into repeated runs and literal strings, for the run/literal
+   * packet codecs.
+   * @param {Array<number>} out - Output bytes
+   * @param {Uint8Array} bytes
+   * @param {Object} packets - {minRun, maxRun, maxLiterals,
+   *        writeRun(out, length, value), writeLiterals(out, literals)}
+   * @return {Array<number>} out
+   */
+  var encodePackets = function (out, bytes, packets) {
+    var literalStart = 0;
+    var flushLiterals = function (end) {
+      while (literalStart < end) {
+        var count = Math.min(packets.maxLiterals, end - literalStart);
+        packets.writeLiterals(out, bytes.subarray(literalStart, literalStart + count));
+        literalStart += count;
+      }
+    };
+
+    var pos = 0;
+    while (pos < bytes.length) {
+      var run = runLength(bytes, pos, packets.maxRun);
+      if (run >= packets.minRun) {
+        flushLiterals(pos);
+        packets.writeRun(out, run, bytes[pos]);
+        pos += run;
+        literalStart = pos;
+      } else {
+        pos++;
+      }
+    }
+    flushLiterals(bytes.length);
+    return out;
+  };
+
+  var pushAll = function (out, bytes) {
+    for (var i = 0; i < bytes.length; i++) {
+      out.push(bytes[i]);
+    }
+  };
+
+  /**
+   * @return {Array<number>} GBA BIOS decompression header
+   */
+  var gbaHeader = function (type, size) {
+    return [type, size & 0xFF, (size >> 8) & 0xFF, (size >> 16) & 0xFF];
+  };
+
+  /**
+   * BIOS decompression sources must be 4-byte aligned in size.
+   */
+  var padTo4 = function (out) {
+    while (out.length % 4 !== 0) {
+      out.push(0);
+    }
+    return new Uint8Array(out);
+  };
+
+  var compressGbaLz77 = function (bytes) {
+    var out = gbaHeader(0x10, bytes.length);
+    var findMatch = createMatchFinder(bytes);
+    var pos = 0;
+    while (pos < bytes.length) {
+      var flagPos = out.length;
+      out.push(0);
+      for (var bit = 7; bit >= 0 && pos < bytes.length; bit--) {
+        var match = findMatch(pos, 0x1000, 18, 2);
+        if (match.length >= 3) {
+          var displacement = match.distance - 1;
+          out[flagPos] |= 1 << bit;
+          out.push(((match.length - 3) << 4) | (displacement >> 8), displacement & 0xFF);
+          pos += match.length;
+        } else {
+          out.push(bytes[pos++]);
+        }
+      }
+    }
+    return padTo4(out);
+  };
+
+  var compressGbaRle = function (bytes) {
+    return padTo4(encodePackets(gbaHeader(0x30, bytes.length), bytes, {
+      minRun : 3,
+      maxRun : 130,
+      maxLiterals : 128,
+      writeRun : function (out, length, value) {
+        out.push(0x80 | (length - 3), value);
+      },
+      writeLiterals : function (out, literals) {
+        out.push(literals.length - 1);
+        pushAll(out, literals);
+      }
+    }));
+  };
+
+  var compressKonamiRle = function (bytes) {
+    var out = encodePackets([], bytes, {
+      minRun : 3,
+      maxRun : 0x80,
+      maxLiterals : 0x7E,
+      writeRun : function (out, length, value) {
+        out.push(length, value);
+      },
+      writeLiterals : function (out, literals) {
+        out.push(0x80 + literals.length);
+        pushAll(out, literals);
+      }
+    });
+    out.push(0xFF);
+    return new Uint8Array(out);
+  };
+
+  var compressPackBits = function (bytes) {
+    return new Uint8Array(encodePackets([], bytes, {
+      minRun : 3,
+      maxRun : 128,
+      maxLiterals : 128,
+      writeRun : function (out, length, value) {
+        out.push((257 - length) & 0xFF, value);
+      },
+      writeLiterals : function (out, literals) {
+        out.push(literals.length - 1);
+        pushAll(out, literals);
+      }
+    }));
+  };
+
+  var compressRle = function (bytes) {
+    var out = [];
+    var pos = 0;
+    while (pos < bytes.length) {
+      var run = runLength(bytes, pos, 257);
+      if (run >= 2) {
+        out.push(bytes[pos], bytes[pos], run - 2);
+      } else {
+        out.push(bytes[pos]);
+      }
+      pos += run;
+    }
+    return new Uint8Array(out);
+  };
+
+  var compressLz4 = function (bytes) {
+    var out = [];
+    var findMatch = createMatchFinder(bytes);
+
+    var writeLength = function (length) {
+      length -= 15;
+      while (length >= 255) {
+        out.push(255);
+        length -= 255;
+      }
+      out.push(length);
+    };
+    var writeSequence = function (literals, matchLength, distance) {
+      out.push((Math.min(literals.length, 15) << 4) | Math.min(matchLength, 15));
+      if (literals.length >= 15) {
+        writeLength(literals.length);
+      }
+      pushAll(out, literals);
+      if (distance) {
+        out.push(distance & 0xFF, distance >> 8);
+        if (matchLength >= 15) {
+          writeLength(matchLength);
+        }
+      }
+    };
+
+    // LZ4 decoders require the last match to start 12 bytes before the end
+    // of the block, and the last 5 bytes to be literals
+    var literalStart = 0;
+    var pos = 0;
+    while (pos < bytes.length - 12) {
+      var match = findMatch(pos, 0xFFFF, bytes.length - 5 - pos, 1);
+      if (match.length >= 4) {
+        writeSequence(bytes.subarray(literalStart, pos), match.length - 4, match.distance);
+        pos += match.length;
+        literalStart = pos;
+      } else {
+        pos++;
+      }
+    }
+    writeSequence(bytes.subarray(literalStart), 0, 0);
+    return new Uint8Array(out);
+  };
+
+  var compressKosinski = function (bytes) {
+    var out = [0, 0];
+    var descriptorPos = 0;
+    var descriptor = 0;
+    var bitCount = 0;
+    var writeDescriptor = function () {
+      out[descriptorPos] = descriptor & 0xFF;
+      out[descriptorPos + 1] = descriptor >> 8;
+    };
+    // Decoders read the next descriptor as soon as the 16th bit is used,
+    // before the data of that bit
+    var putBit = function (bit) {
+      descriptor |= bit << bitCount;
+      if (++bitCount === 16) {
+        writeDescriptor();
+        descriptorPos = out.length;
+        out.push(0, 0);
+        descriptor = 0;
+        bitCount = 0;
+      }
+    };
+
+    var findMatch = createMatchFinder(bytes);
+    var pos = 0;
+    while (pos < bytes.length) {
+      var match = findMatch(pos, 0x2000, 0x100, 1);
+      if (match.length >= 3 && match.length <= 5 && match.distance <= 0x100) {
+        // Inline match: 2 bits of length-2, 1 byte of negative offset
+        var count = match.length - 2;
+        putBit(0);
+        putBit(0);
+        putBit(count >> 1);
+        putBit(count & 1);
+        out.push(0x100 - match.distance);
+        pos += match.length;
+      } else if (match.length >= 3) {
+        // Full match: 13 bits of negative offset, 3 bits of length-2 or a
+        // third byte of length-1
+        var offset = 0x2000 - match.distance;
+        putBit(0);
+        putBit(1);
+        if (match.length <= 9) {
+          out.push(offset & 0xFF, ((offset >> 5) & 0xF8) | (match.length - 2));
+        } else {
+          out.push(offset & 0xFF, (offset >> 5) & 0xF8, match.length - 1);
+        }
+        pos += match.length;
+      } else {
+        putBit(1);
+        out.push(bytes[pos++]);
+      }
+    }
+
+    putBit(0);
+    putBit(1);
+    out.push(0x00, 0xF0, 0x00);
+    writeDescriptor();
+    return new Uint8Array(out);
+  };
+
+  /**
+   * Computes Huffman code lengths.
+   * @param {Array<number>} frequencies
+   * @return {Array<number>} Code length of each symbol, 0 for unused symbols
+   */
+  var getHuffmanLengths = function (frequencies) {
+    var lengths = frequencies.map(function () {
+      return 0;
+    });
+    var nodes = [];
+    frequencies.forEach(function (frequency, symbol) {
+      if (frequency > 0) {
+        nodes.push({weight : frequency, symbols : [symbol]});
+      }
+    });
+    if (nodes.length === 1) {
+      lengths[nodes[0].symbols[0]] = 1;
+    }
+    while (nodes.length > 1) {
+      nodes.sort(function (a, b) {
+        return a.weight - b.weight;
+      });
+      var merged = nodes[0].symbols.concat(nodes[1].symbols);
+      merged.forEach(function (symbol) {
+        lengths[symbol]++;
+      });
+      nodes.splice(0, 2, {weight : nodes[0].weight + nodes[1].weight, symbols : merged});
+    }
+    return lengths;
+  };
+
+  /**
+   * Encodes tile data as one Nemesis stream.
+   * @param {Uint8Array} data - Whole 32-byte tiles
+   * @param {boolean} xorMode - Store each 4-byte row XORed with the previous
+   * @return {Uint8Array}
+   */
+  var encodeNemesis = function (data, xorMode) {
+    var source = data;
+    if (xorMode) {
+      source = new Uint8Array(data.length);
+      for (var i = 0; i < data.length; i++) {
+        source[i] = data[i] ^ (i >= 4 ? data[i - 4] : 0);
+      }
+    }
+
+    // Symbols are runs of 1-8 identical nibbles: nibble << 3 | (count - 1)
+    var runs = [];
+    var frequencies = new Array(128).fill(0);
+    var nibbleCount = source.length * 2;
+    var nibbleAt = function (n) {
+      return n % 2 ? source[n >> 1] & 0x0F : source[n >> 1] >> 4;
+    };
+    for (var n = 0; n < nibbleCount;) {
+      var nibble = nibbleAt(n);
+      var count = 1;
+      while (count < 8 && n + count < nibbleCount && nibbleAt(n + count) === nibble) {
+        count++;
+      }
+      var symbol = (nibble << 3) | (count - 1);
+      runs.push(symbol);
+      frequencies[symbol]++;
+      n += count;
+    }
+
+    // Codes are at most 8 bits, and 111111 is reserved for inline runs:
+    // lengthen or drop rare codes until they fit in the remaining 63/64
+    var lengths = getHuffmanLengths(frequencies);
+    var symbols = [];
+    var kraft = 0;
+    lengths.forEach(function (length, symbol) {
+      if (length > 0 && length <= 8) {
+        symbols.push(symbol);
+        kraft += Math.pow(2, -length);
+      } else {
+        lengths[symbol] = 0;
+      }
+    });
+    while (kraft > 63 / 64) {
+      var rarest = symbols.reduce(function (a, b) {
+        return frequencies[b] < frequencies[a] ? b : a;
+      });
+      kraft -= Math.pow(2, -lengths[rarest]);
+      if (lengths[rarest] < 8) {
+        lengths[rarest]++;
+        kraft += Math.pow(2, -lengths[rarest]);
+      } else {
+        lengths[rarest] = 0;
+        symbols.splice(symbols.indexOf(rarest), 1);
+      }
+    }
+
+    // Canonical codes, assigned from 0 by increasing length
+    symbols.sort(function (a, b) {
+      return (lengths[a] - lengths[b]) || (a - b);
+    });
+    var codes = [];
+    var code = 0;
+    symbols.forEach(function (symbol, index) {
+      if (index > 0) {
+        code = (code + 1) << (lengths[symbol] - lengths[symbols[index - 1]]);
+      }
+      codes[symbol] = code;
+    });
+
+    var tileCount = data.length / 32;
+    var out = [((tileCount >> 8) & 0x7F) | (xorMode ? 0x80 : 0), tileCount & 0xFF];
+    for (var tableNibble = 0; tableNibble < 16; tableNibble++) {
+      var entries = symbols.filter(function (symbol) {
+        return symbol >> 3 === tableNibble;
+      });
+      if (entries.length) {
+        out.push(0x80 | tableNibble);
+        entries.forEach(function (symbol) {
+          out.push(((symbol & 0x07) << 4) | lengths[symbol], codes[symbol]);
+        });
+      }
+    }
+    out.push(0xFF);
+
+    var bitBuffer = 0;
+    var bitCount = 0;
+    var putBits = function (value, length) {
+      for (var b = length - 1; b >= 0; b--) {
+        bitBuffer = (bitBuffer << 1) | ((value >> b) & 1);
+        if (++bitCount === 8) {
+          out.push(bitBuffer);
+          bitBuffer = 0;
+          bitCount = 0;
+        }
+      }
+    };
+    runs.forEach(function (symbol) {
+      if (lengths[symbol]) {
+        putBits(codes[symbol], lengths[symbol]);
+      } else {
+        putBits(0x3F, 6);
+        putBits(symbol & 0x07, 3);
+        putBits(symbol >> 3, 4);
+      }
+    });
+    if (bitCount > 0) {
+      putBits(0, 8 - bitCount);
+    }
+    return new Uint8Array(out);
+  };
+
+  var compressNemesis = function (bytes) {
+    var data = new Uint8Array(Math.ceil(bytes.length / 32) * 32);
+    data.set(bytes);
+    var plain = encodeNemesis(data, false);
+    var xored = encodeNemesis(data, true);
+    return xored.length < plain.length ? xored : plain;
+  };
+
+  var CODECS = {
+    'gba-lz77' : {name : 'GBA LZ77 (BIOS 11h)', extension : '.lz77', compress : compressGbaLz77},
+    'gba-rle' : {name : 'GBA RLE (BIOS 14h)', extension : '.rle', compress : compressGbaRle},
+    'konami-rle' : {name : 'Konami RLE', extension : '.rle', compress : compressKonamiRle},
+    'packbits' : {name : 'PackBits', extension : '.pkb', compress : compressPackBits},
+    'nemesis' : {name : 'Nemesis', extension : '.nem', compress : compressNemesis},
+    'kosinski' : {name : 'Kosinski', extension : '.kos', compress : compressKosinski},
+    'lz4' : {name : 'LZ4 (raw block)', extension : '.lz4', compress : compressLz4},
+    'rle' : {name : 'RLE', extension : '.rle', compress : compressRle}
+  };
+
+  ns.CompressionUtils = {
+    CODECS : CODECS,
+
+    /**
+     * @param {pskl.consoles.ConsoleMode} mode - Console mode, may be null
+     * @return {Array<string>} IDs of the codecs offered for the console
+     */
+    getCodecIds : function (mode) {
+      return ((mode && mode.compression) || []).concat(GENERIC_CODECS);
+    },
+
+    /**
+     * Fills a select element with a "None" option and the console's codecs.
+     * @param {HTMLSelectElement} select
+     * @param {pskl.consoles.ConsoleMode} mode - Console mode, may be null
+     */
+    fillCodecSelect : function (select, mode) {
+      select.innerHTML = '<option value="">None</option>' +
+        ns.CompressionUtils.getCodecIds(mode).map(function (codecId) {
+          return '<option value="' + codecId + '">' + CODECS[codecId].name + '</option>';
+        }).join('');
+    },
+
+    /**
+     * @param {string|null} codecId - Codec ID, null for uncompressed data
+     * @param {Uint8Array} bytes
+     * @return {Uint8Array} Compressed bytes, or bytes when codecId is null
+     */
+    compress : function (codecId, bytes) {
+      if (!codecId) {
+        return bytes;
+      }
+      var codec = CODECS[codecId];
+      if (!codec) {
+        throw 'Unknown compression codec: ' + codecId;
+      }
+      return codec.compress(bytes);
+    },
+
+    /**
+     * @param {string|null} codecId - Codec ID, null for uncompressed data
+     * @return {string} Extension appended to compressed file names
+     */
+    getExtension : function (codecId) {
+      return codecId ? CODECS[codecId].extension : '';
+    },
+
+    /**
+     * Formats the compressed size for export info texts.
+     * @param {string|null} codecId - Codec ID, null for uncompressed data
+     * @param {function(): Uint8Array} getData - Generates the uncompressed data,
+     *        only called when a codec is selected
+     * @return {string} ', N bytes compressed', '' without codec, or the error
+     *         message when the data can't be generated
+     */
+    formatCompressedSize : function (codecId, getData) {
+      if (!codecId) {
+        return '';
+      }
+      try {
+        return ', ' + ns.CompressionUtils.compress(codecId, getData()).length + ' bytes compressed';
+      } catch (e) {
+        return ', ' + e.message;
+      }
+    }
+  };
+})();
@@ -0,0 +1,132 @@
+/**
+ * ConsoleLintUtils - Checks a sprite against all the constraints of a
+ * console mode, for headless use (piskel-cli lint).
+ *
+ * Checks, each only run when the console defines the matching constraint:
+ *   - dimensions: ConsoleMode.validateDimensions
+ *   - colors: ConsoleMode.validateColors
+ *   - palette: ConsoleMode.isValidColor for every used color
+ *   - color-regions: ConsoleMode.validateColorRegions on every frame
+ *   - sub-palettes: ConsoleMode.validateRegions
+ *   - scanlines: sprites per scanline (see ScanlineUtils)
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /**
+   * @return {Array<Uint32Array>} Pixels of all layers merged, per frame
+   */
+  var getMergedPixels = function (piskelController) {
+    var layers = piskelController.getLayers();
+    var framesPixels = [];
+    for (var f = 0; f < piskelController.getFrameCount(); f++) {
+      var frames = layers.map(function (layer) {
+        return layer.getFrameAt(f);
+      });
+      framesPixels.push(pskl.utils.FrameUtils.merge(frames).pixels);
+    }
+    return framesPixels;
+  };
+
+  var getUsedColors = function (mergedPixels) {
+    var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+    var colors = {};
+    mergedPixels.forEach(function (pixels) {
+      for (var i = 0; i < pixels.length; i++) {
+        if (pixels[i] !== transparent) {
+          colors[pixels[i]] = true;
+        }
+      }
+    });
+    return Object.keys(colors).map(function (color) {
+      return pskl.utils.intToHex(color);
+    });
+  };
+
+  ns.ConsoleLintUtils = {
+    /**
+     * @param {pskl.consoles.ConsoleMode} mode - Console to check against
+     * @param {pskl.controller.piskel.PiskelController} piskelController
+     * @return {Object} {console, valid, errors}, errors listing
+     *         {check, message, frames} entries, frames being the 0-based
+     *         indexes of the offending frames when the check applies per frame
+     */
+    lint : function (mode, piskelController) {
+      var piskel = piskelController.getPiskel();
+      var width = piskelController.getWidth();
+      var height = piskelController.getHeight();
+      var mergedPixels = getMergedPixels(piskelController);
+      var colors = getUsedColors(mergedPixels);
+      var errors = [];
+
+      var addError = function (check, message, frames) {
+        errors.push({check : check, message : message, frames : frames || null});
+      };
+
+      var dimensions = mode.validateDimensions(width, height);
+      if (!dimensions.valid) {
+        addError('dimensions', dimensions.message);
+      }
+
+      var colorCount = mode.validateColors(colors);
+      if (!colorCount.valid) {
+        addError('colors', colorCount.message);
+      }
+
+      var invalidColors = colors.filter(function (color) {
+        return !mode.isValidColor(color);
+      });
+      if (invalidColors.length) {
+        addError('palette', invalidColors.length + ' colors outside the ' + mode.name +
+          ' palette: ' + invalidColors.join(', '));
+      }
+
+      var regionFrames = [];
+      mergedPixels.forEach(function (pixels, frame) {
+        if (!mode.validateColorRegions(pixels, width, height).valid) {
+          regionFrames.push(frame);
+        }
+      });
+      if (regionFrames.length) {
+        var constraintNames = mode.colorRegions.map(function (constraint) {
+          return constraint.name + ' (max ' + constraint.maxColors +
+            (constraint.colorGroups ? ' of one color group' : '') + ')';
+        });
+        addError('color-regions', 'Regions use too many colors: ' + constraintNames.join(', '), regionFrames);
+      }
+
+      var usesSubPalettes = mode.usesSubPalettes(piskel.getSubPalettes());
+      var needsFramesPixels = usesSubPalettes || mode.scanlineLimits;
+      var framesPixels = needsFramesPixels ? pskl.utils.TileUtils.getFramesPixels(piskelController) : null;
+
+      if (usesSubPalettes) {
+        var regions = mode.validateRegions(
+          framesPixels, width, height, piskel.getSubPalettes(), piskel.getTilePalettes());
+        if (!regions.valid) {
+          addError('sub-palettes', regions.message, regions.regions.map(function (region) {
+            return region.frame;
+          }).filter(function (frame, index, frames) {
+            return frames.indexOf(frame) === index;
+          }));
+        }
+      }
+
+      var spriteSize = mode.scanlineLimits ? pskl.utils.ScanlineUtils.getSpriteSize(mode, width, height) : null;
+      if (spriteSize) {
+        var overflowFrames = pskl.utils.ScanlineUtils.getOverflowFrames(
+          framesPixels, width, height, spriteSize, mode.scanlineLimits);
+        if (overflowFrames.length) {
+          var limits = mode.scanlineLimits;
+          addError('scanlines', 'More than ' + limits.sprites + ' sprites' +
+            (limits.pixels ? ' or ' + limits.pixels + ' sprite pixels' : '') + ' per scanline', overflowFrames);
+        }
+      }
+
+      return {
+        console : mode.id,
+        valid : errors.length === 0,
+        errors : errors
+      };
+    }
+  };
+})();
@@ -0,0 +1,65 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /**
+   * Applies the display color filter of the active console mode (palette
+   * variants, LCD color correction...) to rendered canvases.
+   *
+   * Only the renderers of the editor (drawing canvas, preview, frame list) use
+   * it: stored pixels and exported images keep the original colors.
+   */
+  ns.DisplayColorUtils = {
+    /**
+     * @return {Object|null} {key, map} filter of the active console mode
+     */
+    getFilter : function () {
+      var registry = pskl.app.consoleRegistry;
+      var mode = registry && registry.getActive();
+      return mode ? mode.getDisplayColorFilter() : null;
+    },
+
+    /**
+     * Identifies the active filter, to add to the keys of render caches.
+     * @return {string} filter key, empty string without filter
+     */
+    getKey : function () {
+      var filter = this.getFilter();
+      return filter ? filter.key : '';
+    },
+
+    /**
+     * Maps the colors of a canvas through a filter, alpha is preserved.
+     * @param {Canvas} canvas unzoomed canvas, updated in place
+     * @param {Object} filter (optional) defaults to the active filter
+     * @return {Canvas} the canvas
+     */
+    applyToCanvas : function (canvas, filter) {
+      filter = filter || this.getFilter();
+      if (!filter) {
+        return canvas;
+      }
+
+      var context = canvas.getContext('2d');
+      var imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+      var pixels = new Uint32Array(imageData.data.buffer);
+      var mappedColors = {};
+
+      for (var i = 0, length = pixels.length; i < length; i++) {
+        var alpha = pixels[i] & 0xff000000;
+        if (!alpha) {
+          continue;
+        }
+
+        var rgb = pixels[i] & 0xffffff;
+        if (!(rgb in mappedColors)) {
+          var mapped = filter.map(pskl.utils.intToHex(rgb));
+          mappedColors[rgb] = pskl.utils.colorToInt(mapped) & 0xffffff;
+        }
+        pixels[i] = (alpha | mappedColors[rgb]) >>> 0;
+      }
+
+      context.putImageData(imageData, 0, 0);
+      return canvas;
+    }
+  };
+})();
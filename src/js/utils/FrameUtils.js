@@ -110,6 +110,10 @@
         for (var i = 1 ; i < frames.length ; i++) {
           pskl.utils.FrameUtils.mergeFrames_(merged, frames[i]);
         }
+        if (merged.getPalette && frames.length > 1) {
+          // Pixels were merged as colors, index them again
+          merged.setPixels(merged.pixels);
+        }
       }
       return merged;
     },
@@ -85,6 +85,36 @@
       });
 
       return canvas;
+    },
+
+    /**
+     * Flattens the palette indexes of an indexed piskel (see
+     * pskl.model.IndexedFrame): the top most opaque pixel wins. Layer opacity
+     * is ignored as consoles do not blend layers, except for hidden layers
+     * (opacity 0).
+     *
+     * @param  {Array<Layer>} layers array of layers to use
+     * @param  {Number} index frame index to flatten
+     * @param  {pskl.model.IndexedPalette} palette palette of the piskel
+     * @return {Uint16Array} palette index of each pixel
+     */
+    flattenIndexesAt : function (layers, index, palette) {
+      var frame = layers[0].getFrameAt(index);
+      var indexes = new Uint16Array(frame.getWidth() * frame.getHeight());
+      layers.forEach(function (l) {
+        if (!l.getOpacity()) {
+          return;
+        }
+        var frame = l.getFrameAt(index);
+        for (var i = 0; i < indexes.length; i++) {
+          // Frames added to the piskel since its last conversion hold colors
+          var paletteIndex = frame.getPalette ? frame.indexes[i] : palette.addColor(frame.pixels[i]);
+          if (paletteIndex) {
+            indexes[i] = paletteIndex;
+          }
+        }
+      });
+      return indexes;
     }
   };
 
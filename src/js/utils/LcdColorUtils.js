@@ -0,0 +1,83 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var to5Bit = function (value8bit) {
+    return Math.round(value8bit * 31 / 255);
+  };
+
+  // Game Boy Advance screen gamma, and gamma of the monitor showing the editor
+  var GBA_LCD_GAMMA = 4.0;
+  var OUTPUT_GAMMA = 2.2;
+
+  /**
+   * LCD models: 5 bit RGB channels to the 8 bit color seen on the screen.
+   * Both are the color emulation models of higan (byuu/Near), also used by
+   * most Game Boy emulators.
+   */
+  var MODELS = {
+    // Game Boy Color: channels bleed into each other, whites are dimmed
+    gbc : function (r, g, b) {
+      return [
+        Math.min(960, r * 26 + g * 4 + b * 2) >> 2,
+        Math.min(960, g * 24 + b * 8) >> 2,
+        Math.min(960, r * 6 + g * 4 + b * 22) >> 2
+      ];
+    },
+
+    // Game Boy Advance: dark, unlit screen with a steep gamma curve
+    gba : function (r, g, b) {
+      var lr = Math.pow(r / 31, GBA_LCD_GAMMA);
+      var lg = Math.pow(g / 31, GBA_LCD_GAMMA);
+      var lb = Math.pow(b / 31, GBA_LCD_GAMMA);
+      var output = function (value) {
+        return Math.min(255, Math.round(Math.pow(value / 255, 1 / OUTPUT_GAMMA) * 255 * 255 / 280));
+      };
+      return [
+        output(255 * lr + 50 * lg + 0 * lb),
+        output(10 * lr + 230 * lg + 30 * lb),
+        output(50 * lr + 10 * lg + 220 * lb)
+      ];
+    }
+  };
+
+  var filters = {};
+
+  /**
+   * Display-only color correction of handheld LCD screens. Colors are
+   * quantized to RGB555 like the hardware, then go through the LCD model.
+   */
+  ns.LcdColorUtils = {
+    /**
+     * @param {String} color hex color
+     * @param {String} model 'gbc' or 'gba'
+     * @return {String} hex color displayed by the LCD
+     */
+    correct : function (color, model) {
+      var rgb = window.tinycolor(color).toRgb();
+      var corrected = MODELS[model](to5Bit(rgb.r), to5Bit(rgb.g), to5Bit(rgb.b));
+      return pskl.utils.rgbToHex(corrected[0], corrected[1], corrected[2]);
+    },
+
+    /**
+     * Display color filter of a model, when the color correction is enabled
+     * in the user settings (see pskl.utils.DisplayColorUtils).
+     * @param {String} model 'gbc' or 'gba'
+     * @return {Object|null} {key, map} or null if disabled
+     */
+    getFilter : function (model) {
+      if (!MODELS[model] || !pskl.UserSettings.get(pskl.UserSettings.LCD_COLOR_CORRECTION)) {
+        return null;
+      }
+
+      if (!filters[model]) {
+        filters[model] = {
+          key : 'lcd-' + model,
+          map : function (color) {
+            return ns.LcdColorUtils.correct(color, model);
+          }
+        };
+      }
+      return filters[model];
+    }
+  };
+})();
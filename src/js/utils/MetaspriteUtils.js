@@ -0,0 +1,380 @@
+/**
+ * MetaspriteUtils - Splits frames into hardware sprites and encodes them as
+ * per-frame OAM tables in each console's native attribute layout.
+ *
+ * Sprite tiles are numbered in the order the console expects to find them
+ * in VRAM for the chosen sprite size:
+ *   - 'row': tiles of a sprite are consecutive, row by row (NES/GB 8x16,
+ *     SMS 8x16, GBA 1D mapping)
+ *   - 'column': tiles of a sprite are consecutive, column by column
+ *     (Genesis, MSX 16x16)
+ *   - 'sheet': tiles are laid out on a 16 tiles wide sheet (SNES)
+ *
+ * Table file format (see encodeTables):
+ *   - For each frame: 1 byte sprite count, followed by the native table
+ *   - Coordinates are offsets from the top-left corner of the frame
+ *   - Each sprite uses the sub-palette of its top-left 8x8 region, priority
+ *     and flip attributes are left at 0
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Hardware tile size in pixels. */
+  var TILE_SIZE = 8;
+
+  /** @const {number} Width of the SNES sprite tile sheet, in tiles. */
+  var SHEET_WIDTH = 16;
+
+  /** @const {Object} GBA OBJ [shape, size] attribute values per sprite size. */
+  var GBA_SHAPES = {
+    '8x8' : [0, 0],
+    '16x16' : [0, 1],
+    '32x32' : [0, 2],
+    '8x16' : [2, 0]
+  };
+
+  /**
+   * Writes a 16-bit value, big-endian (68000).
+   * @param {Array<number>} bytes
+   * @param {number} value
+   */
+  var pushWordBE = function (bytes, value) {
+    bytes.push((value >> 8) & 0xFF, value & 0xFF);
+  };
+
+  /**
+   * Writes a 16-bit value, little-endian (ARM).
+   * @param {Array<number>} bytes
+   * @param {number} value
+   */
+  var pushWordLE = function (bytes, value) {
+    bytes.push(value & 0xFF, (value >> 8) & 0xFF);
+  };
+
+  /**
+   * Native OAM layouts. Each encode function receives the sprites of a frame,
+   * {x, y, tile, width, height}, and returns the table bytes.
+   */
+  var FORMATS = {
+    // Y, tile, attributes, X
+    'nes' : {
+      tileOrder : 'row',
+      encode : function (sprites) {
+        var bytes = [];
+        sprites.forEach(function (s) {
+          bytes.push(s.y & 0xFF, s.tile & 0xFF, (s.palette || 0) & 3, s.x & 0xFF);
+        });
+        return bytes;
+      }
+    },
+
+    // Y, X, tile, flags (bits 0-2: CGB palette)
+    'gameboy' : {
+      tileOrder : 'row',
+      encode : function (sprites) {
+        var bytes = [];
+        sprites.forEach(function (s) {
+          bytes.push(s.y & 0xFF, s.x & 0xFF, s.tile & 0xFF, (s.palette || 0) & 7);
+        });
+        return bytes;
+      }
+    },
+
+    // Low table (X, Y, tile, attributes) then high table (2 bits per sprite:
+    // X bit 8 and large size flag)
+    'snes' : {
+      tileOrder : 'sheet',
+      encode : function (sprites) {
+        var bytes = [];
+        sprites.forEach(function (s) {
+          var attributes = ((s.tile >> 8) & 1) | (((s.palette || 0) & 7) << 1);
+          bytes.push(s.x & 0xFF, s.y & 0xFF, s.tile & 0xFF, attributes);
+        });
+        var high = new Array(Math.ceil(sprites.length / 4)).fill(0);
+        sprites.forEach(function (s, i) {
+          var isLarge = s.width > TILE_SIZE || s.height > TILE_SIZE;
+          var bits = ((s.x >> 8) & 1) | (isLarge ? 2 : 0);
+          high[Math.floor(i / 4)] |= bits << ((i % 4) * 2);
+        });
+        return bytes.concat(high);
+      }
+    },
+
+    // Y word, size byte, link byte, attribute word, X word (big-endian)
+    'genesis' : {
+      tileOrder : 'column',
+      encode : function (sprites) {
+        var bytes = [];
+        sprites.forEach(function (s, i) {
+          var size = ((s.width / TILE_SIZE - 1) << 2) | (s.height / TILE_SIZE - 1);
+          var link = i + 1 < sprites.length ? i + 1 : 0;
+          pushWordBE(bytes, s.y & 0x3FF);
+          bytes.push(size, link);
+          pushWordBE(bytes, (s.tile & 0x7FF) | (((s.palette || 0) & 3) << 13));
+          pushWordBE(bytes, s.x & 0x1FF);
+        });
+        return bytes;
+      }
+    },
+
+    // Split SAT: all Y bytes, then X/tile pairs
+    'sms' : {
+      tileOrder : 'row',
+      encode : function (sprites) {
+        var ys = sprites.map(function (s) {
+          return s.y & 0xFF;
+        });
+        var xs = [];
+        sprites.forEach(function (s) {
+          xs.push(s.x & 0xFF, s.tile & 0xFF);
+        });
+        return ys.concat(xs);
+      }
+    },
+
+    // attr0, attr1, attr2 and the unused attr3 slot (little-endian)
+    'gba' : {
+      tileOrder : 'row',
+      encode : function (sprites, options) {
+        var bytes = [];
+        sprites.forEach(function (s) {
+          var shape = GBA_SHAPES[s.width + 'x' + s.height] || GBA_SHAPES['8x8'];
+          // 8bpp tile numbers are counted in 4bpp (32 byte) units
+          var tile = options.bpp8 ? s.tile * 2 : s.tile;
+          pushWordLE(bytes, (s.y & 0xFF) | (options.bpp8 ? 0x2000 : 0) | (shape[0] << 14));
+          pushWordLE(bytes, (s.x & 0x1FF) | (shape[1] << 14));
+          pushWordLE(bytes, (tile & 0x3FF) | (options.bpp8 ? 0 : ((s.palette || 0) & 15) << 12));
+          pushWordLE(bytes, 0);
+        });
+        return bytes;
+      }
+    },
+
+    // Y, X, pattern, color
+    'msx' : {
+      tileOrder : 'column',
+      encode : function (sprites, options) {
+        var bytes = [];
+        sprites.forEach(function (s) {
+          bytes.push(s.y & 0xFF, s.x & 0xFF, s.tile & 0xFF, (options.color || 15) & 0x0F);
+        });
+        return bytes;
+      }
+    }
+  };
+
+  /** @const {Object} Console mode ID to OAM format. */
+  var CONSOLE_FORMATS = {
+    'nes' : 'nes',
+    'gameboy' : 'gameboy',
+    'gbc' : 'gameboy',
+    'snes' : 'snes',
+    'genesis' : 'genesis',
+    'sms' : 'sms',
+    'gamegear' : 'sms',
+    'gba' : 'gba',
+    'gba8bpp' : 'gba',
+    'msx' : 'msx'
+  };
+
+  ns.MetaspriteUtils = {
+    /**
+     * @param {string} consoleId - Console mode ID
+     * @return {boolean} True if metasprites can be exported for this console
+     */
+    isSupported : function (consoleId) {
+      return CONSOLE_FORMATS.hasOwnProperty(consoleId);
+    },
+
+    /**
+     * Parses a sprite size such as '8x16'.
+     * @param {string} size
+     * @return {{width: number, height: number}}
+     */
+    parseSize : function (size) {
+      var parts = size.split('x');
+      return {
+        width : parseInt(parts[0], 10),
+        height : parseInt(parts[1], 10)
+      };
+    },
+
+    /**
+     * Copies an area of an image, pixels outside the image are transparent.
+     * @param {Uint8ClampedArray} pixels - Full image RGBA data
+     * @param {number} imgWidth - Full image width
+     * @param {number} imgHeight - Full image height
+     * @param {number} startX
+     * @param {number} startY
+     * @param {number} width
+     * @param {number} height
+     * @return {Uint8ClampedArray} RGBA data of the area
+     */
+    extractArea : function (pixels, imgWidth, imgHeight, startX, startY, width, height) {
+      var area = new Uint8ClampedArray(width * height * 4);
+      for (var y = 0; y < height && startY + y < imgHeight; y++) {
+        var rowWidth = Math.min(width, imgWidth - startX);
+        var from = ((startY + y) * imgWidth + startX) * 4;
+        area.set(pixels.subarray(from, from + rowWidth * 4), y * width * 4);
+      }
+      return area;
+    },
+
+    /**
+     * @param {Uint8ClampedArray} pixels - RGBA data
+     * @return {boolean} True if no pixel is opaque (alpha >= 128)
+     */
+    isTransparent : function (pixels) {
+      for (var i = 3; i < pixels.length; i += 4) {
+        if (pixels[i] >= 128) {
+          return false;
+        }
+      }
+      return true;
+    },
+
+    /**
+     * Returns the 8x8 tiles of a sprite in the given tile order.
+     * @param {Uint8ClampedArray} sprite - RGBA data of the sprite
+     * @param {number} width - Sprite width
+     * @param {number} height - Sprite height
+     * @param {string} tileOrder - 'row', 'column' or 'sheet'
+     * @return {Array<Uint8ClampedArray>}
+     */
+    getSpriteTiles : function (sprite, width, height, tileOrder) {
+      var cellsX = width / TILE_SIZE;
+      var cellsY = height / TILE_SIZE;
+      var tiles = [];
+      var byColumn = tileOrder === 'column';
+      var outer = byColumn ? cellsX : cellsY;
+      var inner = byColumn ? cellsY : cellsX;
+      for (var i = 0; i < outer; i++) {
+        for (var j = 0; j < inner; j++) {
+          var cellX = byColumn ? i : j;
+          var cellY = byColumn ? j : i;
+          tiles.push(pskl.utils.TileUtils.extractTile(
+            sprite, width, cellX * TILE_SIZE, cellY * TILE_SIZE, TILE_SIZE));
+        }
+      }
+      return tiles;
+    },
+
+    /**
+     * Splits frames into hardware sprites, skipping fully transparent ones.
+     *
+     * When options.getPalette(col, row) is set, each sprite gets the
+     * sub-palette of its top-left 8x8 region, and the sub-palette of each
+     * tile is listed in palettes.
+     *
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} options - {consoleId, size, getPalette}
+     * @return {{tiles: Array<Uint8ClampedArray>, frames: Array<Array<Object>>,
+     *         palettes: Array<number>}}
+     *         tiles may contain null entries for unused sheet slots, frames
+     *         contain one {x, y, tile, width, height} entry per sprite, plus
+     *         the palette when options.getPalette is set
+     */
+    buildMetasprites : function (framesPixels, width, height, options) {
+      var format = FORMATS[CONSOLE_FORMATS[options.consoleId]];
+      var size = ns.MetaspriteUtils.parseSize(options.size);
+      var cellsX = size.width / TILE_SIZE;
+      var cellsY = size.height / TILE_SIZE;
+
+      var tiles = [];
+      var palettes = [];
+      var spriteCount = 0;
+
+      // Index of the top-left tile of the n-th sprite
+      var getFirstTile = function (n) {
+        if (format.tileOrder === 'sheet') {
+          var perRow = SHEET_WIDTH / cellsX;
+          return Math.floor(n / perRow) * SHEET_WIDTH * cellsY + (n % perRow) * cellsX;
+        }
+        return n * cellsX * cellsY;
+      };
+
+      // Slot of the i-th tile of a sprite (in the sprite's tile order)
+      var getTileSlot = function (first, i) {
+        if (format.tileOrder === 'sheet') {
+          return first + Math.floor(i / cellsX) * SHEET_WIDTH + (i % cellsX);
+        }
+        return first + i;
+      };
+
+      var frames = framesPixels.map(function (pixels) {
+        var sprites = [];
+        for (var y = 0; y < height; y += size.height) {
+          for (var x = 0; x < width; x += size.width) {
+            var sprite = ns.MetaspriteUtils.extractArea(
+              pixels, width, height, x, y, size.width, size.height);
+            if (ns.MetaspriteUtils.isTransparent(sprite)) {
+              continue;
+            }
+
+            var first = getFirstTile(spriteCount++);
+            var palette = options.getPalette ?
+              options.getPalette(x / TILE_SIZE, y / TILE_SIZE) : 0;
+            var spriteTiles = ns.MetaspriteUtils.getSpriteTiles(
+              sprite, size.width, size.height, format.tileOrder);
+            spriteTiles.forEach(function (tile, i) {
+              tiles[getTileSlot(first, i)] = tile;
+              palettes[getTileSlot(first, i)] = palette;
+            });
+
+            var entry = {
+              x : x,
+              y : y,
+              tile : first,
+              width : size.width,
+              height : size.height
+            };
+            if (options.getPalette) {
+              entry.palette = palette;
+            }
+            sprites.push(entry);
+          }
+        }
+        return sprites;
+      });
+
+      // Fill unused sheet slots
+      for (var i = 0; i < tiles.length; i++) {
+        tiles[i] = tiles[i] || null;
+        palettes[i] = palettes[i] || 0;
+      }
+
+      return {tiles: tiles, frames: frames, palettes: palettes};
+    },
+
+    /**
+     * Encodes the sprite table of a single frame in the console's layout.
+     * @param {string} consoleId - Console mode ID
+     * @param {Array<Object>} sprites - Sprites from buildMetasprites
+     * @param {Object=} options - {color} MSX sprite color index
+     * @return {Array<number>} Table bytes
+     */
+    encodeFrame : function (consoleId, sprites, options) {
+      options = Object.assign({bpp8 : consoleId === 'gba8bpp'}, options);
+      return FORMATS[CONSOLE_FORMATS[consoleId]].encode(sprites, options);
+    },
+
+    /**
+     * Encodes the sprite tables of all frames, each prefixed with its
+     * sprite count.
+     * @param {string} consoleId - Console mode ID
+     * @param {Array<Array<Object>>} frames - Frames from buildMetasprites
+     * @param {Object=} options - See encodeFrame
+     * @return {Uint8Array}
+     */
+    encodeTables : function (consoleId, frames, options) {
+      var bytes = [];
+      frames.forEach(function (sprites) {
+        bytes.push(sprites.length & 0xFF);
+        bytes = bytes.concat(ns.MetaspriteUtils.encodeFrame(consoleId, sprites, options));
+      });
+      return new Uint8Array(bytes);
+    }
+  };
+})();
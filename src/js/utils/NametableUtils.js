@@ -0,0 +1,224 @@
+/**
+ * NametableUtils - Background map encoding in each console's native format.
+ *
+ * Maps come from TileUtils.buildTileSet: one {index, flipX, flipY, palette}
+ * entry per 8x8 tile position, row by row. Each frame is encoded as one
+ * screen, screens of all frames are concatenated.
+ *
+ * Formats:
+ *   - nes: 1 byte per tile, followed by the attribute table (2 bits of
+ *     palette per 16x16 area, 4 areas per byte, one byte per 32x32 block)
+ *   - gameboy: 1 byte per tile
+ *   - gbc: 1 byte per tile, plus a separate CGB attribute map
+ *     (bits 0-2 palette, 3 VRAM bank, 5 X flip, 6 Y flip, 7 priority)
+ *   - snes: 16-bit little-endian vhopppcc cccccccc entries
+ *   - gba, gba8bpp: 16-bit little-endian ppppvhcc cccccccc entries
+ *   - genesis: 16-bit big-endian pccvhnnn nnnnnnnn entries (68000 word order)
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  var write16 = function (bytes, offset, value, bigEndian) {
+    if (bigEndian) {
+      bytes[offset] = (value >> 8) & 0xFF;
+      bytes[offset + 1] = value & 0xFF;
+    } else {
+      bytes[offset] = value & 0xFF;
+      bytes[offset + 1] = (value >> 8) & 0xFF;
+    }
+  };
+
+  var concat = function (chunks) {
+    var length = chunks.reduce(function (total, chunk) {
+      return total + chunk.length;
+    }, 0);
+    var bytes = new Uint8Array(length);
+    var offset = 0;
+    chunks.forEach(function (chunk) {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return bytes;
+  };
+
+  /**
+   * Background map formats, keyed by console mode ID.
+   *   - maxTiles: tiles a map entry can reference
+   *   - flip: map entries have X/Y flip bits
+   *   - priority: map entries have a priority bit
+   *   - entryBytes: bytes per map entry
+   *   - encodeEntry: 16-bit entry encoder, for 2-byte entries
+   */
+  var FORMATS = {
+    'nes' : {
+      name : 'NES nametable', maxTiles : 256, flip : false, priority : false, entryBytes : 1
+    },
+    'gameboy' : {
+      name : 'Game Boy BG map', maxTiles : 256, flip : false, priority : false, entryBytes : 1
+    },
+    'gbc' : {
+      name : 'Game Boy Color BG map', maxTiles : 512, flip : true, priority : true, entryBytes : 1
+    },
+    'snes' : {
+      name : 'SNES BG map', maxTiles : 1024, flip : true, priority : true, entryBytes : 2,
+      encodeEntry : function (entry, priority) {
+        return (entry.index & 0x3FF) |
+          (((entry.palette || 0) & 0x07) << 10) |
+          (priority ? 0x2000 : 0) |
+          (entry.flipX ? 0x4000 : 0) |
+          (entry.flipY ? 0x8000 : 0);
+      }
+    },
+    'gba' : {
+      name : 'GBA BG map', maxTiles : 1024, flip : true, priority : false, entryBytes : 2,
+      encodeEntry : function (entry) {
+        return (entry.index & 0x3FF) |
+          (entry.flipX ? 0x0400 : 0) |
+          (entry.flipY ? 0x0800 : 0) |
+          (((entry.palette || 0) & 0x0F) << 12);
+      }
+    },
+    'gba8bpp' : {
+      name : 'GBA BG map', maxTiles : 1024, flip : true, priority : false, entryBytes : 2,
+      encodeEntry : function (entry) {
+        // 8bpp backgrounds use a single 256 color palette
+        return (entry.index & 0x3FF) |
+          (entry.flipX ? 0x0400 : 0) |
+          (entry.flipY ? 0x0800 : 0);
+      }
+    },
+    'genesis' : {
+      name : 'Genesis plane map', maxTiles : 2048, flip : true, priority : true, entryBytes : 2,
+      bigEndian : true,
+      encodeEntry : function (entry, priority) {
+        return (entry.index & 0x7FF) |
+          (entry.flipX ? 0x0800 : 0) |
+          (entry.flipY ? 0x1000 : 0) |
+          (((entry.palette || 0) & 0x03) << 13) |
+          (priority ? 0x8000 : 0);
+      }
+    }
+  };
+
+  ns.NametableUtils = {
+    FORMATS : FORMATS,
+
+    /**
+     * @param {string} consoleId - Console mode ID
+     * @return {boolean} True if the console has a background map format
+     */
+    isSupported : function (consoleId) {
+      return FORMATS.hasOwnProperty(consoleId);
+    },
+
+    /**
+     * @param {string} consoleId - Console mode ID
+     * @return {Object} Background map format
+     */
+    getFormat : function (consoleId) {
+      var format = FORMATS[consoleId];
+      if (!format) {
+        throw 'No background map format for console: ' + consoleId;
+      }
+      return format;
+    },
+
+    /**
+     * Builds the NES attribute table of a screen. Each 16x16 area uses the
+     * palette of its top-left tile.
+     * @param {Array<Object>} map - Map entries of one screen
+     * @param {number} cols - Screen width in tiles
+     * @param {number} rows - Screen height in tiles
+     * @return {Uint8Array} One byte per 32x32 block, row by row
+     */
+    encodeNesAttributes : function (map, cols, rows) {
+      var blockCols = Math.ceil(cols / 4);
+      var blockRows = Math.ceil(rows / 4);
+      var bytes = new Uint8Array(blockCols * blockRows);
+      for (var row = 0; row < rows; row += 2) {
+        for (var col = 0; col < cols; col += 2) {
+          var palette = (map[row * cols + col].palette || 0) & 0x03;
+          // Areas of a block: top-left bits 0-1, top-right 2-3,
+          // bottom-left 4-5, bottom-right 6-7
+          var shift = ((row % 4) / 2) * 4 + ((col % 4) / 2) * 2;
+          bytes[Math.floor(row / 4) * blockCols + Math.floor(col / 4)] |= palette << shift;
+        }
+      }
+      return bytes;
+    },
+
+    /**
+     * Counts the NES 16x16 attribute areas whose tiles use different palettes.
+     * Those tiles are displayed with the palette of the area's top-left tile.
+     * @param {Array<Array<Object>>} maps - Map entries of each screen
+     * @param {number} cols - Screen width in tiles
+     * @param {number} rows - Screen height in tiles
+     * @return {number}
+     */
+    countAttributeConflicts : function (maps, cols, rows) {
+      var conflicts = 0;
+      maps.forEach(function (map) {
+        for (var row = 0; row < rows; row += 2) {
+          for (var col = 0; col < cols; col += 2) {
+            var palette = map[row * cols + col].palette || 0;
+            var mixed = [[0, 1], [1, 0], [1, 1]].some(function (offset) {
+              var r = row + offset[0];
+              var c = col + offset[1];
+              return r < rows && c < cols && (map[r * cols + c].palette || 0) !== palette;
+            });
+            if (mixed) {
+              conflicts++;
+            }
+          }
+        }
+      });
+      return conflicts;
+    },
+
+    /**
+     * Encodes the background maps of all screens.
+     * @param {string} consoleId - Console mode ID
+     * @param {Array<Array<Object>>} maps - Map entries of each screen
+     * @param {number} cols - Screen width in tiles
+     * @param {number} rows - Screen height in tiles
+     * @param {Object=} options - {priority: set the priority bit of all entries}
+     * @return {{map: Uint8Array, attributes: Uint8Array|null}} attributes is
+     *         the CGB attribute map, only set for gbc
+     */
+    encodeMaps : function (consoleId, maps, cols, rows, options) {
+      options = options || {};
+      var format = ns.NametableUtils.getFormat(consoleId);
+      var chunks = [];
+      var attributes = consoleId === 'gbc' ? [] : null;
+
+      maps.forEach(function (map) {
+        var bytes = new Uint8Array(map.length * format.entryBytes);
+        map.forEach(function (entry, i) {
+          if (format.entryBytes === 2) {
+            write16(bytes, i * 2, format.encodeEntry(entry, options.priority), format.bigEndian);
+          } else {
+            bytes[i] = entry.index & 0xFF;
+          }
+        });
+        chunks.push(bytes);
+
+        if (consoleId === 'nes') {
+          chunks.push(ns.NametableUtils.encodeNesAttributes(map, cols, rows));
+        } else if (attributes) {
+          attributes.push(new Uint8Array(map.map(function (entry) {
+            return ((entry.palette || 0) & 0x07) |
+              (entry.index > 0xFF ? 0x08 : 0) |
+              (entry.flipX ? 0x20 : 0) |
+              (entry.flipY ? 0x40 : 0) |
+              (options.priority ? 0x80 : 0);
+          })));
+        }
+      });
+
+      return {
+        map : concat(chunks),
+        attributes : attributes ? concat(attributes) : null
+      };
+    }
+  };
+})();
@@ -0,0 +1,137 @@
+/**
+ * PaletteOrderUtils - Stable palette index assignment.
+ *
+ * A project stores its palette order as a list of hex colors
+ * (Piskel.paletteOrder): the color at position i uses palette index i + 1,
+ * index 0 is always transparent. Colors keep their index once assigned, so
+ * palette swaps keep working when colors are drawn in a different order.
+ *
+ * All colors are handled as uppercase '#RRGGBB' strings.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /**
+   * @param {string} color - Any color string supported by tinycolor
+   * @return {string} Uppercase '#RRGGBB' color
+   */
+  var normalize = function (color) {
+    return window.tinycolor(color).toHexString().toUpperCase();
+  };
+
+  ns.PaletteOrderUtils = {
+    normalize : normalize,
+
+    /**
+     * Gets the colors of a project in palette index order: the palette order,
+     * followed by used colors not assigned to an index yet.
+     * @param {Array<string>} paletteOrder - Project palette order
+     * @param {Array<string>} currentColors - Colors used by the project
+     * @return {Array<string>} Colors, the color at position i uses index i + 1
+     */
+    getIndexedColors : function (paletteOrder, currentColors) {
+      var colors = (paletteOrder || []).map(normalize);
+      currentColors.forEach(function (color) {
+        color = normalize(color);
+        if (colors.indexOf(color) === -1) {
+          colors.push(color);
+        }
+      });
+      return colors;
+    },
+
+    /**
+     * Assigns an index to every used color missing from the palette order.
+     * New colors are appended, or reuse the index of a color that is no
+     * longer used when the order already holds maxColors colors.
+     * @param {Array<string>} paletteOrder - Project palette order
+     * @param {Array<string>} currentColors - Colors used by the project
+     * @param {number=} maxColors - Console color limit, if any
+     * @return {Array<string>} The updated palette order, or the given array
+     *         when all colors already have an index
+     */
+    lockColors : function (paletteOrder, currentColors, maxColors) {
+      var order = (paletteOrder || []).map(normalize);
+      var used = currentColors.map(normalize);
+      var newColors = used.filter(function (color) {
+        return order.indexOf(color) === -1;
+      });
+      if (!newColors.length) {
+        return paletteOrder;
+      }
+
+      newColors.forEach(function (color) {
+        var freeIndex = -1;
+        if (maxColors && order.length >= maxColors) {
+          freeIndex = order.findIndex(function (c) {
+            return used.indexOf(c) === -1;
+          });
+        }
+        if (freeIndex === -1) {
+          order.push(color);
+        } else {
+          order[freeIndex] = color;
+        }
+      });
+      return order;
+    },
+
+    /**
+     * Gives the index of a replaced color to its replacement.
+     * @param {Array<string>} paletteOrder - Project palette order
+     * @param {string} oldColor
+     * @param {string} newColor
+     * @return {Array<string>} The updated palette order
+     */
+    replaceColor : function (paletteOrder, oldColor, newColor) {
+      var order = (paletteOrder || []).map(normalize);
+      var oldIndex = order.indexOf(normalize(oldColor));
+      if (oldIndex !== -1 && order.indexOf(normalize(newColor)) === -1) {
+        order[oldIndex] = normalize(newColor);
+      }
+      return order;
+    },
+
+    /**
+     * Moves a color to another position, shifting the colors in between.
+     * @param {Array<string>} paletteOrder - Project palette order
+     * @param {number} from - Current position of the color
+     * @param {number} to - New position of the color
+     * @return {Array<string>} The updated palette order
+     */
+    moveColor : function (paletteOrder, from, to) {
+      var order = paletteOrder.slice();
+      to = Math.max(0, Math.min(order.length - 1, to));
+      order.splice(to, 0, order.splice(from, 1)[0]);
+      return order;
+    },
+
+    /**
+     * @param {Array<string>} paletteOrder - Project palette order
+     * @param {Array<string>} currentColors - Colors used by the project
+     * @return {Array<string>} The palette order without unused colors
+     */
+    removeUnusedColors : function (paletteOrder, currentColors) {
+      var used = currentColors.map(normalize);
+      return paletteOrder.filter(function (color) {
+        return used.indexOf(normalize(color)) !== -1;
+      });
+    },
+
+    /**
+     * Builds the color map used by the tile encoders: transparent maps to
+     * index 0, indexed colors to indexes 1 and up.
+     * @param {Array<string>} colors - Colors in palette index order
+     * @param {number=} maxColors - Number of colors to map, defaults to all
+     * @return {Object<number, number>} Color int to palette index map
+     */
+    createColorMap : function (colors, maxColors) {
+      var colorMap = {0 : 0};
+      var count = maxColors ? Math.min(colors.length, maxColors) : colors.length;
+      for (var i = 0; i < count; i++) {
+        colorMap[pskl.utils.colorToInt(colors[i])] = i + 1;
+      }
+      return colorMap;
+    }
+  };
+})();
@@ -0,0 +1,20 @@
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /**
+   * Non-square pixels of the active console mode (see
+   * ConsoleMode.pixelAspect), used by the drawing area to display sprites
+   * as on the target. Stored frames and exports are not stretched.
+   */
+  ns.PixelAspectUtils = {
+    /**
+     * @return {Number} width of a pixel relative to its height, 1 when the
+     *         console has square pixels or no console mode is active
+     */
+    get : function () {
+      var registry = pskl.app.consoleRegistry;
+      var mode = registry && registry.getActive();
+      return (mode && mode.pixelAspect) || 1;
+    }
+  };
+})();
@@ -21,6 +21,12 @@
       var resizedPiskel = pskl.model.Piskel.fromLayers(resizedLayers, fps, piskel.getDescriptor());
       // propagate savepath to new Piskel
       resizedPiskel.savePath = piskel.savePath;
+      // sub-palettes are project settings, regions keep their assignment
+      resizedPiskel.subPalettes = piskel.getSubPalettes();
+      resizedPiskel.tilePalettes = piskel.getTilePalettes();
+      resizedPiskel.paletteOrder = piskel.getPaletteOrder();
+      resizedPiskel.vramBudget = piskel.getVramBudget();
+      resizedPiskel.setIndexed(piskel.isIndexed());
 
       return resizedPiskel;
     },
@@ -0,0 +1,118 @@
+/**
+ * ScanlineUtils - Counts hardware sprites per scanline.
+ *
+ * Frames are split into hardware sprites on a grid aligned with the top-left
+ * corner of the frame, fully transparent sprites are skipped. A sprite counts
+ * on every line it covers, even where its pixels are transparent, as the
+ * hardware selects sprites by their Y range only. Sprite pixels are the
+ * widths of those sprites, which is what consoles limiting the number of
+ * sprite tiles or dots fetched per line count.
+ *
+ * Limits come from ConsoleMode.scanlineLimits: {sprites, pixels}, pixels
+ * being optional.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  ns.ScanlineUtils = {
+    /**
+     * Picks the sprite size used to split frames: the largest hardware size
+     * fitting in the frame, or the smallest size for frames smaller than all
+     * sprite sizes.
+     * @param {pskl.consoles.ConsoleMode} mode
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @return {{width: number, height: number}|null} null when the console
+     *         has no sprite size
+     */
+    getSpriteSize : function (mode, width, height) {
+      var sizes = (mode && mode.spriteSizes || []).map(pskl.utils.MetaspriteUtils.parseSize);
+      if (!sizes.length) {
+        return null;
+      }
+      return sizes.reduce(function (best, size) {
+        var fits = size.width <= width && size.height <= height;
+        var isLarger = size.width * size.height > best.width * best.height;
+        return fits && isLarger ? size : best;
+      });
+    },
+
+    /**
+     * Counts sprites and sprite pixels on each line of a frame.
+     * @param {Uint8ClampedArray} pixels - RGBA data of the frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {{width: number, height: number}} spriteSize
+     * @return {{sprites: Array<number>, pixels: Array<number>}} Counts per line
+     */
+    countScanlines : function (pixels, width, height, spriteSize) {
+      var counts = {
+        sprites : new Array(height).fill(0),
+        pixels : new Array(height).fill(0)
+      };
+      for (var y = 0; y < height; y += spriteSize.height) {
+        for (var x = 0; x < width; x += spriteSize.width) {
+          var sprite = pskl.utils.MetaspriteUtils.extractArea(
+            pixels, width, height, x, y, spriteSize.width, spriteSize.height);
+          if (pskl.utils.MetaspriteUtils.isTransparent(sprite)) {
+            continue;
+          }
+          for (var line = y; line < Math.min(y + spriteSize.height, height); line++) {
+            counts.sprites[line]++;
+            counts.pixels[line] += spriteSize.width;
+          }
+        }
+      }
+      return counts;
+    },
+
+    /**
+     * @param {{sprites: Array<number>, pixels: Array<number>}} counts
+     * @param {Object} limits - {sprites, pixels}
+     * @param {number} line
+     * @return {number} Highest ratio between a count and its limit, above 1
+     *         when sprites are dropped on this line
+     */
+    getLoad : function (counts, limits, line) {
+      var load = counts.sprites[line] / limits.sprites;
+      if (limits.pixels) {
+        load = Math.max(load, counts.pixels[line] / limits.pixels);
+      }
+      return load;
+    },
+
+    /**
+     * @param {{sprites: Array<number>, pixels: Array<number>}} counts
+     * @param {Object} limits - {sprites, pixels}
+     * @return {Array<number>} Lines exceeding the limits
+     */
+    getOverflowLines : function (counts, limits) {
+      var lines = [];
+      for (var line = 0; line < counts.sprites.length; line++) {
+        if (ns.ScanlineUtils.getLoad(counts, limits, line) > 1) {
+          lines.push(line);
+        }
+      }
+      return lines;
+    },
+
+    /**
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {{width: number, height: number}} spriteSize
+     * @param {Object} limits - {sprites, pixels}
+     * @return {Array<number>} Indexes of the frames exceeding the limits
+     */
+    getOverflowFrames : function (framesPixels, width, height, spriteSize, limits) {
+      var frames = [];
+      framesPixels.forEach(function (pixels, index) {
+        var counts = ns.ScanlineUtils.countScanlines(pixels, width, height, spriteSize);
+        if (ns.ScanlineUtils.getOverflowLines(counts, limits).length) {
+          frames.push(index);
+        }
+      });
+      return frames;
+    }
+  };
+})();
@@ -0,0 +1,301 @@
+/**
+ * SubPaletteUtils - Per-region sub-palette helpers.
+ *
+ * Consoles such as the NES, SNES, Genesis, GBC and GBA give sprites several
+ * sub-palettes. A project defines a list of sub-palettes (hex colors, without
+ * the transparent entry) and assigns one of them to each 8x8 region of the
+ * frame. Assignments are stored as an object keyed by 'col,row'; regions
+ * without an entry use sub-palette 0.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Default region size in pixels. */
+  var DEFAULT_REGION_SIZE = 8;
+
+  /**
+   * @param {number} r
+   * @param {number} g
+   * @param {number} b
+   * @return {string} Uppercase '#RRGGBB' color
+   */
+  var toHex = function (r, g, b) {
+    return '#' + ('000000' + ((r << 16) | (g << 8) | b).toString(16)).substr(-6).toUpperCase();
+  };
+
+  /**
+   * @param {Array<string>} palette
+   * @return {Array<string>} Uppercase hex colors
+   */
+  var normalize = function (palette) {
+    return (palette || []).map(function (color) {
+      return window.tinycolor(color).toHexString().toUpperCase();
+    });
+  };
+
+  ns.SubPaletteUtils = {
+    /**
+     * Gets the sub-palettes exporters should use for a console.
+     * @param {pskl.consoles.ConsoleMode} mode - Console mode
+     * @param {pskl.model.Piskel} piskel
+     * @return {Array<Array<string>>|null} The project sub-palettes, up to the
+     *         console's sub-palette count, or null when they do not apply
+     */
+    getConsoleSubPalettes : function (mode, piskel) {
+      var subPalettes = piskel.getSubPalettes();
+      if (!mode || !mode.usesSubPalettes(subPalettes)) {
+        return null;
+      }
+      return subPalettes.slice(0, mode.subPaletteCount);
+    },
+
+    /**
+     * @param {number} col - Region column
+     * @param {number} row - Region row
+     * @return {string} Key of the region in tile palette assignments
+     */
+    getRegionKey : function (col, row) {
+      return col + ',' + row;
+    },
+
+    /**
+     * @param {Object<string, number>} tilePalettes - Region assignments
+     * @param {number} col - Region column
+     * @param {number} row - Region row
+     * @return {number} Sub-palette index of the region
+     */
+    getPaletteIndex : function (tilePalettes, col, row) {
+      var key = ns.SubPaletteUtils.getRegionKey(col, row);
+      return (tilePalettes && tilePalettes[key]) || 0;
+    },
+
+    /**
+     * Returns a copy of the assignments with the region set to the given
+     * sub-palette. Sub-palette 0 is the default and is not stored.
+     * @param {Object<string, number>} tilePalettes - Region assignments
+     * @param {number} col - Region column
+     * @param {number} row - Region row
+     * @param {number} index - Sub-palette index
+     * @return {Object<string, number>}
+     */
+    setPaletteIndex : function (tilePalettes, col, row, index) {
+      var result = Object.assign({}, tilePalettes);
+      var key = ns.SubPaletteUtils.getRegionKey(col, row);
+      if (index) {
+        result[key] = index;
+      } else {
+        delete result[key];
+      }
+      return result;
+    },
+
+    /**
+     * Lists the opaque colors (alpha >= 128) of a region.
+     * @param {Uint8ClampedArray} pixels - RGBA data of the frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} col - Region column
+     * @param {number} row - Region row
+     * @param {number=} regionSize - Region size in pixels
+     * @return {Array<string>} Uppercase hex colors, in order of appearance
+     */
+    getRegionColors : function (pixels, width, height, col, row, regionSize) {
+      regionSize = regionSize || DEFAULT_REGION_SIZE;
+      var colors = [];
+      var maxY = Math.min(height, (row + 1) * regionSize);
+      var maxX = Math.min(width, (col + 1) * regionSize);
+      for (var y = row * regionSize; y < maxY; y++) {
+        for (var x = col * regionSize; x < maxX; x++) {
+          var i = (y * width + x) * 4;
+          if (pixels[i + 3] >= 128) {
+            var color = toHex(pixels[i], pixels[i + 1], pixels[i + 2]);
+            if (colors.indexOf(color) === -1) {
+              colors.push(color);
+            }
+          }
+        }
+      }
+      return colors;
+    },
+
+    /**
+     * Finds the first sub-palette containing all the given colors.
+     * @param {Array<Array<string>>} subPalettes
+     * @param {Array<string>} colors - Uppercase hex colors
+     * @return {number} Sub-palette index, -1 if none matches
+     */
+    findPalette : function (subPalettes, colors) {
+      for (var i = 0; i < subPalettes.length; i++) {
+        var palette = normalize(subPalettes[i]);
+        var matches = colors.every(function (color) {
+          return palette.indexOf(color) !== -1;
+        });
+        if (matches) {
+          return i;
+        }
+      }
+      return -1;
+    },
+
+    /**
+     * Validates every region of every frame.
+     *
+     * With sub-palettes, a region is invalid when it uses a color missing
+     * from its assigned sub-palette. Without sub-palettes, a region is invalid
+     * when it uses more than maxColors colors.
+     *
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} options
+     *        - subPalettes: Array<Array<string>>
+     *        - tilePalettes: region assignments
+     *        - maxColors: colors per sub-palette (+ transparent)
+     *        - regionSize: region size in pixels, defaults to 8
+     * @return {Array<Object>} One {frame, col, row, palette, colors, outside}
+     *         entry per invalid region, outside listing the offending colors
+     */
+    validateRegions : function (framesPixels, width, height, options) {
+      var regionSize = options.regionSize || DEFAULT_REGION_SIZE;
+      var subPalettes = options.subPalettes || [];
+      var cols = Math.ceil(width / regionSize);
+      var rows = Math.ceil(height / regionSize);
+      var palettes = subPalettes.map(normalize);
+      var invalid = [];
+
+      framesPixels.forEach(function (pixels, frame) {
+        for (var row = 0; row < rows; row++) {
+          for (var col = 0; col < cols; col++) {
+            var colors = ns.SubPaletteUtils.getRegionColors(
+              pixels, width, height, col, row, regionSize);
+            var paletteIndex = ns.SubPaletteUtils.getPaletteIndex(options.tilePalettes, col, row);
+
+            var outside;
+            if (palettes.length) {
+              var palette = palettes[paletteIndex] || [];
+              outside = colors.filter(function (color) {
+                return palette.indexOf(color) === -1;
+              });
+            } else {
+              outside = options.maxColors ? colors.slice(options.maxColors) : [];
+            }
+
+            if (outside.length) {
+              invalid.push({
+                frame : frame,
+                col : col,
+                row : row,
+                palette : paletteIndex,
+                colors : colors,
+                outside : outside
+              });
+            }
+          }
+        }
+      });
+
+      return invalid;
+    },
+
+    /**
+     * Assigns to each region the first sub-palette containing all the colors
+     * the region uses across frames. Regions no sub-palette can display keep
+     * their current assignment.
+     *
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object} options - {subPalettes, tilePalettes, regionSize}
+     * @return {{tilePalettes: Object<string, number>, unassigned: number}}
+     */
+    autoAssign : function (framesPixels, width, height, options) {
+      var regionSize = options.regionSize || DEFAULT_REGION_SIZE;
+      var cols = Math.ceil(width / regionSize);
+      var rows = Math.ceil(height / regionSize);
+      var tilePalettes = Object.assign({}, options.tilePalettes);
+      var unassigned = 0;
+
+      for (var row = 0; row < rows; row++) {
+        for (var col = 0; col < cols; col++) {
+          var colors = [];
+          framesPixels.forEach(function (pixels) {
+            ns.SubPaletteUtils.getRegionColors(pixels, width, height, col, row, regionSize)
+              .forEach(function (color) {
+                if (colors.indexOf(color) === -1) {
+                  colors.push(color);
+                }
+              });
+          });
+
+          if (!colors.length) {
+            continue;
+          }
+          var index = ns.SubPaletteUtils.findPalette(options.subPalettes, colors);
+          if (index === -1) {
+            unassigned++;
+          } else {
+            tilePalettes = ns.SubPaletteUtils.setPaletteIndex(tilePalettes, col, row, index);
+          }
+        }
+      }
+
+      return {tilePalettes : tilePalettes, unassigned : unassigned};
+    },
+
+    /**
+     * Builds the color maps used by the tile encoders, one per sub-palette.
+     * Transparent maps to index 0, sub-palette colors to indexes 1 and up.
+     * @param {Array<Array<string>>} subPalettes
+     * @return {Array<Object<number, number>>} Color int to color index maps
+     */
+    createColorMaps : function (subPalettes) {
+      return subPalettes.map(function (palette) {
+        var colorMap = {0 : 0};
+        palette.forEach(function (color, i) {
+          colorMap[pskl.utils.colorToInt(color)] = i + 1;
+        });
+        return colorMap;
+      });
+    },
+
+    /**
+     * Builds the index maps used by the tile encoders, one per sub-palette:
+     * the palette index of each sub-palette color maps to its color index
+     * (see createColorMaps and TileUtils.createIndexMap).
+     * @param {Array<Array<string>>} subPalettes
+     * @param {pskl.model.IndexedPalette} palette - Palette of the exported frames
+     * @return {Array<Object<number, number>>} Palette index to color index maps
+     */
+    createIndexMaps : function (subPalettes, palette) {
+      return ns.SubPaletteUtils.createColorMaps(subPalettes).map(function (colorMap) {
+        return pskl.utils.TileUtils.createIndexMap(palette, colorMap);
+      });
+    },
+
+    /**
+     * Lists the sub-palette index of every tile position, frame by frame and
+     * row by row, like the tile maps built by TileUtils.buildTileSet.
+     * @param {Object<string, number>} tilePalettes - Region assignments
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} frameCount
+     * @param {number=} regionSize - Region size in pixels
+     * @return {Uint8Array} One byte per tile position
+     */
+    encodePaletteIndexes : function (tilePalettes, width, height, frameCount, regionSize) {
+      regionSize = regionSize || DEFAULT_REGION_SIZE;
+      var cols = Math.floor(width / regionSize);
+      var rows = Math.floor(height / regionSize);
+      var bytes = new Uint8Array(frameCount * cols * rows);
+      var byteIndex = 0;
+      for (var f = 0; f < frameCount; f++) {
+        for (var row = 0; row < rows; row++) {
+          for (var col = 0; col < cols; col++) {
+            bytes[byteIndex++] = ns.SubPaletteUtils.getPaletteIndex(tilePalettes, col, row);
+          }
+        }
+      }
+      return bytes;
+    }
+  };
+})();
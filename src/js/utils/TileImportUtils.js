@@ -0,0 +1,450 @@
+/**
+ * TileImportUtils - Decoders for the console tile binaries written by the
+ * tile exporters (.chr, .2bpp, .4bpp, .8bpp, .1bpp) and their palettes.
+ *
+ * Tiles are decoded to 64 palette indexes (8x8, row by row). Decoded tiles
+ * are laid out the way the exporters read them: each frame is tilesPerRow
+ * tiles wide, its tiles stored row by row, and frames follow each other.
+ *
+ * Palettes are decoded to hex colors, one sub-palette after the other.
+ * Index 0 of every sub-palette is transparent.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Tile size in pixels. */
+  var TILE_SIZE = 8;
+
+  /**
+   * Expands an n-bit color channel to 8 bits, the same way the console
+   * modes snap colors, so decoded colors export back to the same value.
+   * @param {number} value - Channel value
+   * @param {number} bits - Channel depth
+   * @return {number} 8-bit channel value
+   */
+  var expand = function (value, bits) {
+    var max = (1 << bits) - 1;
+    return Math.round(value * 255 / max);
+  };
+
+  var toHex = function (r, g, b) {
+    return window.tinycolor({r: r, g: g, b: b}).toHexString().toUpperCase();
+  };
+
+  /**
+   * Tile decoders, one per bit layout. Each reads one tile from data at
+   * offset and returns its 64 palette indexes.
+   */
+  var TILE_DECODERS = {
+    // NES: bitplane 0 for all 8 rows, then bitplane 1
+    planar2bpp : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var y = 0; y < 8; y++) {
+        var lo = data[offset + y];
+        var hi = data[offset + 8 + y];
+        for (var x = 0; x < 8; x++) {
+          var bit = 7 - x;
+          indexes[y * 8 + x] = ((lo >> bit) & 1) | (((hi >> bit) & 1) << 1);
+        }
+      }
+      return indexes;
+    },
+
+    // Game Boy: bitplanes 0 and 1 interleaved row by row
+    interleaved2bpp : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var y = 0; y < 8; y++) {
+        var lo = data[offset + y * 2];
+        var hi = data[offset + y * 2 + 1];
+        for (var x = 0; x < 8; x++) {
+          var bit = 7 - x;
+          indexes[y * 8 + x] = ((lo >> bit) & 1) | (((hi >> bit) & 1) << 1);
+        }
+      }
+      return indexes;
+    },
+
+    // SNES, PC Engine BG: bitplanes 0/1 interleaved, then bitplanes 2/3 interleaved
+    snes4bpp : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var y = 0; y < 8; y++) {
+        var bp0 = data[offset + y * 2];
+        var bp1 = data[offset + y * 2 + 1];
+        var bp2 = data[offset + 16 + y * 2];
+        var bp3 = data[offset + 16 + y * 2 + 1];
+        for (var x = 0; x < 8; x++) {
+          var bit = 7 - x;
+          indexes[y * 8 + x] = ((bp0 >> bit) & 1) |
+            (((bp1 >> bit) & 1) << 1) |
+            (((bp2 >> bit) & 1) << 2) |
+            (((bp3 >> bit) & 1) << 3);
+        }
+      }
+      return indexes;
+    },
+
+    // Genesis, SMS, Game Gear, MSX2: two pixels per byte, left pixel in the high nibble
+    packed4bpp : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var i = 0; i < 32; i++) {
+        var value = data[offset + i];
+        indexes[i * 2] = value >> 4;
+        indexes[i * 2 + 1] = value & 0x0F;
+      }
+      return indexes;
+    },
+
+    // GBA: two pixels per byte, left pixel in the low nibble
+    packed4bppLow : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var i = 0; i < 32; i++) {
+        var value = data[offset + i];
+        indexes[i * 2] = value & 0x0F;
+        indexes[i * 2 + 1] = value >> 4;
+      }
+      return indexes;
+    },
+
+    // GBA 8bpp: one byte per pixel
+    linear8bpp : function (data, offset) {
+      return new Uint8Array(data.subarray(offset, offset + 64));
+    },
+
+    // MSX1: one bit per pixel, set bits use the sprite color
+    mono1bpp : function (data, offset) {
+      var indexes = new Uint8Array(64);
+      for (var y = 0; y < 8; y++) {
+        var row = data[offset + y];
+        for (var x = 0; x < 8; x++) {
+          indexes[y * 8 + x] = (row >> (7 - x)) & 1;
+        }
+      }
+      return indexes;
+    }
+  };
+
+  /**
+   * Palette file formats, matching the exporters' generatePaletteData_.
+   * channelBits is used to build a gray ramp when no palette is provided.
+   */
+  var PALETTE_FORMATS = {
+    // NES: one PPU color register per entry
+    nes : {
+      bytesPerColor : 1,
+      decode : function (data, offset) {
+        var register = '$' + ('0' + data[offset].toString(16).toUpperCase()).slice(-2);
+        var entry = pskl.consoles.NESConstants.PALETTE_DATA.find(function (e) {
+          return e.register === register;
+        });
+        return entry ? entry.color.toUpperCase() : '#000000';
+      }
+    },
+
+    // SNES, GBC, GBA: BGR555 little-endian (GGGRRRRR 0BBBBBGG)
+    rgb555 : {
+      bytesPerColor : 2,
+      channelBits : 5,
+      decode : function (data, offset) {
+        var value = data[offset] | (data[offset + 1] << 8);
+        return toHex(
+          expand(value & 0x1F, 5),
+          expand((value >> 5) & 0x1F, 5),
+          expand((value >> 10) & 0x1F, 5));
+      }
+    },
+
+    // Genesis CRAM: GGG0RRR0 0000BBB0
+    genesis : {
+      bytesPerColor : 2,
+      channelBits : 3,
+      decode : function (data, offset) {
+        return toHex(
+          expand((data[offset] >> 1) & 0x07, 3),
+          expand((data[offset] >> 5) & 0x07, 3),
+          expand((data[offset + 1] >> 1) & 0x07, 3));
+      }
+    },
+
+    // SMS CRAM: --BBGGRR
+    sms : {
+      bytesPerColor : 1,
+      channelBits : 2,
+      decode : function (data, offset) {
+        var value = data[offset];
+        return toHex(
+          expand(value & 0x03, 2),
+          expand((value >> 2) & 0x03, 2),
+          expand((value >> 4) & 0x03, 2));
+      }
+    },
+
+    // Game Gear CRAM: GGGGRRRR ----BBBB
+    gamegear : {
+      bytesPerColor : 2,
+      channelBits : 4,
+      decode : function (data, offset) {
+        return toHex(
+          expand(data[offset] & 0x0F, 4),
+          expand((data[offset] >> 4) & 0x0F, 4),
+          expand(data[offset + 1] & 0x0F, 4));
+      }
+    },
+
+    // MSX2 V9938 palette registers: 0RRR0GGG 0BBB0000
+    v9938 : {
+      bytesPerColor : 2,
+      channelBits : 3,
+      decode : function (data, offset) {
+        return toHex(
+          expand((data[offset] >> 4) & 0x07, 3),
+          expand(data[offset] & 0x07, 3),
+          expand((data[offset + 1] >> 4) & 0x07, 3));
+      }
+    },
+
+    // PC Engine VCE words, little-endian: 0000000G GGRRRBBB
+    vce : {
+      bytesPerColor : 2,
+      channelBits : 3,
+      decode : function (data, offset) {
+        var value = data[offset] | (data[offset + 1] << 8);
+        return toHex(
+          expand((value >> 3) & 0x07, 3),
+          expand((value >> 6) & 0x07, 3),
+          expand(value & 0x07, 3));
+      }
+    }
+  };
+
+  /**
+   * Tile formats written by the exporters.
+   *   - extension: file extension written by the exporter
+   *   - console: console mode the imported piskel is created in
+   *   - bitsPerPixel / bytesPerTile: tile encoding size
+   *   - decoder: key in TILE_DECODERS
+   *   - palette: key in PALETTE_FORMATS, or null for fixed palettes
+   */
+  var FORMATS = {
+    'nes' : {
+      name : 'NES CHR', extension : 'chr', console : 'nes',
+      bitsPerPixel : 2, bytesPerTile : 16, decoder : 'planar2bpp', palette : 'nes'
+    },
+    'gameboy' : {
+      name : 'Game Boy 2BPP', extension : '2bpp', console : 'gameboy',
+      bitsPerPixel : 2, bytesPerTile : 16, decoder : 'interleaved2bpp', palette : null
+    },
+    'gbc' : {
+      name : 'Game Boy Color 2BPP', extension : '2bpp', console : 'gbc',
+      bitsPerPixel : 2, bytesPerTile : 16, decoder : 'interleaved2bpp', palette : 'rgb555'
+    },
+    'snes' : {
+      name : 'SNES 4BPP', extension : '4bpp', console : 'snes',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'snes4bpp', palette : 'rgb555'
+    },
+    'genesis' : {
+      name : 'Genesis 4BPP', extension : '4bpp', console : 'genesis',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bpp', palette : 'genesis'
+    },
+    'sms' : {
+      name : 'Master System 4BPP', extension : '4bpp', console : 'sms',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bpp', palette : 'sms'
+    },
+    'gamegear' : {
+      name : 'Game Gear 4BPP', extension : '4bpp', console : 'gamegear',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bpp', palette : 'gamegear'
+    },
+    'gba' : {
+      name : 'GBA 4BPP', extension : '4bpp', console : 'gba',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bppLow', palette : 'rgb555'
+    },
+    'gba8bpp' : {
+      name : 'GBA 8BPP', extension : '8bpp', console : 'gba8bpp',
+      bitsPerPixel : 8, bytesPerTile : 64, decoder : 'linear8bpp', palette : 'rgb555'
+    },
+    'msx' : {
+      name : 'MSX 1BPP', extension : '1bpp', console : 'msx',
+      bitsPerPixel : 1, bytesPerTile : 8, decoder : 'mono1bpp', palette : null
+    },
+    'msx2' : {
+      name : 'MSX2 4BPP', extension : '4bpp', console : 'msx2',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bpp', palette : 'v9938'
+    },
+    'msx2plus' : {
+      name : 'MSX2+ 4BPP', extension : '4bpp', console : 'msx2plus',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'packed4bpp', palette : 'v9938'
+    },
+    // BG tiles, the bitplanes of the sprite cells are not interleaved
+    'pce' : {
+      name : 'PC Engine BG 4BPP', extension : '4bpp', console : 'pce',
+      bitsPerPixel : 4, bytesPerTile : 32, decoder : 'snes4bpp', palette : 'vce'
+    }
+  };
+
+  ns.TileImportUtils = {
+    TILE_SIZE : TILE_SIZE,
+
+    FORMATS : FORMATS,
+
+    /**
+     * @param {string} formatId - Key in FORMATS
+     * @return {Object} Format definition
+     */
+    getFormat : function (formatId) {
+      var format = FORMATS[formatId];
+      if (!format) {
+        throw 'Unknown tile format: ' + formatId;
+      }
+      return format;
+    },
+
+    /**
+     * @param {string} fileName
+     * @return {Array<string>} IDs of the formats using the file extension
+     */
+    getFormatsForFile : function (fileName) {
+      var match = (/\.(\w+)$/).exec(fileName);
+      var extension = match ? match[1].toLowerCase() : '';
+      return Object.keys(FORMATS).filter(function (formatId) {
+        return FORMATS[formatId].extension === extension;
+      });
+    },
+
+    /**
+     * @param {string} fileName
+     * @return {boolean} True if the file uses a tile binary extension
+     */
+    isTileFile : function (fileName) {
+      return ns.TileImportUtils.getFormatsForFile(fileName).length > 0;
+    },
+
+    /**
+     * Decodes all complete tiles of a tile binary. Trailing bytes that do
+     * not fill a tile are ignored.
+     * @param {Uint8Array} data - Tile binary
+     * @param {string} formatId - Key in FORMATS
+     * @return {Array<Uint8Array>} 64 palette indexes per tile
+     */
+    decodeTiles : function (data, formatId) {
+      var format = ns.TileImportUtils.getFormat(formatId);
+      var decode = TILE_DECODERS[format.decoder];
+      var count = Math.floor(data.length / format.bytesPerTile);
+      var tiles = [];
+      for (var i = 0; i < count; i++) {
+        tiles.push(decode(data, i * format.bytesPerTile));
+      }
+      return tiles;
+    },
+
+    /**
+     * Decodes a palette file (.pal, CRAM dump) written for the format.
+     * @param {Uint8Array} data - Palette binary
+     * @param {string} formatId - Key in FORMATS
+     * @return {Array<Array<string>>} Sub-palettes of 2^bitsPerPixel colors,
+     *         the last one possibly shorter. Empty for fixed palette formats.
+     */
+    decodePalette : function (data, formatId) {
+      var format = ns.TileImportUtils.getFormat(formatId);
+      var paletteFormat = PALETTE_FORMATS[format.palette];
+      if (!paletteFormat) {
+        return [];
+      }
+
+      var colors = [];
+      var count = Math.floor(data.length / paletteFormat.bytesPerColor);
+      for (var i = 0; i < count; i++) {
+        colors.push(paletteFormat.decode(data, i * paletteFormat.bytesPerColor));
+      }
+
+      var size = 1 << format.bitsPerPixel;
+      var palettes = [];
+      for (var p = 0; p < colors.length; p += size) {
+        palettes.push(colors.slice(p, p + size));
+      }
+      return palettes;
+    },
+
+    /**
+     * Gets the colors used when no palette file is provided: the fixed
+     * console palette if any, otherwise a gray ramp the console can display.
+     * @param {string} formatId - Key in FORMATS
+     * @return {Array<string>} 2^bitsPerPixel colors, index 0 is transparent
+     */
+    getDefaultPalette : function (formatId) {
+      var format = ns.TileImportUtils.getFormat(formatId);
+      if (formatId === 'gameboy') {
+        return pskl.consoles.GameBoyConstants.PALETTE.map(function (color) {
+          return color.toUpperCase();
+        });
+      }
+      if (formatId === 'msx') {
+        return ['#000000', '#FFFFFF'];
+      }
+      if (format.palette === 'nes') {
+        // Black, dark gray, light gray and white registers
+        return [0x0F, 0x00, 0x10, 0x30].map(function (register) {
+          return PALETTE_FORMATS.nes.decode([register], 0);
+        });
+      }
+
+      var bits = PALETTE_FORMATS[format.palette].channelBits;
+      var max = (1 << bits) - 1;
+      var size = 1 << format.bitsPerPixel;
+      var colors = [];
+      for (var i = 0; i < size; i++) {
+        var value = expand(Math.round(i * max / (size - 1)), bits);
+        colors.push(toHex(value, value, value));
+      }
+      return colors;
+    },
+
+    /**
+     * Lays decoded tiles out in frames, as pixel buffers ready for
+     * pskl.model.Frame.fromPixelGrid. Index 0 and indexes missing from the
+     * palette are transparent.
+     * @param {Array<Uint8Array>} tiles - Decoded tiles
+     * @param {Array<string>} palette - Colors by palette index
+     * @param {Object} options
+     *        - {number} tilesPerRow: frame width in tiles
+     *        - {number=} frameRows: frame height in tiles, defaults to a
+     *          single frame holding every tile
+     * @return {Object} {width, height, frames: Array<Uint32Array>}
+     */
+    createFramesPixels : function (tiles, palette, options) {
+      var tileCount = Math.max(1, tiles.length);
+      var tilesPerRow = Math.max(1, Math.min(options.tilesPerRow || 1, tileCount));
+      var frameRows = options.frameRows || Math.ceil(tileCount / tilesPerRow);
+      var tilesPerFrame = tilesPerRow * frameRows;
+      var frameCount = Math.ceil(tileCount / tilesPerFrame);
+
+      var width = tilesPerRow * TILE_SIZE;
+      var height = frameRows * TILE_SIZE;
+      var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+      var colorInts = palette.map(function (color, index) {
+        return index === 0 ? transparent : pskl.utils.colorToInt(color);
+      });
+
+      var frames = [];
+      for (var f = 0; f < frameCount; f++) {
+        var pixels = new Uint32Array(width * height);
+        pixels.fill(transparent);
+        for (var t = 0; t < tilesPerFrame; t++) {
+          var tile = tiles[f * tilesPerFrame + t];
+          if (!tile) {
+            break;
+          }
+          var startX = (t % tilesPerRow) * TILE_SIZE;
+          var startY = Math.floor(t / tilesPerRow) * TILE_SIZE;
+          for (var i = 0; i < 64; i++) {
+            var color = colorInts[tile[i]];
+            var x = startX + (i % TILE_SIZE);
+            var y = startY + Math.floor(i / TILE_SIZE);
+            pixels[y * width + x] = color === undefined ? transparent : color;
+          }
+        }
+        frames.push(pixels);
+      }
+
+      return {width: width, height: height, frames: frames};
+    }
+  };
+})();
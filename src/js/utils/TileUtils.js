@@ -0,0 +1,416 @@
+/**
+ * TileUtils - Helpers shared by the console tile exporters.
+ *
+ * Tiles are handled as small standalone RGBA buffers (tileSize x tileSize),
+ * so they can be passed as-is to the exporters' encodeTile_ methods with an
+ * image width equal to the tile size.
+ *
+ * Tile map format (see encodeTileMaps):
+ *   - One 16-bit little-endian entry per tile position, row by row
+ *   - Bits 0-13: index in the exported tile data
+ *   - Bit 14: tile is mirrored horizontally
+ *   - Bit 15: tile is mirrored vertically
+ *   - Maps of all frames are concatenated (frame 0, then frame 1, etc.)
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Default tile size in pixels. */
+  var DEFAULT_TILE_SIZE = 8;
+
+  ns.TileUtils = {
+    /** @const {number} Tile map flag for horizontally mirrored tiles. */
+    FLIP_X : 0x4000,
+
+    /** @const {number} Tile map flag for vertically mirrored tiles. */
+    FLIP_Y : 0x8000,
+
+    /** @const {number} Mask for the tile index in a tile map entry. */
+    INDEX_MASK : 0x3FFF,
+
+    /**
+     * Renders every frame of the piskel and returns the RGBA data of each.
+     * Frames of indexed piskels are rendered from their palette indexes, with
+     * the exact palette colors.
+     * @param {Object} piskelController
+     * @return {Array<Uint8ClampedArray>} One RGBA buffer per frame
+     */
+    getFramesPixels : function (piskelController) {
+      var palette = piskelController.getPiskel().getPalette();
+      var framesPixels = [];
+      for (var f = 0; f < piskelController.getFrameCount(); f++) {
+        if (palette) {
+          var indexes = pskl.utils.LayerUtils.flattenIndexesAt(piskelController.getLayers(), f, palette);
+          framesPixels.push(ns.TileUtils.renderIndexes_(indexes, palette));
+        } else {
+          framesPixels.push(ns.TileUtils.renderFrame_(piskelController, f));
+        }
+      }
+      return framesPixels;
+    },
+
+    /**
+     * @param {Object} piskelController
+     * @param {number} index - Frame index
+     * @return {Uint8ClampedArray} RGBA data of the rendered frame
+     * @private
+     */
+    renderFrame_ : function (piskelController, index) {
+      var render = piskelController.renderFrameAt(index, true);
+      var ctx = render.getContext('2d');
+      return ctx.getImageData(0, 0, piskelController.getWidth(), piskelController.getHeight()).data;
+    },
+
+    /**
+     * Returns the palette the exporters write the indexes of: the palette of
+     * indexed piskels, or a palette of the passed colors for other piskels.
+     * @param {Object} piskelController
+     * @param {Array<string>} colors - Colors in index order, see
+     *        CurrentColorsService.getIndexedColors
+     * @return {pskl.model.IndexedPalette}
+     */
+    getPalette : function (piskelController, colors) {
+      return piskelController.getPiskel().getPalette() || new pskl.model.IndexedPalette(colors);
+    },
+
+    /**
+     * Returns the palette index of every pixel of every frame, stored in RGBA
+     * buffers so that tiles can be extracted, mirrored and compared like
+     * rendered frames: the red and green bytes hold the index, pixels with
+     * index 0 are transparent (see getPixelIndex).
+     *
+     * Frames of indexed piskels give their stored indexes. Frames of other
+     * piskels are rendered and indexed with the palette, pixels with an alpha
+     * below 128 are transparent and missing colors are added to the palette.
+     *
+     * @param {Object} piskelController
+     * @param {pskl.model.IndexedPalette} palette - Result of getPalette
+     * @return {Array<Uint8ClampedArray>} One buffer per frame
+     */
+    getFramesIndexes : function (piskelController, palette) {
+      var isIndexed = !!piskelController.getPiskel().getPalette();
+      var framesIndexes = [];
+      for (var f = 0; f < piskelController.getFrameCount(); f++) {
+        var indexes;
+        if (isIndexed) {
+          indexes = pskl.utils.LayerUtils.flattenIndexesAt(piskelController.getLayers(), f, palette);
+        } else {
+          indexes = ns.TileUtils.indexPixels_(ns.TileUtils.renderFrame_(piskelController, f), palette);
+        }
+        framesIndexes.push(ns.TileUtils.storeIndexes_(indexes));
+      }
+      return framesIndexes;
+    },
+
+    /**
+     * @param {Uint8ClampedArray} pixels - RGBA data
+     * @param {pskl.model.IndexedPalette} palette
+     * @return {Uint16Array} palette index of each pixel
+     * @private
+     */
+    indexPixels_ : function (pixels, palette) {
+      var colors = new Uint32Array(pixels.buffer, pixels.byteOffset, pixels.length / 4);
+      var indexes = new Uint16Array(colors.length);
+      for (var i = 0; i < colors.length; i++) {
+        if (colors[i] >>> 24 >= 128) {
+          indexes[i] = palette.addColor((colors[i] | 0xFF000000) >>> 0);
+        }
+      }
+      return indexes;
+    },
+
+    /**
+     * @param {Uint16Array} indexes - Palette index of each pixel
+     * @return {Uint8ClampedArray} RGBA buffer holding the indexes
+     * @private
+     */
+    storeIndexes_ : function (indexes) {
+      var pixels = new Uint8ClampedArray(indexes.length * 4);
+      for (var i = 0; i < indexes.length; i++) {
+        if (indexes[i]) {
+          pixels[i * 4] = indexes[i] & 0xFF;
+          pixels[i * 4 + 1] = indexes[i] >> 8;
+          pixels[i * 4 + 3] = 255;
+        }
+      }
+      return pixels;
+    },
+
+    /**
+     * Reads the palette index of a pixel of the getFramesIndexes buffers.
+     * @param {number} r - Red byte of the pixel
+     * @param {number} g - Green byte of the pixel
+     * @param {number} a - Alpha byte of the pixel
+     * @return {number} Palette index, 0 for transparent pixels
+     */
+    getPixelIndex : function (r, g, a) {
+      return a ? (g << 8) | r : 0;
+    },
+
+    /**
+     * Converts a color map (color int to exported index, see
+     * PaletteOrderUtils.createColorMap) to a map of palette indexes, so that
+     * the exporters write the indexes of the pixels without looking up their
+     * colors.
+     * @param {pskl.model.IndexedPalette} palette
+     * @param {Object<number, number>} colorMap
+     * @return {Object<number, number>} Palette index to exported index map,
+     *         indexes of colors missing from the color map are left out
+     */
+    createIndexMap : function (palette, colorMap) {
+      var indexMap = {0 : 0};
+      for (var i = 1; i <= palette.size(); i++) {
+        var colorInt = palette.getColorInt(i);
+        if (colorMap.hasOwnProperty(colorInt)) {
+          indexMap[i] = colorMap[colorInt];
+        }
+      }
+      return indexMap;
+    },
+
+    /**
+     * Returns the exported index of a pixel of the getFramesIndexes buffers.
+     * @param {Object<number, number>} indexMap - Result of createIndexMap
+     * @param {pskl.model.IndexedPalette} palette
+     * @param {number} r - Red byte of the pixel
+     * @param {number} g - Green byte of the pixel
+     * @param {number} a - Alpha byte of the pixel
+     * @return {number} Exported index
+     * @throws {Error} when the index of the pixel has no exported index
+     */
+    getExportIndex : function (indexMap, palette, r, g, a) {
+      var index = ns.TileUtils.getPixelIndex(r, g, a);
+      if (!indexMap.hasOwnProperty(index)) {
+        throw ns.TileUtils.createUnmappedColorError(palette.getColorInt(index), index);
+      }
+      return indexMap[index];
+    },
+
+    /**
+     * Creates the error thrown by the exporters for colors they can't encode.
+     * @param {string|number} color - Hex color or color int
+     * @param {number=} index - Palette index of the color, when exported by
+     *        palette index
+     * @return {Error}
+     */
+    createUnmappedColorError : function (color, index) {
+      var hexColor = pskl.utils.intToHex(pskl.utils.colorToInt(color)).toUpperCase();
+      return new Error('Color ' + hexColor + (index === undefined ? '' : ' (palette index ' + index + ')') +
+        ' has no index in the exported palette');
+    },
+
+    /**
+     * Checks that every pixel of the frames has an exported index, so that
+     * exporters can disable their downloads instead of failing in
+     * getExportIndex. With sub-palettes, an index is mapped when any of the
+     * sub-palettes holds it.
+     * @param {Object} piskelController
+     * @param {pskl.model.IndexedPalette} palette - Result of getPalette
+     * @param {Array<Object<number, number>>} indexMaps - Results of
+     *        createIndexMap
+     * @return {boolean} True when a pixel has no exported index
+     */
+    hasUnmappedPixels : function (piskelController, palette, indexMaps) {
+      var framesIndexes = ns.TileUtils.getFramesIndexes(piskelController, palette);
+      var checked = {};
+      for (var f = 0; f < framesIndexes.length; f++) {
+        var pixels = framesIndexes[f];
+        for (var i = 0; i < pixels.length; i += 4) {
+          var index = ns.TileUtils.getPixelIndex(pixels[i], pixels[i + 1], pixels[i + 3]);
+          if (checked[index]) {
+            continue;
+          }
+          checked[index] = true;
+          var isMapped = indexMaps.some(function (indexMap) {
+            return indexMap.hasOwnProperty(index);
+          });
+          if (!isMapped) {
+            return true;
+          }
+        }
+      }
+      return false;
+    },
+
+    /**
+     * @param {Uint16Array} indexes palette index of each pixel
+     * @param {pskl.model.IndexedPalette} palette
+     * @return {Uint8ClampedArray} RGBA data of the pixels
+     * @private
+     */
+    renderIndexes_ : function (indexes, palette) {
+      var colors = new Uint32Array(indexes.length);
+      for (var i = 0; i < indexes.length; i++) {
+        colors[i] = palette.getColorInt(indexes[i]);
+      }
+      return new Uint8ClampedArray(colors.buffer);
+    },
+
+    /**
+     * Copies a square tile out of a full image RGBA buffer.
+     * @param {Uint8ClampedArray} pixels - Full image RGBA data
+     * @param {number} imgWidth - Full image width
+     * @param {number} startX - Tile start X coordinate
+     * @param {number} startY - Tile start Y coordinate
+     * @param {number=} tileSize - Tile size in pixels, defaults to 8
+     * @return {Uint8ClampedArray} RGBA data of the tile
+     */
+    extractTile : function (pixels, imgWidth, startX, startY, tileSize) {
+      tileSize = tileSize || DEFAULT_TILE_SIZE;
+      var tile = new Uint8ClampedArray(tileSize * tileSize * 4);
+      for (var y = 0; y < tileSize; y++) {
+        var from = ((startY + y) * imgWidth + startX) * 4;
+        tile.set(pixels.subarray(from, from + tileSize * 4), y * tileSize * 4);
+      }
+      return tile;
+    },
+
+    /**
+     * Returns a mirrored copy of a tile.
+     * @param {Uint8ClampedArray} tile - RGBA data of the tile
+     * @param {number} tileSize - Tile size in pixels
+     * @param {boolean} flipX - Mirror horizontally
+     * @param {boolean} flipY - Mirror vertically
+     * @return {Uint8ClampedArray} RGBA data of the mirrored tile
+     */
+    flipTile : function (tile, tileSize, flipX, flipY) {
+      var flipped = new Uint8ClampedArray(tile.length);
+      for (var y = 0; y < tileSize; y++) {
+        for (var x = 0; x < tileSize; x++) {
+          var srcX = flipX ? tileSize - 1 - x : x;
+          var srcY = flipY ? tileSize - 1 - y : y;
+          var src = (srcY * tileSize + srcX) * 4;
+          var dest = (y * tileSize + x) * 4;
+          flipped[dest] = tile[src];
+          flipped[dest + 1] = tile[src + 1];
+          flipped[dest + 2] = tile[src + 2];
+          flipped[dest + 3] = tile[src + 3];
+        }
+      }
+      return flipped;
+    },
+
+    /**
+     * Builds a comparison key for a tile. All pixels considered transparent
+     * by the exporters (alpha < 128) share the same key.
+     * @param {Uint8ClampedArray} tile - RGBA data of the tile
+     * @return {string}
+     */
+    getTileKey : function (tile) {
+      var key = [];
+      for (var i = 0; i < tile.length; i += 4) {
+        var isTransparent = tile[i + 3] < 128;
+        key.push(isTransparent ? -1 : (tile[i] << 16) | (tile[i + 1] << 8) | tile[i + 2]);
+      }
+      return key.join(',');
+    },
+
+    /**
+     * Splits frames into tiles, row by row, and builds a tile map per frame.
+     *
+     * When options.optimize is set, identical tiles are only kept once and,
+     * if options.flip is set, tiles that are mirrors of an already kept tile
+     * reference it with the matching flip flags.
+     *
+     * When options.getPalette(tileX, tileY) is set, tiles are only merged
+     * with tiles using the same sub-palette, and the sub-palette of each
+     * tile is listed in palettes.
+     *
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {Object=} options - {optimize, flip, tileSize, getPalette}
+     * @return {{tiles: Array<Uint8ClampedArray>, maps: Array<Array<Object>>,
+     *         palettes: Array<number>}}
+     *         maps contain one {index, flipX, flipY} entry per tile position,
+     *         plus the palette when options.getPalette is set
+     */
+    buildTileSet : function (framesPixels, width, height, options) {
+      options = options || {};
+      var tileSize = options.tileSize || DEFAULT_TILE_SIZE;
+      var tilesX = Math.floor(width / tileSize);
+      var tilesY = Math.floor(height / tileSize);
+
+      var tiles = [];
+      var palettes = [];
+      var maps = [];
+      var keyToIndex = {};
+
+      var findTile = function (tile, palette) {
+        var variants = [{flipX: false, flipY: false}];
+        if (options.flip) {
+          variants.push(
+            {flipX: true, flipY: false},
+            {flipX: false, flipY: true},
+            {flipX: true, flipY: true}
+          );
+        }
+
+        for (var i = 0; i < variants.length; i++) {
+          var v = variants[i];
+          var candidate = (v.flipX || v.flipY) ?
+            ns.TileUtils.flipTile(tile, tileSize, v.flipX, v.flipY) : tile;
+          var key = palette + ':' + ns.TileUtils.getTileKey(candidate);
+          if (keyToIndex.hasOwnProperty(key)) {
+            return {index: keyToIndex[key], flipX: v.flipX, flipY: v.flipY};
+          }
+        }
+        return null;
+      };
+
+      framesPixels.forEach(function (pixels) {
+        var map = [];
+        for (var tileY = 0; tileY < tilesY; tileY++) {
+          for (var tileX = 0; tileX < tilesX; tileX++) {
+            var tile = ns.TileUtils.extractTile(
+              pixels, width, tileX * tileSize, tileY * tileSize, tileSize);
+
+            var palette = options.getPalette ? options.getPalette(tileX, tileY) : 0;
+            var entry = options.optimize ? findTile(tile, palette) : null;
+            if (!entry) {
+              entry = {index: tiles.length, flipX: false, flipY: false};
+              keyToIndex[palette + ':' + ns.TileUtils.getTileKey(tile)] = tiles.length;
+              tiles.push(tile);
+              palettes.push(palette);
+            }
+            if (options.getPalette) {
+              entry.palette = palette;
+            }
+            map.push(entry);
+          }
+        }
+        maps.push(map);
+      });
+
+      return {tiles: tiles, maps: maps, palettes: palettes};
+    },
+
+    /**
+     * Encodes tile maps as 16-bit little-endian entries.
+     * @param {Array<Array<Object>>} maps - Tile maps from buildTileSet
+     * @return {Uint8Array}
+     */
+    encodeTileMaps : function (maps) {
+      var entryCount = maps.reduce(function (count, map) {
+        return count + map.length;
+      }, 0);
+
+      var bytes = new Uint8Array(entryCount * 2);
+      var byteIndex = 0;
+      maps.forEach(function (map) {
+        map.forEach(function (entry) {
+          var value = entry.index & ns.TileUtils.INDEX_MASK;
+          if (entry.flipX) {
+            value |= ns.TileUtils.FLIP_X;
+          }
+          if (entry.flipY) {
+            value |= ns.TileUtils.FLIP_Y;
+          }
+          bytes[byteIndex++] = value & 0xFF;
+          bytes[byteIndex++] = (value >> 8) & 0xFF;
+        });
+      });
+      return bytes;
+    }
+  };
+})();
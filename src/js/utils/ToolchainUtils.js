@@ -0,0 +1,452 @@
+/**
+ * ToolchainUtils - Generates resource files for console development kits.
+ *
+ * Presets:
+ *   - sgdk (Genesis): rescomp .res with BIN resources + generated-style .h
+ *   - gbdk (Game Boy / GBC): png2asset-style .c/.h with metasprites
+ *   - pvsneslib (SNES): gfx4snes-style .pic/.pal/.map + .asm/.h includes
+ *   - grit-asm / grit-c (GBA): grit-style .s/.h or .c/.h
+ *
+ * Each generator receives the data already encoded by the console exporter
+ * and returns a map of file names to contents (string or Uint8Array),
+ * ready to be zipped.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  /** @const {number} Values per line in C arrays. */
+  var VALUES_PER_LINE = 16;
+
+  /**
+   * @param {number} value
+   * @param {number} digits
+   * @return {string} C hex literal
+   */
+  var toHex = function (value, digits) {
+    return '0x' + ('00000000' + value.toString(16).toUpperCase()).substr(-digits);
+  };
+
+  /**
+   * Formats values as the body of a C array initializer.
+   * @param {Array<number>} values
+   * @param {number} digits - Hex digits per value
+   * @param {number=} perLine - Values per line
+   * @return {string}
+   */
+  var formatValues = function (values, digits, perLine) {
+    perLine = perLine || VALUES_PER_LINE;
+    var lines = [];
+    for (var i = 0; i < values.length; i += perLine) {
+      lines.push('  ' + values.slice(i, i + perLine).map(function (value) {
+        return toHex(value, digits);
+      }).join(','));
+    }
+    return lines.join(',\n');
+  };
+
+  /**
+   * Reads little-endian values of the given byte size.
+   * @param {Uint8Array} bytes
+   * @param {number} size - 1, 2 or 4
+   * @return {Array<number>}
+   */
+  var readValues = function (bytes, size) {
+    var values = [];
+    for (var i = 0; i + size <= bytes.length; i += size) {
+      var value = 0;
+      for (var b = size - 1; b >= 0; b--) {
+        value = (value * 256) + bytes[i + b];
+      }
+      values.push(value);
+    }
+    return values;
+  };
+
+  /**
+   * Swaps the bytes of 16-bit words (little-endian to big-endian).
+   * @param {Uint8Array} bytes
+   * @return {Uint8Array}
+   */
+  var swapWords = function (bytes) {
+    var swapped = new Uint8Array(bytes.length);
+    for (var i = 0; i + 1 < bytes.length; i += 2) {
+      swapped[i] = bytes[i + 1];
+      swapped[i + 1] = bytes[i];
+    }
+    return swapped;
+  };
+
+  /**
+   * @param {string} label
+   * @return {string} camelCase version of a snake_case label
+   */
+  var toCamelCase = function (label) {
+    return label.replace(/_([a-z0-9])/g, function (match, c) {
+      return c.toUpperCase();
+    });
+  };
+
+  /**
+   * Builds the grit header comment lines shared by the .s/.c and .h files.
+   * @param {string} label
+   * @param {Object} data
+   * @return {Array<string>}
+   */
+  var getGritInfo = function (label, data) {
+    var sizes = [data.palette.length, data.tiles.length];
+    var info = [
+      label + ', ' + data.width + 'x' + data.height + '@' + data.bpp + ', ',
+      '+ palette ' + (data.palette.length / 2) + ' entries, not compressed',
+      '+ ' + data.tileCount + ' tiles' + (data.optimized ? ' (t|f reduced)' : '') + ' not compressed'
+    ];
+    if (data.optimized) {
+      info.push('+ regular map (flat), not compressed, ' +
+        (data.width / 8) + 'x' + (data.height / 8) * data.frameCount);
+      sizes.push(data.maps.length);
+    }
+    info.push('Total size: ' + sizes.join(' + ') + ' = ' + sizes.reduce(function (a, b) {
+      return a + b;
+    }, 0));
+    return info;
+  };
+
+  /**
+   * Lists the grit data arrays: [symbol, bytes, element byte size].
+   * @param {string} symbol - camelCase base symbol
+   * @param {Object} data
+   * @return {Array<Array>}
+   */
+  var getGritArrays = function (symbol, data) {
+    var arrays = [[symbol + 'Tiles', data.tiles, 4]];
+    if (data.optimized) {
+      arrays.push([symbol + 'Map', data.maps, 2]);
+    }
+    arrays.push([symbol + 'Pal', data.palette, 2]);
+    return arrays;
+  };
+
+  var generateGritHeader = function (label, symbol, data) {
+    var guard = 'GRIT_' + label.toUpperCase() + '_H';
+    var lines = ['//{{BLOCK(' + label + ')', '', '//' + new Array(71).join('='), '//'];
+    getGritInfo(label, data).forEach(function (line) {
+      lines.push('//\t' + line);
+    });
+    lines.push('//', '//' + new Array(71).join('='), '');
+    lines.push('#ifndef ' + guard, '#define ' + guard, '');
+    getGritArrays(symbol, data).forEach(function (array) {
+      var type = array[2] === 4 ? 'unsigned int' : 'unsigned short';
+      lines.push('#define ' + array[0] + 'Len ' + array[1].length);
+      lines.push('extern const ' + type + ' ' + array[0] + '[' + (array[1].length / array[2]) + '];');
+      lines.push('');
+    });
+    lines.push('#endif // ' + guard, '', '//}}BLOCK(' + label + ')', '');
+    return lines.join('\n');
+  };
+
+  var PRESETS = {
+    'sgdk' : {
+      name : 'SGDK (.res/.h)',
+      consoles : ['genesis'],
+      generate : function (label, data) {
+        var files = {};
+        var res = [
+          '// SGDK resources for "' + data.name + '"',
+          '// Generated by RetroPiskel',
+          '// ' + data.tileCount + ' tiles (4bpp), ' + data.frameCount + ' frame(s) of ' +
+            (data.width / 8) + 'x' + (data.height / 8) + ' tiles',
+          '',
+          'BIN ' + label + '_tiles "' + label + '_tiles.bin" 2',
+          'BIN ' + label + '_pal "' + label + '_pal.bin" 2'
+        ];
+        files[label + '_tiles.bin'] = data.tiles;
+        // CRAM words are big-endian on the 68000
+        files[label + '_pal.bin'] = swapWords(data.palette);
+
+        if (data.optimized) {
+          res.push('BIN ' + label + '_map "' + label + '_map.bin" 2');
+          files[label + '_map.bin'] = swapWords(data.maps);
+        }
+        files[label + '.res'] = res.join('\n') + '\n';
+
+        var guard = '_RES_' + label.toUpperCase() + '_H_';
+        var prefix = label.toUpperCase();
+        var header = [
+          '#ifndef ' + guard,
+          '#define ' + guard,
+          '',
+          '#define ' + prefix + '_TILE_COUNT ' + data.tileCount,
+          '#define ' + prefix + '_FRAME_COUNT ' + data.frameCount,
+          '#define ' + prefix + '_FRAME_WIDTH_TILES ' + (data.width / 8),
+          '#define ' + prefix + '_FRAME_HEIGHT_TILES ' + (data.height / 8),
+          '',
+          '// VDP_loadTileData((const u32*) ' + label + '_tiles, index, ' +
+            prefix + '_TILE_COUNT, DMA);',
+          'extern const u8 ' + label + '_tiles[' + data.tiles.length + '];',
+          '// PAL_setColors(0, (const u16*) ' + label + '_pal, 16, DMA);',
+          'extern const u8 ' + label + '_pal[' + data.palette.length + '];'
+        ];
+        if (data.optimized) {
+          header.push('// Tile map: index in bits 0-13, H flip bit 14, V flip bit 15');
+          header.push('extern const u8 ' + label + '_map[' + data.maps.length + '];');
+        }
+        header.push('', '#endif // ' + guard, '');
+        files[label + '.h'] = header.join('\n');
+        return files;
+      }
+    },
+
+    'gbdk' : {
+      name : 'GBDK-2020 (png2asset .c/.h)',
+      consoles : ['gameboy', 'gbc'],
+      generate : function (label, data) {
+        var files = {};
+        var pivotX = data.width / 2;
+        var pivotY = data.height / 2;
+        var spriteTileCount = data.spriteTiles.length / 16;
+        var paletteCount = data.palette ? 1 : 0;
+
+        var c = [
+          '// png2asset-style metasprite data for "' + data.name + '"',
+          '// Generated by RetroPiskel',
+          '',
+          '#include <stdint.h>',
+          '#include <gbdk/platform.h>',
+          '#include <gbdk/metasprites.h>',
+          '',
+          '#include "' + label + '.h"',
+          ''
+        ];
+
+        if (data.palette) {
+          c.push('const palette_color_t ' + label + '_palettes[' + (data.palette.length / 2) + '] = {');
+          c.push(formatValues(readValues(data.palette, 2), 4));
+          c.push('};', '');
+        }
+
+        c.push('const uint8_t ' + label + '_tiles[' + data.spriteTiles.length + '] = {');
+        c.push(formatValues(Array.prototype.slice.call(data.spriteTiles), 2));
+        c.push('};', '');
+
+        // Items are relative to the previous one, the first to the pivot
+        data.metasprites.forEach(function (sprites, f) {
+          c.push('const metasprite_t ' + label + '_metasprite' + f + '[] = {');
+          var prevX = pivotX;
+          var prevY = pivotY;
+          sprites.forEach(function (s) {
+            c.push('  METASPR_ITEM(' + (s.y - prevY) + ', ' + (s.x - prevX) + ', ' + s.tile + ', 0),');
+            prevX = s.x;
+            prevY = s.y;
+          });
+          c.push('  METASPR_TERM', '};', '');
+        });
+
+        c.push('const metasprite_t* const ' + label + '_metasprites[' + data.frameCount + '] = {');
+        c.push(data.metasprites.map(function (sprites, f) {
+          return '  ' + label + '_metasprite' + f;
+        }).join(',\n'));
+        c.push('};', '');
+        files[label + '.c'] = c.join('\n');
+
+        var guard = 'METASPRITE_' + label + '_H';
+        var h = [
+          '#ifndef ' + guard,
+          '#define ' + guard,
+          '',
+          '#include <stdint.h>',
+          '#include <gbdk/platform.h>',
+          '#include <gbdk/metasprites.h>',
+          '',
+          '#define ' + label + '_TILE_ORIGIN 0',
+          '#define ' + label + '_TILE_W 8',
+          '#define ' + label + '_TILE_H ' + data.spriteHeight,
+          '#define ' + label + '_WIDTH ' + data.width,
+          '#define ' + label + '_HEIGHT ' + data.height,
+          '#define ' + label + '_TILE_COUNT ' + spriteTileCount,
+          '#define ' + label + '_PALETTE_COUNT ' + paletteCount,
+          '#define ' + label + '_COLORS_PER_PALETTE 4',
+          '#define ' + label + '_TOTAL_COLORS ' + (paletteCount * 4),
+          '#define ' + label + '_PIVOT_X ' + pivotX,
+          '#define ' + label + '_PIVOT_Y ' + pivotY,
+          '#define ' + label + '_PIVOT_W ' + data.width,
+          '#define ' + label + '_PIVOT_H ' + data.height,
+          ''
+        ];
+        if (data.palette) {
+          h.push('extern const palette_color_t ' + label + '_palettes[' + (data.palette.length / 2) + '];');
+        }
+        h.push('extern const uint8_t ' + label + '_tiles[' + data.spriteTiles.length + '];');
+        h.push('extern const metasprite_t* const ' + label + '_metasprites[' + data.frameCount + '];');
+        h.push('', '#endif // ' + guard, '');
+        files[label + '.h'] = h.join('\n');
+        return files;
+      }
+    },
+
+    'pvsneslib' : {
+      name : 'PVSnesLib (gfx4snes .pic/.pal/.map)',
+      consoles : ['snes'],
+      generate : function (label, data) {
+        var files = {};
+        files[label + '.pic'] = data.tiles;
+        files[label + '.pal'] = data.palette;
+        files[label + '.map'] = data.maps;
+
+        var asm = [
+          '; PVSnesLib graphics for "' + data.name + '"',
+          '; Generated by RetroPiskel',
+          '',
+          '.include "hdr.asm"',
+          '',
+          '.section ".rodata_' + label + '" superfree',
+          ''
+        ];
+        ['pic', 'pal', 'map'].forEach(function (type) {
+          asm.push(label + '_' + type + ':', '.incbin "' + label + '.' + type + '"',
+            label + '_' + type + '_end:', '');
+        });
+        asm.push('.ends', '');
+        files[label + '.asm'] = asm.join('\n');
+
+        var guard = label.toUpperCase() + '_H';
+        var h = [
+          '#ifndef ' + guard,
+          '#define ' + guard,
+          '',
+          '#define ' + label.toUpperCase() + '_TILE_COUNT ' + data.tileCount,
+          '#define ' + label.toUpperCase() + '_FRAME_COUNT ' + data.frameCount,
+          '',
+          'extern char ' + ['pic', 'pic_end', 'pal', 'pal_end', 'map', 'map_end'].map(function (s) {
+            return label + '_' + s;
+          }).join(', ') + ';',
+          '',
+          '#endif // ' + guard,
+          ''
+        ];
+        files[label + '.h'] = h.join('\n');
+        return files;
+      }
+    },
+
+    'grit-asm' : {
+      name : 'grit (.s/.h)',
+      consoles : ['gba', 'gba8bpp'],
+      generate : function (label, data) {
+        var files = {};
+        var symbol = toCamelCase(label);
+        var s = ['@{{BLOCK(' + label + ')', '', '@' + new Array(71).join('='), '@'];
+        getGritInfo(label, data).forEach(function (line) {
+          s.push('@\t' + line);
+        });
+        s.push('@', '@\tExported by RetroPiskel', '@', '@' + new Array(71).join('='), '');
+
+        getGritArrays(symbol, data).forEach(function (array) {
+          var directive = array[2] === 4 ? '.word' : '.hword';
+          var values = readValues(array[1], array[2]);
+          s.push('\t.section .rodata', '\t.align\t2');
+          s.push('\t.global ' + array[0] + '\t\t@ ' + array[1].length + ' unsigned chars');
+          s.push('\t.hidden ' + array[0]);
+          s.push(array[0] + ':');
+          for (var i = 0; i < values.length; i += 8) {
+            s.push('\t' + directive + ' ' + values.slice(i, i + 8).map(function (value) {
+              return toHex(value, array[2] * 2);
+            }).join(','));
+          }
+          s.push('');
+        });
+        s.push('@}}BLOCK(' + label + ')', '');
+
+        files[label + '.s'] = s.join('\n');
+        files[label + '.h'] = generateGritHeader(label, symbol, data);
+        return files;
+      }
+    },
+
+    'grit-c' : {
+      name : 'grit (.c/.h)',
+      consoles : ['gba', 'gba8bpp'],
+      generate : function (label, data) {
+        var files = {};
+        var symbol = toCamelCase(label);
+        var c = ['//{{BLOCK(' + label + ')', '', '//' + new Array(71).join('='), '//'];
+        getGritInfo(label, data).forEach(function (line) {
+          c.push('//\t' + line);
+        });
+        c.push('//', '//\tExported by RetroPiskel', '//', '//' + new Array(71).join('='), '');
+
+        getGritArrays(symbol, data).forEach(function (array) {
+          var type = array[2] === 4 ? 'unsigned int' : 'unsigned short';
+          c.push('const ' + type + ' ' + array[0] + '[' + (array[1].length / array[2]) +
+            '] __attribute__((aligned(4))) __attribute__((visibility("hidden")))=');
+          c.push('{');
+          c.push(formatValues(readValues(array[1], array[2]), array[2] * 2, 8));
+          c.push('};', '');
+        });
+        c.push('//}}BLOCK(' + label + ')', '');
+
+        files[label + '.c'] = c.join('\n');
+        files[label + '.h'] = generateGritHeader(label, symbol, data);
+        return files;
+      }
+    }
+  };
+
+  ns.ToolchainUtils = {
+    PRESETS : PRESETS,
+
+    /**
+     * @param {string} consoleId - Console mode ID
+     * @return {Array<string>} IDs of the presets available for the console
+     */
+    getPresetsForConsole : function (consoleId) {
+      return Object.keys(PRESETS).filter(function (presetId) {
+        return PRESETS[presetId].consoles.indexOf(consoleId) !== -1;
+      });
+    },
+
+    /**
+     * Fills a select element with the presets available for a console.
+     * @param {HTMLSelectElement} select
+     * @param {string} consoleId - Console mode ID
+     */
+    fillPresetSelect : function (select, consoleId) {
+      select.innerHTML = ns.ToolchainUtils.getPresetsForConsole(consoleId).map(function (presetId) {
+        return '<option value="' + presetId + '">' + PRESETS[presetId].name + '</option>';
+      }).join('');
+    },
+
+    /**
+     * Generates the files of a toolchain preset.
+     *
+     * @param {string} presetId - Key of PRESETS
+     * @param {Object} data
+     *        - name: piskel name, used for file names and symbols
+     *        - width, height, frameCount, bpp
+     *        - tiles, tileCount: encoded tile data
+     *        - maps, optimized: encoded tile maps and whether tiles were
+     *          deduplicated (see TileUtils.encodeTileMaps)
+     *        - palette: encoded palette (little-endian words)
+     *        - spriteTiles, metasprites, spriteHeight: GBDK metasprites
+     *          (see MetaspriteUtils.buildMetasprites)
+     * @return {Object} Map of file names to contents
+     */
+    generateFiles : function (presetId, data) {
+      var label = pskl.utils.AsmUtils.toLabel(data.name);
+      return PRESETS[presetId].generate(label, data);
+    },
+
+    /**
+     * Zips generated files.
+     * @param {Object} files - Map of file names to contents
+     * @return {Blob}
+     */
+    zipFiles : function (files) {
+      var zip = new window.JSZip();
+      Object.keys(files).forEach(function (fileName) {
+        zip.file(fileName, files[fileName]);
+      });
+      return zip.generate({
+        type : 'blob'
+      });
+    }
+  };
+})();
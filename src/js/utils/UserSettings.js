@@ -33,6 +33,10 @@
     PREFERENCES_TAB: 'PREFERENCES_TAB',
     CONSOLE_MODE: 'CONSOLE_MODE',
     COLOR_REPLACE_PROMPT: 'COLOR_REPLACE_PROMPT',
+    NES_PALETTE: 'NES_PALETTE',
+    NES_EMPHASIS: 'NES_EMPHASIS',
+    NES_CUSTOM_PALETTE: 'NES_CUSTOM_PALETTE',
+    LCD_COLOR_CORRECTION: 'LCD_COLOR_CORRECTION',
     KEY_TO_DEFAULT_VALUE_MAP_ : {
       'GRID_COLOR' : Constants.TRANSPARENT_COLOR,
       'GRID_ENABLED' : false,
@@ -66,6 +70,10 @@
       PREFERENCES_TAB: 'misc',
       CONSOLE_MODE: 'nes',  // Default to NES mode for RetroPiskel
       COLOR_REPLACE_PROMPT: true,
+      NES_PALETTE: 'default',   // see pskl.consoles.NESPaletteVariants
+      NES_EMPHASIS: 0,          // PPUMASK bits 5-7
+      NES_CUSTOM_PALETTE: null, // {name, colors} loaded from a .pal file
+      LCD_COLOR_CORRECTION: false,
     },
 
     /**
@@ -0,0 +1,104 @@
+/**
+ * VramBudgetUtils - Video memory and palette usage of a sprite.
+ *
+ * The budget comes from ConsoleMode.vramBudget, projects can override its
+ * size in bytes (Piskel.vramBudget). Tiles are split with the console tile
+ * size, identical tiles (and mirrored tiles on consoles with sprite flip)
+ * only use video memory once.
+ */
+(function () {
+  var ns = $.namespace('pskl.utils');
+
+  ns.VramBudgetUtils = {
+    /**
+     * @param {pskl.consoles.ConsoleMode} mode
+     * @return {boolean} True if the console has a budget to check
+     */
+    isSupported : function (mode) {
+      return !!(mode && mode.vramBudget && mode.tileSize);
+    },
+
+    /**
+     * @param {pskl.consoles.ConsoleMode} mode
+     * @return {number} Bytes used by one tile
+     */
+    getTileBytes : function (mode) {
+      return mode.tileSize * mode.tileSize * mode.vramBudget.bitsPerPixel / 8;
+    },
+
+    /**
+     * @param {pskl.consoles.ConsoleMode} mode
+     * @param {number|null} projectBytes - Project budget, null for the
+     *        console default
+     * @return {{label: string, bytes: number, tiles: number}}
+     */
+    getBudget : function (mode, projectBytes) {
+      var bytes = projectBytes || mode.vramBudget.bytes;
+      return {
+        label : mode.vramBudget.label,
+        bytes : bytes,
+        tiles : Math.floor(bytes / ns.VramBudgetUtils.getTileBytes(mode))
+      };
+    },
+
+    /**
+     * Counts the tiles of all frames and the bytes used by each export.
+     * @param {pskl.consoles.ConsoleMode} mode
+     * @param {Array<Uint8ClampedArray>} framesPixels - RGBA data per frame
+     * @param {number} width - Frame width
+     * @param {number} height - Frame height
+     * @param {number} colorCount - Non transparent colors used
+     * @return {Object} {tiles, uniqueTiles, colors, paletteSlots, sizes},
+     *         sizes listing {name, bytes} per export
+     */
+    getUsage : function (mode, framesPixels, width, height, colorCount) {
+      var tileBytes = ns.VramBudgetUtils.getTileBytes(mode);
+      var tileSet = pskl.utils.TileUtils.buildTileSet(framesPixels, width, height, {
+        optimize : true,
+        flip : mode.spriteFlip,
+        tileSize : mode.tileSize
+      });
+      var tilesPerFrame = Math.floor(width / mode.tileSize) * Math.floor(height / mode.tileSize);
+      var tiles = tilesPerFrame * framesPixels.length;
+
+      var sizes = [
+        {name : 'Tiles', bytes : tiles * tileBytes},
+        {name : 'Tiles (optimized)', bytes : tileSet.tiles.length * tileBytes}
+      ];
+
+      var paletteSlots = mode.maxColors ? mode.maxColors * mode.subPaletteCount : null;
+      if (mode.vramBudget.colorBytes && paletteSlots) {
+        // Each sub-palette also stores its transparent entry
+        var palettes = Math.min(mode.subPaletteCount, Math.ceil(colorCount / mode.maxColors) || 1);
+        sizes.push({name : 'Palette', bytes : palettes * (mode.maxColors + 1) * mode.vramBudget.colorBytes});
+      }
+
+      if (pskl.utils.NametableUtils.isSupported(mode.id)) {
+        var cols = Math.floor(width / mode.tileSize);
+        var rows = Math.floor(height / mode.tileSize);
+        var maps = pskl.utils.NametableUtils.encodeMaps(mode.id, tileSet.maps, cols, rows);
+        var mapBytes = maps.map.length + (maps.attributes ? maps.attributes.length : 0);
+        sizes.push({name : 'Tile map', bytes : mapBytes});
+      }
+
+      return {
+        tiles : tiles,
+        uniqueTiles : tileSet.tiles.length,
+        colors : colorCount,
+        paletteSlots : paletteSlots,
+        sizes : sizes
+      };
+    },
+
+    /**
+     * @param {number} bytes
+     * @return {string} Size in bytes, or in KB from 1 KB
+     */
+    formatBytes : function (bytes) {
+      if (bytes < 1024) {
+        return bytes + ' B';
+      }
+      return (Math.round(bytes / 102.4) / 10) + ' KB';
+    }
+  };
+})();
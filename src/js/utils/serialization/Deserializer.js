@@ -38,6 +38,10 @@
     var descriptor = new pskl.model.piskel.Descriptor(name, description);
     this.piskel_ = new pskl.model.Piskel(piskelData.width, piskelData.height, fps, descriptor);
     this.hiddenFrames = piskelData.hiddenFrames || [];
+    this.subPalettes_ = piskelData.subPalettes || [];
+    this.tilePalettes_ = piskelData.tilePalettes || {};
+    this.paletteOrder_ = piskelData.paletteOrder || [];
+    this.vramBudget_ = piskelData.vramBudget || null;
     this.consoleMode_ = piskelData.consoleMode || null;
 
     this.layersToLoad_ = piskelData.layers.length;
@@ -96,6 +100,10 @@
         this.piskel_.addLayer(layer);
       }.bind(this));
       this.piskel_.hiddenFrames = this.hiddenFrames;
+      this.piskel_.subPalettes = this.subPalettes_;
+      this.piskel_.tilePalettes = this.tilePalettes_;
+      this.piskel_.paletteOrder = this.paletteOrder_;
+      this.piskel_.vramBudget = this.vramBudget_;
 
       // Activate saved console mode if present and valid
       if (this.consoleMode_ && pskl.app.consoleRegistry) {
@@ -41,6 +41,10 @@
           width : piskel.getWidth(),
           layers : serializedLayers,
           hiddenFrames : piskel.hiddenFrames,
+          subPalettes : piskel.getSubPalettes(),
+          tilePalettes : piskel.getTilePalettes(),
+          paletteOrder : piskel.getPaletteOrder(),
+          vramBudget : piskel.getVramBudget(),
           consoleMode : consoleMode
         }
       });
@@ -36,6 +36,22 @@
   "js/utils/ResizeUtils.js",
   "js/utils/StringUtils.js",
   "js/utils/Template.js",
+  "js/utils/TileUtils.js",
+  "js/utils/SubPaletteUtils.js",
+  "js/utils/PaletteOrderUtils.js",
+  "js/utils/TileImportUtils.js",
+  "js/utils/MetaspriteUtils.js",
+  "js/utils/NametableUtils.js",
+  "js/utils/AsmUtils.js",
+  "js/utils/ToolchainUtils.js",
+  "js/utils/CompressionUtils.js",
+  "js/utils/ScanlineUtils.js",
+  "js/utils/ColorRegionUtils.js",
+  "js/utils/VramBudgetUtils.js",
+  "js/utils/ConsoleLintUtils.js",
+  "js/utils/DisplayColorUtils.js",
+  "js/utils/PixelAspectUtils.js",
+  "js/utils/LcdColorUtils.js",
   "js/utils/TooltipFormatter.js",
   "js/utils/UserSettings.js",
   "js/utils/Uuid.js",
@@ -74,6 +90,7 @@
   "js/consoles/ConsoleModeRegistry.js",
   "js/consoles/default/DefaultConsoleMode.js",
   "js/consoles/nes/NESConsoleMode.js",
+  "js/consoles/nes/NESPaletteVariants.js",
   "js/consoles/gameboy/GameBoyConsoleMode.js",
   "js/consoles/gbc/GBCConsoleMode.js",
   "js/consoles/snes/SNESConsoleMode.js",
@@ -86,9 +103,18 @@
   "js/consoles/msx/MSXConsoleMode.js",
   "js/consoles/msx2/MSX2ConsoleMode.js",
   "js/consoles/msx2plus/MSX2PlusConsoleMode.js",
+  "js/consoles/pce/PCEConsoleMode.js",
+  "js/consoles/c64/C64ConsoleMode.js",
+  "js/consoles/zxspectrum/ZXSpectrumConsoleMode.js",
+  "js/consoles/atari/AtariPalettes.js",
+  "js/consoles/atari/Atari2600ConsoleMode.js",
+  "js/consoles/atari/Atari7800ConsoleMode.js",
+  "js/consoles/neogeo/NeoGeoConsoleMode.js",
 
   // Models
   "js/model/Frame.js",
+  "js/model/IndexedPalette.js",
+  "js/model/IndexedFrame.js",
   "js/model/Layer.js",
   "js/model/piskel/Descriptor.js",
   "js/model/frame/CachedFrameProcessor.js",
@@ -134,9 +160,12 @@
   "js/controller/preview/PreviewActionsController.js",
   "js/controller/preview/PreviewController.js",
   "js/controller/MinimapController.js",
+  "js/controller/ScanlineController.js",
+  "js/controller/ColorRegionController.js",
   "js/controller/ToolController.js",
   "js/controller/PaletteController.js",
   "js/controller/PalettesListController.js",
+  "js/controller/VramBudgetController.js",
   "js/controller/PenSizeController.js",
   "js/controller/ProgressBarController.js",
   "js/controller/NotificationController.js",
@@ -170,6 +199,15 @@
   "js/controller/settings/exportimage/Msx1bppExportController.js",
   "js/controller/settings/exportimage/Msx24bppExportController.js",
   "js/controller/settings/exportimage/Msx2plus4bppExportController.js",
+  "js/controller/settings/exportimage/PceSpriteExportController.js",
+  "js/controller/settings/exportimage/C64SpriteExportController.js",
+  "js/controller/settings/exportimage/ZxSpectrumExportController.js",
+  "js/controller/settings/exportimage/Atari2600ExportController.js",
+  "js/controller/settings/exportimage/Atari7800ExportController.js",
+  "js/controller/settings/exportimage/NeoGeoExportController.js",
+  "js/controller/settings/exportimage/MetaspriteExportController.js",
+  "js/controller/settings/exportimage/SubPaletteExportController.js",
+  "js/controller/settings/exportimage/BackgroundExportController.js",
   "js/controller/settings/exportimage/ExportController.js",
   "js/controller/settings/resize/ResizeController.js",
   "js/controller/settings/resize/DefaultSizeController.js",
@@ -192,9 +230,11 @@
   "js/controller/dialogs/importwizard/steps/ImageImport.js",
   "js/controller/dialogs/importwizard/steps/InsertLocation.js",
   "js/controller/dialogs/importwizard/steps/SelectMode.js",
+  "js/controller/dialogs/importwizard/steps/TileImport.js",
   "js/controller/dialogs/importwizard/ImportWizard.js",
   "js/controller/dialogs/PerformanceInfoController.js",
   "js/controller/dialogs/ReplaceColorController.js",
+  "js/controller/dialogs/PaletteOrderController.js",
   "js/controller/dialogs/UnsupportedBrowserController.js",
 
   // Dialogs controller
@@ -26,10 +26,12 @@
   "css/dialogs-performance-info.css",
   "css/dialogs-unsupported-browser.css",
   "css/dialogs-replace-color.css",
+  "css/dialogs-palette-order.css",
   "css/notifications.css",
   "css/toolbox.css",
   "css/toolbox-layers-list.css",
   "css/toolbox-palettes-list.css",
+  "css/toolbox-vram-budget.css",
   "css/toolbox-animated-preview.css",
   "css/transformations.css",
   "css/spectrum/spectrum.css",
@@ -38,6 +40,7 @@
   "css/bootstrap/bootstrap-tooltip-custom.css",
   "css/frames-list.css",
   "css/minimap.css",
+  "css/scanline.css",
   "css/widgets-anchor.css",
   "css/widgets-frame-picker.css",
   "css/widgets-size-picker.css",
@@ -59,5 +62,10 @@
   "css/themes/console-dreamcast.css",
   "css/themes/console-msx.css",
   "css/themes/console-msx2.css",
-  "css/themes/console-msx2plus.css"
+  "css/themes/console-msx2plus.css",
+  "css/themes/console-pce.css",
+  "css/themes/console-c64.css",
+  "css/themes/console-zxspectrum.css",
+  "css/themes/console-atari.css",
+  "css/themes/console-neogeo.css"
 ];
@@ -0,0 +1,53 @@
+describe("Atari console modes suite", function() {
+  var atari2600 = pskl.consoles.createAtari2600Mode();
+  var atari2600pal = pskl.consoles.createAtari2600PalMode();
+  var atari7800 = pskl.consoles.createAtari7800Mode();
+
+  it("maps colors to the color bytes of their TV system", function() {
+    expect(atari2600.palette.length).toBe(128);
+    expect(atari2600pal.palette.length).toBe(128);
+    expect(atari2600.getIndexForColor('#000000')).toBe(0);
+    expect(atari2600.getIndexForColor('#d07070')).toBe(0x48);
+    expect(atari2600pal.getIndexForColor('#d07070')).toBe(null);
+    // PAL greys are repeated in hues 0, 1, 14 and 15
+    expect(atari2600pal.getIndexForColor('#ECECEC')).toBe(0x0E);
+    expect(atari7800.getIndexForColor('#FCE08C')).toBe(0xFE);
+  });
+
+  it("shows one hue per palette row", function() {
+    var rows = atari2600.getPaletteForSpectrum(14);
+    expect(rows.length).toBe(16);
+    expect(rows[4][0]).toBe('#880000');
+  });
+
+  it("allows one color per player line", function() {
+    var R = pskl.utils.colorToInt('#880000');
+    var B = pskl.utils.colorToInt('#000088');
+    var T = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+    var pixels = new Uint32Array(16);
+    pixels.fill(T);
+    pixels[0] = R;
+    pixels[7] = R;
+    pixels[8] = R;
+    pixels[9] = B;
+
+    var result = atari2600.validateColorRegions(pixels, 8, 2);
+    expect(result.valid).toBe(false);
+    expect(result.regions.length).toBe(1);
+    expect(result.regions[0].y).toBe(1);
+  });
+
+  it("requires whole players and 160A bytes", function() {
+    expect(atari2600.validateDimensions(8, 30).valid).toBe(true);
+    expect(atari2600.validateDimensions(16, 30).valid).toBe(true);
+    expect(atari2600.validateDimensions(12, 30).valid).toBe(false);
+    expect(atari7800.validateDimensions(12, 30).valid).toBe(true);
+    expect(atari7800.validateDimensions(14, 30).valid).toBe(false);
+    expect(atari7800.validateDimensions(132, 16).valid).toBe(false);
+    // Display list entries hold up to 31 bytes
+    expect(atari7800.validateDimensions(124, 16).valid).toBe(true);
+    expect(atari7800.validateDimensions(128, 16).valid).toBe(false);
+    expect(atari7800.maxColors).toBe(3);
+    expect(atari7800.pixelAspect).toBe(2);
+  });
+});
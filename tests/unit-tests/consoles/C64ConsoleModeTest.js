@@ -0,0 +1,33 @@
+describe("C64ConsoleMode suite", function() {
+  var hires = pskl.consoles.createC64Mode();
+  var multicolor = pskl.consoles.createC64MulticolorMode();
+
+  it("uses the fixed VIC-II palette", function() {
+    expect(hires.palette.length).toBe(16);
+    expect(hires.getIndexForColor('#68372b')).toBe(2);
+    expect(multicolor.getIndexForColor('#959595')).toBe(15);
+    expect(hires.getIndexForColor('#123456')).toBe(null);
+    expect(hires.isValidColor('#123456')).toBe(false);
+  });
+
+  it("limits hires sprites to 1 color and multicolor sprites to 3", function() {
+    expect(hires.maxColors).toBe(1);
+    expect(multicolor.maxColors).toBe(3);
+    expect(multicolor.isIndexed()).toBe(true);
+  });
+
+  it("requires whole sprites", function() {
+    expect(hires.validateDimensions(24, 21).valid).toBe(true);
+    expect(hires.validateDimensions(48, 42).valid).toBe(true);
+    expect(hires.validateDimensions(24, 24).valid).toBe(false);
+    expect(multicolor.validateDimensions(12, 21).valid).toBe(true);
+    expect(multicolor.validateDimensions(24, 21).valid).toBe(true);
+    expect(multicolor.validateDimensions(16, 21).valid).toBe(false);
+  });
+
+  it("displays multicolor pixels twice as wide", function() {
+    expect(hires.pixelAspect).toBe(1);
+    expect(multicolor.pixelAspect).toBe(2);
+    expect(pskl.consoles.createNESMode().pixelAspect).toBe(1);
+  });
+});
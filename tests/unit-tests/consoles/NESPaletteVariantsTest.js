@@ -0,0 +1,113 @@
+describe("NESPaletteVariants suite", function() {
+  var Variants = pskl.consoles.NESPaletteVariants;
+
+  var createPalFile = function (tableCount, rgb) {
+    var bytes = new Uint8Array(tableCount * 64 * 3);
+    for (var i = 0; i < bytes.length; i += 3) {
+      bytes.set(rgb(i / 3), i);
+    }
+    return bytes.buffer;
+  };
+
+  beforeEach(function() {
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, 'default');
+    pskl.UserSettings.set(pskl.UserSettings.NES_EMPHASIS, 0);
+    pskl.UserSettings.set(pskl.UserSettings.NES_CUSTOM_PALETTE, null);
+  });
+
+  it("builds 512 colors for each variant", function() {
+    Variants.getVariants().forEach(function (variant) {
+      var colors = Variants.getColors(variant.id);
+      expect(colors.length).toBe(512);
+      // $0F is black on every PPU
+      expect(colors[0x0F]).toBe('#000000');
+    });
+    expect(Variants.getColors('unknown')).toBe(null);
+  });
+
+  it("keeps the default palette for the default variant", function() {
+    var colors = Variants.getColors('default');
+    expect(colors[0x16]).toBe('#F83800');
+    expect(colors[0x30]).toBe('#FCFCFC');
+    // Unused registers are black
+    expect(colors[0x0E]).toBe('#000000');
+  });
+
+  it("uses the 2C03 RGB PPU levels", function() {
+    var colors = Variants.getColors('2c03');
+    expect(colors[0x16]).toBe('#FF0000');
+    expect(colors[0x01]).toBe('#002492');
+    // Blue emphasis drives blue to full intensity
+    expect(colors[4 * 64 + 0x16]).toBe('#FF00FF');
+  });
+
+  it("includes the default palettes of FCEUX, Nestopia and Mesen", function() {
+    var ids = Variants.getVariants().map(function (variant) {
+      return variant.id;
+    });
+    expect(ids).toEqual(jasmine.arrayContaining(['fceux', 'nestopia', 'mesen']));
+
+    expect(Variants.getColors('fceux')[0x16]).toBe('#D82800');
+    expect(Variants.getColors('nestopia')[0x16]).toBe('#993200');
+    expect(Variants.getColors('mesen')[0x16]).toBe('#B53120');
+    expect(Variants.getColors('mesen')[0x20]).toBe('#FFFEFF');
+    // Emphasis tables are derived: red emphasis dims green and blue
+    expect(Variants.getColors('fceux')[64 + 0x20]).toBe('#FCBCBC');
+  });
+
+  it("selects an emulator palette for display", function() {
+    var mode = pskl.consoles.createNESMode();
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, 'fceux');
+    // Default $16 is #F83800
+    expect(mode.getDisplayColorFilter().map('#F83800')).toBe('#D82800');
+
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, 'nestopia');
+    expect(mode.getDisplayColorFilter().map('#F83800')).toBe('#993200');
+
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, 'mesen');
+    expect(mode.getDisplayColorFilter().map('#F83800')).toBe('#B53120');
+  });
+
+  it("parses 192 byte .pal files and derives the emphasis tables", function() {
+    var colors = Variants.parsePalFile(createPalFile(1, function (index) {
+      return [index, 100, 200];
+    }));
+    expect(colors.length).toBe(512);
+    expect(colors[0x21]).toBe('#2164C8');
+    // Red emphasis dims green and blue
+    expect(colors[64 + 0x21]).toBe('#214B95');
+  });
+
+  it("parses 1536 byte .pal files with their emphasis tables", function() {
+    var colors = Variants.parsePalFile(createPalFile(8, function (index) {
+      return [index >> 6, index & 63, 0];
+    }));
+    expect(colors.length).toBe(512);
+    expect(colors[3 * 64 + 5]).toBe('#030500');
+  });
+
+  it("rejects files of other sizes", function() {
+    expect(function () {
+      Variants.parsePalFile(new ArrayBuffer(100));
+    }).toThrowError('Invalid .pal file: expected 192 or 1536 bytes, got 100');
+  });
+
+  it("maps stored colors through their register for display only", function() {
+    var mode = pskl.consoles.createNESMode();
+    expect(mode.getDisplayColorFilter()).toBe(null);
+
+    pskl.UserSettings.set(pskl.UserSettings.NES_PALETTE, '2c03');
+    var filter = mode.getDisplayColorFilter();
+    // Default $16 is #F83800
+    expect(filter.map('#f83800')).toBe('#FF0000');
+    // Colors outside the palette are unchanged
+    expect(filter.map('#123456')).toBe('#123456');
+    // Same filter while the settings do not change
+    expect(mode.getDisplayColorFilter()).toBe(filter);
+
+    pskl.UserSettings.set(pskl.UserSettings.NES_EMPHASIS, 4);
+    var emphasisFilter = mode.getDisplayColorFilter();
+    expect(emphasisFilter.key).not.toBe(filter.key);
+    expect(emphasisFilter.map('#F83800')).toBe('#FF00FF');
+  });
+});
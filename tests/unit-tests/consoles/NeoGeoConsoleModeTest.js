@@ -0,0 +1,28 @@
+describe("NeoGeoConsoleMode suite", function() {
+  var mode = pskl.consoles.createNeoGeoMode();
+
+  it("snaps colors to 5-bit levels and the shared dark bit", function() {
+    expect(mode.snapColorToNeoGeo('#ffffff')).toBe('#ffffff');
+    expect(mode.snapColorToNeoGeo('#000000')).toBe('#000000');
+    // Pure red is closer with the dark bit set: green and blue reach 0
+    expect(mode.snapColorToNeoGeo('#ff0000')).toBe('#fb0000');
+    expect(mode.getNeoGeoLevels('#808080')).toEqual({r: 16, g: 16, b: 16, dark: 1});
+    expect(mode.isValidColor('#123456')).toBe(true);
+  });
+
+  it("encodes colors as DRGBRRRRGGGGBBBB words", function() {
+    expect(mode.colorToNeoGeoWord('#ffffff')).toBe(0x7FFF);
+    expect(mode.colorToNeoGeoWord('#000000')).toBe(0x8000);
+    expect(mode.colorToNeoGeoWord('#ff0000')).toBe(0xCF00);
+    expect(mode.colorToNeoGeoWord('#808080')).toBe(0x8888);
+    expect(mode.colorToNeoGeoWord('#7d7d7d')).toBe(0x7777);
+  });
+
+  it("uses 16x16 sprite tiles split across the C1/C2 pair", function() {
+    expect(mode.tileSize).toBe(16);
+    expect(mode.maxColors).toBe(15);
+    expect(mode.isIndexed()).toBe(true);
+    expect(pskl.consoles.NeoGeoConstants.BYTES_PER_CROM_TILE * 2)
+      .toBe(pskl.consoles.NeoGeoConstants.BYTES_PER_TILE);
+  });
+});
@@ -0,0 +1,23 @@
+describe("PCEConsoleMode suite", function() {
+  var mode = pskl.consoles.createPCEMode();
+
+  it("snaps colors to the RGB333 VCE levels", function() {
+    expect(mode.snapColorToRGB333('#ff0000')).toBe('#ff0000');
+    expect(mode.snapColorToRGB333('#2a0000')).toBe('#240000');
+    expect(mode.isValidColor('#123456')).toBe(true);
+  });
+
+  it("encodes colors as GGGRRRBBB VCE words", function() {
+    expect(mode.colorToVCEWord('#0000ff')).toBe(0x007);
+    expect(mode.colorToVCEWord('#ff0000')).toBe(0x038);
+    expect(mode.colorToVCEWord('#00ff00')).toBe(0x1C0);
+    expect(mode.colorToVCEWord('#ffffff')).toBe(0x1FF);
+  });
+
+  it("uses 16x16 sprite cells", function() {
+    expect(mode.tileSize).toBe(16);
+    expect(mode.spriteSizes).toContain('32x64');
+    expect(mode.isIndexed()).toBe(true);
+    expect(pskl.consoles.PCEConstants.BYTES_PER_TILE).toBe(128);
+  });
+});
@@ -0,0 +1,48 @@
+describe("ZXSpectrumConsoleMode suite", function() {
+  var mode = pskl.consoles.createZXSpectrumMode();
+
+  var T = Constants.TRANSPARENT_COLOR;
+  var BLACK = '#000000';
+  var RED = '#D70000';
+  var BRIGHT_RED = '#FF0000';
+  var BRIGHT_WHITE = '#FFFFFF';
+
+  var createFrame = function (colors) {
+    var frame = new pskl.model.Frame(8, 8);
+    colors.forEach(function (color, i) {
+      frame.setPixel(i % 8, Math.floor(i / 8), pskl.utils.colorToInt(color));
+    });
+    return frame;
+  };
+
+  it("uses 15 colors in a normal and a BRIGHT half", function() {
+    expect(mode.palette.length).toBe(15);
+    expect(mode.getColorEntry('#d70000').index).toBe(2);
+    expect(mode.getColorEntry(BRIGHT_RED).bright).toBe(true);
+    expect(mode.getColorEntry(BLACK).bright).toBe(null);
+    expect(mode.getColorEntry('#123456')).toBe(null);
+  });
+
+  it("allows 2 colors of the same BRIGHT half per attribute cell", function() {
+    var valid = createFrame([BLACK, BRIGHT_RED, T, BLACK]);
+    expect(mode.validateColorRegions(valid.getPixels(), 8, 8).valid).toBe(true);
+
+    var mixed = createFrame([RED, BRIGHT_WHITE]);
+    var result = mode.validateColorRegions(mixed.getPixels(), 8, 8);
+    expect(result.valid).toBe(false);
+    expect(result.regions[0].mixedGroups).toBe(true);
+
+    var tooMany = createFrame([BLACK, BRIGHT_RED, BRIGHT_WHITE]);
+    expect(mode.validateColorRegions(tooMany.getPixels(), 8, 8).valid).toBe(false);
+  });
+
+  it("fixes clashing cells with their closest ink/paper pair", function() {
+    var frame = createFrame([RED, RED, RED, BRIGHT_WHITE, T]);
+    expect(mode.fixAttributeClash(frame)).toBe(1);
+    expect(mode.validateColorRegions(frame.getPixels(), 8, 8).valid).toBe(true);
+    expect(frame.getPixel(0, 0)).toBe(pskl.utils.colorToInt(RED));
+    expect(frame.getPixel(3, 0)).toBe(pskl.utils.colorToInt('#D7D7D7'));
+    expect(frame.getPixel(4, 0)).toBe(pskl.utils.colorToInt(T));
+    expect(mode.fixAttributeClash(frame)).toBe(0);
+  });
+});
@@ -0,0 +1,158 @@
+describe("IndexedFrame suite", function() {
+  var B = '#000000';
+  var R = '#ff0000';
+  var G = '#00ff00';
+  var T = Constants.TRANSPARENT_COLOR;
+
+  var toInt = pskl.utils.colorToInt;
+
+  var createPiskel = function (grids, paletteOrder) {
+    var piskel = new pskl.model.Piskel(grids[0][0][0].length, grids[0][0].length, 12, {name : 'test'});
+    piskel.paletteOrder = paletteOrder || [];
+    grids.forEach(function (layerGrids, index) {
+      piskel.addLayer(pskl.model.Layer.fromFrames('l' + index, layerGrids.map(function (grid) {
+        return pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid(grid));
+      })));
+    });
+    return piskel;
+  };
+
+  it("stores palette indexes of the drawn colors", function() {
+    var palette = new pskl.model.IndexedPalette([R]);
+    var frame = new pskl.model.IndexedFrame(2, 1, palette);
+
+    frame.setPixel(0, 0, G);
+    frame.setPixel(1, 0, R);
+    expect(frame.getIndex(0, 0)).toBe(2);
+    expect(frame.getIndex(1, 0)).toBe(1);
+    expect(frame.getPixel(0, 0)).toBe(toInt(G));
+    expect(palette.getColors()).toEqual(['#FF0000', '#00FF00']);
+
+    frame.setPixel(0, 0, T);
+    expect(frame.getIndex(0, 0)).toBe(0);
+    expect(frame.getPixel(0, 0)).toBe(toInt(T));
+  });
+
+  it("recolors all frames when a palette entry changes", function() {
+    var piskel = createPiskel([[[[R, G]], [[G, G]]], [[[T, R]], [[R, T]]]], [G, R]);
+    piskel.setIndexed(true);
+
+    expect(piskel.setPaletteColor(2, B)).toBe(true);
+    expect(piskel.getPaletteOrder()).toEqual(['#00FF00', '#000000']);
+    expect(piskel.getLayerAt(0).getFrameAt(0).getPixel(0, 0)).toBe(toInt(B));
+    expect(piskel.getLayerAt(1).getFrameAt(1).getPixel(0, 0)).toBe(toInt(B));
+    expect(piskel.getLayerAt(0).getFrameAt(1).getPixel(0, 0)).toBe(toInt(G));
+
+    // Colors keep a single index
+    expect(piskel.setPaletteColor(2, G)).toBe(false);
+    expect(piskel.getLayerAt(1).getFrameAt(1).getPixel(0, 0)).toBe(toInt(B));
+  });
+
+  it("keeps colors when the palette is reordered", function() {
+    var piskel = createPiskel([[[[R, G]]]], [R, G]);
+    piskel.setIndexed(true);
+    var frame = piskel.getLayerAt(0).getFrameAt(0);
+
+    piskel.setPaletteOrder([G, R]);
+    expect(frame.getIndex(0, 0)).toBe(2);
+    expect(frame.getIndex(1, 0)).toBe(1);
+    expect(frame.getPixel(0, 0)).toBe(toInt(R));
+  });
+
+  it("converts frames to indexes and back", function() {
+    var piskel = createPiskel([[[[R, G, T]]]], [G]);
+    piskel.setIndexed(true);
+
+    var frame = piskel.getLayerAt(0).getFrameAt(0);
+    expect(piskel.isIndexed()).toBe(true);
+    expect(frame.getPalette()).toBe(piskel.getPalette());
+    expect(Array.from(frame.getIndexes())).toEqual([2, 1, 0]);
+    expect(frame.clone().getPalette()).toBe(piskel.getPalette());
+
+    piskel.setIndexed(false);
+    frame = piskel.getLayerAt(0).getFrameAt(0);
+    expect(frame instanceof pskl.model.IndexedFrame).toBe(false);
+    expect(frame.getPixel(0, 0)).toBe(toInt(R));
+    expect(piskel.getPaletteOrder()).toEqual(['#00FF00', '#FF0000']);
+  });
+
+  it("exports exact palette colors, without layer blending", function() {
+    var piskel = createPiskel([[[[R, T]]], [[[G, T]]]], [R, G]);
+    piskel.getLayerAt(1).setOpacity(0.5);
+    piskel.setIndexed(true);
+
+    var framesPixels = pskl.utils.TileUtils.getFramesPixels(new pskl.controller.piskel.PiskelController(piskel));
+    expect(Array.from(framesPixels[0])).toEqual([0, 255, 0, 255, 0, 0, 0, 0]);
+
+    piskel.getLayerAt(1).setOpacity(0);
+    framesPixels = pskl.utils.TileUtils.getFramesPixels(new pskl.controller.piskel.PiskelController(piskel));
+    expect(Array.from(framesPixels[0])).toEqual([255, 0, 0, 255, 0, 0, 0, 0]);
+  });
+
+  it("exports the stored indexes of edited palette entries", function() {
+    var piskel = createPiskel([[[[G, R, T]]]], [R, G]);
+    piskel.setIndexed(true);
+    piskel.setPaletteColor(1, G.replace('ff', '80'));
+    var palette = piskel.getPalette();
+
+    var TileUtils = pskl.utils.TileUtils;
+    var controller = new pskl.controller.piskel.PiskelController(piskel);
+    expect(TileUtils.getPalette(controller, [R])).toBe(palette);
+    var framesIndexes = TileUtils.getFramesIndexes(controller, palette);
+    expect(Array.from(framesIndexes[0])).toEqual([2, 0, 0, 255, 1, 0, 0, 255, 0, 0, 0, 0]);
+
+    var indexMap = TileUtils.createIndexMap(palette,
+      pskl.utils.PaletteOrderUtils.createColorMap(palette.getColors(), 1));
+    expect(TileUtils.getExportIndex(indexMap, palette, 1, 0, 255)).toBe(1);
+    expect(TileUtils.getExportIndex(indexMap, palette, 0, 0, 0)).toBe(0);
+    expect(function () {
+      TileUtils.getExportIndex(indexMap, palette, 2, 0, 255);
+    }).toThrowError('Color #00FF00 (palette index 2) has no index in the exported palette');
+
+    expect(TileUtils.hasUnmappedPixels(controller, palette, [indexMap])).toBe(true);
+    expect(TileUtils.hasUnmappedPixels(controller, palette, [indexMap, {2 : 1}])).toBe(false);
+  });
+
+  it("indexes the rendered colors of other piskels", function() {
+    var piskel = createPiskel([[[[G, R, T]]]]);
+    var controller = new pskl.controller.piskel.PiskelController(piskel);
+    var palette = pskl.utils.TileUtils.getPalette(controller, [R]);
+
+    var framesIndexes = pskl.utils.TileUtils.getFramesIndexes(controller, palette);
+    expect(Array.from(framesIndexes[0])).toEqual([2, 0, 0, 255, 1, 0, 0, 255, 0, 0, 0, 0]);
+    expect(palette.getColors()).toEqual(['#FF0000', '#00FF00']);
+  });
+
+  it("restores saved palette indexes as they were", function() {
+    var piskel = createPiskel([[[[R, G]]]], [R, G]);
+    piskel.setIndexed(true);
+    var saved = piskel.saveIndexes();
+    piskel.setPaletteColor(1, B);
+
+    // Same as an undo: the snapshot holds colors, the palette is the current one
+    var restored = createPiskel([[[[R, G]]]], piskel.getPaletteOrder());
+    restored.setIndexed(true);
+    restored.restoreIndexes(saved);
+
+    var frame = restored.getLayerAt(0).getFrameAt(0);
+    expect(restored.getPaletteOrder()).toEqual(['#FF0000', '#00FF00']);
+    expect(Array.from(frame.getIndexes())).toEqual([1, 2]);
+    expect(frame.getPixel(0, 0)).toBe(toInt(R));
+  });
+
+  it("reuses the indexes of unused colors once the palette is full", function() {
+    var piskel = createPiskel([[[[R, G]], [[R, T]]]], [R, G]);
+    piskel.setIndexed(true, 2);
+    var frame = piskel.getLayerAt(0).getFrameAt(0);
+
+    frame.setPixel(1, 0, T);
+    frame.setPixel(1, 0, B);
+    expect(piskel.getPaletteOrder()).toEqual(['#FF0000', '#000000']);
+    expect(frame.getIndex(1, 0)).toBe(2);
+
+    // Without unused colors, the palette grows past the limit
+    frame.setPixel(0, 0, G);
+    expect(piskel.getPaletteOrder()).toEqual(['#FF0000', '#000000', '#00FF00']);
+    expect(piskel.getLayerAt(0).getFrameAt(1).getPixel(0, 0)).toBe(toInt(R));
+  });
+});
@@ -25,7 +25,13 @@ describe("History Service suite", function() {
     var mockPiskelController = {
       getWrappedPiskelController: function () {
         return {
-          getPiskel : function () {},
+          getPiskel : function () {
+            return {
+              saveIndexes : function () {
+                return null;
+              }
+            };
+          },
           getFPS : function () {
             return 12;
           }
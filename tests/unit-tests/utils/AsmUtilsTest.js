@@ -0,0 +1,95 @@
+describe("AsmUtils suite", function() {
+  var AsmUtils = pskl.utils.AsmUtils;
+
+  it("builds labels from piskel names", function() {
+    expect(AsmUtils.toLabel('My Hero')).toBe('my_hero');
+    expect(AsmUtils.toLabel('2 cool-sprites!')).toBe('_2_cool_sprites_');
+  });
+
+  it("formats bytes for each dialect", function() {
+    var bytes = new Uint8Array([0x01, 0xAB]);
+    expect(AsmUtils.formatData('ca65', bytes)).toBe('  .byte $01, $AB');
+    expect(AsmUtils.formatData('rgbds', bytes)).toBe('  db $01, $AB');
+    expect(AsmUtils.formatData('wladx', bytes)).toBe('  .db $01, $AB');
+    expect(AsmUtils.formatData('asm68k', bytes)).toBe('  dc.b $01, $AB');
+    expect(AsmUtils.formatData('gas', bytes)).toBe('  .byte 0x01, 0xAB');
+  });
+
+  it("formats little endian words", function() {
+    var bytes = new Uint8Array([0x34, 0x12, 0xFF, 0x00]);
+    expect(AsmUtils.formatData('asm68k', bytes, 2)).toBe('  dc.w $1234, $00FF');
+    expect(AsmUtils.formatData('gas', bytes, 2)).toBe('  .hword 0x1234, 0x00FF');
+  });
+
+  it("splits long data over several lines", function() {
+    var bytes = new Uint8Array(20);
+    var lines = AsmUtils.formatData('ca65', bytes).split('\n');
+    expect(lines.length).toBe(2);
+    expect(lines[1]).toBe('  .byte $00, $00, $00, $00');
+  });
+
+  it("generates a tile include with per frame labels", function() {
+    var source = AsmUtils.generateTileInclude({
+      dialect : 'ca65',
+      name : 'hero',
+      description : 'NES CHR tiles',
+      constants : {TILE_SIZE : 8, BYTES_PER_TILE : 2},
+      tiles : new Uint8Array([1, 2, 3, 4]),
+      tileCount : 2,
+      tilesPerFrame : 1,
+      frameCount : 2
+    });
+
+    expect(source).toBe([
+      '; NES CHR tiles for "hero"',
+      '; Generated by RetroPiskel',
+      '',
+      'HERO_TILE_COUNT = 2',
+      'HERO_TILE_SIZE = 8',
+      'HERO_BYTES_PER_TILE = 2',
+      'HERO_TILES_PER_FRAME = 1',
+      'HERO_FRAME_COUNT = 2',
+      '',
+      'hero_tiles:',
+      'hero_frame0:',
+      '  .byte $01, $02',
+      'hero_frame1:',
+      '  .byte $03, $04',
+      'hero_tiles_end:',
+      ''
+    ].join('\n'));
+  });
+
+  it("puts frame labels on the tile map when tiles are deduplicated", function() {
+    var source = AsmUtils.generateTileInclude({
+      dialect : 'rgbds',
+      name : 'hero',
+      description : 'Game Boy 2BPP tiles',
+      constants : {TILE_SIZE : 8, BYTES_PER_TILE : 2},
+      tiles : new Uint8Array([1, 2]),
+      tileCount : 1,
+      tilesPerFrame : 1,
+      frameCount : 2,
+      maps : new Uint8Array([0, 0, 0, 0x40]),
+      palette : new Uint8Array([0xFF, 0x7F]),
+      paletteWordSize : 2
+    });
+
+    expect(source).toContain('hero_tiles::\n  db $01, $02\nhero_tiles_end::');
+    expect(source).toContain('hero_map::\nhero_frame0::\n  dw $0000\nhero_frame1::\n  dw $4000\n');
+    expect(source).toContain('DEF HERO_PALETTE_SIZE EQU 2');
+    expect(source).toContain('hero_palette::\n  dw $7FFF\n');
+  });
+
+  it("exports GNU as labels as global symbols", function() {
+    var source = AsmUtils.generateInclude({
+      dialect : 'gas',
+      name : 'hero',
+      description : 'GBA 4BPP tiles',
+      blocks : [{label : 'tiles', bytes : new Uint8Array([0])}]
+    });
+
+    expect(source).toContain('/* GBA 4BPP tiles for "hero" */');
+    expect(source).toContain('.global hero_tiles\nhero_tiles:\n  .byte 0x00\n');
+  });
+});
@@ -0,0 +1,81 @@
+describe("ColorRegionUtils suite", function() {
+  var ColorRegionUtils = pskl.utils.ColorRegionUtils;
+
+  var T = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+  var R = pskl.utils.colorToInt('#ff0000');
+  var G = pskl.utils.colorToInt('#00ff00');
+  var B = pskl.utils.colorToInt('#0000ff');
+
+  var TILE = {name : 'Tile', width : 2, height : 2, maxColors : 2};
+  var LINE = {name : 'Line', width : 2, height : 1, maxColors : 2, countTransparent : true};
+
+  var createPixels = function (values) {
+    return new Uint32Array(values);
+  };
+
+  it("counts transparent pixels only when the constraint asks for it", function() {
+    var pixels = createPixels([R, T, G, T]);
+    expect(ColorRegionUtils.countRegionColors(pixels, 2, 2, 0, 0, TILE)).toBe(2);
+    expect(ColorRegionUtils.countRegionColors(pixels, 2, 2, 0, 0, LINE)).toBe(2);
+    expect(ColorRegionUtils.countRegionColors(pixels, 2, 2, 0, 1, LINE)).toBe(2);
+  });
+
+  it("lists the regions over their color limit", function() {
+    // 4x2 frame: left tile uses 3 colors, right tile uses 2
+    var pixels = createPixels([
+      R, G, R, R,
+      B, T, G, T
+    ]);
+    var violations = ColorRegionUtils.findViolations(pixels, 4, 2, [TILE]);
+    expect(violations.length).toBe(1);
+    expect(violations[0].x).toBe(0);
+    expect(violations[0].y).toBe(0);
+    expect(violations[0].count).toBe(3);
+    expect(violations[0].constraint).toBe(TILE);
+  });
+
+  it("clips regions to the frame", function() {
+    var pixels = createPixels([R, G, B]);
+    var violations = ColorRegionUtils.findViolations(pixels, 3, 1, [{width : 4, height : 4, maxColors : 2}]);
+    expect(violations.length).toBe(1);
+    expect(violations[0].width).toBe(3);
+    expect(violations[0].height).toBe(1);
+  });
+
+  it("only recounts the regions containing changed pixels", function() {
+    var cache = {};
+    var constraints = [TILE, LINE];
+    var pixels = createPixels([
+      R, G, R, R,
+      T, T, G, T
+    ]);
+    expect(ColorRegionUtils.updateViolations(cache, pixels, 4, 2, constraints).length).toBe(0);
+
+    spyOn(ColorRegionUtils, 'countRegionColors').and.callThrough();
+    var changed = createPixels(pixels);
+    changed[4] = B;
+    var violations = ColorRegionUtils.updateViolations(cache, changed, 4, 2, constraints);
+    // One tile and one line contain the changed pixel
+    expect(ColorRegionUtils.countRegionColors.calls.count()).toBe(2);
+    expect(violations).toEqual(ColorRegionUtils.findViolations(changed, 4, 2, constraints));
+    expect(violations.length).toBe(1);
+  });
+
+  it("rejects regions mixing color groups", function() {
+    var GROUPS = {name : 'Cell', width : 2, height : 1, maxColors : 2, colorGroups : [['#ff0000', '#00ff00'], ['#00ff00', '#0000ff']]};
+    var pixels = createPixels([R, G, G, B, R, B]);
+    var violations = ColorRegionUtils.findViolations(pixels, 6, 1, [GROUPS]);
+    expect(violations.length).toBe(1);
+    expect(violations[0].x).toBe(4);
+    expect(violations[0].count).toBe(2);
+    expect(violations[0].mixedGroups).toBe(true);
+  });
+
+  it("recounts everything when the frame size changes", function() {
+    var cache = {};
+    var constraints = [TILE];
+    ColorRegionUtils.updateViolations(cache, createPixels([R, G, B, T]), 4, 1, constraints);
+    var pixels = createPixels([R, G, B, T]);
+    expect(ColorRegionUtils.updateViolations(cache, pixels, 2, 2, constraints).length).toBe(1);
+  });
+});
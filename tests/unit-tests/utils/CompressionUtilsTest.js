@@ -0,0 +1,349 @@
+describe("CompressionUtils suite", function() {
+  var CompressionUtils = pskl.utils.CompressionUtils;
+
+  /**
+   * Reference decompressors, written from the format descriptions rather than
+   * from the encoders.
+   */
+  var decompressors = {
+    'gba-lz77' : function (data) {
+      expect(data[0]).toBe(0x10);
+      var size = data[1] | (data[2] << 8) | (data[3] << 16);
+      var out = [];
+      var pos = 4;
+      while (out.length < size) {
+        var flags = data[pos++];
+        for (var bit = 7; bit >= 0 && out.length < size; bit--) {
+          if (flags & (1 << bit)) {
+            var length = (data[pos] >> 4) + 3;
+            var displacement = (((data[pos] & 0x0F) << 8) | data[pos + 1]) + 1;
+            pos += 2;
+            for (var i = 0; i < length; i++) {
+              out.push(out[out.length - displacement]);
+            }
+          } else {
+            out.push(data[pos++]);
+          }
+        }
+      }
+      return out;
+    },
+
+    'gba-rle' : function (data) {
+      expect(data[0]).toBe(0x30);
+      var size = data[1] | (data[2] << 8) | (data[3] << 16);
+      var out = [];
+      var pos = 4;
+      while (out.length < size) {
+        var flag = data[pos++];
+        var i;
+        if (flag & 0x80) {
+          for (i = 0; i < (flag & 0x7F) + 3; i++) {
+            out.push(data[pos]);
+          }
+          pos++;
+        } else {
+          for (i = 0; i < (flag & 0x7F) + 1; i++) {
+            out.push(data[pos++]);
+          }
+        }
+      }
+      return out;
+    },
+
+    'konami-rle' : function (data) {
+      var out = [];
+      var pos = 0;
+      var i;
+      for (var control = data[pos++]; control !== 0xFF; control = data[pos++]) {
+        if (control <= 0x80) {
+          for (i = 0; i < control; i++) {
+            out.push(data[pos]);
+          }
+          pos++;
+        } else {
+          for (i = 0; i < control - 0x80; i++) {
+            out.push(data[pos++]);
+          }
+        }
+      }
+      expect(pos).toBe(data.length);
+      return out;
+    },
+
+    'packbits' : function (data) {
+      var out = [];
+      var pos = 0;
+      var i;
+      while (pos < data.length) {
+        var header = data[pos++];
+        if (header < 0x80) {
+          for (i = 0; i <= header; i++) {
+            out.push(data[pos++]);
+          }
+        } else if (header > 0x80) {
+          for (i = 0; i < 257 - header; i++) {
+            out.push(data[pos]);
+          }
+          pos++;
+        }
+      }
+      return out;
+    },
+
+    'nemesis' : function (data) {
+      var xorMode = !!(data[0] & 0x80);
+      var rows = (((data[0] & 0x7F) << 8) | data[1]) * 8;
+      var table = {};
+      var pos = 2;
+      var nibble = 0;
+      for (var entry = data[pos++]; entry !== 0xFF; entry = data[pos++]) {
+        if (entry & 0x80) {
+          nibble = entry & 0x0F;
+          entry = data[pos++];
+        }
+        table[((entry & 0x0F) << 8) | data[pos++]] = {nibble : nibble, count : (entry >> 4) + 1};
+      }
+
+      var bitPos = pos * 8;
+      var readBits = function (length) {
+        var value = 0;
+        for (var i = 0; i < length; i++, bitPos++) {
+          value = (value << 1) | ((data[bitPos >> 3] >> (7 - (bitPos & 7))) & 1);
+        }
+        return value;
+      };
+
+      var out = [];
+      var row = 0;
+      var rowNibbles = 0;
+      var previous = [0, 0, 0, 0];
+      var emit = function (value) {
+        row = ((row << 4) | value) >>> 0;
+        if (++rowNibbles === 8) {
+          var bytes = [row >>> 24, (row >> 16) & 0xFF, (row >> 8) & 0xFF, row & 0xFF];
+          if (xorMode) {
+            bytes = bytes.map(function (b, i) {
+              return b ^ previous[i];
+            });
+          }
+          out.push.apply(out, bytes);
+          previous = bytes;
+          row = 0;
+          rowNibbles = 0;
+        }
+      };
+
+      while (out.length < rows * 4) {
+        var code = 0;
+        var length = 0;
+        var run = null;
+        while (!run) {
+          code = (code << 1) | readBits(1);
+          length++;
+          expect(length).not.toBeGreaterThan(8);
+          if (length === 6 && code === 0x3F) {
+            var count = readBits(3) + 1;
+            run = {count : count, nibble : readBits(4)};
+          } else {
+            run = table[(length << 8) | code];
+          }
+        }
+        for (var i = 0; i < run.count; i++) {
+          emit(run.nibble);
+        }
+      }
+      return out;
+    },
+
+    'kosinski' : function (data) {
+      var pos = 0;
+      var descriptor = 0;
+      var bitsLeft = 0;
+      var readDescriptor = function () {
+        descriptor = data[pos] | (data[pos + 1] << 8);
+        pos += 2;
+        bitsLeft = 16;
+      };
+      var getBit = function () {
+        var bit = descriptor & 1;
+        descriptor >>= 1;
+        if (--bitsLeft === 0) {
+          readDescriptor();
+        }
+        return bit;
+      };
+
+      var out = [];
+      var copy = function (offset, count) {
+        for (var i = 0; i < count; i++) {
+          out.push(out[out.length + offset]);
+        }
+      };
+      readDescriptor();
+      while (true) {
+        if (getBit()) {
+          out.push(data[pos++]);
+        } else if (getBit()) {
+          var low = data[pos++];
+          var high = data[pos++];
+          var offset = (((high & 0xF8) << 5) | low) - 0x2000;
+          var count = high & 0x07;
+          if (count) {
+            copy(offset, count + 2);
+          } else {
+            var extra = data[pos++];
+            if (extra === 0) {
+              break;
+            } else if (extra > 1) {
+              copy(offset, extra + 1);
+            }
+          }
+        } else {
+          var inlineCount = ((getBit() << 1) | getBit()) + 2;
+          copy(data[pos++] - 0x100, inlineCount);
+        }
+      }
+      return out;
+    },
+
+    'lz4' : function (data) {
+      var out = [];
+      var pos = 0;
+      var readLength = function (length) {
+        if (length === 15) {
+          var extra;
+          do {
+            extra = data[pos++];
+            length += extra;
+          } while (extra === 255);
+        }
+        return length;
+      };
+      while (pos < data.length) {
+        var token = data[pos++];
+        var literals = readLength(token >> 4);
+        for (var i = 0; i < literals; i++) {
+          out.push(data[pos++]);
+        }
+        if (pos >= data.length) {
+          break;
+        }
+        var distance = data[pos] | (data[pos + 1] << 8);
+        pos += 2;
+        var length = readLength(token & 0x0F) + 4;
+        for (var j = 0; j < length; j++) {
+          out.push(out[out.length - distance]);
+        }
+      }
+      return out;
+    },
+
+    'rle' : function (data) {
+      var out = [];
+      var last = -1;
+      var pos = 0;
+      while (pos < data.length) {
+        var value = data[pos++];
+        out.push(value);
+        if (value === last) {
+          for (var i = data[pos++]; i > 0; i--) {
+            out.push(value);
+          }
+          last = -1;
+        } else {
+          last = value;
+        }
+      }
+      return out;
+    }
+  };
+
+  /**
+   * Tile-like test data: long runs, repeated rows and some noise.
+   */
+  var createTileData = function (tileCount) {
+    var seed = 7;
+    var bytes = new Uint8Array(tileCount * 32);
+    for (var i = 0; i < bytes.length; i++) {
+      seed = (seed * 1103515245 + 12345) & 0x7FFFFFFF;
+      var tile = Math.floor(i / 32);
+      if (tile % 3 === 0) {
+        bytes[i] = 0;
+      } else if (tile % 3 === 1) {
+        bytes[i] = (i % 4) * 0x11;
+      } else {
+        bytes[i] = seed >> 16;
+      }
+    }
+    return bytes;
+  };
+
+  var checkRoundTrip = function (codecId, bytes) {
+    var compressed = CompressionUtils.compress(codecId, bytes);
+    expect(compressed instanceof Uint8Array).toBe(true);
+    var decompressed = decompressors[codecId](compressed);
+    expect(decompressed.length).toBe(bytes.length);
+    expect(decompressed).toEqual(Array.from(bytes));
+    return compressed;
+  };
+
+  Object.keys(decompressors).forEach(function (codecId) {
+    it("round-trips " + codecId + " data", function() {
+      var compressed = checkRoundTrip(codecId, createTileData(40));
+      expect(compressed.length).toBeLessThan(40 * 32);
+
+      checkRoundTrip(codecId, new Uint8Array(64));
+      var noise = createTileData(3).subarray(64);
+      checkRoundTrip(codecId, noise);
+    });
+  });
+
+  it("has a decompressor for every codec", function() {
+    expect(Object.keys(CompressionUtils.CODECS).sort()).toEqual(Object.keys(decompressors).sort());
+  });
+
+  it("round-trips long runs and matches", function() {
+    var bytes = new Uint8Array(96 * 32);
+    for (var i = 1000; i < bytes.length; i++) {
+      bytes[i] = i % 7;
+    }
+    Object.keys(decompressors).forEach(function (codecId) {
+      checkRoundTrip(codecId, bytes);
+    });
+  });
+
+  it("pads GBA BIOS data to 4 bytes", function() {
+    var compressed = CompressionUtils.compress('gba-lz77', new Uint8Array([1, 2, 3]));
+    expect(compressed.length % 4).toBe(0);
+    expect(Array.from(compressed.subarray(0, 4))).toEqual([0x10, 3, 0, 0]);
+  });
+
+  it("pads Nemesis data to whole tiles", function() {
+    var decompressed = decompressors.nemesis(CompressionUtils.compress('nemesis', new Uint8Array([0x12])));
+    expect(decompressed.length).toBe(32);
+    expect(decompressed[0]).toBe(0x12);
+  });
+
+  it("leaves data uncompressed without codec", function() {
+    var bytes = new Uint8Array([1, 2, 3]);
+    expect(CompressionUtils.compress(null, bytes)).toBe(bytes);
+    expect(CompressionUtils.getExtension(null)).toBe('');
+    expect(CompressionUtils.formatCompressedSize(null, null)).toBe('');
+    expect(CompressionUtils.formatCompressedSize('rle', function () {
+      return new Uint8Array(10);
+    })).toBe(', 3 bytes compressed');
+  });
+
+  it("shows the error of data that can't be generated", function() {
+    expect(CompressionUtils.formatCompressedSize('rle', function () {
+      throw new Error('Color #FF0000 (palette index 4) has no index in the exported palette');
+    })).toBe(', Color #FF0000 (palette index 4) has no index in the exported palette');
+  });
+
+  it("offers console codecs before generic codecs", function() {
+    expect(CompressionUtils.getCodecIds({compression : ['nemesis', 'kosinski']}))
+      .toEqual(['nemesis', 'kosinski', 'lz4', 'rle']);
+    expect(CompressionUtils.getCodecIds(null)).toEqual(['lz4', 'rle']);
+  });
+});
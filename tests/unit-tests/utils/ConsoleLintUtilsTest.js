@@ -0,0 +1,56 @@
+describe("ConsoleLintUtils suite", function() {
+  var B = '#000000';
+  var R = '#ff0000';
+  var G = '#00ff00';
+  var W = '#ffffff';
+  var T = Constants.TRANSPARENT_COLOR;
+
+  var createController = function (grids) {
+    var layer = new pskl.model.Layer('l1');
+    grids.forEach(function (grid) {
+      layer.addFrame(pskl.model.Frame.fromPixelGrid(test.testutils.toFrameGrid(grid)));
+    });
+    var piskel = new pskl.model.Piskel(grids[0][0].length, grids[0].length, 12, {name : 'test'});
+    piskel.addLayer(layer);
+    return new pskl.controller.piskel.PiskelController(piskel);
+  };
+
+  var createMode = function (config) {
+    return new pskl.consoles.ConsoleMode(Object.assign({id : 'test', name : 'Test'}, config));
+  };
+
+  var getChecks = function (report) {
+    return report.errors.map(function (error) {
+      return error.check;
+    });
+  };
+
+  it("reports a valid sprite", function() {
+    var report = pskl.utils.ConsoleLintUtils.lint(createMode({maxColors : 3}), createController([[
+      [B, R],
+      [T, T]
+    ]]));
+    expect(report).toEqual({console : 'test', valid : true, errors : []});
+  });
+
+  it("checks dimensions, color count and palette", function() {
+    var mode = createMode({maxColors : 2, tileSize : 4, palette : [B, R, W]});
+    var report = pskl.utils.ConsoleLintUtils.lint(mode, createController([[
+      [B, R, G]
+    ]]));
+    expect(report.valid).toBe(false);
+    expect(getChecks(report)).toEqual(['dimensions', 'colors', 'palette']);
+    expect(report.errors[2].message).toContain('#00ff00');
+  });
+
+  it("lists the frames breaking regional color constraints", function() {
+    var mode = createMode({colorRegions : [{name : 'Line', width : 2, height : 1, maxColors : 1}]});
+    var report = pskl.utils.ConsoleLintUtils.lint(mode, createController([
+      [[B, B]],
+      [[B, R]],
+      [[R, R]]
+    ]));
+    expect(getChecks(report)).toEqual(['color-regions']);
+    expect(report.errors[0].frames).toEqual([1]);
+  });
+});
@@ -0,0 +1,40 @@
+describe("LcdColorUtils suite", function() {
+  var LcdColorUtils = pskl.utils.LcdColorUtils;
+
+  afterEach(function() {
+    pskl.UserSettings.set(pskl.UserSettings.LCD_COLOR_CORRECTION, false);
+  });
+
+  it("mixes and dims the channels of the GBC screen", function() {
+    expect(LcdColorUtils.correct('#000000', 'gbc')).toBe('#000000');
+    expect(LcdColorUtils.correct('#ffffff', 'gbc')).toBe('#f0f0f0');
+    expect(LcdColorUtils.correct('#ff0000', 'gbc')).toBe('#c9002e');
+  });
+
+  it("applies the gamma curve of the GBA screen", function() {
+    expect(LcdColorUtils.correct('#000000', 'gba')).toBe('#000000');
+    expect(LcdColorUtils.correct('#ffffff', 'gba')).toBe('#fceef2');
+    // Dark colors get much darker
+    expect(LcdColorUtils.correct('#404040', 'gba')).toBe('#151415');
+  });
+
+  it("quantizes colors to RGB555 first", function() {
+    expect(LcdColorUtils.correct('#fefefe', 'gbc')).toBe(LcdColorUtils.correct('#ffffff', 'gbc'));
+  });
+
+  it("provides a display filter when the correction is enabled", function() {
+    expect(LcdColorUtils.getFilter('gbc')).toBe(null);
+
+    pskl.UserSettings.set(pskl.UserSettings.LCD_COLOR_CORRECTION, true);
+    var filter = LcdColorUtils.getFilter('gbc');
+    expect(filter.key).toBe('lcd-gbc');
+    expect(filter.map('#ffffff')).toBe('#f0f0f0');
+    expect(LcdColorUtils.getFilter('gba').key).toBe('lcd-gba');
+    expect(LcdColorUtils.getFilter('unknown')).toBe(null);
+
+    // Only handheld consoles use it
+    expect(pskl.consoles.createGBCMode().getDisplayColorFilter()).toBe(filter);
+    expect(pskl.consoles.createGBA8bppMode().getDisplayColorFilter().key).toBe('lcd-gba');
+    expect(pskl.consoles.createSNESMode().getDisplayColorFilter()).toBe(null);
+  });
+});
@@ -0,0 +1,165 @@
+describe("MetaspriteUtils suite", function() {
+  var MetaspriteUtils = pskl.utils.MetaspriteUtils;
+
+  /**
+   * Creates a width x height RGBA buffer where the given 8x8 cells
+   * (as [cellX, cellY]) are filled with opaque pixels.
+   */
+  var createPixels = function (width, height, cells) {
+    var pixels = new Uint8ClampedArray(width * height * 4);
+    cells.forEach(function (cell) {
+      for (var y = 0; y < 8; y++) {
+        for (var x = 0; x < 8; x++) {
+          var i = ((cell[1] * 8 + y) * width + cell[0] * 8 + x) * 4;
+          pixels[i] = cell[0] * 16 + cell[1];
+          pixels[i + 3] = 255;
+        }
+      }
+    });
+    return pixels;
+  };
+
+  it("parses sprite sizes", function() {
+    expect(MetaspriteUtils.parseSize('8x16')).toEqual({width: 8, height: 16});
+  });
+
+  it("skips transparent sprites", function() {
+    var pixels = createPixels(16, 16, [[1, 0], [0, 1]]);
+    var result = MetaspriteUtils.buildMetasprites([pixels], 16, 16, {
+      consoleId: 'nes',
+      size: '8x8'
+    });
+
+    expect(result.tiles.length).toBe(2);
+    expect(result.frames[0]).toEqual([
+      {x: 8, y: 0, tile: 0, width: 8, height: 8},
+      {x: 0, y: 8, tile: 1, width: 8, height: 8}
+    ]);
+  });
+
+  it("numbers sprites across frames", function() {
+    var frameA = createPixels(8, 16, [[0, 0]]);
+    var frameB = createPixels(8, 16, [[0, 1]]);
+    var result = MetaspriteUtils.buildMetasprites([frameA, frameB], 8, 16, {
+      consoleId: 'gameboy',
+      size: '8x16'
+    });
+
+    expect(result.tiles.length).toBe(4);
+    expect(result.frames[0][0].tile).toBe(0);
+    expect(result.frames[1][0].tile).toBe(2);
+  });
+
+  it("orders sprite tiles by column for Genesis", function() {
+    var pixels = createPixels(16, 16, [[0, 0], [1, 0], [0, 1], [1, 1]]);
+    var result = MetaspriteUtils.buildMetasprites([pixels], 16, 16, {
+      consoleId: 'genesis',
+      size: '16x16'
+    });
+
+    // Top-left, bottom-left, top-right, bottom-right
+    expect(result.tiles.map(function (tile) {
+      return tile[0];
+    })).toEqual([0, 1, 16, 17]);
+  });
+
+  it("lays out SNES sprite tiles on a 16 tiles wide sheet", function() {
+    var pixels = createPixels(32, 16, [[0, 0], [3, 1]]);
+    var result = MetaspriteUtils.buildMetasprites([pixels], 32, 16, {
+      consoleId: 'snes',
+      size: '16x16'
+    });
+
+    expect(result.frames[0][0].tile).toBe(0);
+    expect(result.frames[0][1].tile).toBe(2);
+    expect(result.tiles.length).toBe(20);
+    expect(result.tiles[0][0]).toBe(0);
+    expect(result.tiles[19][0]).toBe(49);
+    expect(result.tiles[4]).toBe(null);
+  });
+
+  it("pads sprites crossing the frame border with transparency", function() {
+    var pixels = createPixels(8, 8, [[0, 0]]);
+    var result = MetaspriteUtils.buildMetasprites([pixels], 8, 8, {
+      consoleId: 'gba',
+      size: '16x16'
+    });
+
+    expect(result.tiles.length).toBe(4);
+    expect(result.tiles[1][3]).toBe(0);
+  });
+
+  it("encodes NES sprite tables", function() {
+    var sprites = [{x: 8, y: 16, tile: 3, width: 8, height: 8}];
+    expect(Array.prototype.slice.call(MetaspriteUtils.encodeTables('nes', [sprites, []])))
+      .toEqual([1, 16, 3, 0, 8, 0]);
+  });
+
+  it("encodes SMS sprite tables as split Y and X/tile tables", function() {
+    var sprites = [
+      {x: 0, y: 1, tile: 2, width: 8, height: 8},
+      {x: 8, y: 9, tile: 3, width: 8, height: 8}
+    ];
+    expect(MetaspriteUtils.encodeFrame('sms', sprites)).toEqual([1, 9, 0, 2, 8, 3]);
+  });
+
+  it("encodes SNES sprite tables with a high table", function() {
+    var sprites = [
+      {x: 0, y: 0, tile: 0, width: 16, height: 16},
+      {x: 256, y: 0, tile: 0x102, width: 16, height: 16}
+    ];
+    expect(MetaspriteUtils.encodeFrame('snes', sprites)).toEqual([
+      0, 0, 0, 0,
+      0, 0, 2, 1,
+      0x0E
+    ]);
+  });
+
+  it("encodes Genesis sprite tables with links", function() {
+    var sprites = [
+      {x: 0, y: 0, tile: 0, width: 32, height: 32},
+      {x: 32, y: 0, tile: 16, width: 8, height: 16}
+    ];
+    expect(MetaspriteUtils.encodeFrame('genesis', sprites)).toEqual([
+      0, 0, 0x0F, 1, 0, 0, 0, 0,
+      0, 0, 0x01, 0, 0, 16, 0, 32
+    ]);
+  });
+
+  it("encodes GBA 8bpp sprite tables", function() {
+    var sprites = [{x: 4, y: 2, tile: 3, width: 8, height: 16}];
+    expect(MetaspriteUtils.encodeFrame('gba8bpp', sprites)).toEqual([
+      0x02, 0xA0,
+      0x04, 0x00,
+      0x06, 0x00,
+      0x00, 0x00
+    ]);
+  });
+
+  it("uses the sub-palette of the top-left region of each sprite", function() {
+    var pixels = createPixels(16, 16, [[0, 0], [1, 1]]);
+    var result = MetaspriteUtils.buildMetasprites([pixels], 16, 16, {
+      consoleId: 'nes',
+      size: '8x8',
+      getPalette: function (col, row) {
+        return col + row;
+      }
+    });
+
+    expect(result.frames[0][1].palette).toBe(2);
+    expect(result.palettes).toEqual([0, 2]);
+  });
+
+  it("encodes sub-palettes in sprite attributes", function() {
+    var sprites = [{x: 0, y: 0, tile: 1, width: 8, height: 8, palette: 3}];
+    expect(MetaspriteUtils.encodeFrame('nes', sprites)).toEqual([0, 1, 3, 0]);
+    expect(MetaspriteUtils.encodeFrame('gbc', sprites)).toEqual([0, 0, 1, 3]);
+    expect(MetaspriteUtils.encodeFrame('snes', sprites)).toEqual([0, 0, 1, 6, 0]);
+    expect(MetaspriteUtils.encodeFrame('genesis', sprites)).toEqual([
+      0, 0, 0, 0, 0x60, 1, 0, 0
+    ]);
+    expect(MetaspriteUtils.encodeFrame('gba', sprites)).toEqual([
+      0, 0, 0, 0, 0x01, 0x30, 0, 0
+    ]);
+  });
+});
@@ -0,0 +1,62 @@
+describe("NametableUtils suite", function() {
+  var NametableUtils = pskl.utils.NametableUtils;
+
+  var entry = function (index, palette, flipX, flipY) {
+    return {index: index, palette: palette, flipX: !!flipX, flipY: !!flipY};
+  };
+
+  it("lists the consoles with a background map format", function() {
+    expect(NametableUtils.isSupported('nes')).toBe(true);
+    expect(NametableUtils.isSupported('genesis')).toBe(true);
+    expect(NametableUtils.isSupported('msx')).toBe(false);
+  });
+
+  it("encodes NES nametables followed by their attribute table", function() {
+    // 4x4 tiles: one 32x32 block, one palette per 16x16 area
+    var map = [];
+    for (var i = 0; i < 16; i++) {
+      var row = Math.floor(i / 4);
+      var col = i % 4;
+      map.push(entry(i, (row < 2 ? 0 : 2) + (col < 2 ? 0 : 1)));
+    }
+    var result = NametableUtils.encodeMaps('nes', [map], 4, 4);
+    expect(result.map.length).toBe(17);
+    expect(result.map[15]).toBe(15);
+    expect(result.map[16]).toBe((3 << 6) | (2 << 4) | (1 << 2) | 0);
+    expect(result.attributes).toBe(null);
+  });
+
+  it("counts NES attribute areas mixing sub-palettes", function() {
+    var map = [entry(0, 0), entry(1, 1), entry(2, 0), entry(3, 0)];
+    expect(NametableUtils.countAttributeConflicts([map], 2, 2)).toBe(1);
+    map[1].palette = 0;
+    expect(NametableUtils.countAttributeConflicts([map], 2, 2)).toBe(0);
+  });
+
+  it("encodes GBC maps with a separate CGB attribute map", function() {
+    var result = NametableUtils.encodeMaps('gbc', [[entry(0x105, 3, true, false)]], 1, 1, {priority: true});
+    expect(Array.from(result.map)).toEqual([0x05]);
+    expect(Array.from(result.attributes)).toEqual([0x80 | 0x20 | 0x08 | 0x03]);
+  });
+
+  it("encodes SNES and GBA entries in little-endian", function() {
+    var snes = NametableUtils.encodeMaps('snes', [[entry(0x123, 5, true, true)]], 1, 1, {priority: true});
+    var snesValue = 0x123 | (5 << 10) | 0x2000 | 0x4000 | 0x8000;
+    expect(Array.from(snes.map)).toEqual([snesValue & 0xFF, snesValue >> 8]);
+
+    var gba = NametableUtils.encodeMaps('gba', [[entry(0x123, 5, true, false)]], 1, 1);
+    var gbaValue = 0x123 | 0x400 | (5 << 12);
+    expect(Array.from(gba.map)).toEqual([gbaValue & 0xFF, gbaValue >> 8]);
+  });
+
+  it("encodes Genesis plane entries in big-endian with the priority bit", function() {
+    var result = NametableUtils.encodeMaps('genesis', [[entry(0x456, 2, false, true)]], 1, 1, {priority: true});
+    var value = 0x456 | 0x1000 | (2 << 13) | 0x8000;
+    expect(Array.from(result.map)).toEqual([value >> 8, value & 0xFF]);
+  });
+
+  it("concatenates the maps of all screens", function() {
+    var result = NametableUtils.encodeMaps('gameboy', [[entry(1)], [entry(2)]], 1, 1);
+    expect(Array.from(result.map)).toEqual([1, 2]);
+  });
+});
@@ -0,0 +1,44 @@
+describe("PaletteOrderUtils suite", function() {
+  var PaletteOrderUtils = pskl.utils.PaletteOrderUtils;
+
+  it("lists the palette order first, then unassigned colors", function() {
+    var colors = PaletteOrderUtils.getIndexedColors(['#00ff00', '#FF0000'], ['#ff0000', '#0000ff']);
+    expect(colors).toEqual(['#00FF00', '#FF0000', '#0000FF']);
+  });
+
+  it("keeps indexes stable when colors are used in another order", function() {
+    var order = PaletteOrderUtils.lockColors([], ['#FF0000', '#00FF00']);
+    order = PaletteOrderUtils.lockColors(order, ['#00FF00', '#0000FF', '#FF0000']);
+    expect(order).toEqual(['#FF0000', '#00FF00', '#0000FF']);
+  });
+
+  it("returns the same order when all colors have an index", function() {
+    var order = ['#FF0000'];
+    expect(PaletteOrderUtils.lockColors(order, ['#ff0000'])).toBe(order);
+  });
+
+  it("reuses the index of an unused color when the palette is full", function() {
+    var order = PaletteOrderUtils.lockColors(
+      ['#FF0000', '#00FF00', '#0000FF'], ['#FF0000', '#0000FF', '#FFFFFF'], 3);
+    expect(order).toEqual(['#FF0000', '#FFFFFF', '#0000FF']);
+  });
+
+  it("gives the index of a replaced color to its replacement", function() {
+    var order = PaletteOrderUtils.replaceColor(['#FF0000', '#00FF00'], '#ff0000', '#FFFFFF');
+    expect(order).toEqual(['#FFFFFF', '#00FF00']);
+  });
+
+  it("moves colors and removes unused ones", function() {
+    var order = ['#FF0000', '#00FF00', '#0000FF'];
+    expect(PaletteOrderUtils.moveColor(order, 2, 0)).toEqual(['#0000FF', '#FF0000', '#00FF00']);
+    expect(PaletteOrderUtils.removeUnusedColors(order, ['#0000FF', '#FF0000']))
+      .toEqual(['#FF0000', '#0000FF']);
+  });
+
+  it("maps transparent to 0 and colors to their index", function() {
+    var colorMap = PaletteOrderUtils.createColorMap(['#FF0000', '#00FF00', '#0000FF'], 2);
+    expect(colorMap[0]).toBe(0);
+    expect(colorMap[pskl.utils.colorToInt('#00FF00')]).toBe(2);
+    expect(colorMap[pskl.utils.colorToInt('#0000FF')]).toBeUndefined();
+  });
+});
@@ -0,0 +1,51 @@
+describe("ScanlineUtils suite", function() {
+  var ScanlineUtils = pskl.utils.ScanlineUtils;
+
+  /**
+   * Creates RGBA data with opaque pixels at the given coordinates.
+   */
+  var createPixels = function (width, height, opaque) {
+    var pixels = new Uint8ClampedArray(width * height * 4);
+    opaque.forEach(function (point) {
+      pixels[(point[1] * width + point[0]) * 4 + 3] = 255;
+    });
+    return pixels;
+  };
+
+  var SIZE_8 = {width : 8, height : 8};
+
+  it("picks the largest sprite size fitting in the frame", function() {
+    var mode = {spriteSizes : ['8x8', '16x16', '32x32']};
+    expect(ScanlineUtils.getSpriteSize(mode, 24, 24)).toEqual({width : 16, height : 16});
+    expect(ScanlineUtils.getSpriteSize(mode, 64, 32)).toEqual({width : 32, height : 32});
+    expect(ScanlineUtils.getSpriteSize(mode, 4, 4)).toEqual({width : 8, height : 8});
+    expect(ScanlineUtils.getSpriteSize({spriteSizes : []}, 16, 16)).toBe(null);
+  });
+
+  it("counts non transparent sprites on every line they cover", function() {
+    // 24x16 frame: sprites (0,0) and (16,0) in the top row, (8,8) below
+    var pixels = createPixels(24, 16, [[0, 7], [20, 0], [9, 12]]);
+    var counts = ScanlineUtils.countScanlines(pixels, 24, 16, SIZE_8);
+    expect(counts.sprites.slice(0, 8)).toEqual([2, 2, 2, 2, 2, 2, 2, 2]);
+    expect(counts.sprites.slice(8)).toEqual([1, 1, 1, 1, 1, 1, 1, 1]);
+    expect(counts.pixels[0]).toBe(16);
+  });
+
+  it("finds lines and frames over the limits", function() {
+    var limits = {sprites : 2};
+    var points = [[0, 0], [8, 0], [16, 0]];
+    var counts = ScanlineUtils.countScanlines(createPixels(24, 8, points), 24, 8, SIZE_8);
+    expect(ScanlineUtils.getLoad(counts, limits, 0)).toBe(1.5);
+    expect(ScanlineUtils.getOverflowLines(counts, limits).length).toBe(8);
+
+    var frames = [createPixels(24, 8, points.slice(0, 2)), createPixels(24, 8, points)];
+    expect(ScanlineUtils.getOverflowFrames(frames, 24, 8, SIZE_8, limits)).toEqual([1]);
+  });
+
+  it("applies the sprite pixel limit when defined", function() {
+    var counts = ScanlineUtils.countScanlines(createPixels(16, 16, [[0, 0]]), 16, 16,
+      {width : 16, height : 16});
+    expect(ScanlineUtils.getLoad(counts, {sprites : 4}, 0)).toBe(0.25);
+    expect(ScanlineUtils.getLoad(counts, {sprites : 4, pixels : 8}, 0)).toBe(2);
+  });
+});
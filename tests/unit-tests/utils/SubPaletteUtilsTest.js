@@ -0,0 +1,101 @@
+describe("SubPaletteUtils suite", function() {
+  var SubPaletteUtils = pskl.utils.SubPaletteUtils;
+
+  var RED = [255, 0, 0];
+  var GREEN = [0, 255, 0];
+  var BLUE = [0, 0, 255];
+
+  /**
+   * Creates a 16x8 RGBA frame made of two 8x8 regions filled with the
+   * given colors (null for transparent).
+   */
+  var createFrame = function (left, right) {
+    var pixels = new Uint8ClampedArray(16 * 8 * 4);
+    for (var y = 0; y < 8; y++) {
+      for (var x = 0; x < 16; x++) {
+        var color = x < 8 ? left : right;
+        if (color) {
+          var i = (y * 16 + x) * 4;
+          pixels[i] = color[0];
+          pixels[i + 1] = color[1];
+          pixels[i + 2] = color[2];
+          pixels[i + 3] = 255;
+        }
+      }
+    }
+    return pixels;
+  };
+
+  var subPalettes = [['#ff0000', '#00ff00'], ['#0000ff']];
+
+  it("stores assignments other than the default sub-palette", function() {
+    var tilePalettes = SubPaletteUtils.setPaletteIndex({}, 1, 0, 2);
+    expect(tilePalettes).toEqual({'1,0': 2});
+    expect(SubPaletteUtils.getPaletteIndex(tilePalettes, 1, 0)).toBe(2);
+    expect(SubPaletteUtils.getPaletteIndex(tilePalettes, 0, 0)).toBe(0);
+    expect(SubPaletteUtils.setPaletteIndex(tilePalettes, 1, 0, 0)).toEqual({});
+  });
+
+  it("lists the opaque colors of a region", function() {
+    var pixels = createFrame(RED, null);
+    expect(SubPaletteUtils.getRegionColors(pixels, 16, 8, 0, 0)).toEqual(['#FF0000']);
+    expect(SubPaletteUtils.getRegionColors(pixels, 16, 8, 1, 0)).toEqual([]);
+  });
+
+  it("finds the first sub-palette containing all colors", function() {
+    expect(SubPaletteUtils.findPalette(subPalettes, ['#00FF00'])).toBe(0);
+    expect(SubPaletteUtils.findPalette(subPalettes, ['#0000FF'])).toBe(1);
+    expect(SubPaletteUtils.findPalette(subPalettes, ['#FF0000', '#0000FF'])).toBe(-1);
+  });
+
+  it("validates regions against their sub-palette", function() {
+    var frames = [createFrame(RED, BLUE)];
+    var invalid = SubPaletteUtils.validateRegions(frames, 16, 8, {
+      subPalettes : subPalettes,
+      tilePalettes : {}
+    });
+
+    expect(invalid.length).toBe(1);
+    expect(invalid[0].col).toBe(1);
+    expect(invalid[0].outside).toEqual(['#0000FF']);
+
+    invalid = SubPaletteUtils.validateRegions(frames, 16, 8, {
+      subPalettes : subPalettes,
+      tilePalettes : {'1,0': 1}
+    });
+    expect(invalid.length).toBe(0);
+  });
+
+  it("validates the color count of regions without sub-palettes", function() {
+    var frames = [createFrame(RED, GREEN)];
+    expect(SubPaletteUtils.validateRegions(frames, 16, 8, {maxColors : 1}).length).toBe(0);
+
+    var invalid = SubPaletteUtils.validateRegions(frames, 16, 8, {maxColors : 1, regionSize : 16});
+    expect(invalid.length).toBe(1);
+    expect(invalid[0].outside).toEqual(['#00FF00']);
+  });
+
+  it("assigns sub-palettes matching the colors of each region", function() {
+    var frames = [createFrame(GREEN, BLUE), createFrame(RED, [1, 2, 3])];
+    var result = SubPaletteUtils.autoAssign(frames, 16, 8, {
+      subPalettes : subPalettes,
+      tilePalettes : {'1,0': 1}
+    });
+
+    expect(result.tilePalettes).toEqual({'1,0': 1});
+    expect(result.unassigned).toBe(1);
+  });
+
+  it("creates one color map per sub-palette", function() {
+    var colorMaps = SubPaletteUtils.createColorMaps(subPalettes);
+    expect(colorMaps.length).toBe(2);
+    expect(colorMaps[0][pskl.utils.colorToInt('#00ff00')]).toBe(2);
+    expect(colorMaps[1][pskl.utils.colorToInt('#0000ff')]).toBe(1);
+    expect(colorMaps[1][0]).toBe(0);
+  });
+
+  it("encodes the sub-palette index of each tile position", function() {
+    var bytes = SubPaletteUtils.encodePaletteIndexes({'1,0': 3}, 16, 8, 2);
+    expect(Array.prototype.slice.call(bytes)).toEqual([0, 3, 0, 3]);
+  });
+});
@@ -0,0 +1,101 @@
+describe("TileImportUtils suite", function() {
+  var TileImportUtils = pskl.utils.TileImportUtils;
+
+  var createTileData = function (size, values) {
+    var data = new Uint8Array(size);
+    Object.keys(values).forEach(function (offset) {
+      data[offset] = values[offset];
+    });
+    return data;
+  };
+
+  it("finds the formats written with a file extension", function() {
+    expect(TileImportUtils.getFormatsForFile('hero.chr')).toEqual(['nes']);
+    expect(TileImportUtils.getFormatsForFile('hero.2BPP')).toEqual(['gameboy', 'gbc']);
+    expect(TileImportUtils.getFormatsForFile('hero.4bpp')).toContain('gba');
+    expect(TileImportUtils.isTileFile('hero.png')).toBe(false);
+  });
+
+  it("decodes NES planar and Game Boy interleaved 2bpp tiles", function() {
+    // Row 0: pixel 0 uses both planes (3), pixel 7 only plane 0 (1)
+    var nes = TileImportUtils.decodeTiles(createTileData(16, {0 : 0x81, 8 : 0x80}), 'nes');
+    expect(nes.length).toBe(1);
+    expect(nes[0][0]).toBe(3);
+    expect(nes[0][7]).toBe(1);
+    expect(nes[0][8]).toBe(0);
+
+    var gb = TileImportUtils.decodeTiles(createTileData(16, {0 : 0x81, 1 : 0x80}), 'gameboy');
+    expect(gb[0][0]).toBe(3);
+    expect(gb[0][7]).toBe(1);
+  });
+
+  it("decodes SNES 4bpp bitplanes", function() {
+    var tiles = TileImportUtils.decodeTiles(createTileData(32, {
+      0 : 0x80, 1 : 0x80, 16 : 0x80, 17 : 0x01
+    }), 'snes');
+    expect(tiles[0][0]).toBe(7);
+    expect(tiles[0][7]).toBe(8);
+  });
+
+  it("decodes packed 4bpp nibbles in the order of each console", function() {
+    var data = createTileData(32, {0 : 0x12});
+    expect(TileImportUtils.decodeTiles(data, 'genesis')[0].subarray(0, 2)).toEqual(new Uint8Array([1, 2]));
+    expect(TileImportUtils.decodeTiles(data, 'gba')[0].subarray(0, 2)).toEqual(new Uint8Array([2, 1]));
+  });
+
+  it("ignores trailing bytes that do not fill a tile", function() {
+    expect(TileImportUtils.decodeTiles(new Uint8Array(70), 'msx').length).toBe(8);
+    expect(TileImportUtils.decodeTiles(new Uint8Array(70), 'gba8bpp').length).toBe(1);
+  });
+
+  it("decodes palettes into sub-palettes", function() {
+    var rgb555 = TileImportUtils.decodePalette(new Uint8Array([
+      0x00, 0x00, 0x1F, 0x00, 0xE0, 0x03, 0x00, 0x7C, 0xFF, 0x7F
+    ]), 'gbc');
+    expect(rgb555).toEqual([['#000000', '#FF0000', '#00FF00', '#0000FF'], ['#FFFFFF']]);
+
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x0E, 0x00, 0x00, 0x0E]), 'genesis')[0])
+      .toEqual(['#FF0000', '#0000FF']);
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x30, 0x15]), 'sms')[0])
+      .toEqual(['#0000FF', '#555555']);
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x70, 0x00]), 'msx2')[0])
+      .toEqual(['#FF0000']);
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x38, 0x00, 0xC0, 0x01]), 'pce')[0])
+      .toEqual(['#FF0000', '#00FF00']);
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x0F, 0x30]), 'nes')[0])
+      .toEqual(['#000000', '#FCFCFC']);
+    expect(TileImportUtils.decodePalette(new Uint8Array([0x00]), 'gameboy')).toEqual([]);
+  });
+
+  it("builds a gray ramp when no palette is provided", function() {
+    var palette = TileImportUtils.getDefaultPalette('gba');
+    expect(palette.length).toBe(16);
+    expect(palette[0]).toBe('#000000');
+    expect(palette[15]).toBe('#FFFFFF');
+    expect(TileImportUtils.getDefaultPalette('nes')).toEqual(['#000000', '#7C7C7C', '#BCBCBC', '#FCFCFC']);
+  });
+
+  it("lays tiles out row by row in consecutive frames", function() {
+    var red = pskl.utils.colorToInt('#FF0000');
+    var transparent = pskl.utils.colorToInt(Constants.TRANSPARENT_COLOR);
+    var tiles = [0, 1, 2].map(function () {
+      var tile = new Uint8Array(64);
+      tile.fill(1);
+      return tile;
+    });
+
+    var result = TileImportUtils.createFramesPixels(tiles, ['#000000', '#FF0000'], {
+      tilesPerRow : 2,
+      frameRows : 1
+    });
+    expect(result.width).toBe(16);
+    expect(result.height).toBe(8);
+    expect(result.frames.length).toBe(2);
+    expect(result.frames[1][0]).toBe(red);
+    expect(result.frames[1][8]).toBe(transparent);
+
+    var single = TileImportUtils.createFramesPixels(tiles, ['#000000', '#FF0000'], {tilesPerRow : 2});
+    expect(single.frames.length).toBe(1);
+    expect(single.height).toBe(16);
+  });
+});
@@ -0,0 +1,146 @@
+describe("TileUtils suite", function() {
+  var TileUtils = pskl.utils.TileUtils;
+
+  /**
+   * Builds an RGBA buffer from a 2D array of values: 0 is transparent,
+   * any other value is an opaque grey pixel of that intensity.
+   */
+  var createPixels = function (grid) {
+    var height = grid.length;
+    var width = grid[0].length;
+    var pixels = new Uint8ClampedArray(width * height * 4);
+    for (var y = 0; y < height; y++) {
+      for (var x = 0; x < width; x++) {
+        var i = (y * width + x) * 4;
+        var value = grid[y][x];
+        pixels[i] = pixels[i + 1] = pixels[i + 2] = value;
+        pixels[i + 3] = value ? 255 : 0;
+      }
+    }
+    return pixels;
+  };
+
+  var toArray = function (typedArray) {
+    return Array.prototype.slice.call(typedArray);
+  };
+
+  // 4x2 image made of two 2x2 tiles, the second one is the first mirrored
+  var grid = [
+    [10, 20, 20, 10],
+    [30, 0, 0, 30]
+  ];
+
+  it("extracts a tile from an image", function() {
+    var pixels = createPixels(grid);
+    var tile = TileUtils.extractTile(pixels, 4, 2, 0, 2);
+
+    expect(toArray(tile)).toEqual(toArray(createPixels([
+      [20, 10],
+      [0, 30]
+    ])));
+  });
+
+  it("flips a tile", function() {
+    var tile = createPixels([
+      [1, 2],
+      [3, 4]
+    ]);
+
+    expect(toArray(TileUtils.flipTile(tile, 2, true, false))).toEqual(toArray(createPixels([
+      [2, 1],
+      [4, 3]
+    ])));
+    expect(toArray(TileUtils.flipTile(tile, 2, false, true))).toEqual(toArray(createPixels([
+      [3, 4],
+      [1, 2]
+    ])));
+    expect(toArray(TileUtils.flipTile(tile, 2, true, true))).toEqual(toArray(createPixels([
+      [4, 3],
+      [2, 1]
+    ])));
+  });
+
+  it("ignores the color of transparent pixels in tile keys", function() {
+    var tileA = new Uint8ClampedArray([255, 0, 0, 0]);
+    var tileB = new Uint8ClampedArray([0, 0, 255, 10]);
+
+    expect(TileUtils.getTileKey(tileA)).toBe(TileUtils.getTileKey(tileB));
+  });
+
+  it("keeps every tile when not optimizing", function() {
+    var pixels = createPixels(grid);
+    var tileSet = TileUtils.buildTileSet([pixels, pixels], 4, 2, {tileSize: 2});
+
+    expect(tileSet.tiles.length).toBe(4);
+    expect(tileSet.maps.length).toBe(2);
+    expect(tileSet.maps[1][1]).toEqual({index: 3, flipX: false, flipY: false});
+  });
+
+  it("removes duplicate tiles across frames", function() {
+    var pixels = createPixels(grid);
+    var tileSet = TileUtils.buildTileSet([pixels, pixels], 4, 2, {
+      tileSize: 2,
+      optimize: true
+    });
+
+    expect(tileSet.tiles.length).toBe(2);
+    expect(tileSet.maps[1][0]).toEqual({index: 0, flipX: false, flipY: false});
+    expect(tileSet.maps[1][1]).toEqual({index: 1, flipX: false, flipY: false});
+  });
+
+  it("detects mirrored tiles when flip is supported", function() {
+    var pixels = createPixels(grid);
+    var tileSet = TileUtils.buildTileSet([pixels], 4, 2, {
+      tileSize: 2,
+      optimize: true,
+      flip: true
+    });
+
+    expect(tileSet.tiles.length).toBe(1);
+    expect(tileSet.maps[0][1]).toEqual({index: 0, flipX: true, flipY: false});
+  });
+
+  it("detects tiles mirrored on both axes", function() {
+    var pixels = createPixels([
+      [1, 2, 4, 3],
+      [3, 4, 2, 1]
+    ]);
+    var tileSet = TileUtils.buildTileSet([pixels], 4, 2, {
+      tileSize: 2,
+      optimize: true,
+      flip: true
+    });
+
+    expect(tileSet.tiles.length).toBe(1);
+    expect(tileSet.maps[0][1]).toEqual({index: 0, flipX: true, flipY: true});
+  });
+
+  it("keeps mirrored tiles using another sub-palette", function() {
+    var pixels = createPixels(grid);
+    var tileSet = TileUtils.buildTileSet([pixels], 4, 2, {
+      tileSize: 2,
+      optimize: true,
+      flip: true,
+      getPalette: function (tileX) {
+        return tileX;
+      }
+    });
+
+    expect(tileSet.tiles.length).toBe(2);
+    expect(tileSet.palettes).toEqual([0, 1]);
+    expect(tileSet.maps[0][1]).toEqual({index: 1, flipX: false, flipY: false, palette: 1});
+  });
+
+  it("encodes tile maps as little endian words with flip flags", function() {
+    var maps = [
+      [{index: 1, flipX: false, flipY: false}, {index: 0x123, flipX: true, flipY: false}],
+      [{index: 2, flipX: false, flipY: true}]
+    ];
+
+    expect(toArray(TileUtils.encodeTileMaps(maps))).toEqual([
+      0x01, 0x00,
+      0x23, 0x41,
+      0x02, 0x80
+    ]);
+  });
+});
@@ -0,0 +1,103 @@
+describe("ToolchainUtils suite", function() {
+  var ToolchainUtils = pskl.utils.ToolchainUtils;
+
+  var createData = function (options) {
+    return Object.assign({
+      name : 'Hero',
+      width : 8,
+      height : 8,
+      frameCount : 1,
+      bpp : 4,
+      tiles : new Uint8Array(32),
+      tileCount : 1,
+      maps : new Uint8Array([0, 0]),
+      optimized : false,
+      palette : new Uint8Array([0x34, 0x12, 0xFF, 0x00])
+    }, options);
+  };
+
+  it("lists the presets of a console", function() {
+    expect(ToolchainUtils.getPresetsForConsole('genesis')).toEqual(['sgdk']);
+    expect(ToolchainUtils.getPresetsForConsole('gbc')).toEqual(['gbdk']);
+    expect(ToolchainUtils.getPresetsForConsole('gba8bpp')).toEqual(['grit-asm', 'grit-c']);
+    expect(ToolchainUtils.getPresetsForConsole('nes')).toEqual([]);
+  });
+
+  it("generates SGDK resources with a big endian palette", function() {
+    var files = ToolchainUtils.generateFiles('sgdk', createData());
+
+    expect(Object.keys(files).sort()).toEqual(['hero.h', 'hero.res', 'hero_pal.bin', 'hero_tiles.bin']);
+    expect(files['hero.res']).toContain('BIN hero_tiles "hero_tiles.bin" 2\nBIN hero_pal "hero_pal.bin" 2\n');
+    expect(files['hero.h']).toContain('#define HERO_TILE_COUNT 1');
+    expect(files['hero.h']).toContain('extern const u8 hero_tiles[32];');
+    expect(Array.prototype.slice.call(files['hero_pal.bin'])).toEqual([0x12, 0x34, 0x00, 0xFF]);
+  });
+
+  it("adds the tile map to SGDK resources when tiles are optimized", function() {
+    var files = ToolchainUtils.generateFiles('sgdk', createData({
+      optimized : true,
+      maps : new Uint8Array([0x01, 0x40])
+    }));
+
+    expect(files['hero.res']).toContain('BIN hero_map "hero_map.bin" 2');
+    expect(Array.prototype.slice.call(files['hero_map.bin'])).toEqual([0x40, 0x01]);
+  });
+
+  it("generates GBDK metasprites relative to the pivot", function() {
+    var files = ToolchainUtils.generateFiles('gbdk', createData({
+      width : 16,
+      height : 16,
+      bpp : 2,
+      palette : new Uint8Array([0xFF, 0x7F, 0, 0, 0, 0, 0, 0]),
+      spriteTiles : new Uint8Array(64),
+      spriteHeight : 16,
+      metasprites : [[
+        {x : 0, y : 0, tile : 0, width : 8, height : 16},
+        {x : 8, y : 0, tile : 2, width : 8, height : 16}
+      ]]
+    }));
+
+    expect(files['hero.c']).toContain([
+      'const metasprite_t hero_metasprite0[] = {',
+      '  METASPR_ITEM(-8, -8, 0, 0),',
+      '  METASPR_ITEM(0, 8, 2, 0),',
+      '  METASPR_TERM',
+      '};'
+    ].join('\n'));
+    expect(files['hero.c']).toContain('const palette_color_t hero_palettes[4] = {\n  0x7FFF,0x0000,0x0000,0x0000\n};');
+    expect(files['hero.h']).toContain('#define hero_TILE_COUNT 4');
+    expect(files['hero.h']).toContain('#define hero_PALETTE_COUNT 1');
+    expect(files['hero.h']).toContain('extern const metasprite_t* const hero_metasprites[1];');
+  });
+
+  it("generates PVSnesLib graphics with an include", function() {
+    var files = ToolchainUtils.generateFiles('pvsneslib', createData());
+
+    expect(Object.keys(files).sort()).toEqual(['hero.asm', 'hero.h', 'hero.map', 'hero.pal', 'hero.pic']);
+    expect(files['hero.asm']).toContain('hero_pic:\n.incbin "hero.pic"\nhero_pic_end:');
+    expect(files['hero.h']).toContain('extern char hero_pic, hero_pic_end, hero_pal, hero_pal_end, hero_map, hero_map_end;');
+  });
+
+  it("generates grit assembly with word aligned tiles", function() {
+    var tiles = new Uint8Array(32);
+    tiles[0] = 0x78;
+    tiles[1] = 0x56;
+    tiles[2] = 0x34;
+    tiles[3] = 0x12;
+    var files = ToolchainUtils.generateFiles('grit-asm', createData({name : 'my hero', tiles : tiles}));
+
+    expect(files['my_hero.s']).toContain('\t.global myHeroTiles\t\t@ 32 unsigned chars');
+    expect(files['my_hero.s']).toContain('myHeroTiles:\n\t.word 0x12345678,');
+    expect(files['my_hero.s']).toContain('myHeroPal:\n\t.hword 0x1234,0x00FF\n');
+    expect(files['my_hero.h']).toContain('#define myHeroTilesLen 32\nextern const unsigned int myHeroTiles[8];');
+    expect(files['my_hero.h']).toContain('#define myHeroPalLen 4\nextern const unsigned short myHeroPal[2];');
+  });
+
+  it("generates grit C arrays", function() {
+    var files = ToolchainUtils.generateFiles('grit-c', createData({optimized : true}));
+
+    expect(files['hero.c']).toContain('const unsigned short heroMap[1]');
+    expect(files['hero.c']).toContain('{\n  0x1234,0x00FF\n};');
+    expect(files['hero.h']).toContain('#define heroMapLen 2');
+  });
+});
@@ -0,0 +1,91 @@
+describe("VramBudgetUtils suite", function() {
+  var VramBudgetUtils = pskl.utils.VramBudgetUtils;
+
+  var createMode = function (config) {
+    return Object.assign({
+      id : 'test',
+      tileSize : 8,
+      tileFlip : false,
+      maxColors : 3,
+      subPaletteCount : 4,
+      vramBudget : {label : 'CHR bank', bytes : 4096, bitsPerPixel : 2, colorBytes : 1}
+    }, config);
+  };
+
+  /**
+   * Creates a frame of 8x8 tiles, each tile filled with the gray level given
+   * in tileColors (null for a transparent tile).
+   */
+  var createFrame = function (tileColors) {
+    var width = tileColors.length * 8;
+    var pixels = new Uint8ClampedArray(width * 8 * 4);
+    for (var i = 0; i < width * 8; i++) {
+      var color = tileColors[Math.floor((i % width) / 8)];
+      if (color !== null) {
+        pixels.set([color, color, color, 255], i * 4);
+      }
+    }
+    return pixels;
+  };
+
+  it("computes the tile capacity of the budget", function() {
+    var mode = createMode();
+    expect(VramBudgetUtils.getTileBytes(mode)).toBe(16);
+    expect(VramBudgetUtils.getBudget(mode, null)).toEqual({label : 'CHR bank', bytes : 4096, tiles : 256});
+    expect(VramBudgetUtils.getBudget(mode, 2048).tiles).toBe(128);
+
+    var gba = createMode({vramBudget : {label : 'OBJ VRAM', bytes : 32768, bitsPerPixel : 4}});
+    expect(VramBudgetUtils.getBudget(gba, null).tiles).toBe(1024);
+  });
+
+  it("only supports consoles with a budget and a tile size", function() {
+    expect(VramBudgetUtils.isSupported(createMode())).toBe(true);
+    expect(VramBudgetUtils.isSupported(createMode({tileSize : null}))).toBe(false);
+    expect(VramBudgetUtils.isSupported(createMode({vramBudget : null}))).toBe(false);
+    expect(VramBudgetUtils.isSupported(null)).toBe(false);
+  });
+
+  it("counts tiles shared between frames once", function() {
+    var frames = [createFrame([10, 20, null]), createFrame([10, 30, null])];
+    var usage = VramBudgetUtils.getUsage(createMode(), frames, 24, 8, 5);
+    expect(usage.tiles).toBe(6);
+    expect(usage.uniqueTiles).toBe(4);
+    expect(usage.sizes[0]).toEqual({name : 'Tiles', bytes : 96});
+    expect(usage.sizes[1]).toEqual({name : 'Tiles (optimized)', bytes : 64});
+  });
+
+  it("only counts mirrored tiles once when sprites can flip", function() {
+    // An 8x8 tile and its horizontal mirror
+    var frame = new Uint8ClampedArray(16 * 8 * 4);
+    for (var y = 0; y < 8; y++) {
+      frame.set([255, 255, 255, 255], (y * 16) * 4);
+      frame.set([255, 255, 255, 255], (y * 16 + 15) * 4);
+    }
+
+    var sms = pskl.consoles.createSMSMode();
+    expect(sms.tileFlip).toBe(true);
+    expect(sms.spriteFlip).toBe(false);
+    expect(VramBudgetUtils.getUsage(sms, [frame], 16, 8, 1).uniqueTiles).toBe(2);
+
+    var flipping = createMode({tileFlip : true, spriteFlip : true});
+    expect(VramBudgetUtils.getUsage(flipping, [frame], 16, 8, 1).uniqueTiles).toBe(1);
+  });
+
+  it("sizes the palettes holding the used colors", function() {
+    var frames = [createFrame([10])];
+    var usage = VramBudgetUtils.getUsage(createMode(), frames, 8, 8, 5);
+    expect(usage.colors).toBe(5);
+    expect(usage.paletteSlots).toBe(12);
+    // 2 sub-palettes of 3 colors + transparent
+    expect(usage.sizes[2]).toEqual({name : 'Palette', bytes : 8});
+
+    var noPaletteBytes = createMode({vramBudget : {label : 'OBJ', bytes : 4096, bitsPerPixel : 2}});
+    expect(VramBudgetUtils.getUsage(noPaletteBytes, frames, 8, 8, 5).sizes.length).toBe(2);
+  });
+
+  it("formats sizes in bytes and kilobytes", function() {
+    expect(VramBudgetUtils.formatBytes(512)).toBe('512 B');
+    expect(VramBudgetUtils.formatBytes(4096)).toBe('4 KB');
+    expect(VramBudgetUtils.formatBytes(1536)).toBe('1.5 KB');
+  });
+});
@@ -72,4 +72,20 @@ describe("Serialization/Deserialization test", function() {
       done();
     });
   });
+
+  it("serializes the palette order", function(done) {
+    var descriptor = new pskl.model.piskel.Descriptor('piskelName', 'piskelDesc');
+    var piskel = new pskl.model.Piskel(1, 1, 1, descriptor);
+    piskel.addLayer(new pskl.model.Layer('layer1'));
+    piskel.getLayerAt(0).addFrame(new pskl.model.Frame(1, 1));
+    piskel.setPaletteOrder(['#00FF00', '#FF0000']);
+
+    var serializedPiskel = pskl.utils.serialization.Serializer.serialize(piskel);
+
+    var deserializer = pskl.utils.serialization.Deserializer;
+    deserializer.deserialize(JSON.parse(serializedPiskel), function (p) {
+      expect(p.getPaletteOrder()).toEqual(['#00FF00', '#FF0000']);
+      done();
+    });
+  });
 });